@@ -0,0 +1,1302 @@
+// ============================================================
+// Express app factory
+// ------------------------------------------------------------
+// Every external dependency is passed in, so the same routes run on
+// Vercel (api/index.js), locally (server.js) and against fakes in tests.
+// ============================================================
+import express from "express";
+import cors from "cors";
+import bcrypt from "bcrypt";
+import PricingService from "./services/pricingService.js";
+import OrderService from "./services/orderService.js";
+import PaymentWebhookService from "./services/webhookService.js";
+import PaymentReconciler from "./services/reconciliationService.js";
+import RefundService from "./services/refundService.js";
+import DownloadService from "./services/downloadService.js";
+import EmailService, { escapeHtml } from "./services/emailService.js";
+import EmailOutbox from "./services/emailOutboxService.js";
+import OrderNotificationService from "./services/orderNotificationService.js";
+import CustomerLibraryService from "./services/customerLibraryService.js";
+import CouponService from "./services/couponService.js";
+import InvoiceService from "./services/invoiceService.js";
+import ProductFileService from "./services/productFileService.js";
+import PdfWatermarkService from "./services/watermarkService.js";
+import OrderSearchService from "./services/orderSearchService.js";
+import SalesAnalyticsService from "./services/analyticsService.js";
+import CatalogService from "./services/catalogService.js";
+import BundleService from "./services/bundleService.js";
+import CheckoutService from "./services/checkoutService.js";
+import CheckoutRecoveryService from "./services/checkoutRecoveryService.js";
+import AffiliateService from "./services/affiliateService.js";
+import PaymentProviderRegistry from "./services/payments/paymentProviders.js";
+import { isValidEmail, magicLinkRateLimit } from "./middleware/security.js";
+import { requestContext } from "./middleware/requestContext.js";
+import logger, { setLogLevel } from "./lib/logger.js";
+import { createAuth } from "./middleware/auth.js";
+
+// ============================================================
+// Utility Helpers
+// ============================================================
+const asyncHandler =
+  (fn) =>
+    (req, res, next) =>
+      Promise.resolve(fn(req, res, next)).catch(next);
+
+// Row ids are numeric; anything else in `:id` would fail in Postgres as a 500
+const validIdParam = (label) => (req, res, next) => {
+  if (!/^\d+$/.test(req.params.id)) {
+    return res.status(400).json({ success: false, message: `Invalid ${label} id` });
+  }
+  next();
+};
+
+// Magic link requests all take this long (longer only if sending does)
+const MAGIC_LINK_RESPONSE_MS = 2000;
+
+// Body parsing for these is left to the webhook handler
+const WEBHOOK_PATHS = ["/api/phonepe/webhook", "/api/payments/:provider/webhook"];
+
+// Posts back to `action`, the unsubscribe link itself
+const renderUnsubscribePage = (action) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Unsubscribe - Bundle Buy Bliss</title>
+</head>
+<body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 480px; margin: 60px auto; padding: 20px; text-align: center; color: #333;">
+  <h1 style="color: #007c07; font-size: 22px;">Stop cart reminders?</h1>
+  <p style="color: #666;">You won't get any more emails about unfinished checkouts. Order receipts still arrive.</p>
+  <form method="post" action="${escapeHtml(action)}">
+    <button type="submit" style="background: #007c07; color: white; padding: 12px 25px; border: 0; border-radius: 6px; font-weight: bold; cursor: pointer;">Unsubscribe</button>
+  </form>
+</body>
+</html>`;
+
+const downloadContext = (req, source) => ({
+  ip: req.ip,
+  userAgent: req.get("User-Agent"),
+  source,
+});
+
+/**
+ * Build the Express app.
+ *
+ * @param {object} deps
+ * @param {object} deps.config            Frozen configuration from `loadConfig()`
+ * @param {object} deps.supabase          Supabase client (or a fake with the same query API)
+ * @param {object} [deps.storage]         Storage API, defaults to `supabase.storage`
+ * @param {object} [deps.paymentProviders] PaymentProviderRegistry
+ * @param {object} [deps.paymentProvider] Single provider adapter, wrapped in a registry
+ * @param {object} deps.mailer            Nodemailer-compatible transport (`sendMail`)
+ * @returns {import("express").Express}   `app.locals.backgroundJobs` lists the periodic jobs
+ */
+export function createApp(deps) {
+  const { config, supabase, storage = supabase.storage, mailer } = deps;
+  const { frontend: FRONTEND_URL } = config.urls;
+  const paymentProviders =
+    deps.paymentProviders || new PaymentProviderRegistry([deps.paymentProvider]);
+  setLogLevel(config.log.level);
+
+  const {
+    signAdminToken,
+    signCustomerToken,
+    requireAdmin,
+    requireCustomer,
+    requirePermission,
+    requireCronSecret,
+  } = createAuth(config, supabase);
+  const adminOnly = (permission) => [requireAdmin, requirePermission(permission)];
+
+  // ============================================================
+  // App Initialization
+  // ============================================================
+  const app = express();
+  app.set("trust proxy", 1);
+  app.use(requestContext);
+  // Webhooks are read as raw bytes, whatever their content type, so every
+  // delivery can be recorded and signature-checked before it is parsed
+  app.use(WEBHOOK_PATHS, express.raw({ type: () => true, limit: "1mb" }));
+  app.use(express.json({ limit: "10mb" }));
+
+  // ============================================================
+  // CORS Configuration
+  // ============================================================
+  app.use(
+    cors({
+      origin(origin, callback) {
+        if (!origin) return callback(null, true);
+        if (config.cors.allowedOrigins.includes(origin)) return callback(null, true);
+        logger.warn("Blocked CORS origin", { origin });
+        return callback(new Error("Not allowed by CORS"), false);
+      },
+      credentials: true,
+      exposedHeaders: ["Content-Disposition"],
+    })
+  );
+
+  // ============================================================
+  // Services
+  // ============================================================
+  const bundleService = new BundleService(supabase);
+  const pricingService = new PricingService(supabase, bundleService);
+  const catalog = new CatalogService(supabase, bundleService);
+  const couponService = new CouponService(supabase);
+  const orderService = new OrderService(supabase);
+  const orderSearch = new OrderSearchService(supabase);
+  const salesAnalytics = new SalesAnalyticsService(supabase);
+  const refundService = new RefundService(supabase, orderService, paymentProviders);
+  const affiliates = new AffiliateService(supabase, {
+    ...config.affiliates,
+    secureCookies: config.urls.backend.startsWith("https://"),
+  });
+  const checkoutService = new CheckoutService(supabase, {
+    pricingService,
+    couponService,
+    orderService,
+    paymentProviders,
+    affiliateService: affiliates,
+  });
+  const webhookService = new PaymentWebhookService(supabase, orderService, refundService);
+  const downloadService = new DownloadService(
+    supabase, storage, new PdfWatermarkService(supabase, storage, config.storage), { backendUrl: config.urls.backend }
+  );
+  const productFiles = new ProductFileService(supabase, storage, config.storage);
+  const emailService = new EmailService(mailer, config.mail);
+  const emailOutbox = new EmailOutbox(supabase, emailService);
+  const invoiceService = new InvoiceService(supabase, config.invoice);
+  const orderNotifications = new OrderNotificationService(
+    supabase, emailService, downloadService, emailOutbox, invoiceService
+  );
+  const customerLibrary = new CustomerLibraryService(supabase, emailService, emailOutbox, {
+    frontendUrl: FRONTEND_URL,
+  });
+  const checkoutRecovery = new CheckoutRecoveryService(supabase, {
+    emailService,
+    emailOutbox,
+    couponService,
+    checkoutService,
+    orderService,
+  }, { ...config.recovery, backendUrl: config.urls.backend });
+
+  // Buyers get their confirmation email the moment an order is paid,
+  // whichever path (redirect, webhook, reconciler) got it there
+  orderService.onStatusChange(async ({ order, to }) => {
+    if (to === "paid") await orderNotifications.sendConfirmation(order);
+  });
+
+  orderService.onStatusChange(async ({ order, to }) => {
+    if (to === "paid") await checkoutRecovery.markRecovered(order);
+  });
+
+  // Affiliate commission follows the money: accrued when paid, reversed on refund
+  orderService.onStatusChange(async ({ order, to }) => {
+    if (to === "paid") await affiliates.accrue(order);
+  });
+  refundService.onRefund(({ order, refund, fullyRefunded }) =>
+    affiliates.reverse(order, refund, { fullyRefunded })
+  );
+  refundService.onRefundFailed(({ order, refund }) => affiliates.reinstate(order, refund));
+
+  // Paid orders use up their coupon; failed, expired or cancelled ones hand it back
+  orderService.onStatusChange(({ order, to }) => couponService.settle(order.id, to));
+
+  const paymentReconciler = new PaymentReconciler(supabase, orderService, paymentProviders, {
+    minAgeMinutes: config.reconcile.minAgeMinutes,
+    expireAfterMinutes: config.reconcile.expireAfterMinutes,
+  });
+
+  async function findOrderByTransactionId(transactionId) {
+    const { data, error } = await supabase
+      .from("orders")
+      .select("*")
+      .contains("payment", { transactionId })
+      .limit(1)
+      .single();
+    if (error?.code === "PGRST116") return null;
+    if (error) throw error;
+    return data;
+  }
+
+  // ============================================================
+  // Health & Root
+  // ============================================================
+  app.get("/", (_, res) =>
+    res.json({ message: "backend running", time: new Date().toISOString() })
+  );
+
+  app.get("/health", asyncHandler(async (_, res) => {
+    const { error } = await supabase.from("products").select("id").limit(1);
+    res.json({ status: error ? "unhealthy" : "healthy" });
+  }));
+
+  // ============================================================
+  // Products CRUD
+  // ============================================================
+  // Existing storefronts expect a bare array; asking for a page gets the paginated envelope
+  app.get("/api/products", asyncHandler(async (req, res) => {
+    const parsed = catalog.parseQuery({ ...req.query, status: undefined });
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.message });
+    }
+    const paginate = req.query.page !== undefined || req.query.pageSize !== undefined;
+    const result = await catalog.listProducts(parsed.params, { paginate });
+    res.json(paginate ? { success: true, ...result } : result.products);
+  }));
+
+  // Numeric id or slug
+  app.get("/api/products/:id", asyncHandler(async (req, res) => {
+    const product = await catalog.findPublishedProduct(req.params.id);
+    if (!product) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+    res.json(product);
+  }));
+
+  app.get("/api/categories", asyncHandler(async (_req, res) => {
+    res.json({ success: true, categories: await catalog.listCategories() });
+  }));
+
+  // Admins see every status, including drafts and archived products
+  app.get("/api/admin/products", adminOnly("products:write"), asyncHandler(async (req, res) => {
+    const parsed = catalog.parseQuery(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.message });
+    }
+    res.json({ success: true, ...(await catalog.listProducts(parsed.params, { includeUnpublished: true })) });
+  }));
+
+  const saveProduct = async (res, query, status) => {
+    const { data, error } = await query.select().maybeSingle();
+    if (error?.code === "23505") {
+      return res.status(409).json({ success: false, message: "A product with that slug already exists" });
+    }
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+    res.status(status).json(data);
+  };
+
+  app.post("/api/products", adminOnly("products:write"), asyncHandler(async (req, res) => {
+    const input = catalog.prepareProduct(req.body, { creating: true });
+    if (!input.success) {
+      return res.status(400).json({ message: input.message });
+    }
+    await saveProduct(
+      res,
+      supabase.from("products").insert([{ ...input.values, created_at: new Date() }]),
+      201
+    );
+  }));
+
+  const validProductId = validIdParam("product");
+
+  app.put("/api/products/:id", adminOnly("products:write"), validProductId, asyncHandler(async (req, res) => {
+    const input = catalog.prepareProduct(req.body);
+    if (!input.success) {
+      return res.status(400).json({ message: input.message });
+    }
+    await saveProduct(
+      res,
+      supabase.from("products").update({ ...input.values, updated_at: new Date() }).eq("id", req.params.id),
+      200
+    );
+  }));
+
+  app.delete("/api/products/:id", adminOnly("products:write"), validProductId, asyncHandler(async (req, res) => {
+    const { error } = await supabase.from("products").delete().eq("id", req.params.id);
+    if (error) throw error;
+    res.json({ success: true });
+  }));
+
+  // Multipart upload (field "file"); uploading again replaces the current file
+  app.post("/api/admin/products/:id/file", adminOnly("products:write"), validProductId, asyncHandler(async (req, res) => {
+    const { data: product, error } = await supabase
+      .from("products")
+      .select("id, storage_path, file_name")
+      .eq("id", req.params.id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!product) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    const result = await productFiles.uploadFromRequest(product, req);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, product: result.product });
+  }));
+
+  // Body: { productIds: [...] } in display order; replaces the bundle's contents
+  app.put("/api/admin/products/:id/components", adminOnly("products:write"), validProductId, asyncHandler(async (req, res) => {
+    const { data: bundle, error } = await supabase
+      .from("products")
+      .select("id, type")
+      .eq("id", req.params.id)
+      .maybeSingle();
+    if (error) throw error;
+    if (!bundle) {
+      return res.status(404).json({ success: false, message: "Product not found" });
+    }
+
+    const result = await bundleService.setComponents(bundle, req.body.productIds);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, components: result.components });
+  }));
+
+  app.post("/api/admin/categories", adminOnly("products:write"), asyncHandler(async (req, res) => {
+    const input = catalog.prepareCategory(req.body, { creating: true });
+    if (!input.success) {
+      return res.status(400).json({ success: false, message: input.message });
+    }
+    const result = await catalog.saveCategory(input.values);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    res.status(201).json({ success: true, category: result.category });
+  }));
+
+  app.put("/api/admin/categories/:id", adminOnly("products:write"), validIdParam("category"), asyncHandler(async (req, res) => {
+    const input = catalog.prepareCategory(req.body);
+    if (!input.success) {
+      return res.status(400).json({ success: false, message: input.message });
+    }
+    const result = await catalog.saveCategory(input.values, req.params.id);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, category: result.category });
+  }));
+
+  // Products in a deleted category become uncategorised
+  app.delete("/api/admin/categories/:id", adminOnly("products:write"), validIdParam("category"), asyncHandler(async (req, res) => {
+    if (!(await catalog.deleteCategory(req.params.id))) {
+      return res.status(404).json({ success: false, message: "Category not found" });
+    }
+    res.json({ success: true });
+  }));
+
+  // ============================================================
+  // Order Creation
+  // ============================================================
+  app.post("/api/phonepe/create-order", asyncHandler(async (req, res) => {
+    logger.info("Order creation requested", {
+      itemCount: Array.isArray(req.body.orderItems) ? req.body.orderItems.length : 0,
+    });
+
+    const result = await checkoutService.placeOrder({
+      ...req.body,
+      affiliateCode: affiliates.codeFromRequest(req),
+    });
+    if (!result.success) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    res.json({
+      success: true,
+      orderId: result.order.id,
+      paymentUrl: result.paymentUrl,
+      paymentProvider: result.paymentProvider,
+      subtotalAmount: result.subtotalAmount,
+      discountAmount: result.discountAmount,
+      totalAmount: result.totalAmount,
+    });
+  }));
+
+  // ============================================================
+  // Coupons
+  // ============================================================
+  // Preview a coupon against the cart before checkout; create-order re-checks it
+  app.post("/api/coupons/validate", asyncHandler(async (req, res) => {
+    const { couponCode, orderItems, customerEmail } = req.body;
+    if (!couponCode || !Array.isArray(orderItems) || !orderItems.length) {
+      return res.status(400).json({ success: false, message: "couponCode and orderItems required" });
+    }
+
+    const pricing = await pricingService.priceOrder(orderItems);
+    if (!pricing.success) {
+      return res.status(400).json({ success: false, message: pricing.message });
+    }
+
+    const discount = await couponService.applyCoupon(couponCode, {
+      items: pricing.items,
+      totalAmount: pricing.totalAmount,
+      customerEmail,
+    });
+    if (!discount.success) {
+      return res.status(400).json({ success: false, message: discount.message });
+    }
+
+    res.json({
+      success: true,
+      code: discount.coupon.code,
+      subtotalAmount: pricing.totalAmount,
+      discountAmount: discount.discountAmount,
+      totalAmount: discount.totalAmount,
+    });
+  }));
+
+  app.get("/api/admin/coupons", adminOnly("coupons:write"), asyncHandler(async (_req, res) => {
+    res.json({ success: true, coupons: await couponService.list() });
+  }));
+
+  app.post("/api/admin/coupons", adminOnly("coupons:write"), asyncHandler(async (req, res) => {
+    const input = couponService.validateInput(req.body);
+    if (!input.success) {
+      return res.status(400).json({ success: false, message: input.message });
+    }
+    const result = await couponService.create(input.values);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    res.status(201).json({ success: true, coupon: result.coupon });
+  }));
+
+  app.put("/api/admin/coupons/:id", adminOnly("coupons:write"), validIdParam("coupon"), asyncHandler(async (req, res) => {
+    const existing = await couponService.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: "Coupon not found" });
+    }
+
+    const input = couponService.validateInput(req.body, existing);
+    if (!input.success) {
+      return res.status(400).json({ success: false, message: input.message });
+    }
+
+    const result = await couponService.update(existing.id, input.values);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, coupon: result.coupon });
+  }));
+
+  // Coupons with redemptions must stay for the order history, so delete deactivates
+  app.delete("/api/admin/coupons/:id", adminOnly("coupons:write"), validIdParam("coupon"), asyncHandler(async (req, res) => {
+    const result = await couponService.update(req.params.id, { active: false });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, coupon: result.coupon });
+  }));
+
+  // ============================================================
+  // Payment Callbacks (Idempotent)
+  // ============================================================
+  app.post("/api/phonepe/callback", asyncHandler(async (req, res) => {
+    const responseBase64 = req.body.response;
+
+    if (!responseBase64) {
+      return res.status(400).send("Invalid callback");
+    }
+
+    const { isValid, data: decoded, error } = await paymentProviders.get("phonepe").verifyCallback({
+      response: responseBase64,
+      checksum: req.get("X-VERIFY"),
+    });
+    if (!isValid) {
+      logger.warn("PhonePe callback rejected", { reason: error });
+      return res.status(401).send("Invalid callback signature");
+    }
+
+    const merchantTransactionId = decoded.data.merchantTransactionId;
+
+    const order = await findOrderByTransactionId(merchantTransactionId);
+    if (!order) return res.status(404).send("Order not found");
+
+    if (decoded.code === "PAYMENT_SUCCESS") {
+      await orderService.applyPaymentStatus(order, "completed", {
+        gatewayTransactionId: decoded.data.transactionId,
+        paidAt: new Date().toISOString(),
+      }, { actor: "callback:phonepe", reason: decoded.code });
+
+      return res.redirect(
+        `${FRONTEND_URL}/payment-success?orderId=${order.id}`
+      );
+    }
+
+    if (decoded.code === "PAYMENT_FAILED") {
+      await orderService.applyPaymentStatus(order, "failed", {
+        failureReason: decoded.message,
+      }, { actor: "callback:phonepe", reason: decoded.code });
+
+      return res.redirect(
+        `${FRONTEND_URL}/payment-failed?orderId=${order.id}`
+      );
+    }
+
+    res.redirect(
+      `${FRONTEND_URL}/payment-pending?orderId=${order.id}`
+    );
+  }));
+
+  // Browser redirect back from the provider's checkout page. The provider's
+  // status API is the source of truth, not the redirect itself.
+  const handlePaymentRedirect = asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+
+    logger.info("Payment redirect received", { orderId });
+
+    const order = await orderService.findByMerchantOrderId(orderId);
+    if (!order) {
+      return res.redirect(
+        `${FRONTEND_URL}/payment-failed?orderId=${orderId}`
+      );
+    }
+
+    const provider = paymentProviders.forOrder(order);
+    const actor = `callback:${provider.name}`;
+    let result;
+    try {
+      result = await provider.checkPaymentStatus(order);
+    } catch (err) {
+      logger.error("Payment verification failed", { orderId, err });
+      return res.redirect(
+        `${FRONTEND_URL}/payment-pending?orderId=${orderId}`
+      );
+    }
+    logger.info("Payment verification result", { orderId, status: result.status, gatewayState: result.gatewayState });
+
+    if (result.status === "completed") {
+      await orderService.applyPaymentStatus(order, "completed", {
+        providerOrderId: result.providerOrderId || order.payment?.providerOrderId || null,
+        gatewayTransactionId: result.transactionId,
+        paidAt: new Date().toISOString(),
+        verifiedAt: new Date().toISOString(),
+      }, { actor, reason: result.gatewayState });
+      return res.redirect(
+        `${FRONTEND_URL}/payment-success?orderId=${orderId}`
+      );
+    }
+
+    if (result.status === "failed" || result.status === "expired") {
+      await orderService.applyPaymentStatus(order, result.status, {
+        failureReason: result.gatewayState,
+      }, { actor, reason: result.gatewayState });
+      return res.redirect(
+        `${FRONTEND_URL}/payment-failed?orderId=${orderId}`
+      );
+    }
+
+    res.redirect(
+      `${FRONTEND_URL}/payment-pending?orderId=${orderId}`
+    );
+  });
+
+  app.all("/api/phonepe/callback/:orderId", handlePaymentRedirect);
+  app.all("/api/payments/:provider/callback/:orderId", handlePaymentRedirect);
+
+  // ============================================================
+  // Payment Webhooks (server-to-server, signed)
+  // ============================================================
+  const handlePaymentWebhook = (providerName) => asyncHandler(async (req, res) => {
+    let provider;
+    try {
+      provider = paymentProviders.get(providerName || req.params.provider);
+    } catch {
+      return res.status(404).json({ success: false, message: "Unknown payment provider" });
+    }
+
+    req.rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    try {
+      req.body = JSON.parse(req.rawBody.toString("utf8"));
+    } catch {
+      req.body = null;
+    }
+    const signatureValid = provider.verifyWebhook(req);
+    const parsed = provider.parseWebhook(req.body);
+
+    // Every delivery is stored, including ones we reject
+    const event = await webhookService.record({
+      provider: provider.name,
+      rawBody: req.rawBody,
+      body: req.body,
+      signatureValid,
+      parsed,
+    });
+
+    if (req.body === null) {
+      await webhookService.markEvent(event.id, "rejected", "Body is not valid JSON");
+      return res.status(400).json({ success: false, message: "Webhook body must be JSON" });
+    }
+    if (!signatureValid) {
+      await webhookService.markEvent(event.id, "rejected", "Invalid signature");
+      return res.status(401).json({ success: false, message: "Invalid webhook signature" });
+    }
+
+    const result = await webhookService.process(event, parsed);
+    logger.info("Payment webhook processed", {
+      provider: provider.name,
+      eventId: event.id,
+      eventType: parsed.eventType,
+      status: result.status,
+    });
+
+    // Acknowledge anything we have recorded so the provider stops retrying
+    res.json({ success: true, status: result.status });
+  });
+
+  // PhonePe's dashboard is configured with this path
+  app.post("/api/phonepe/webhook", handlePaymentWebhook("phonepe"));
+  app.post("/api/payments/:provider/webhook", handlePaymentWebhook());
+
+
+  app.get("/api/orders/:orderId", asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+    if (!orderId) {
+      return res.status(400).json({ message: "orderId is required" });
+    }
+
+    // Fetch order from Supabase
+    const { data: order, error } = await supabase
+      .from("orders")
+      .select(`
+        id,
+        customer_name,
+        customer_email,
+        total_amount,
+        status,
+        items
+      `)
+      .eq("merchant_order_id", orderId)
+      .single();
+
+    if (error) {
+      if (error.code === "PGRST116") {
+        return res.status(404).json({ message: "Order not found" });
+      }
+      throw error;
+    }
+
+    // ✅ Shape response exactly as frontend expects
+    res.json({
+      id: order.id,
+      customer_name: order.customer_name,
+      customer_email: order.customer_email,
+      total_amount: Number(order.total_amount),
+      status: order.status,
+      items: Array.isArray(order.items)
+        ? order.items.map((item) => ({
+          id: item.id,
+          name: item.name,
+          price: Number(item.price),
+          quantity: Number(item.quantity),
+          ...(item.components && { type: "bundle", components: item.components }),
+        }))
+        : [],
+    });
+  }));
+
+
+
+
+  // GET /api/signed-download/:productId?orderId=...
+  app.get("/api/signed-download/:productId", async (req, res) => {
+    try {
+      const { productId } = req.params;
+      const orderId = String(req.query.orderId || "");
+
+      if (!productId) {
+        return res.status(400).json({ success: false, message: "productId required" });
+      }
+
+      if (!orderId) {
+        return res.status(400).json({ success: false, message: "orderId required" });
+
+      }
+      logger.info("Signed download requested", { productId, orderId });
+
+      const result = await downloadService.createSignedDownload(
+        orderId, productId, downloadContext(req, "api")
+      );
+      if (!result.success) {
+        return res.status(result.status).json({ success: false, message: result.message });
+      }
+
+      // ✅ ALWAYS return JSON (never redirect)
+      return res.json({
+        success: true,
+        signedUrl: result.signedUrl,
+        expiresIn: result.expiresIn,
+        remainingDownloads: result.remainingDownloads,
+        accessExpiresAt: result.accessExpiresAt,
+      });
+    } catch (err) {
+      logger.error("Signed download failed", { productId: req.params.productId, err });
+      return res.status(500).json({ success: false, message: "Internal server error" });
+    }
+  });
+
+  // GET /api/download/:productId?orderId=... — browser-facing variant used by
+  // email links; redirects straight to the signed file URL
+  app.get("/api/download/:productId", asyncHandler(async (req, res) => {
+    const orderId = String(req.query.orderId || "");
+    if (!orderId) {
+      return res.status(400).send("orderId required");
+    }
+
+    const result = await downloadService.createSignedDownload(
+      orderId, req.params.productId, downloadContext(req, "email")
+    );
+    if (!result.success) {
+      return res.status(result.status).send(result.message);
+    }
+    res.redirect(result.signedUrl);
+  }));
+
+  // ============================================================
+  // Customer Library (passwordless magic links)
+  // ============================================================
+  app.post("/api/library/magic-link", magicLinkRateLimit, asyncHandler(async (req, res) => {
+    const { email } = req.body;
+    if (!email || !isValidEmail(String(email).trim())) {
+      return res.status(400).json({ success: false, message: "Valid email address is required" });
+    }
+
+    // Awaited, so serverless hosts don't drop the send, but every answer
+    // takes the same time: how long it took would tell callers whether the
+    // email has bought anything
+    await Promise.all([
+      customerLibrary.requestMagicLink(email).catch((err) => {
+        logger.error("Magic link request failed", { err });
+      }),
+      new Promise((resolve) => setTimeout(resolve, MAGIC_LINK_RESPONSE_MS)),
+    ]);
+
+    // Same answer whether or not the email has orders
+    res.json({
+      success: true,
+      message: "If that email has purchases, a sign-in link is on its way.",
+    });
+  }));
+
+  app.post("/api/library/session", asyncHandler(async (req, res) => {
+    const email = await customerLibrary.consumeMagicLink(req.body.token);
+    if (!email) {
+      return res.status(401).json({ success: false, message: "Link is invalid or has expired" });
+    }
+
+    res.json({ success: true, token: signCustomerToken(email), email });
+  }));
+
+  app.get("/api/library", requireCustomer, asyncHandler(async (req, res) => {
+    const orders = await customerLibrary.getLibrary(req.customer.email);
+    res.json({ success: true, email: req.customer.email, orders });
+  }));
+
+  app.get("/api/library/download/:orderId/:productId", requireCustomer, asyncHandler(async (req, res) => {
+    const { orderId, productId } = req.params;
+    if (!(await customerLibrary.ownsOrder(req.customer.email, orderId))) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    const result = await downloadService.createSignedDownload(
+      orderId, productId, downloadContext(req, "library")
+    );
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    res.json({
+      success: true,
+      signedUrl: result.signedUrl,
+      expiresIn: result.expiresIn,
+      remainingDownloads: result.remainingDownloads,
+      accessExpiresAt: result.accessExpiresAt,
+    });
+  }));
+
+  // ============================================================
+  // Invoices
+  // ============================================================
+  async function sendInvoice(res, order) {
+    const result = await invoiceService.getPdfForOrder(order);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Disposition": `attachment; filename="${result.filename}"`,
+    });
+    res.send(result.pdf);
+  }
+
+  app.get("/api/library/orders/:orderId/invoice", requireCustomer, asyncHandler(async (req, res) => {
+    if (!(await customerLibrary.ownsOrder(req.customer.email, req.params.orderId))) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    await sendInvoice(res, await orderService.findByMerchantOrderId(req.params.orderId));
+  }));
+
+  app.get("/api/admin/orders/:orderId/invoice", adminOnly("orders:read"), asyncHandler(async (req, res) => {
+    const order = await orderService.findByMerchantOrderId(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    await sendInvoice(res, order);
+  }));
+
+  // ============================================================
+  // Admin Login (Secure)
+  // ============================================================
+  app.post("/api/admin/login", asyncHandler(async (req, res) => {
+    const { username, password } = req.body;
+    if (!username || !password)
+      return res.status(400).json({ message: "Missing credentials" });
+
+    const { data: admin, error } = await supabase
+      .from("admin")
+      .select("id, username, password_hash, role")
+      .eq("username", username)
+      .single();
+
+    if (error || !admin || !(await bcrypt.compare(password, admin.password_hash))) {
+      return res.status(401).json({ message: "Invalid credentials" });
+    }
+
+    const token = signAdminToken(admin);
+
+    res.json({ success: true, token, user: { id: admin.id, role: admin.role } });
+  }));
+
+  app.get("/api/admin/me", requireAdmin, (req, res) => {
+    res.json({ success: true, user: req.admin });
+  });
+
+  // ============================================================
+  // Admin Orders
+  // ============================================================
+  app.get("/api/admin/orders", adminOnly("orders:read"), asyncHandler(async (req, res) => {
+    const parsed = orderSearch.parseFilters(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.message });
+    }
+
+    const page = await orderSearch.list(parsed.filters, {
+      cursor: req.query.cursor,
+      limit: req.query.limit,
+    });
+    if (!page.success) {
+      return res.status(400).json({ success: false, message: page.message });
+    }
+    res.json({ success: true, orders: page.orders, nextCursor: page.nextCursor });
+  }));
+
+  // Same filters as the list; streamed so large exports don't sit in memory
+  app.get("/api/admin/orders/export.csv", adminOnly("orders:read"), asyncHandler(async (req, res) => {
+    const parsed = orderSearch.parseFilters(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.message });
+    }
+
+    res.set({
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="orders-${new Date().toISOString().slice(0, 10)}.csv"`,
+    });
+    // A client that goes away never drains; stop waiting (and paging) when the response closes
+    const drained = () => new Promise((resolve) => {
+      const done = () => {
+        res.off("drain", done).off("close", done).off("error", done);
+        resolve();
+      };
+      res.on("drain", done).on("close", done).on("error", done);
+    });
+
+    res.write(orderSearch.csvHeader());
+    try {
+      for await (const order of orderSearch.iterate(parsed.filters)) {
+        if (res.destroyed) return;
+        if (!res.write(orderSearch.csvRow(order))) await drained();
+      }
+      if (res.destroyed) return;
+    } catch (error) {
+      // Headers are gone; all we can do is cut the download short
+      logger.error("Order export failed", { err: error });
+      return res.destroy(error);
+    }
+    res.end();
+  }));
+
+  // ============================================================
+  // Sales Analytics
+  // ============================================================
+  // GET /api/admin/analytics?from=&to=&granularity=day|week|month
+  app.get("/api/admin/analytics", adminOnly("analytics:read"), asyncHandler(async (req, res) => {
+    const parsed = salesAnalytics.parseRange(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.message });
+    }
+
+    res.json({ success: true, ...(await salesAnalytics.report(parsed.range)) });
+  }));
+
+  // ============================================================
+  // Order Timeline
+  // ============================================================
+  app.get("/api/admin/orders/:orderId/events", adminOnly("orders:read"), asyncHandler(async (req, res) => {
+    const order = await orderService.findByMerchantOrderId(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    res.json({
+      success: true,
+      status: order.status,
+      paymentStatus: order.payment?.status,
+      events: await orderService.listEvents(order.id),
+    });
+  }));
+
+  app.post("/api/admin/orders/:orderId/cancel", adminOnly("orders:cancel"), asyncHandler(async (req, res) => {
+    const order = await orderService.findByMerchantOrderId(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    const { changed, order: updated } = await orderService.cancel(order, {
+      actor: `admin:${req.admin.id}`,
+      reason: req.body.reason || null,
+    });
+    if (!changed) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${updated.status} order cannot be cancelled`,
+      });
+    }
+
+    res.json({ success: true, status: updated.status });
+  }));
+
+  // ============================================================
+  // Refunds
+  // ============================================================
+  app.post("/api/admin/orders/:orderId/refunds", adminOnly("orders:refund"), asyncHandler(async (req, res) => {
+    const { amount, reason } = req.body;
+    if (amount !== undefined && !(Number(amount) > 0)) {
+      return res.status(400).json({ success: false, message: "amount must be a positive number" });
+    }
+
+    const order = await orderService.findByMerchantOrderId(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    const result = await refundService.createRefund(order, {
+      amount: amount === undefined ? undefined : Number(amount),
+      reason,
+      requestedBy: req.admin.id,
+    });
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message,
+        refund: result.refund,
+      });
+    }
+
+    res.status(201).json({ success: true, refund: result.refund });
+  }));
+
+  app.get("/api/admin/orders/:orderId/refunds", adminOnly("orders:read"), asyncHandler(async (req, res) => {
+    const order = await orderService.findByMerchantOrderId(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    const refunds = await refundService.listForOrder(order.id);
+    res.json({ success: true, status: order.status, paymentStatus: order.payment?.status, refunds });
+  }));
+
+  app.post("/api/admin/refunds/:merchantRefundId/refresh", adminOnly("orders:refund"), asyncHandler(async (req, res) => {
+    const refund = await refundService.findByMerchantRefundId(req.params.merchantRefundId);
+    if (!refund) {
+      return res.status(404).json({ success: false, message: "Refund not found" });
+    }
+
+    const refreshed = await refundService.refreshStatus(refund, { actor: `admin:${req.admin.id}` });
+    res.json({ success: true, refund: refreshed });
+  }));
+
+  // ============================================================
+  // Download Log
+  // ============================================================
+  app.get("/api/admin/downloads", adminOnly("orders:read"), asyncHandler(async (req, res) => {
+    let orderId;
+    if (req.query.orderId) {
+      const order = await orderService.findByMerchantOrderId(String(req.query.orderId));
+      if (!order) {
+        return res.status(404).json({ success: false, message: "Order not found" });
+      }
+      orderId = order.id;
+    }
+
+    const downloads = await downloadService.listDownloads({
+      orderId,
+      productId: req.query.productId,
+      limit: Math.min(Number(req.query.limit) || 100, 500),
+    });
+    res.json({ success: true, downloads });
+  }));
+
+  app.post("/api/admin/orders/:orderId/downloads/reset", adminOnly("downloads:reset"), asyncHandler(async (req, res) => {
+    const order = await orderService.findByMerchantOrderId(req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    const reset = await downloadService.resetDownloads(order.id, req.body.productId);
+    res.json({ success: true, reset });
+  }));
+
+  // ============================================================
+  // Payment Reconciliation
+  // ============================================================
+  app.get("/api/cron/reconcile-payments", requireCronSecret, asyncHandler(async (_req, res) => {
+    const summary = await paymentReconciler.run("cron");
+    res.json({ success: true, ...summary });
+  }));
+
+  app.post("/api/admin/reconciliation/run", adminOnly("payments:reconcile"), asyncHandler(async (_req, res) => {
+    const summary = await paymentReconciler.run("manual");
+    res.json({ success: true, ...summary });
+  }));
+
+  app.get("/api/admin/reconciliation", adminOnly("orders:read"), asyncHandler(async (req, res) => {
+    const runs = await paymentReconciler.listRuns({
+      limit: Math.min(Number(req.query.limit) || 20, 100),
+      mismatchesOnly: req.query.mismatches === "true",
+    });
+    res.json({
+      success: true,
+      runs: runs.map((run) => ({
+        id: run.id,
+        trigger: run.trigger,
+        startedAt: run.started_at,
+        finishedAt: run.finished_at,
+        checked: run.checked,
+        mismatches: run.summary?.mismatches || [],
+      })),
+    });
+  }));
+
+  // ============================================================
+  // Email Outbox
+  // ============================================================
+  app.get("/api/cron/email-outbox", requireCronSecret, asyncHandler(async (_req, res) => {
+    res.json({ success: true, ...(await emailOutbox.processDue()) });
+  }));
+
+  // ?orderId= takes the merchant order id like the other admin routes; the
+  // internal numeric id is still accepted
+  app.get("/api/admin/emails", adminOnly("orders:read"), asyncHandler(async (req, res) => {
+    let orderId = req.query.orderId;
+    if (orderId && !/^\d+$/.test(orderId)) {
+      const order = await orderService.findByMerchantOrderId(String(orderId));
+      if (!order) {
+        return res.status(404).json({ success: false, message: "Order not found" });
+      }
+      orderId = order.id;
+    }
+
+    const emails = await emailOutbox.list({
+      status: req.query.status,
+      orderId,
+      limit: Math.min(Number(req.query.limit) || 50, 200),
+    });
+    res.json({ success: true, emails });
+  }));
+
+  app.post("/api/admin/emails/:id/resend", adminOnly("emails:send"), validIdParam("email"), asyncHandler(async (req, res) => {
+    const result = await emailOutbox.resend(req.params.id);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, email: result.email });
+  }));
+
+  // ============================================================
+  // Checkout Recovery
+  // ============================================================
+  app.get("/api/recovery/:token", asyncHandler(async (req, res) => {
+    const result = await checkoutRecovery.resume(req.params.token);
+    if (result.paidOrderId) {
+      return res.redirect(`${FRONTEND_URL}/payment-success?orderId=${result.paidOrderId}`);
+    }
+    if (!result.success) {
+      return res.redirect(`${FRONTEND_URL}/payment-failed?reason=${encodeURIComponent(result.message)}`);
+    }
+    res.redirect(result.paymentUrl);
+  }));
+
+  // The link in the email only shows a confirmation page: mail scanners
+  // open links, and that must not unsubscribe anyone
+  app.get("/api/recovery/:token/unsubscribe", asyncHandler(async (req, res) => {
+    if (!(await checkoutRecovery.findByToken(req.params.token))) {
+      return res.status(404).send("This link is no longer valid");
+    }
+    res.type("html").send(renderUnsubscribePage(req.originalUrl));
+  }));
+
+  // Submitted by that page, or sent directly by mail clients' one-click unsubscribe
+  app.post("/api/recovery/:token/unsubscribe", asyncHandler(async (req, res) => {
+    const unsubscribed = await checkoutRecovery.unsubscribe(req.params.token);
+    if (!unsubscribed) {
+      return res.status(404).json({ success: false, message: "This link is no longer valid" });
+    }
+    if (req.accepts(["json", "html"]) === "html") {
+      return res.redirect(303, `${FRONTEND_URL}/unsubscribed`);
+    }
+    res.json({ success: true });
+  }));
+
+  app.get("/api/cron/checkout-recovery", requireCronSecret, asyncHandler(async (_req, res) => {
+    res.json({ success: true, ...(await checkoutRecovery.run()) });
+  }));
+
+  app.get("/api/admin/recovery", adminOnly("orders:read"), asyncHandler(async (req, res) => {
+    const parsed = salesAnalytics.parseRange(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ success: false, message: parsed.message });
+    }
+    res.json({ success: true, ...(await checkoutRecovery.stats(parsed.range)) });
+  }));
+
+  // ============================================================
+  // Affiliates
+  // ============================================================
+  // Landing link for creators' bios: remembers the referral, then opens the store
+  app.get("/api/ref/:code", asyncHandler(async (req, res) => {
+    const affiliate = await affiliates.findByCode(req.params.code);
+    if (affiliate?.active) affiliates.setReferralCookie(res, affiliate.code);
+    res.redirect(FRONTEND_URL);
+  }));
+
+  // Read-only stats for an affiliate, authenticated by the token issued when they were added.
+  // Header only: a query string token would end up in access logs and Referer headers
+  app.get("/api/affiliates/stats", asyncHandler(async (req, res) => {
+    const token = req.get("x-affiliate-token");
+    const affiliate = await affiliates.findByStatsToken(token);
+    if (!affiliate) {
+      return res.status(401).json({ success: false, message: "Invalid affiliate token" });
+    }
+    res.json({ success: true, stats: await affiliates.statsFor(affiliate) });
+  }));
+
+  app.get("/api/admin/affiliates", adminOnly("affiliates:read"), asyncHandler(async (_req, res) => {
+    res.json({ success: true, affiliates: await affiliates.list() });
+  }));
+
+  app.post("/api/admin/affiliates", adminOnly("affiliates:write"), asyncHandler(async (req, res) => {
+    const input = affiliates.validateInput(req.body);
+    if (!input.success) {
+      return res.status(400).json({ success: false, message: input.message });
+    }
+
+    const result = await affiliates.create(input.values);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    res.status(201).json({ success: true, affiliate: result.affiliate, statsToken: result.statsToken });
+  }));
+
+  app.put("/api/admin/affiliates/:id", adminOnly("affiliates:write"), validIdParam("affiliate"), asyncHandler(async (req, res) => {
+    const existing = await affiliates.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: "Affiliate not found" });
+    }
+
+    const input = affiliates.validateInput(req.body, existing);
+    if (!input.success) {
+      return res.status(400).json({ success: false, message: input.message });
+    }
+
+    const result = await affiliates.update(existing.id, input.values);
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    res.json({ success: true, affiliate: result.affiliate });
+  }));
+
+  app.get("/api/admin/affiliates/payouts/report", adminOnly("affiliates:read"), asyncHandler(async (req, res) => {
+    let range = {};
+    if (req.query.from || req.query.to) {
+      const parsed = salesAnalytics.parseRange(req.query);
+      if (!parsed.success) {
+        return res.status(400).json({ success: false, message: parsed.message });
+      }
+      range = parsed.range;
+    }
+    res.json({ success: true, range, affiliates: await affiliates.payoutReport(range) });
+  }));
+
+  app.get("/api/admin/affiliates/:id/ledger", adminOnly("affiliates:read"), validIdParam("affiliate"), asyncHandler(async (req, res) => {
+    const affiliate = await affiliates.findById(req.params.id);
+    if (!affiliate) {
+      return res.status(404).json({ success: false, message: "Affiliate not found" });
+    }
+
+    const entries = await affiliates.listEntries(affiliate.id);
+    res.json({
+      success: true,
+      summary: affiliates.summarize(entries),
+      entries,
+      payouts: await affiliates.listPayouts(affiliate.id),
+    });
+  }));
+
+  app.post("/api/admin/affiliates/:id/payouts", adminOnly("affiliates:write"), validIdParam("affiliate"), asyncHandler(async (req, res) => {
+    const affiliate = await affiliates.findById(req.params.id);
+    if (!affiliate) {
+      return res.status(404).json({ success: false, message: "Affiliate not found" });
+    }
+
+    const result = await affiliates.createPayout(affiliate, {
+      reference: req.body.reference,
+      note: req.body.note,
+      paidBy: req.admin.id,
+    });
+    if (!result.success) {
+      return res.status(result.status).json({ success: false, message: result.message });
+    }
+    res.status(201).json({ success: true, payout: result.payout });
+  }));
+
+  // ============================================================
+  // Global Error Handler
+  // ============================================================
+  app.use((err, req, res, _next) => {
+    logger.error("Unhandled error", { method: req.method, path: req.path, err });
+    res.status(500).json({ message: "Internal server error", requestId: req.id });
+  });
+
+  // ============================================================
+  // Background Jobs (started by server.js; Vercel uses vercel.json crons)
+  // ============================================================
+  app.locals.backgroundJobs = [
+    {
+      name: "Reconciliation",
+      everyMinutes: config.reconcile.intervalMinutes,
+      run: () => paymentReconciler.run("scheduled"),
+    },
+    {
+      name: "Email outbox",
+      everyMinutes: config.emailOutbox.intervalMinutes,
+      run: () => emailOutbox.processDue(),
+    },
+    {
+      name: "Checkout recovery",
+      everyMinutes: config.recovery.intervalMinutes,
+      run: () => checkoutRecovery.run(),
+    },
+  ];
+
+  return app;
+}
+
+export default createApp;
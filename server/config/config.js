@@ -0,0 +1,347 @@
+/**
+ * Every setting the server reads from the environment, checked once at
+ * startup. Services get their section of the frozen object instead of
+ * reading `process.env` themselves.
+ *
+ * `APP_ENV` (production, staging or development) decides whether payments
+ * are live. It defaults from `VERCEL_ENV`, then from `NODE_ENV`; only
+ * production talks to live gateways, and production refuses to start with
+ * sandbox credentials.
+ */
+
+const APP_ENVS = ['production', 'staging', 'development'];
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const PAYMENT_PROVIDERS = ['phonepe', 'razorpay'];
+
+const PHONEPE_URLS = {
+  production: {
+    auth: 'https://api.phonepe.com/apis/identity-manager',
+    payment: 'https://api.phonepe.com/apis/pg',
+  },
+  sandbox: {
+    auth: 'https://api-preprod.phonepe.com/apis/pg-sandbox',
+    payment: 'https://api-preprod.phonepe.com/apis/pg-sandbox',
+  },
+};
+
+// Published PhonePe UAT credentials; they must never reach production
+const PHONEPE_SANDBOX_MERCHANT = /^(PGTEST|UAT)/i;
+const PHONEPE_SANDBOX_SALT_KEYS = ['96434309-7796-489d-8924-ab56988a6076'];
+
+const DEV_ORIGINS = ['http://localhost:3000', 'http://localhost:8080'];
+
+/**
+ * @typedef {object} Config
+ * @property {'production'|'staging'|'development'} appEnv
+ * @property {boolean} isProduction
+ * @property {'live'|'sandbox'} paymentMode
+ * @property {number} port
+ * @property {boolean} onVercel
+ * @property {{ level: 'debug'|'info'|'warn'|'error' }} log
+ * @property {{ frontend: string, backend: string }} urls
+ * @property {{ allowedOrigins: string[] }} cors
+ * @property {{ url: string, serviceRoleKey: string }} supabase
+ * @property {{ jwtSecret: string, cronSecret: string|null }} auth
+ * @property {{ defaultProvider: string, fallbackProvider: string|null, enabled: string[] }} payments
+ * @property {{ merchantId: string|null, clientId: string|null, clientSecret: string|null,
+ *   clientVersion: string|null, saltKey: string|null, saltIndex: string,
+ *   baseUrls: { auth: string, payment: string }, sandbox: boolean,
+ *   webhook: { username: string|null, password: string|null } }} phonepe
+ * @property {{ keyId: string|null, keySecret: string|null, webhookSecret: string|null }} razorpay
+ * @property {{ smtp: { host: string, port: number, secure: boolean, user: string|null, pass: string|null }|null,
+ *   gmail: { user: string|null, pass: string|null }, from: string|null, logoUrl: string|null }} mail
+ * @property {{ productBucket: string, watermarkBucket: string, productFileMaxMb: number }} storage
+ * @property {{ seller: { name: string, gstin: string, address: string, stateCode: string },
+ *   gstRate: number, sacCode: string, prefix: string }} invoice
+ * @property {{ minAgeMinutes: number, expireAfterMinutes: number, intervalMinutes: number }} reconcile
+ * @property {{ intervalMinutes: number }} emailOutbox
+ * @property {{ delayMinutes: number, maxAgeHours: number, couponCode: string|null, intervalMinutes: number }} recovery
+ * @property {{ defaultRate: number, holdDays: number }} affiliates
+ */
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+function defaultAppEnv(env) {
+  if (env.VERCEL_ENV) return env.VERCEL_ENV === 'production' ? 'production' : 'staging';
+  return env.NODE_ENV === 'production' ? 'production' : 'development';
+}
+
+/**
+ * Build and validate the configuration from `env`. Every problem is
+ * collected so one failed boot lists all of them.
+ *
+ * @param {Record<string, string|undefined>} [env]
+ * @returns {Readonly<Config>}
+ * @throws {ConfigError}
+ */
+export function loadConfig(env = process.env) {
+  const problems = [];
+
+  const str = (name, fallback = null) => {
+    const value = env[name]?.trim();
+    return value ? value : fallback;
+  };
+  const required = (name) => {
+    const value = str(name);
+    if (!value) problems.push(`${name} is required`);
+    return value;
+  };
+  const number = (name, fallback, { min = 0, max = Infinity, integer = true } = {}) => {
+    const raw = str(name);
+    if (raw === null) return fallback;
+    const value = Number(raw);
+    if (!Number.isFinite(value) || value < min || value > max || (integer && !Number.isInteger(value))) {
+      problems.push(`${name} must be a ${integer ? 'whole number' : 'number'} between ${min} and ${max}`);
+      return fallback;
+    }
+    return value;
+  };
+  const bool = (name, fallback) => {
+    const raw = str(name);
+    if (raw === null) return fallback;
+    if (raw !== 'true' && raw !== 'false') problems.push(`${name} must be true or false`);
+    return raw === 'true';
+  };
+  const list = (name) => (str(name) || '').split(',').map((v) => v.trim()).filter(Boolean);
+  const url = (name, value) => {
+    if (!value) return value;
+    try {
+      return new URL(value).toString().replace(/\/$/, '');
+    } catch {
+      problems.push(`${name} must be a URL`);
+      return value;
+    }
+  };
+
+  const appEnv = str('APP_ENV', defaultAppEnv(env));
+  if (!APP_ENVS.includes(appEnv)) {
+    problems.push(`APP_ENV must be one of ${APP_ENVS.join(', ')}`);
+  }
+  const isProduction = appEnv === 'production';
+  const sandbox = !isProduction;
+
+  // ------------------------------------------------------------
+  // URLs and CORS
+  // ------------------------------------------------------------
+  const frontend = url('FRONTEND_URL', required('FRONTEND_URL'));
+  const backendName = str('BACKEND_URL') ? 'BACKEND_URL' : 'APP_BASE_URL';
+  const backend = url(backendName, str('BACKEND_URL') || str('APP_BASE_URL'));
+  if (!backend) problems.push('BACKEND_URL (or APP_BASE_URL) is required');
+  if (isProduction) {
+    for (const [name, value] of [['FRONTEND_URL', frontend], [backendName, backend]]) {
+      if (value && !value.startsWith('https://')) problems.push(`${name} must use https in production`);
+    }
+  }
+
+  let allowedOrigins = list('CORS_ALLOWED_ORIGINS');
+  if (!allowedOrigins.length) {
+    // An unparsable FRONTEND_URL has already been reported by url()
+    allowedOrigins = frontend && URL.canParse(frontend) ? [new URL(frontend).origin] : [];
+    if (!isProduction) allowedOrigins = [...new Set([...allowedOrigins, ...DEV_ORIGINS])];
+  }
+  allowedOrigins.forEach((origin) => url('CORS_ALLOWED_ORIGINS', origin));
+
+  // ------------------------------------------------------------
+  // Secrets
+  // ------------------------------------------------------------
+  const jwtSecret = required('JWT_SECRET');
+  if (isProduction && jwtSecret && jwtSecret.length < 32) {
+    problems.push('JWT_SECRET must be at least 32 characters in production');
+  }
+  const cronSecret = isProduction ? required('CRON_SECRET') : str('CRON_SECRET');
+
+  // ------------------------------------------------------------
+  // Payments
+  // ------------------------------------------------------------
+  const defaultProvider = str('PAYMENT_PROVIDER', 'phonepe');
+  const fallbackProvider = str('PAYMENT_FALLBACK_PROVIDER');
+  const enabled = list('PAYMENT_PROVIDERS');
+  const inUse = new Set([defaultProvider, fallbackProvider, ...enabled].filter(Boolean));
+  for (const name of inUse) {
+    if (!PAYMENT_PROVIDERS.includes(name)) problems.push(`Unknown payment provider: ${name}`);
+  }
+
+  const phonepe = {
+    merchantId: str('PHONEPE_MERCHANT_ID'),
+    clientId: str('PHONEPE_CLIENT_ID'),
+    clientSecret: str('PHONEPE_CLIENT_SECRET'),
+    clientVersion: str('PHONEPE_CLIENT_VERSION'),
+    saltKey: str('PHONEPE_SALT_KEY'),
+    saltIndex: str('PHONEPE_SALT_INDEX', '1'),
+    // PHONEPE_BASE_URL points both at the local emulator (dev/phonepeEmulator.js)
+    baseUrls: str('PHONEPE_BASE_URL')
+      ? { auth: str('PHONEPE_BASE_URL'), payment: str('PHONEPE_BASE_URL') }
+      : PHONEPE_URLS[sandbox ? 'sandbox' : 'production'],
+    sandbox,
+    webhook: {
+      username: str('PHONEPE_WEBHOOK_USERNAME'),
+      password: str('PHONEPE_WEBHOOK_PASSWORD'),
+    },
+  };
+  if (inUse.has('phonepe')) {
+    ['PHONEPE_MERCHANT_ID', 'PHONEPE_CLIENT_ID', 'PHONEPE_CLIENT_SECRET', 'PHONEPE_CLIENT_VERSION'].forEach(required);
+    if (isProduction) {
+      if (PHONEPE_SANDBOX_MERCHANT.test(phonepe.merchantId || '')) {
+        problems.push('PHONEPE_MERCHANT_ID is a sandbox merchant; production needs live credentials');
+      }
+      if (PHONEPE_SANDBOX_SALT_KEYS.includes(phonepe.saltKey)) {
+        problems.push('PHONEPE_SALT_KEY is the public sandbox key; production needs live credentials');
+      }
+      if (/^test-/i.test(phonepe.clientId || '') || /^test-/i.test(phonepe.clientSecret || '')) {
+        problems.push('PHONEPE_CLIENT_ID/PHONEPE_CLIENT_SECRET are test credentials; production needs live ones');
+      }
+      if (str('PHONEPE_BASE_URL')) {
+        problems.push('PHONEPE_BASE_URL overrides the live gateway; unset it in production');
+      }
+      if (!phonepe.webhook.username || !phonepe.webhook.password) {
+        problems.push('PHONEPE_WEBHOOK_USERNAME and PHONEPE_WEBHOOK_PASSWORD are required in production');
+      }
+    }
+  }
+
+  const razorpay = {
+    keyId: str('RAZORPAY_KEY_ID'),
+    keySecret: str('RAZORPAY_KEY_SECRET'),
+    webhookSecret: str('RAZORPAY_WEBHOOK_SECRET'),
+  };
+  if (inUse.has('razorpay')) {
+    ['RAZORPAY_KEY_ID', 'RAZORPAY_KEY_SECRET'].forEach(required);
+    // Razorpay tells test and live keys apart by prefix
+    if (isProduction && razorpay.keyId?.startsWith('rzp_test_')) {
+      problems.push('RAZORPAY_KEY_ID is a test key; production needs a live key');
+    }
+    if (sandbox && razorpay.keyId?.startsWith('rzp_live_')) {
+      problems.push(`RAZORPAY_KEY_ID is a live key; ${appEnv} must use a test key`);
+    }
+  }
+
+  // ------------------------------------------------------------
+  // Email
+  // ------------------------------------------------------------
+  // SMTP_HOST points at a local SMTP stand-in (MailHog, smtp4dev) in development; otherwise Gmail
+  const smtpHost = str('SMTP_HOST');
+  const mail = {
+    smtp: smtpHost
+      ? {
+        host: smtpHost,
+        port: number('SMTP_PORT', 1025, { min: 1, max: 65535 }),
+        secure: bool('SMTP_SECURE', false),
+        user: str('SMTP_USER'),
+        pass: str('SMTP_PASS'),
+      }
+      : null,
+    gmail: { user: str('EMAIL_USER'), pass: str('EMAIL_PASS') },
+    from: str('EMAIL_FROM', str('EMAIL_USER')),
+    logoUrl: str('EMAIL_LOGO_URL'),
+  };
+  if (isProduction && !smtpHost) {
+    ['EMAIL_USER', 'EMAIL_PASS'].forEach(required);
+  }
+
+  const config = {
+    appEnv,
+    isProduction,
+    paymentMode: sandbox ? 'sandbox' : 'live',
+    port: number('PORT', 3000, { min: 1, max: 65535 }),
+    onVercel: Boolean(env.VERCEL),
+    log: { level: str('LOG_LEVEL', isProduction ? 'info' : 'debug') },
+    urls: { frontend, backend },
+    cors: { allowedOrigins },
+    supabase: {
+      url: url('SUPABASE_URL', required('SUPABASE_URL')),
+      serviceRoleKey: required('SUPABASE_SERVICE_ROLE_KEY'),
+    },
+    auth: { jwtSecret, cronSecret },
+    payments: { defaultProvider, fallbackProvider, enabled },
+    phonepe,
+    razorpay,
+    mail,
+    storage: {
+      productBucket: str('PRODUCT_BUCKET', 'products'),
+      watermarkBucket: str('WATERMARK_BUCKET', 'watermarked'),
+      productFileMaxMb: number('PRODUCT_FILE_MAX_MB', 200, { min: 1 }),
+    },
+    invoice: {
+      seller: {
+        name: str('SELLER_NAME', ''),
+        gstin: str('SELLER_GSTIN', ''),
+        address: str('SELLER_ADDRESS', ''),
+        stateCode: str('SELLER_STATE_CODE', ''),
+      },
+      gstRate: number('GST_RATE', 18, { max: 100, integer: false }),
+      sacCode: str('INVOICE_SAC_CODE', '998439'),
+      prefix: str('INVOICE_PREFIX', 'INV'),
+    },
+    reconcile: {
+      minAgeMinutes: number('RECONCILE_MIN_AGE_MINUTES', 15, { min: 1 }),
+      expireAfterMinutes: number('RECONCILE_EXPIRE_AFTER_MINUTES', 24 * 60, { min: 1 }),
+      intervalMinutes: number('RECONCILE_INTERVAL_MINUTES', 15, { min: 1 }),
+    },
+    emailOutbox: {
+      intervalMinutes: number('EMAIL_OUTBOX_INTERVAL_MINUTES', 1, { min: 1 }),
+    },
+    recovery: {
+      delayMinutes: number('RECOVERY_DELAY_MINUTES', 60, { min: 1 }),
+      // Older checkouts are left alone; the cart is probably stale by then
+      maxAgeHours: number('RECOVERY_MAX_AGE_HOURS', 72, { min: 1 }),
+      couponCode: str('RECOVERY_COUPON_CODE'),
+      intervalMinutes: number('RECOVERY_INTERVAL_MINUTES', 30, { min: 1 }),
+    },
+    affiliates: {
+      defaultRate: number('AFFILIATE_COMMISSION_RATE', 10, { max: 100, integer: false }),
+      // Commission only becomes payable once the refund window has passed
+      holdDays: number('AFFILIATE_HOLD_DAYS', 7),
+    },
+  };
+
+  if (!LOG_LEVELS.includes(config.log.level)) {
+    problems.push(`LOG_LEVEL must be one of ${LOG_LEVELS.join(', ')}`);
+  }
+  // Invoices without the seller's GSTIN and state are not valid tax invoices
+  if (isProduction) {
+    ['SELLER_NAME', 'SELLER_ADDRESS', 'SELLER_GSTIN', 'SELLER_STATE_CODE'].forEach(required);
+  }
+  const sellerGstin = config.invoice.seller.gstin;
+  if (sellerGstin && !/^\d{2}[A-Z0-9]{13}$/.test(sellerGstin)) {
+    problems.push('SELLER_GSTIN must be a 15-character GSTIN');
+  }
+  const sellerStateCode = config.invoice.seller.stateCode;
+  if (sellerStateCode && !/^\d{2}$/.test(sellerStateCode)) {
+    problems.push('SELLER_STATE_CODE must be a two-digit GST state code');
+  }
+  if (sellerGstin && sellerStateCode && !sellerGstin.startsWith(sellerStateCode)) {
+    problems.push('SELLER_GSTIN does not belong to SELLER_STATE_CODE (a GSTIN starts with its state code)');
+  }
+
+  if (problems.length) throw new ConfigError(problems);
+  return deepFreeze(config);
+}
+
+let current = null;
+
+/**
+ * The process-wide configuration, loaded from `process.env` on first use.
+ * Entry points call `dotenv.config()` before anything asks for it.
+ *
+ * @returns {Readonly<Config>}
+ */
+export function getConfig() {
+  if (!current) current = loadConfig();
+  return current;
+}
+
+export { ConfigError };
@@ -0,0 +1,30 @@
+import { getConfig } from './config.js';
+import { createSupabaseClient } from './supabaseClient.js';
+import PhonePeAPIService from '../services/phonepeService.js';
+import PaymentProviderRegistry from '../services/payments/paymentProviders.js';
+import PhonePeProvider from '../services/payments/phonepeProvider.js';
+import RazorpayProvider from '../services/payments/razorpayProvider.js';
+import { createMailTransport } from '../services/emailService.js';
+
+/**
+ * The real services `createApp` runs against in production and locally.
+ * Throws a `ConfigError` listing every missing or invalid setting.
+ */
+export function createDefaultDeps(config = getConfig()) {
+  const supabase = createSupabaseClient(config.supabase);
+  const paymentProviders = new PaymentProviderRegistry(
+    [
+      new PhonePeProvider(new PhonePeAPIService(config.phonepe, config.urls), config.phonepe.webhook),
+      new RazorpayProvider(config.razorpay, config.urls),
+    ],
+    config.payments
+  );
+
+  return {
+    config,
+    supabase,
+    storage: supabase.storage,
+    paymentProviders,
+    mailer: createMailTransport(config.mail),
+  };
+}
@@ -1,9 +1,14 @@
 import { createClient } from '@supabase/supabase-js';
-import dotenv from 'dotenv';
 
-dotenv.config();
-
-export const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY // use service key only on backend
-);
+/**
+ * Service-role Supabase client for the backend
+ *
+ * @param {{ url: string, serviceRoleKey: string }} options  `config.supabase`
+ */
+export function createSupabaseClient({ url, serviceRoleKey }) {
+  return createClient(
+    url,
+    serviceRoleKey, // use service key only on backend
+    { auth: { persistSession: false } }
+  );
+}
@@ -0,0 +1,234 @@
+// ============================================================
+// Local PhonePe sandbox emulator
+// ------------------------------------------------------------
+// Implements the PhonePe PG v2 endpoints PhonePeAPIService calls so checkout
+// can be exercised without preprod. Point the backend at it with
+//   PHONEPE_BASE_URL=http://localhost:4010
+// and pick the outcome with EMULATOR_OUTCOME or POST /__emulator/config.
+//
+// Outcomes: completed | failed | pending | timeout
+// ============================================================
+import express from "express";
+import crypto from "crypto";
+import axios from "axios";
+import { pathToFileURL } from "url";
+
+const OUTCOMES = ["completed", "failed", "pending", "timeout"];
+
+export function createPhonePeEmulator(options = {}) {
+  const config = {
+    outcome: options.outcome || "completed",
+    // How long "timeout" holds a request; longer than the client's axios timeout
+    timeoutMs: options.timeoutMs ?? 35000,
+    // Optional: deliver a signed webhook once the outcome is decided
+    webhookUrl: options.webhookUrl || null,
+    webhookUsername: options.webhookUsername || null,
+    webhookPassword: options.webhookPassword || null,
+  };
+  const orders = new Map();
+  const refunds = new Map();
+
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: false }));
+
+  const hang = (res) => setTimeout(() => res.status(504).json({ message: "Emulated timeout" }), config.timeoutMs);
+
+  const stateFor = (outcome) =>
+    outcome === "completed" ? "COMPLETED" : outcome === "failed" ? "FAILED" : "PENDING";
+
+  const statusBody = (order) => ({
+    orderId: order.orderId,
+    merchantOrderId: order.merchantOrderId,
+    state: order.state,
+    amount: order.amount,
+    expireAt: order.expireAt,
+    paymentDetails: order.state === "PENDING" ? [] : [{
+      transactionId: order.transactionId,
+      paymentMode: "UPI_INTENT",
+      amount: order.amount,
+      state: order.state,
+      timestamp: order.updatedAt,
+    }],
+  });
+
+  async function sendWebhook(order) {
+    if (!config.webhookUrl || !config.webhookUsername) return;
+    const authorization = crypto
+      .createHash("sha256")
+      .update(`${config.webhookUsername}:${config.webhookPassword}`)
+      .digest("hex");
+    try {
+      await axios.post(
+        config.webhookUrl,
+        {
+          event: order.state === "COMPLETED" ? "checkout.order.completed" : "checkout.order.failed",
+          payload: statusBody(order),
+        },
+        { headers: { Authorization: authorization } }
+      );
+    } catch (err) {
+      console.error("Emulator webhook delivery failed:", err.message);
+    }
+  }
+
+  // ------------------------------------------------------------
+  // Emulator controls
+  // ------------------------------------------------------------
+  app.get("/__emulator/config", (_req, res) => res.json(config));
+
+  app.post("/__emulator/config", (req, res) => {
+    const { outcome, timeoutMs, webhookUrl, webhookUsername, webhookPassword } = req.body;
+    if (outcome !== undefined && !OUTCOMES.includes(outcome)) {
+      return res.status(400).json({ message: `outcome must be one of ${OUTCOMES.join(", ")}` });
+    }
+    Object.assign(
+      config,
+      Object.fromEntries(
+        Object.entries({ outcome, timeoutMs, webhookUrl, webhookUsername, webhookPassword })
+          .filter(([, v]) => v !== undefined)
+      )
+    );
+    res.json(config);
+  });
+
+  app.get("/__emulator/orders", (_req, res) => res.json([...orders.values()]));
+
+  app.post("/__emulator/reset", (_req, res) => {
+    orders.clear();
+    refunds.clear();
+    res.json({ success: true });
+  });
+
+  // ------------------------------------------------------------
+  // OAuth token
+  // ------------------------------------------------------------
+  app.post("/v1/oauth/token", (req, res) => {
+    if (req.body.grant_type !== "client_credentials" || !req.body.client_id) {
+      return res.status(400).json({ code: "BAD_REQUEST", message: "Invalid client credentials" });
+    }
+    res.json({
+      access_token: `emulator-${crypto.randomUUID()}`,
+      token_type: "O-Bearer",
+      expires_in: 3600,
+      expires_at: Math.floor(Date.now() / 1000) + 3600,
+    });
+  });
+
+  const requireToken = (req, res, next) => {
+    if (!/^O-Bearer emulator-/.test(req.get("Authorization") || "")) {
+      return res.status(401).json({ code: "UNAUTHORIZED", message: "Invalid access token" });
+    }
+    next();
+  };
+
+  // ------------------------------------------------------------
+  // Checkout
+  // ------------------------------------------------------------
+  app.post("/checkout/v2/pay", requireToken, (req, res) => {
+    if (config.outcome === "timeout") return hang(res);
+
+    const { merchantOrderId, amount, expireAfter = 1200, paymentFlow } = req.body;
+    if (!merchantOrderId || !Number.isInteger(amount) || amount < 100) {
+      return res.status(400).json({ code: "BAD_REQUEST", message: "merchantOrderId and amount (>= 100 paisa) required" });
+    }
+    if (orders.has(merchantOrderId)) {
+      return res.status(409).json({ code: "DUPLICATE_ORDER", message: "merchantOrderId already used" });
+    }
+
+    const orderId = `OMO${Date.now()}${crypto.randomInt(1000, 9999)}`;
+    const expireAt = Date.now() + expireAfter * 1000;
+    orders.set(merchantOrderId, {
+      orderId,
+      merchantOrderId,
+      amount,
+      state: "PENDING",
+      expireAt,
+      redirectUrl: paymentFlow?.merchantUrls?.redirectUrl || null,
+      transactionId: null,
+      updatedAt: Date.now(),
+    });
+
+    res.json({
+      orderId,
+      state: "PENDING",
+      expireAt,
+      redirectUrl: `${req.protocol}://${req.get("host")}/checkout/${merchantOrderId}`,
+    });
+  });
+
+  // The "hosted checkout page": settles the order with the configured
+  // outcome (or ?outcome=) and sends the browser back to the merchant
+  app.get("/checkout/:merchantOrderId", async (req, res) => {
+    const order = orders.get(req.params.merchantOrderId);
+    if (!order) return res.status(404).send("Unknown order");
+
+    const outcome = OUTCOMES.includes(req.query.outcome) ? req.query.outcome : config.outcome;
+    if (outcome === "completed" || outcome === "failed") {
+      order.state = stateFor(outcome);
+      order.transactionId = `TXN${Date.now()}`;
+      order.updatedAt = Date.now();
+      await sendWebhook(order);
+    }
+
+    if (!order.redirectUrl) return res.send(`Order ${order.merchantOrderId}: ${order.state}`);
+    res.redirect(order.redirectUrl);
+  });
+
+  app.get("/checkout/v2/order/:merchantOrderId/status", requireToken, (req, res) => {
+    if (config.outcome === "timeout") return hang(res);
+
+    const order = orders.get(req.params.merchantOrderId);
+    if (!order) {
+      return res.status(404).json({ code: "ORDER_NOT_FOUND", message: "Order not found" });
+    }
+    res.json(statusBody(order));
+  });
+
+  // ------------------------------------------------------------
+  // Refunds
+  // ------------------------------------------------------------
+  app.post("/payments/v2/refund", requireToken, (req, res) => {
+    if (config.outcome === "timeout") return hang(res);
+
+    const { merchantRefundId, originalMerchantOrderId, amount } = req.body;
+    const order = orders.get(originalMerchantOrderId);
+    if (!order || order.state !== "COMPLETED") {
+      return res.status(400).json({ code: "INVALID_ORDER", message: "Order is not refundable" });
+    }
+    if (!merchantRefundId || !(amount > 0) || amount > order.amount) {
+      return res.status(400).json({ code: "BAD_REQUEST", message: "Invalid refund request" });
+    }
+
+    const refund = {
+      merchantRefundId,
+      refundId: `OMR${Date.now()}`,
+      originalMerchantOrderId,
+      amount,
+      state: config.outcome === "failed" ? "FAILED" : "COMPLETED",
+    };
+    refunds.set(merchantRefundId, refund);
+    res.json({ refundId: refund.refundId, amount, state: "PENDING" });
+  });
+
+  app.get("/payments/v2/refund/:merchantRefundId/status", requireToken, (req, res) => {
+    const refund = refunds.get(req.params.merchantRefundId);
+    if (!refund) {
+      return res.status(404).json({ code: "REFUND_NOT_FOUND", message: "Refund not found" });
+    }
+    res.json(refund);
+  });
+
+  return app;
+}
+
+// Run standalone: node dev/phonepeEmulator.js
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = process.env.EMULATOR_PORT || 4010;
+  createPhonePeEmulator({
+    outcome: process.env.EMULATOR_OUTCOME,
+    webhookUrl: process.env.EMULATOR_WEBHOOK_URL,
+    webhookUsername: process.env.PHONEPE_WEBHOOK_USERNAME,
+    webhookPassword: process.env.PHONEPE_WEBHOOK_PASSWORD,
+  }).listen(port, () => console.log(`🧪 PhonePe emulator running on ${port}`));
+}
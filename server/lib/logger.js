@@ -0,0 +1,142 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+/**
+ * Structured JSON logging. Every entry is one line of JSON carrying the
+ * current request's ID (see `middleware/requestContext.js`), so a single
+ * request can be followed through Vercel's log search. Secrets are
+ * dropped and customer details masked before anything is written.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const requestContext = new AsyncLocalStorage();
+
+// Never logged, even partially. Anchored to the end of the key so that
+// e.g. `clientSecret` is caught but `saltIndex` and `tokenExpiresAt` are not
+const SECRET_KEYS = /(pass(word)?([-_]?hash)?|secret|token|authorization|cookie|salt([-_]?key)?|signature|api[-_]?key|otp|x-verify)$/i;
+// Customer details: masked so entries can still be told apart
+const EMAIL_KEYS = /e-?mail/i;
+const PHONE_KEYS = /phone|mobile|contact/i;
+const PII_KEYS = /^(customer_?name|address|udf[1-3]|ip|user_?agent)$/i;
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+// Indian mobile numbers, with or without +91
+const PHONE_PATTERN = /(?<![\w-])(?:\+?91[- ]?)?[6-9]\d{5}(\d{4})(?![\w-])/g;
+const BEARER_PATTERN = /\b(Bearer|O-Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/g;
+const JWT_PATTERN = /\beyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+/g;
+
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 6;
+
+function maskString(value) {
+  return value
+    .replace(BEARER_PATTERN, `$1 ${REDACTED}`)
+    .replace(JWT_PATTERN, REDACTED)
+    .replace(EMAIL_PATTERN, "$1***@$2")
+    .replace(PHONE_PATTERN, "******$1");
+}
+
+function redactValue(key, value) {
+  if (value === null || value === undefined || value === "") return value;
+  if (SECRET_KEYS.test(key)) return REDACTED;
+  if (PII_KEYS.test(key)) return REDACTED;
+  if (EMAIL_KEYS.test(key)) return maskString(String(value));
+  if (PHONE_KEYS.test(key)) return `******${String(value).slice(-4)}`;
+  return undefined;
+}
+
+/** A copy of `value` that is safe to log */
+function redact(value, depth = 0) {
+  if (typeof value === "string") return maskString(value);
+  if (value === null || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[Truncated]";
+
+  if (value instanceof Error) {
+    return redact({
+      type: value.name,
+      message: value.message,
+      code: value.code,
+      status: value.response?.status,
+      // Axios errors carry the gateway's reply, which is often the useful part
+      response: value.response?.data,
+      stack: value.stack,
+    }, depth + 1);
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const out = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    const masked = redactValue(key, item);
+    out[key] = masked === undefined ? redact(item, depth + 1) : masked;
+  }
+  return out;
+}
+
+let threshold = LEVELS.info;
+
+class Logger {
+  constructor(bindings = {}) {
+    this.bindings = bindings;
+  }
+
+  /** A logger that adds `bindings` (e.g. `{ component: "phonepe" }`) to every entry */
+  child(bindings) {
+    return new Logger({ ...this.bindings, ...bindings });
+  }
+
+  write(level, msg, fields) {
+    if (LEVELS[level] < threshold) return;
+
+    const entry = redact({
+      time: new Date().toISOString(),
+      level,
+      msg,
+      requestId: requestContext.getStore()?.requestId,
+      ...this.bindings,
+      ...(fields instanceof Error ? { err: fields } : fields),
+    });
+    const line = JSON.stringify(entry);
+    if (LEVELS[level] >= LEVELS.warn) console.error(line);
+    else console.log(line);
+  }
+
+  debug(msg, fields) {
+    this.write("debug", msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write("info", msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write("warn", msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write("error", msg, fields);
+  }
+}
+
+const logger = new Logger();
+
+/** Only log entries at `level` or above (`debug`, `info`, `warn`, `error`) */
+function setLogLevel(level) {
+  if (!LEVELS[level]) throw new Error(`Unknown log level: ${level}`);
+  threshold = LEVELS[level];
+}
+
+/** Run `fn` with `requestId` attached to everything it logs, however deep the async chain */
+function runWithRequestId(requestId, fn) {
+  return requestContext.run({ requestId }, fn);
+}
+
+/** The ID of the request being handled, if any */
+function currentRequestId() {
+  return requestContext.getStore()?.requestId ?? null;
+}
+
+export { LEVELS, redact, setLogLevel, runWithRequestId, currentRequestId };
+export default logger;
@@ -0,0 +1,173 @@
+import jwt from 'jsonwebtoken';
+
+const TOKEN_TTL = '8h';
+const CUSTOMER_TOKEN_TTL = '7d';
+
+/**
+ * Permissions granted to each role in the `admin` table
+ */
+const ROLE_PERMISSIONS = {
+  owner: ['*'],
+  editor: ['products:write', 'coupons:write', 'orders:read', 'affiliates:read'],
+  support: ['orders:read', 'orders:refund', 'orders:cancel', 'payments:reconcile', 'emails:send', 'downloads:reset'],
+};
+
+function hasPermission(role, permission) {
+  const granted = ROLE_PERMISSIONS[role] || [];
+  return granted.includes('*') || granted.includes(permission);
+}
+
+function readBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+}
+
+/**
+ * Allow the request only if the admin's role grants `permission`.
+ * Must run after `requireAdmin`.
+ */
+const requirePermission = (permission) => (req, res, next) => {
+  if (!req.admin || !hasPermission(req.admin.role, permission)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions'
+    });
+  }
+  next();
+};
+
+/**
+ * Token signing and the auth middleware, bound to `config.auth`
+ * (the config the app was built with, not the process-wide one).
+ * Admin sessions are checked against the `admin` table through `supabase`.
+ */
+function createAuth(config, supabase) {
+  const { jwtSecret, cronSecret } = config.auth;
+
+  /**
+   * Sign a session token for an authenticated admin
+   */
+  const signAdminToken = (admin) =>
+    jwt.sign(
+      { id: admin.id, role: admin.role },
+      jwtSecret,
+      { expiresIn: TOKEN_TTL, audience: 'admin' }
+    );
+
+  /**
+   * Sign a library session for a customer who followed a magic link
+   */
+  const signCustomerToken = (email) =>
+    jwt.sign(
+      { email },
+      jwtSecret,
+      { expiresIn: CUSTOMER_TOKEN_TTL, audience: 'customer' }
+    );
+
+  /**
+   * Verify the `Authorization: Bearer <token>` header and attach `req.admin`.
+   * The role comes from the `admin` row on every request, so demoted or
+   * deleted admins lose access without waiting for their token to expire.
+   */
+  const requireAdmin = async (req, res, next) => {
+    const token = readBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    try {
+      const payload = jwt.verify(token, jwtSecret, { audience: 'admin' });
+      const { data: admin, error } = await supabase
+        .from('admin')
+        .select('id, role')
+        .eq('id', payload.id)
+        .maybeSingle();
+      if (error) throw error;
+
+      if (!admin) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired token'
+        });
+      }
+      if (!ROLE_PERMISSIONS[admin.role]) {
+        return res.status(403).json({
+          success: false,
+          message: 'Unknown admin role'
+        });
+      }
+      req.admin = { id: admin.id, role: admin.role };
+      next();
+    } catch (error) {
+      if (error instanceof jwt.JsonWebTokenError) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired token'
+        });
+      }
+      next(error);
+    }
+  };
+
+  /**
+   * Verify a customer library session and attach `req.customer`
+   */
+  const requireCustomer = (req, res, next) => {
+    const token = readBearerToken(req);
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    try {
+      const payload = jwt.verify(token, jwtSecret, { audience: 'customer' });
+      req.customer = { email: payload.email };
+      next();
+    } catch (error) {
+      if (error instanceof jwt.JsonWebTokenError) {
+        return res.status(401).json({
+          success: false,
+          message: 'Invalid or expired session'
+        });
+      }
+      next(error);
+    }
+  };
+
+  /**
+   * Allow scheduled jobs (Vercel Cron) that present `Bearer $CRON_SECRET`
+   */
+  const requireCronSecret = (req, res, next) => {
+    if (!cronSecret || req.get('Authorization') !== `Bearer ${cronSecret}`) {
+      return res.status(401).json({
+        success: false,
+        message: 'Unauthorized'
+      });
+    }
+    next();
+  };
+
+  return {
+    signAdminToken,
+    signCustomerToken,
+    requireAdmin,
+    requireCustomer,
+    requirePermission,
+    requireCronSecret
+  };
+}
+
+export {
+  ROLE_PERMISSIONS,
+  hasPermission,
+  requirePermission,
+  createAuth
+};
@@ -0,0 +1,35 @@
+import crypto from 'crypto';
+import logger, { runWithRequestId } from '../lib/logger.js';
+
+// IDs from upstream proxies are reused only when they look like IDs
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{8,128}$/;
+
+/**
+ * Give every request an ID (the caller's `X-Request-Id` when sane, else a
+ * new one), echo it back in the response, attach it to everything logged
+ * while handling the request, and log one summary line when it finishes.
+ * Only the path is logged; query strings can carry tokens and emails.
+ */
+const requestContext = (req, res, next) => {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const startedAt = process.hrtime.bigint();
+
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  runWithRequestId(requestId, () => {
+    res.on('finish', () => {
+      const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+      logger[level]('request completed', {
+        method: req.method,
+        path: req.path,
+        status: res.statusCode,
+        durationMs: Number((process.hrtime.bigint() - startedAt) / 1000000n),
+      });
+    });
+    next();
+  });
+};
+
+export { requestContext };
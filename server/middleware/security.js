@@ -1,5 +1,6 @@
 import crypto from 'crypto';
 import rateLimit from 'express-rate-limit';
+import logger from '../lib/logger.js';
 
 /**
  * Rate limiting middleware for payment endpoints
@@ -27,6 +28,20 @@ const statusCheckRateLimit = rateLimit({
   }
 });
 
+/**
+ * Rate limiting for magic link requests (each one sends an email)
+ */
+const magicLinkRateLimit = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 5, // Limit each IP to 5 magic link requests per windowMs
+  message: {
+    success: false,
+    message: 'Too many sign-in requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 /**
  * Validate request data for payment creation
  */
@@ -135,9 +150,10 @@ const validateMerchantOrderId = (req, res, next) => {
 
 
 /**
- * Security headers middleware
+ * Security headers middleware; payment endpoints also get CORS headers
+ * for `config.urls.frontend`
  */
-const securityHeaders = (req, res, next) => {
+const createSecurityHeaders = (config) => (req, res, next) => {
   // Remove server information
   res.removeHeader('X-Powered-By');
   
@@ -149,7 +165,7 @@ const securityHeaders = (req, res, next) => {
   
   // Add CORS headers for payment endpoints
   if (req.path.includes('/api/phonepe/')) {
-    res.setHeader('Access-Control-Allow-Origin', process.env.FRONTEND_URL || 'http://localhost:8080');
+    res.setHeader('Access-Control-Allow-Origin', config.urls.frontend);
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   }
@@ -165,7 +181,7 @@ const logPaymentAttempt = (req, res, next) => {
   const userAgent = req.get('User-Agent');
   const timestamp = new Date().toISOString();
   
-  console.log(`[PAYMENT ATTEMPT] ${timestamp} - IP: ${clientIP} - User-Agent: ${userAgent} - Path: ${req.path}`);
+  logger.info('Payment attempt', { path: req.path, ip: clientIP, userAgent });
   
   // Store in request for later use
   req.securityContext = {
@@ -178,39 +194,38 @@ const logPaymentAttempt = (req, res, next) => {
 };
 
 /**
- * Validate webhook signature (for PhonePe webhooks)
+ * Check a PhonePe v2 webhook's `Authorization` header, which carries
+ * SHA256("<username>:<password>") of the credentials set in the PhonePe dashboard
+ * (`config.phonepe.webhook`)
  */
-const validateWebhookSignature = (req, res, next) => {
-  try {
-    const signature = req.get('X-VERIFY');
-    const body = JSON.stringify(req.body);
-    
-    if (!signature) {
-      return res.status(401).json({
-        success: false,
-        message: 'Missing webhook signature'
-      });
-    }
+const verifyWebhookSignature = (req, credentials) => {
+  const received = (req.get('Authorization') || '').replace(/^SHA256\s+/i, '').trim();
+  const expected = generateWebhookSignature(credentials);
 
-    // Verify signature using PhonePe's method
-    const expectedSignature = generateWebhookSignature(body);
-    
-    if (signature !== expectedSignature) {
-      console.error('Webhook signature mismatch');
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid webhook signature'
-      });
-    }
+  if (!received || !expected) return false;
+  return safeCompare(received.toLowerCase(), expected);
+};
+
+/**
+ * Validate webhook signature (for PhonePe webhooks)
+ */
+const validateWebhookSignature = (credentials) => (req, res, next) => {
+  if (!req.get('Authorization')) {
+    return res.status(401).json({
+      success: false,
+      message: 'Missing webhook signature'
+    });
+  }
 
-    next();
-  } catch (error) {
-    console.error('Webhook validation error:', error);
-    return res.status(500).json({
+  if (!verifyWebhookSignature(req, credentials)) {
+    logger.warn('Webhook signature mismatch', { path: req.path });
+    return res.status(401).json({
       success: false,
-      message: 'Webhook validation failed'
+      message: 'Invalid webhook signature'
     });
   }
+
+  next();
 };
 
 // Helper functions
@@ -219,23 +234,28 @@ function isValidEmail(email) {
   return emailRegex.test(email);
 }
 
-function generateWebhookSignature(body) {
-  const saltKey = process.env.PHONEPE_SALT_KEY;
-  const saltIndex = process.env.PHONEPE_SALT_INDEX || 1;
-  
-  const string = body + '/pg/v1/webhook' + saltKey;
-  const hash = crypto.createHash('sha256').update(string).digest('hex');
-  
-  return `${hash}###${saltIndex}`;
+function generateWebhookSignature({ username, password } = {}) {
+  if (!username || !password) return null;
+
+  return crypto.createHash('sha256').update(`${username}:${password}`).digest('hex');
+}
+
+function safeCompare(a, b) {
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
 }
 
 export {
+  isValidEmail,
   paymentRateLimit,
   statusCheckRateLimit,
+  magicLinkRateLimit,
   validatePaymentRequest,
   sanitizeInput,
   validateMerchantOrderId,
-  securityHeaders,
+  createSecurityHeaders,
   logPaymentAttempt,
+  verifyWebhookSignature,
   validateWebhookSignature
 };
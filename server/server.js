@@ -0,0 +1,30 @@
+// ============================================================
+// Local / long-running server entry point
+// ============================================================
+import dotenv from "dotenv";
+import { createApp } from "./app.js";
+import { createDefaultDeps } from "./config/dependencies.js";
+import { getConfig } from "./config/config.js";
+import logger from "./lib/logger.js";
+
+dotenv.config();
+
+const config = getConfig();
+const app = createApp(createDefaultDeps(config));
+
+app.listen(config.port, () => logger.info("Server running", {
+  port: config.port,
+  appEnv: config.appEnv,
+  paymentMode: config.paymentMode,
+}));
+
+// On Vercel the crons in vercel.json drive background jobs instead
+if (!config.onVercel) {
+  for (const job of app.locals.backgroundJobs) {
+    setInterval(() => {
+      job.run().catch((err) => logger.error("Background job failed", { job: job.name, err }));
+    }, job.everyMinutes * 60 * 1000).unref();
+  }
+}
+
+export default app;
@@ -0,0 +1,472 @@
+import crypto from "crypto";
+import { toPaise, toRupees } from "./pricingService.js";
+
+const AFFILIATE_FIELDS = ["code", "name", "email", "commission_rate", "active"];
+const COOKIE_NAME = "affiliate_ref";
+const COOKIE_MAX_AGE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/** Read one cookie from a raw `Cookie` header */
+function readCookie(header, name) {
+  for (const part of String(header || "").split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    if (key === name) {
+      try {
+        return decodeURIComponent(rest.join("="));
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Affiliates (creators promoting our packs) and their commission ledger.
+ * Orders carry the affiliate they were referred by; when an order is paid
+ * its commission is accrued, refunds reverse it proportionally, and
+ * payouts settle every entry older than the hold period.
+ */
+class AffiliateService {
+  /**
+   * @param {object} options  `config.affiliates` plus `secureCookies`
+   */
+  constructor(supabase, options) {
+    this.supabase = supabase;
+    this.defaultRate = options.defaultRate;
+    this.holdDays = options.holdDays;
+    this.secureCookies = options.secureCookies;
+  }
+
+  normalizeCode(code) {
+    return String(code || "").trim().toUpperCase();
+  }
+
+  /**
+   * The referral code on a create-order request: `?ref=` or a `ref` body
+   * field (the storefront may pass on what it read from its own URL) win
+   * over the cookie
+   */
+  codeFromRequest(req) {
+    return req.query.ref || req.body?.ref || readCookie(req.headers.cookie, COOKIE_NAME) || null;
+  }
+
+  /**
+   * Remember a referral for checkouts started later from this browser. The
+   * storefront is another site, so over https the cookie must be
+   * `SameSite=None` for its credentialed fetches to carry it; locally both
+   * run on localhost, which counts as the same site.
+   */
+  setReferralCookie(res, code) {
+    res.cookie(COOKIE_NAME, this.normalizeCode(code), {
+      maxAge: COOKIE_MAX_AGE_DAYS * DAY_MS,
+      httpOnly: true,
+      sameSite: this.secureCookies ? "none" : "lax",
+      secure: this.secureCookies,
+    });
+  }
+
+  async findByCode(code) {
+    const { data, error } = await this.supabase
+      .from("affiliates")
+      .select("*")
+      .eq("code", this.normalizeCode(code))
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async findById(id) {
+    const { data, error } = await this.supabase
+      .from("affiliates")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * The affiliate an order should be attributed to, or null. Unknown or
+   * inactive codes are ignored rather than failing the checkout, and
+   * affiliates cannot earn on their own purchases.
+   */
+  async resolveReferral(code, customerEmail) {
+    if (!code) return null;
+    const affiliate = await this.findByCode(code);
+    if (!affiliate || !affiliate.active) return null;
+    if (affiliate.email && affiliate.email.toLowerCase() === String(customerEmail).trim().toLowerCase()) {
+      return null;
+    }
+    return affiliate;
+  }
+
+  /**
+   * Check an admin create/update payload. For updates pass the `existing`
+   * affiliate; missing fields are then left as they are.
+   * Returns `{ success: true, values }` or `{ success: false, message }`.
+   */
+  validateInput(body, existing = null) {
+    const partial = Boolean(existing);
+    const values = {};
+    for (const field of AFFILIATE_FIELDS) {
+      if (body[field] !== undefined) values[field] = body[field];
+    }
+
+    if (!partial || values.code !== undefined) {
+      values.code = this.normalizeCode(values.code);
+      if (!/^[A-Z0-9_-]{3,32}$/.test(values.code)) {
+        return { success: false, message: "code must be 3-32 letters, digits, - or _" };
+      }
+    }
+    if (!partial && !values.name) {
+      return { success: false, message: "name required" };
+    }
+    if (values.commission_rate !== undefined) {
+      const rate = Number(values.commission_rate);
+      if (!(rate >= 0 && rate <= 100)) {
+        return { success: false, message: "commission_rate must be a percentage between 0 and 100" };
+      }
+      values.commission_rate = rate;
+    } else if (!partial) {
+      values.commission_rate = this.defaultRate;
+    }
+    if (values.active !== undefined && typeof values.active !== "boolean") {
+      return { success: false, message: "active must be true or false" };
+    }
+
+    return { success: true, values };
+  }
+
+  async list() {
+    const { data, error } = await this.supabase
+      .from("affiliates")
+      .select("id, code, name, email, commission_rate, active, created_at, updated_at")
+      .order("created_at", { ascending: false });
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Create an affiliate together with the token for their stats endpoint.
+   * Only the token's hash is stored, so this is the one time it is seen.
+   */
+  async create(values) {
+    const statsToken = crypto.randomBytes(24).toString("base64url");
+    const { data, error } = await this.supabase
+      .from("affiliates")
+      .insert([{
+        active: true,
+        ...values,
+        stats_token_hash: hashToken(statsToken),
+        created_at: new Date(),
+        updated_at: new Date(),
+      }])
+      .select("id, code, name, email, commission_rate, active, created_at, updated_at")
+      .single();
+    if (error?.code === "23505") {
+      return { success: false, status: 409, message: "Affiliate code already exists" };
+    }
+    if (error) throw error;
+    return { success: true, affiliate: data, statsToken };
+  }
+
+  async update(id, values) {
+    const { data, error } = await this.supabase
+      .from("affiliates")
+      .update({ ...values, updated_at: new Date() })
+      .eq("id", id)
+      .select("id, code, name, email, commission_rate, active, created_at, updated_at")
+      .maybeSingle();
+    if (error?.code === "23505") {
+      return { success: false, status: 409, message: "Affiliate code already exists" };
+    }
+    if (error) throw error;
+    if (!data) return { success: false, status: 404, message: "Affiliate not found" };
+    return { success: true, affiliate: data };
+  }
+
+  async findByStatsToken(token) {
+    if (!token) return null;
+    const { data, error } = await this.supabase
+      .from("affiliates")
+      .select("*")
+      .eq("stats_token_hash", hashToken(token))
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  // ------------------------------------------------------------
+  // Ledger
+  // ------------------------------------------------------------
+  async ledgerForOrder(orderId) {
+    const { data, error } = await this.supabase
+      .from("affiliate_commissions")
+      .select("*")
+      .eq("order_id", orderId);
+    if (error) throw error;
+    return data;
+  }
+
+  /** Accrue commission on a referred order that has just been paid */
+  async accrue(order) {
+    if (!order.affiliate_id) return null;
+    const affiliate = await this.findById(order.affiliate_id);
+    if (!affiliate) return null;
+
+    const rate = Number(affiliate.commission_rate);
+    const amountPaise = Math.round((toPaise(order.total_amount) * rate) / 100);
+    if (!amountPaise) return null;
+
+    const { data, error } = await this.supabase
+      .from("affiliate_commissions")
+      .insert([{
+        affiliate_id: affiliate.id,
+        order_id: order.id,
+        kind: "accrual",
+        order_amount: order.total_amount,
+        commission_rate: rate,
+        amount: toRupees(amountPaise),
+        created_at: new Date(),
+      }])
+      .select()
+      .single();
+    // Already accrued: the paid transition was replayed
+    if (error?.code === "23505") return null;
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Reverse the share of an order's commission matching `refund`. A refund
+   * that empties the order reverses whatever is left, so rounding never
+   * leaves a few paise of commission on a fully refunded order.
+   */
+  async reverse(order, refund, { fullyRefunded = false } = {}) {
+    if (!order.affiliate_id) return null;
+    const entries = await this.ledgerForOrder(order.id);
+    const accrual = entries.find((e) => e.kind === "accrual");
+    if (!accrual) return null;
+
+    const accruedPaise = toPaise(accrual.amount);
+    const remainingPaise = accruedPaise + entries
+      .filter((e) => e.kind !== "accrual")
+      .reduce((sum, e) => sum + toPaise(e.amount), 0);
+    const totalPaise = toPaise(order.total_amount);
+    const refundPaise = Math.min(toPaise(refund.amount), totalPaise);
+
+    const reversePaise = fullyRefunded
+      ? remainingPaise
+      : Math.min(Math.round((accruedPaise * refundPaise) / totalPaise), remainingPaise);
+    if (reversePaise <= 0) return null;
+
+    const { data, error } = await this.supabase
+      .from("affiliate_commissions")
+      .insert([{
+        affiliate_id: accrual.affiliate_id,
+        order_id: order.id,
+        refund_id: refund.id,
+        kind: "reversal",
+        order_amount: refund.amount,
+        commission_rate: accrual.commission_rate,
+        amount: -toRupees(reversePaise),
+        created_at: new Date(),
+      }])
+      .select()
+      .single();
+    if (error?.code === "23505") return null;
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Give back the commission reversed for `refund` after the provider
+   * reported it as failed. The ledger stays append-only: the reversal is
+   * offset by a reinstatement entry rather than deleted.
+   */
+  async reinstate(order, refund) {
+    if (!order.affiliate_id) return null;
+    const reversal = (await this.ledgerForOrder(order.id))
+      .find((e) => e.kind === "reversal" && String(e.refund_id) === String(refund.id));
+    if (!reversal) return null;
+
+    const { data, error } = await this.supabase
+      .from("affiliate_commissions")
+      .insert([{
+        affiliate_id: reversal.affiliate_id,
+        order_id: order.id,
+        refund_id: refund.id,
+        kind: "reinstatement",
+        order_amount: -Number(reversal.order_amount),
+        commission_rate: reversal.commission_rate,
+        amount: -Number(reversal.amount),
+        created_at: new Date(),
+      }])
+      .select()
+      .single();
+    // Already reinstated: the failure was reported twice
+    if (error?.code === "23505") return null;
+    if (error) throw error;
+    return data;
+  }
+
+  /** Ledger entries, newest first, for one affiliate or (`affiliateId` null) all of them */
+  async listEntries(affiliateId, { from, to, limit } = {}) {
+    let query = this.supabase
+      .from("affiliate_commissions")
+      .select("id, affiliate_id, order_id, refund_id, kind, order_amount, commission_rate, amount, payout_id, created_at, order:orders (merchant_order_id, created_at)")
+      .order("created_at", { ascending: false });
+    if (affiliateId) query = query.eq("affiliate_id", affiliateId);
+    if (from) query = query.gte("created_at", from);
+    if (to) query = query.lt("created_at", to);
+    if (limit) query = query.limit(limit);
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+
+  /** Ledger totals for an affiliate's `entries`, split into paid out, payable and on hold */
+  summarize(entries) {
+    const cutoff = Date.now() - this.holdDays * DAY_MS;
+    const totals = { orders: new Set(), salesPaise: 0, accruedPaise: 0, reversedPaise: 0, paidPaise: 0, payablePaise: 0, heldPaise: 0 };
+
+    for (const entry of entries) {
+      const paise = toPaise(entry.amount);
+      if (entry.kind === "accrual") {
+        totals.orders.add(String(entry.order_id));
+        totals.salesPaise += toPaise(entry.order_amount);
+        totals.accruedPaise += paise;
+      } else {
+        // Reversals are negative; reinstatements cancel one out with the opposite signs
+        totals.salesPaise -= toPaise(entry.order_amount);
+        totals.reversedPaise -= paise;
+      }
+      if (entry.payout_id) totals.paidPaise += paise;
+      else if (new Date(entry.created_at).getTime() <= cutoff) totals.payablePaise += paise;
+      else totals.heldPaise += paise;
+    }
+
+    return {
+      orders: totals.orders.size,
+      sales: toRupees(totals.salesPaise),
+      accrued: toRupees(totals.accruedPaise),
+      reversed: toRupees(totals.reversedPaise),
+      paidOut: toRupees(totals.paidPaise),
+      payable: toRupees(totals.payablePaise),
+      onHold: toRupees(totals.heldPaise),
+    };
+  }
+
+  /** What an affiliate sees: their totals and latest ledger entries, without customer details */
+  async statsFor(affiliate) {
+    const entries = await this.listEntries(affiliate.id);
+    return {
+      code: affiliate.code,
+      name: affiliate.name,
+      commissionRate: Number(affiliate.commission_rate),
+      holdDays: this.holdDays,
+      ...this.summarize(entries),
+      recent: entries.slice(0, 50).map((entry) => ({
+        kind: entry.kind,
+        orderDate: entry.order?.created_at,
+        orderAmount: Number(entry.order_amount),
+        commission: Number(entry.amount),
+        paidOut: Boolean(entry.payout_id),
+        createdAt: entry.created_at,
+      })),
+    };
+  }
+
+  /** Per-affiliate totals for ledger entries created in `range` (all time when omitted) */
+  async payoutReport(range = {}) {
+    const [affiliates, entries] = await Promise.all([this.list(), this.listEntries(null, range)]);
+    const byAffiliate = new Map();
+    for (const entry of entries) {
+      const key = String(entry.affiliate_id);
+      byAffiliate.set(key, [...(byAffiliate.get(key) || []), entry]);
+    }
+
+    return affiliates
+      .filter((affiliate) => byAffiliate.has(String(affiliate.id)))
+      .map((affiliate) => ({
+        affiliateId: affiliate.id,
+        code: affiliate.code,
+        name: affiliate.name,
+        email: affiliate.email,
+        ...this.summarize(byAffiliate.get(String(affiliate.id))),
+      }))
+      .sort((a, b) => b.payable - a.payable);
+  }
+
+  // ------------------------------------------------------------
+  // Payouts
+  // ------------------------------------------------------------
+  /**
+   * Settle everything payable for an affiliate: each unpaid entry past the
+   * hold period is attached to a new payout.
+   * Returns `{ success: true, payout }` or `{ success: false, status, message }`.
+   */
+  async createPayout(affiliate, { reference, note, paidBy }) {
+    const cutoff = new Date(Date.now() - this.holdDays * DAY_MS).toISOString();
+    const { data: due, error } = await this.supabase
+      .from("affiliate_commissions")
+      .select("id, amount")
+      .eq("affiliate_id", affiliate.id)
+      .is("payout_id", null)
+      .lte("created_at", cutoff);
+    if (error) throw error;
+
+    const amountPaise = due.reduce((sum, e) => sum + toPaise(e.amount), 0);
+    if (amountPaise <= 0) {
+      return { success: false, status: 409, message: "Nothing is payable to this affiliate yet" };
+    }
+
+    const { data: payout, error: payoutError } = await this.supabase
+      .from("affiliate_payouts")
+      .insert([{
+        affiliate_id: affiliate.id,
+        amount: toRupees(amountPaise),
+        entries: due.length,
+        reference: reference || null,
+        note: note || null,
+        paid_by: paidBy ?? null,
+        paid_at: new Date(),
+        created_at: new Date(),
+      }])
+      .select()
+      .single();
+    if (payoutError) throw payoutError;
+
+    // Only entries still unpaid, in case another payout raced this one
+    const { data: claimed, error: claimError } = await this.supabase
+      .from("affiliate_commissions")
+      .update({ payout_id: payout.id })
+      .in("id", due.map((e) => e.id))
+      .is("payout_id", null)
+      .select("id");
+    if (claimError) throw claimError;
+    if (claimed.length !== due.length) {
+      await this.supabase.from("affiliate_commissions").update({ payout_id: null }).eq("payout_id", payout.id);
+      await this.supabase.from("affiliate_payouts").delete().eq("id", payout.id);
+      return { success: false, status: 409, message: "Another payout is being recorded for this affiliate" };
+    }
+
+    return { success: true, payout };
+  }
+
+  async listPayouts(affiliateId) {
+    let query = this.supabase
+      .from("affiliate_payouts")
+      .select("*")
+      .order("paid_at", { ascending: false });
+    if (affiliateId) query = query.eq("affiliate_id", affiliateId);
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+}
+
+export default AffiliateService;
@@ -0,0 +1,154 @@
+import { allocatePaise, toPaise, toRupees } from "./pricingService.js";
+
+const GRANULARITIES = ["day", "week", "month"];
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const BATCH_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+// Orders that took money, including ones refunded since
+const PAID_STATES = ["paid", "refunded"];
+// Checkouts still open after this long count as abandoned
+const ABANDONED_AFTER_MS = DAY_MS;
+
+/** Start of the IST day, week (Monday) or month containing `date`, as YYYY-MM-DD */
+function periodKey(date, granularity) {
+  const ist = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  if (granularity === "month") ist.setUTCDate(1);
+  if (granularity === "week") ist.setUTCDate(ist.getUTCDate() - ((ist.getUTCDay() + 6) % 7));
+  return ist.toISOString().slice(0, 10);
+}
+
+const itemProductId = (item) => item.id || item.productId || item.product_id;
+
+class SalesAnalyticsService {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Read `from`, `to` and `granularity` from the query string. The range
+   * defaults to the last 30 days.
+   * Returns `{ success: true, range }` or `{ success: false, message }`.
+   */
+  parseRange(query) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+    const granularity = query.granularity || "day";
+
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+      return { success: false, message: "from and to must be dates" };
+    }
+    if (from >= to) {
+      return { success: false, message: "from must be before to" };
+    }
+    if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+      return { success: false, message: `Range can be at most ${MAX_RANGE_DAYS} days` };
+    }
+    if (!GRANULARITIES.includes(granularity)) {
+      return { success: false, message: `granularity must be one of ${GRANULARITIES.join(", ")}` };
+    }
+
+    return { success: true, range: { from: from.toISOString(), to: to.toISOString(), granularity } };
+  }
+
+  async fetchOrders({ from, to }) {
+    const orders = [];
+    for (let offset = 0; ; offset += BATCH_SIZE) {
+      const { data, error } = await this.supabase
+        .from("orders")
+        .select("id, created_at, status, payment, items, total_amount")
+        .gte("created_at", from)
+        .lt("created_at", to)
+        .order("id", { ascending: true })
+        .range(offset, offset + BATCH_SIZE - 1);
+      if (error) throw error;
+      orders.push(...data);
+      if (data.length < BATCH_SIZE) return orders;
+    }
+  }
+
+  /**
+   * Sales for orders placed in `range`: overall figures, a time series and
+   * revenue per product. Revenue is what buyers paid after discounts;
+   * `netRevenue` also takes off refunds.
+   */
+  async report(range) {
+    const orders = await this.fetchOrders(range);
+    const now = Date.now();
+
+    const outcomes = { paid: 0, failed: 0, abandoned: 0, inProgress: 0 };
+    const periods = new Map();
+    const products = new Map();
+    let revenuePaise = 0;
+    let refundedPaise = 0;
+
+    for (const order of orders) {
+      const state = order.status;
+      if (state === "failed") outcomes.failed += 1;
+      else if (state === "expired" || state === "cancelled") outcomes.abandoned += 1;
+      else if (!PAID_STATES.includes(state)) {
+        const stale = now - new Date(order.created_at).getTime() > ABANDONED_AFTER_MS;
+        outcomes[stale ? "abandoned" : "inProgress"] += 1;
+      }
+      if (!PAID_STATES.includes(state)) continue;
+
+      outcomes.paid += 1;
+      const totalPaise = toPaise(order.total_amount);
+      revenuePaise += totalPaise;
+      refundedPaise += toPaise(order.payment?.refundedAmount || 0);
+
+      const key = periodKey(order.created_at, range.granularity);
+      const period = periods.get(key) || { period: key, orders: 0, revenuePaise: 0 };
+      period.orders += 1;
+      period.revenuePaise += totalPaise;
+      periods.set(key, period);
+
+      // Spread the order total (after discount) over its lines
+      const items = Array.isArray(order.items) ? order.items : [];
+      const shares = allocatePaise(
+        totalPaise,
+        items.map((item) => toPaise(item.line_total ?? Number(item.price) * Number(item.quantity)))
+      );
+      items.forEach((item, i) => {
+        const productId = itemProductId(item);
+        const product = products.get(String(productId)) ||
+          { productId, name: item.name, units: 0, orders: 0, revenuePaise: 0 };
+        product.units += Number(item.quantity) || 0;
+        product.orders += 1;
+        product.revenuePaise += shares[i];
+        products.set(String(productId), product);
+      });
+    }
+
+    const decided = outcomes.paid + outcomes.failed + outcomes.abandoned;
+    const rate = (count) => (decided ? Number((count / decided).toFixed(4)) : null);
+
+    return {
+      range,
+      summary: {
+        orders: orders.length,
+        paidOrders: outcomes.paid,
+        revenue: toRupees(revenuePaise),
+        refunded: toRupees(refundedPaise),
+        netRevenue: toRupees(revenuePaise - refundedPaise),
+        averageOrderValue: outcomes.paid ? toRupees(Math.round(revenuePaise / outcomes.paid)) : 0,
+      },
+      payments: {
+        ...outcomes,
+        successRate: rate(outcomes.paid),
+        failureRate: rate(outcomes.failed),
+        abandonmentRate: rate(outcomes.abandoned),
+      },
+      sales: [...periods.values()]
+        .sort((a, b) => a.period.localeCompare(b.period))
+        .map(({ revenuePaise: paise, ...period }) => ({ ...period, revenue: toRupees(paise) })),
+      products: [...products.values()]
+        .sort((a, b) => b.revenuePaise - a.revenuePaise)
+        .map(({ revenuePaise: paise, ...product }) => ({ ...product, revenue: toRupees(paise) })),
+    };
+  }
+}
+
+export default SalesAnalyticsService;
@@ -0,0 +1,99 @@
+const itemProductId = (item) => item.id || item.productId || item.product_id;
+
+/**
+ * Every product an order's line items give access to: plain products as
+ * they are, bundles as the components snapshotted on the order when it
+ * was placed. Each entry is `{ id, name, quantity, bundleId }` (`bundleId`
+ * null for products bought on their own).
+ */
+function expandOrderItems(items) {
+  const products = [];
+  for (const item of Array.isArray(items) ? items : []) {
+    if (Array.isArray(item.components) && item.components.length) {
+      for (const component of item.components) {
+        products.push({
+          id: component.id,
+          name: component.name,
+          quantity: Number(item.quantity),
+          bundleId: itemProductId(item),
+        });
+      }
+    } else {
+      products.push({ id: itemProductId(item), name: item.name, quantity: Number(item.quantity), bundleId: null });
+    }
+  }
+  return products;
+}
+
+class BundleService {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  /** Components of each bundle in `bundleIds`, as a Map of bundle id → products */
+  async getComponents(bundleIds) {
+    const components = new Map(bundleIds.map((id) => [String(id), []]));
+    if (!bundleIds.length) return components;
+
+    const { data, error } = await this.supabase
+      .from("bundle_items")
+      .select("bundle_id, position, product:products!bundle_items_product_id_fkey (id, name, price, status)")
+      .in("bundle_id", bundleIds)
+      .order("position", { ascending: true });
+    if (error) throw error;
+
+    for (const row of data) {
+      if (row.product) components.get(String(row.bundle_id))?.push(row.product);
+    }
+    return components;
+  }
+
+  /**
+   * Replace a bundle's contents with `productIds`, in that order. Components
+   * must be existing, non-bundle products.
+   * Returns `{ success: true, components }` or `{ success: false, status, message }`.
+   */
+  async setComponents(bundle, productIds) {
+    if (bundle.type !== "bundle") {
+      return { success: false, status: 409, message: "Product is not a bundle" };
+    }
+    if (!Array.isArray(productIds) || !productIds.length) {
+      return { success: false, status: 400, message: "productIds must be a non-empty array" };
+    }
+
+    const ids = [...new Set(productIds.map(String))];
+    const invalid = ids.find((id) => !/^\d+$/.test(id));
+    if (invalid) {
+      return { success: false, status: 400, message: `Invalid product id: ${invalid.slice(0, 40)}` };
+    }
+    if (ids.includes(String(bundle.id))) {
+      return { success: false, status: 400, message: "A bundle cannot contain itself" };
+    }
+
+    const { data: products, error } = await this.supabase
+      .from("products")
+      .select("id, type")
+      .in("id", ids);
+    if (error) throw error;
+
+    const byId = new Map(products.map((p) => [String(p.id), p]));
+    const missing = ids.find((id) => !byId.has(id));
+    if (missing) {
+      return { success: false, status: 400, message: `Product ${missing} not found` };
+    }
+    const nested = ids.find((id) => byId.get(id).type === "bundle");
+    if (nested) {
+      return { success: false, status: 400, message: `Product ${nested} is itself a bundle` };
+    }
+
+    // Delete and insert happen in one transaction in the database
+    const { error: replaceError } = await this.supabase
+      .rpc("set_bundle_components", { bundle_id: bundle.id, product_ids: ids });
+    if (replaceError) throw replaceError;
+
+    return { success: true, components: (await this.getComponents([bundle.id])).get(String(bundle.id)) };
+  }
+}
+
+export { expandOrderItems };
+export default BundleService;
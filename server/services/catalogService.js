@@ -0,0 +1,262 @@
+import BundleService from "./bundleService.js";
+
+const PRODUCT_STATUSES = ["draft", "published", "archived"];
+const PRODUCT_TYPES = ["single", "bundle"];
+
+const SORTS = {
+  newest: [["created_at", false], ["id", false]],
+  oldest: [["created_at", true], ["id", true]],
+  price_asc: [["price", true], ["id", true]],
+  price_desc: [["price", false], ["id", false]],
+  name: [["name", true], ["id", true]],
+};
+
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 100;
+
+// Never sent to customers
+const PRIVATE_PRODUCT_FIELDS = ["storage_path", "file_name", "file_checksum", "search"];
+
+/** "Pan India Database 2024!" → "pan-india-database-2024" */
+function slugify(value) {
+  return String(value || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80);
+}
+
+const toPublicProduct = (product) =>
+  Object.fromEntries(Object.entries(product).filter(([key]) => !PRIVATE_PRODUCT_FIELDS.includes(key)));
+
+class CatalogService {
+  constructor(supabase, bundleService = new BundleService(supabase)) {
+    this.supabase = supabase;
+    this.bundleService = bundleService;
+  }
+
+  /**
+   * Read catalog browsing parameters from the query string.
+   * Returns `{ success: true, params }` or `{ success: false, message }`.
+   */
+  parseQuery(query) {
+    const sort = query.sort || "newest";
+    if (!SORTS[sort]) {
+      return { success: false, message: `sort must be one of ${Object.keys(SORTS).join(", ")}` };
+    }
+
+    const page = query.page === undefined ? 1 : Number(query.page);
+    const pageSize = query.pageSize === undefined ? DEFAULT_PAGE_SIZE : Number(query.pageSize);
+    if (!Number.isInteger(page) || page < 1) {
+      return { success: false, message: "page must be a positive whole number" };
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+      return { success: false, message: `pageSize must be between 1 and ${MAX_PAGE_SIZE}` };
+    }
+    if (query.status !== undefined && !PRODUCT_STATUSES.includes(query.status)) {
+      return { success: false, message: `status must be one of ${PRODUCT_STATUSES.join(", ")}` };
+    }
+
+    const tags = query.tag === undefined
+      ? []
+      : [].concat(query.tag).flatMap((t) => String(t).split(",")).map((t) => t.trim()).filter(Boolean);
+
+    return {
+      success: true,
+      params: {
+        q: query.q ? String(query.q).trim().slice(0, 100) : null,
+        category: query.category ? String(query.category) : null,
+        tags,
+        status: query.status || null,
+        sort,
+        page,
+        pageSize,
+      },
+    };
+  }
+
+  /**
+   * One page of products. Customers only ever get published products;
+   * admins (`{ includeUnpublished: true }`) may filter by any status.
+   * `{ paginate: false }` returns every match, ignoring page and pageSize.
+   */
+  async listProducts(params, { includeUnpublished = false, paginate = true } = {}) {
+    let query = this.supabase.from("products").select("*", { count: "exact" });
+
+    const status = includeUnpublished ? params.status : "published";
+    if (status) query = query.eq("status", status);
+
+    if (params.category) {
+      const category = await this.findCategory(params.category);
+      if (!category) return this.page([], 0, params, includeUnpublished);
+      query = query.eq("category_id", category.id);
+    }
+    if (params.tags.length) query = query.contains("tags", params.tags);
+    if (params.q) {
+      query = query.textSearch("search", params.q, { type: "websearch", config: "simple" });
+    }
+
+    for (const [column, ascending] of SORTS[params.sort]) {
+      query = query.order(column, { ascending });
+    }
+
+    if (paginate) {
+      const start = (params.page - 1) * params.pageSize;
+      query = query.range(start, start + params.pageSize - 1);
+    }
+    const { data, error, count } = await query;
+    // Asking for a page past the end is not an error, just an empty page
+    if (error?.code === "PGRST103") return this.page([], count ?? 0, params, includeUnpublished);
+    if (error) throw error;
+
+    return this.page(data, count, params, includeUnpublished);
+  }
+
+  page(products, total, params, includeUnpublished) {
+    return {
+      products: includeUnpublished ? products : products.map(toPublicProduct),
+      pagination: {
+        page: params.page,
+        pageSize: params.pageSize,
+        total,
+        totalPages: Math.ceil(total / params.pageSize),
+      },
+    };
+  }
+
+  /** A published product by numeric id or slug; bundles list their contents */
+  async findPublishedProduct(idOrSlug) {
+    const column = /^\d+$/.test(idOrSlug) ? "id" : "slug";
+    const { data, error } = await this.supabase
+      .from("products")
+      .select("*")
+      .eq(column, idOrSlug)
+      .eq("status", "published")
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) return null;
+
+    if (data.type === "bundle") {
+      const components = (await this.bundleService.getComponents([data.id])).get(String(data.id));
+      data.components = components.map(({ id, name, price }) => ({ id, name, price }));
+    }
+    return toPublicProduct(data);
+  }
+
+  /**
+   * Check an admin product create/update payload: status, slug (derived
+   * from the name when missing on create), tags and category.
+   * Returns `{ success: true, values }` or `{ success: false, message }`.
+   */
+  prepareProduct(body, { creating = false } = {}) {
+    const values = { ...body };
+    delete values.id;
+    delete values.search;
+
+    if (values.type !== undefined && !PRODUCT_TYPES.includes(values.type)) {
+      return { success: false, message: `type must be one of ${PRODUCT_TYPES.join(", ")}` };
+    }
+    // Bundles without a price are priced from their components
+    if (creating && (!values.name || (!values.price && values.type !== "bundle"))) {
+      return { success: false, message: "name & price required" };
+    }
+    if (values.status !== undefined && !PRODUCT_STATUSES.includes(values.status)) {
+      return { success: false, message: `status must be one of ${PRODUCT_STATUSES.join(", ")}` };
+    }
+    if (values.slug !== undefined || creating) {
+      values.slug = slugify(values.slug || values.name);
+      if (!values.slug) {
+        return { success: false, message: "slug must contain letters or digits" };
+      }
+    }
+    if (values.tags !== undefined) {
+      if (!Array.isArray(values.tags)) {
+        return { success: false, message: "tags must be an array" };
+      }
+      values.tags = [...new Set(values.tags.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+    }
+    if (values.category_id != null && !/^\d+$/.test(String(values.category_id))) {
+      return { success: false, message: "category_id must be a category id" };
+    }
+
+    return { success: true, values };
+  }
+
+  // ------------------------------------------------------------
+  // Categories
+  // ------------------------------------------------------------
+  async listCategories() {
+    const { data, error } = await this.supabase
+      .from("categories")
+      .select("id, name, slug, description, position")
+      .order("position", { ascending: true })
+      .order("name", { ascending: true });
+    if (error) throw error;
+    return data;
+  }
+
+  /** A category by numeric id or slug */
+  async findCategory(idOrSlug) {
+    const column = /^\d+$/.test(String(idOrSlug)) ? "id" : "slug";
+    const { data, error } = await this.supabase
+      .from("categories")
+      .select("*")
+      .eq(column, idOrSlug)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Check an admin category payload; `creating` requires a name.
+   * Returns `{ success: true, values }` or `{ success: false, message }`.
+   */
+  prepareCategory(body, { creating = false } = {}) {
+    const values = {};
+    for (const field of ["name", "slug", "description", "position"]) {
+      if (body[field] !== undefined) values[field] = body[field];
+    }
+
+    if (creating && !values.name) {
+      return { success: false, message: "name required" };
+    }
+    if (values.slug !== undefined || creating) {
+      values.slug = slugify(values.slug || values.name);
+      if (!values.slug) {
+        return { success: false, message: "slug must contain letters or digits" };
+      }
+    }
+    if (values.position !== undefined && !Number.isInteger(values.position)) {
+      return { success: false, message: "position must be a whole number" };
+    }
+
+    return { success: true, values };
+  }
+
+  async saveCategory(values, id = null) {
+    const query = id
+      ? this.supabase.from("categories").update({ ...values, updated_at: new Date() }).eq("id", id)
+      : this.supabase.from("categories").insert([{ ...values, created_at: new Date(), updated_at: new Date() }]);
+    const { data, error } = await query.select().maybeSingle();
+    if (error?.code === "23505") {
+      return { success: false, status: 409, message: "A category with that slug already exists" };
+    }
+    if (error) throw error;
+    if (!data) return { success: false, status: 404, message: "Category not found" };
+    return { success: true, category: data };
+  }
+
+  async deleteCategory(id) {
+    const { data, error } = await this.supabase
+      .from("categories")
+      .delete()
+      .eq("id", id)
+      .select("id");
+    if (error) throw error;
+    return data.length > 0;
+  }
+}
+
+export default CatalogService;
@@ -0,0 +1,390 @@
+import crypto from "crypto";
+import { toPaise, toRupees } from "./pricingService.js";
+
+// Checkouts that never got paid; `failed` covers declined payments too
+const ABANDONED_STATES = ["created", "pending", "failed", "expired"];
+const AWAITING_PAYMENT = ["created", "pending"];
+const PAID_STATES = ["paid", "refunded"];
+const BATCH_SIZE = 50;
+const PAGE_SIZE = 200;
+// Skips that can never turn into a send; "recently emailed" can, once the cooldown ends
+const PERMANENT_SKIPS = ["unsubscribed", "paid", "newer cart emailed"];
+const HOUR_MS = 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// ilike treats % and _ as wildcards; emails may legitimately contain `_`
+const escapeLike = (value) => value.replace(/[\\%_]/g, (c) => `\\${c}`);
+
+const couponLabel = (coupon) =>
+  coupon.type === "percentage" ? `${Number(coupon.value)}%` : `₹${Number(coupon.value)}`;
+
+/**
+ * Emails customers whose checkout was left unpaid a link that starts a
+ * fresh payment for the same cart, optionally with an incentive coupon.
+ * Each abandoned order is emailed at most once, and each customer at most
+ * once per `maxAgeHours`.
+ */
+class CheckoutRecoveryService {
+  /**
+   * @param {object} options  `config.recovery` plus `backendUrl` for the links
+   */
+  constructor(supabase, { emailService, emailOutbox, couponService, checkoutService, orderService }, options) {
+    this.supabase = supabase;
+    this.orderService = orderService;
+    this.emailService = emailService;
+    this.emailOutbox = emailOutbox;
+    this.couponService = couponService;
+    this.checkoutService = checkoutService;
+    this.delayMinutes = options.delayMinutes;
+    this.maxAgeHours = options.maxAgeHours;
+    this.couponCode = options.couponCode;
+    this.backendUrl = options.backendUrl;
+  }
+
+  normalizeEmail(email) {
+    return String(email || "").trim().toLowerCase();
+  }
+
+  /**
+   * Unpaid orders old enough to chase, newest first, that have neither had
+   * a recovery email nor been skipped for good. Pages through the window so
+   * handled orders at the top can never hide older ones that are due.
+   */
+  async findAbandoned() {
+    const now = Date.now();
+    const due = [];
+
+    for (let from = 0; due.length < BATCH_SIZE; from += PAGE_SIZE) {
+      const { data: orders, error } = await this.supabase
+        .from("orders")
+        .select("*")
+        .in("status", ABANDONED_STATES)
+        .lte("created_at", new Date(now - this.delayMinutes * 60 * 1000).toISOString())
+        .gte("created_at", new Date(now - this.maxAgeHours * HOUR_MS).toISOString())
+        .order("created_at", { ascending: false })
+        .order("id", { ascending: false })
+        .range(from, from + PAGE_SIZE - 1);
+      if (error) throw error;
+      if (!orders.length) break;
+
+      const handled = await this.handledOrderIds(orders.map((o) => o.id));
+      due.push(...orders.filter((o) => !handled.has(String(o.id))));
+      if (orders.length < PAGE_SIZE) break;
+    }
+
+    return due.slice(0, BATCH_SIZE);
+  }
+
+  /** Which of `orderIds` were emailed or skipped for good already */
+  async handledOrderIds(orderIds) {
+    const [emailed, skipped] = await Promise.all([
+      this.supabase.from("checkout_recoveries").select("order_id").in("order_id", orderIds),
+      this.supabase.from("checkout_recovery_skips").select("order_id").in("order_id", orderIds),
+    ]);
+    if (emailed.error) throw emailed.error;
+    if (skipped.error) throw skipped.error;
+    return new Set([...emailed.data, ...skipped.data].map((r) => String(r.order_id)));
+  }
+
+  /** Never look at `order` again; `reason` is kept for support questions */
+  async recordSkip(order, reason) {
+    const { error } = await this.supabase
+      .from("checkout_recovery_skips")
+      .upsert(
+        [{ order_id: order.id, reason, created_at: new Date() }],
+        { onConflict: "order_id", ignoreDuplicates: true }
+      );
+    if (error) throw error;
+  }
+
+  /** Why `order` should not be emailed, or null if it should */
+  async skipReason(order, email) {
+    const { data: unsubscribed, error } = await this.supabase
+      .from("email_unsubscribes")
+      .select("email")
+      .eq("email", email)
+      .maybeSingle();
+    if (error) throw error;
+    if (unsubscribed) return "unsubscribed";
+
+    // The customer may have come back and paid on their own
+    const { data: paid, error: paidError } = await this.supabase
+      .from("orders")
+      .select("id")
+      .ilike("customer_email", escapeLike(email))
+      .in("status", PAID_STATES)
+      .gte("created_at", order.created_at)
+      .limit(1);
+    if (paidError) throw paidError;
+    if (paid.length) return "paid";
+
+    const { data: recent, error: recentError } = await this.supabase
+      .from("checkout_recoveries")
+      .select("id")
+      .eq("customer_email", email)
+      .gte("sent_at", new Date(Date.now() - this.maxAgeHours * HOUR_MS).toISOString())
+      .limit(1);
+    if (recentError) throw recentError;
+    if (recent.length) return "recently emailed";
+
+    return null;
+  }
+
+  /** The incentive coupon, if one is configured and valid for this cart */
+  async findIncentive(order) {
+    if (!this.couponCode) return null;
+    const discount = await this.couponService.applyCoupon(this.couponCode, {
+      items: order.items,
+      totalAmount: Number(order.subtotal_amount ?? order.total_amount),
+      customerEmail: order.customer_email,
+    });
+    return discount.success ? discount.coupon : null;
+  }
+
+  /**
+   * Worker pass: email every abandoned checkout that is due.
+   * Returns counts of what was sent, skipped and failed to send.
+   */
+  async run() {
+    const summary = { checked: 0, sent: 0, skipped: 0, failed: 0 };
+    const seen = new Set();
+
+    for (const order of await this.findAbandoned()) {
+      summary.checked += 1;
+      const email = this.normalizeEmail(order.customer_email);
+      // Several abandoned attempts by one customer get a single email, for the latest cart
+      const reason = seen.has(email) ? "newer cart emailed" : await this.skipReason(order, email);
+      if (reason) {
+        if (PERMANENT_SKIPS.includes(reason)) await this.recordSkip(order, reason);
+        summary.skipped += 1;
+        continue;
+      }
+      seen.add(email);
+
+      const coupon = await this.findIncentive(order);
+      const token = crypto.randomBytes(32).toString("base64url");
+      const { error } = await this.supabase
+        .from("checkout_recoveries")
+        .insert([{
+          order_id: order.id,
+          customer_email: email,
+          token_hash: hashToken(token),
+          coupon_code: coupon?.code ?? null,
+          status: "sent",
+          sent_at: new Date(),
+          created_at: new Date(),
+        }]);
+      // Another worker got to this order first
+      if (error?.code === "23505") {
+        summary.skipped += 1;
+        continue;
+      }
+      if (error) throw error;
+
+      const message = this.emailService.buildCheckoutRecoveryEmail(
+        order.customer_email,
+        order.customer_name,
+        order.items,
+        order.total_amount,
+        `${this.backendUrl}/api/recovery/${token}`,
+        `${this.backendUrl}/api/recovery/${token}/unsubscribe`,
+        coupon && { code: coupon.code, label: couponLabel(coupon) }
+      );
+      // The token stays out of the outbox, so a failed send cannot be retried
+      // from there; dropping the row lets the next run email a fresh link
+      const sent = await this.emailOutbox.send(
+        { kind: "checkout_recovery", orderId: order.id, ...message },
+        { secrets: [token] }
+      );
+      if (sent.status === "failed") {
+        const { error: deleteError } = await this.supabase
+          .from("checkout_recoveries")
+          .delete()
+          .eq("token_hash", hashToken(token));
+        if (deleteError) throw deleteError;
+        summary.failed += 1;
+        continue;
+      }
+      summary.sent += 1;
+    }
+
+    return summary;
+  }
+
+  async findByToken(token) {
+    if (!token) return null;
+    const { data, error } = await this.supabase
+      .from("checkout_recoveries")
+      .select("*, order:orders!checkout_recoveries_order_id_fkey (*)")
+      .eq("token_hash", hashToken(token))
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async update(id, fields) {
+    const { error } = await this.supabase
+      .from("checkout_recoveries")
+      .update(fields)
+      .eq("id", id);
+    if (error) throw error;
+  }
+
+  async findOrder(id) {
+    const { data, error } = await this.supabase
+      .from("orders")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Follow a recovery link: start a new payment for the abandoned cart.
+   * Links get opened more than once (mail scanners prefetch them, buyers
+   * click twice), so an order an earlier click started is reused while it
+   * is still awaiting payment; only once it has failed or expired does a
+   * click place a fresh one.
+   * Returns `{ success: true, paymentUrl }`, `{ success: true, paidOrderId }`
+   * when the cart has been paid for already, or `{ success: false, status, message }`.
+   */
+  async resume(token) {
+    const recovery = await this.findByToken(token);
+    if (!recovery) {
+      return { success: false, status: 404, message: "This link is no longer valid" };
+    }
+
+    const { order } = recovery;
+    if (recovery.status === "recovered" || PAID_STATES.includes(order.status)) {
+      return { success: true, paidOrderId: recovery.recovered_order_id ?? order.id };
+    }
+
+    const previous = recovery.recovered_order_id && (await this.findOrder(recovery.recovered_order_id));
+    const reusable = this.reusablePayment(previous);
+    if (reusable) return reusable;
+
+    const input = {
+      customerName: order.customer_name,
+      customerEmail: order.customer_email,
+      customerPhone: order.customer_phone,
+      customerState: order.customer_state,
+      orderItems: order.items.map((item) => ({ id: item.id, quantity: item.quantity })),
+      couponCode: recovery.coupon_code || order.coupon_code || undefined,
+      paymentProvider: order.payment?.gateway,
+      affiliateCode: order.affiliate_code || undefined,
+    };
+    const options = { actor: "recovery", checkoutRecoveryId: recovery.id };
+    let result = await this.checkoutService.placeOrder(input, options);
+    // A coupon that has run out since should not block the purchase
+    if (!result.success && result.status === 400 && input.couponCode) {
+      result = await this.checkoutService.placeOrder({ ...input, couponCode: undefined }, options);
+    }
+    if (!result.success) return result;
+
+    // Only if no other click has started an order since we looked
+    let claim = this.supabase
+      .from("checkout_recoveries")
+      .update({
+        status: "clicked",
+        clicked_at: recovery.clicked_at ?? new Date(),
+        recovered_order_id: result.order.id,
+      })
+      .eq("id", recovery.id);
+    claim = previous
+      ? claim.eq("recovered_order_id", previous.id)
+      : claim.is("recovered_order_id", null);
+    const { data: claimed, error } = await claim.select("id");
+    if (error) throw error;
+
+    if (!claimed.length) {
+      // Lost the race: drop our order (handing back its coupon) and send the buyer to the winner's
+      const ours = (await this.findOrder(result.order.id)) || result.order;
+      await this.orderService.cancel(ours, { actor: "recovery", reason: "Duplicate recovery click" });
+      const latest = await this.findByToken(token);
+      const winner = latest?.recovered_order_id && (await this.findOrder(latest.recovered_order_id));
+      return this.reusablePayment(winner) || {
+        success: false,
+        status: 409,
+        message: "This link is already being used, please try again",
+      };
+    }
+    return { success: true, paymentUrl: result.paymentUrl };
+  }
+
+  /** What an order an earlier click started still offers: its payment page, or that it is paid */
+  reusablePayment(order) {
+    if (!order) return null;
+    if (PAID_STATES.includes(order.status)) return { success: true, paidOrderId: order.id };
+    if (AWAITING_PAYMENT.includes(order.status) && order.payment?.paymentUrl) {
+      return { success: true, paymentUrl: order.payment.paymentUrl };
+    }
+    return null;
+  }
+
+  /** Stop recovery emails to the address a link was sent to */
+  async unsubscribe(token) {
+    const recovery = await this.findByToken(token);
+    if (!recovery) return false;
+
+    const { error } = await this.supabase
+      .from("email_unsubscribes")
+      .upsert(
+        [{ email: recovery.customer_email, source: "checkout_recovery", created_at: new Date() }],
+        { onConflict: "email", ignoreDuplicates: true }
+      );
+    if (error) throw error;
+
+    if (recovery.status === "sent" || recovery.status === "clicked") {
+      await this.update(recovery.id, { status: "unsubscribed" });
+    }
+    return true;
+  }
+
+  /**
+   * Credit a paid order to the recovery email that led to it: any order
+   * started from the link, or the original order paid after all.
+   */
+  async markRecovered(order) {
+    const matches = [`order_id.eq.${order.id}`];
+    if (order.checkout_recovery_id) matches.push(`id.eq.${order.checkout_recovery_id}`);
+    const { error } = await this.supabase
+      .from("checkout_recoveries")
+      .update({
+        status: "recovered",
+        recovered_order_id: order.id,
+        recovered_at: new Date(),
+        recovered_amount: order.total_amount,
+      })
+      .or(matches.join(","))
+      .in("status", ["sent", "clicked"]);
+    if (error) throw error;
+  }
+
+  /** How recovery emails sent in `range` performed */
+  async stats({ from, to }) {
+    const { data, error } = await this.supabase
+      .from("checkout_recoveries")
+      .select("status, clicked_at, recovered_amount")
+      .gte("sent_at", from)
+      .lt("sent_at", to);
+    if (error) throw error;
+
+    const count = (status) => data.filter((r) => r.status === status).length;
+    const recovered = count("recovered");
+    const revenuePaise = data.reduce((sum, r) => sum + toPaise(r.recovered_amount || 0), 0);
+
+    return {
+      range: { from, to },
+      sent: data.length,
+      clicked: data.filter((r) => r.clicked_at).length,
+      recovered,
+      unsubscribed: count("unsubscribed"),
+      recoveryRate: data.length ? Number((recovered / data.length).toFixed(4)) : null,
+      recoveredRevenue: toRupees(revenuePaise),
+    };
+  }
+}
+
+export default CheckoutRecoveryService;
@@ -0,0 +1,185 @@
+function generateMerchantOrderId(customerPhone, productCode = "BUNDLE") {
+  return `ORDER_${productCode}_${customerPhone.slice(-4)}_${Date.now()}`;
+}
+
+/**
+ * Places orders: prices the cart server-side, applies any coupon, writes
+ * the order and starts a payment with the selected provider.
+ */
+class CheckoutService {
+  constructor(supabase, { pricingService, couponService, orderService, paymentProviders, affiliateService }) {
+    this.supabase = supabase;
+    this.pricingService = pricingService;
+    this.couponService = couponService;
+    this.orderService = orderService;
+    this.paymentProviders = paymentProviders;
+    this.affiliateService = affiliateService;
+  }
+
+  /**
+   * Returns `{ success: true, order, paymentUrl, paymentProvider, subtotalAmount,
+   * discountAmount, totalAmount }` or `{ success: false, status, message }`
+   * (409 price changes also carry the current `totalAmount` and `items`).
+   * `checkoutRecoveryId` marks an order started from a recovery email link.
+   */
+  async placeOrder({
+    customerName,
+    customerEmail,
+    customerPhone,
+    orderItems,
+    totalAmount: clientTotal,
+    couponCode,
+    paymentProvider,
+    customerState,
+    affiliateCode,
+  }, { actor = "customer", checkoutRecoveryId = null } = {}) {
+    if (!customerName || !customerEmail || !customerPhone || !Array.isArray(orderItems) || !orderItems.length) {
+      return { success: false, status: 400, message: "Invalid payload" };
+    }
+    // JSON clients may send the phone as a number
+    customerPhone = ["string", "number"].includes(typeof customerPhone)
+      ? String(customerPhone).replace(/[\s-]/g, "")
+      : "";
+    if (!/^\+?\d{10,15}$/.test(customerPhone)) {
+      return { success: false, status: 400, message: "customerPhone must be a phone number" };
+    }
+    // Two-digit GST state code; decides CGST/SGST vs IGST on the invoice
+    if (customerState != null && !/^\d{2}$/.test(String(customerState))) {
+      return { success: false, status: 400, message: "customerState must be a two-digit GST state code" };
+    }
+
+    // Prices always come from the products table, never from the client
+    const pricing = await this.pricingService.priceOrder(orderItems);
+    if (!pricing.success) {
+      return { success: false, status: 400, message: pricing.message };
+    }
+    const { items, totalAmount: subtotalAmount } = pricing;
+
+    let totalAmount = subtotalAmount;
+    let discount = null;
+    if (couponCode) {
+      discount = await this.couponService.applyCoupon(couponCode, {
+        items,
+        totalAmount: subtotalAmount,
+        customerEmail,
+      });
+      if (!discount.success) {
+        return { success: false, status: 400, message: discount.message };
+      }
+      totalAmount = discount.totalAmount;
+    }
+
+    if (clientTotal !== undefined && Math.abs(Number(clientTotal) - totalAmount) > 0.01) {
+      return {
+        success: false,
+        status: 409,
+        message: "Prices have changed, please review your cart",
+        totalAmount,
+        items,
+      };
+    }
+
+    const affiliate = await this.affiliateService.resolveReferral(affiliateCode, customerEmail);
+
+    const merchantTransactionId = `TX_${Date.now()}`;
+    const merchantOrderId = generateMerchantOrderId(customerPhone);
+    const provider = this.paymentProviders.select(paymentProvider);
+
+    // 1️⃣ Create DB order first
+    const { data: order, error } = await this.supabase
+      .from("orders")
+      .insert([{
+        customer_name: customerName,
+        customer_email: customerEmail,
+        customer_phone: customerPhone,
+        customer_state: customerState == null ? null : String(customerState),
+        items,
+        subtotal_amount: subtotalAmount,
+        discount_amount: discount?.discountAmount ?? 0,
+        coupon_code: discount?.coupon.code ?? null,
+        total_amount: totalAmount,
+        affiliate_id: affiliate?.id ?? null,
+        affiliate_code: affiliate?.code ?? null,
+        checkout_recovery_id: checkoutRecoveryId,
+        status: "created",
+        payment: {
+          gateway: provider.name,
+          transactionId: merchantTransactionId,
+          merchantOrderId,
+          status: "pending",
+          amount: totalAmount,
+        },
+        created_at: new Date(),
+        updated_at: new Date(),
+        product_id: items.map((it) => it.id),
+        merchant_order_id: merchantOrderId,
+      }])
+      .select()
+      .single();
+
+    if (error) throw error;
+
+    await this.orderService.recordEvent({
+      orderId: order.id,
+      from: null,
+      to: "created",
+      paymentStatus: "pending",
+      actor,
+      details: { totalAmount },
+    });
+
+    let usedProvider;
+    let payment;
+    try {
+      if (discount) {
+        const reservation = await this.couponService.reserve(discount.coupon, order, discount.discountAmount);
+        if (!reservation.success) {
+          await this.orderService.cancel(order, { actor, reason: reservation.message });
+          return { success: false, status: 400, message: reservation.message };
+        }
+      }
+
+      // 2️⃣ Initiate payment (falls back to the backup provider if configured)
+      ({ provider: usedProvider, result: payment } = await this.paymentProviders.initiatePayment(provider, {
+        amount: totalAmount,
+        customerName,
+        customerEmail,
+        customerPhone,
+        merchantOrderId,
+      }));
+    } catch (error) {
+      // Fail the order so its coupon reservation is released rather than held forever
+      await this.orderService.applyPaymentStatus(order, "failed", {
+        failureReason: error.message,
+      }, { actor, reason: "Checkout failed" });
+      throw error;
+    }
+
+    if (!payment?.success) {
+      await this.orderService.applyPaymentStatus(order, "failed", {
+        gateway: usedProvider.name,
+        failureReason: payment?.error,
+      }, { reason: "Payment initiation failed" });
+      return { success: false, status: 502, message: "Payment initiation failed" };
+    }
+
+    // A fast webhook may already have moved the order on; that is left alone
+    await this.orderService.markPending(order, {
+      gateway: usedProvider.name,
+      providerOrderId: payment.providerOrderId,
+      paymentUrl: payment.paymentUrl,
+    }, { actor, reason: `Checkout started with ${usedProvider.name}` });
+
+    return {
+      success: true,
+      order,
+      paymentUrl: payment.paymentUrl,
+      paymentProvider: usedProvider.name,
+      subtotalAmount,
+      discountAmount: discount?.discountAmount ?? 0,
+      totalAmount,
+    };
+  }
+}
+
+export default CheckoutService;
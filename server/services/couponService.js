@@ -0,0 +1,270 @@
+import { toPaise, toRupees } from "./pricingService.js";
+
+const COUPON_TYPES = ["percentage", "fixed"];
+// Payment gateways will not take payments below ₹1
+const MIN_PAYABLE_PAISE = 100;
+
+// ilike treats % and _ as wildcards; emails may legitimately contain `_`
+const escapeLike = (value) => value.replace(/[\\%_]/g, (c) => `\\${c}`);
+
+const COUPON_FIELDS = [
+  "code",
+  "type",
+  "value",
+  "max_redemptions",
+  "max_per_customer",
+  "starts_at",
+  "ends_at",
+  "min_order_amount",
+  "product_ids",
+  "active",
+];
+
+class CouponService {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  normalizeCode(code) {
+    return String(code || "").trim().toUpperCase();
+  }
+
+  async findByCode(code) {
+    const { data, error } = await this.supabase
+      .from("coupons")
+      .select("*")
+      .eq("code", this.normalizeCode(code))
+      .single();
+    if (error?.code === "PGRST116") return null;
+    if (error) throw error;
+    return data;
+  }
+
+  /** Redemptions that count towards limits: reserved by a pending order or redeemed */
+  async countRedemptions(couponId, customerEmail) {
+    let query = this.supabase
+      .from("coupon_redemptions")
+      .select("id", { count: "exact", head: true })
+      .eq("coupon_id", couponId)
+      .neq("status", "released");
+    if (customerEmail) query = query.ilike("customer_email", escapeLike(customerEmail.trim()));
+
+    const { count, error } = await query;
+    if (error) throw error;
+    return count || 0;
+  }
+
+  /**
+   * Check `code` against a server-priced cart (from PricingService) and work
+   * out the discount. Percentage and fixed discounts only apply to the
+   * coupon's products when it is restricted to some.
+   *
+   * Returns `{ success: true, coupon, discountAmount, totalAmount }` or
+   * `{ success: false, message }`.
+   */
+  async applyCoupon(code, { items, totalAmount, customerEmail }) {
+    const coupon = await this.findByCode(code);
+    const now = Date.now();
+
+    if (!coupon || !coupon.active) {
+      return { success: false, message: "Invalid coupon code" };
+    }
+    if (coupon.starts_at && now < new Date(coupon.starts_at).getTime()) {
+      return { success: false, message: "This coupon is not active yet" };
+    }
+    if (coupon.ends_at && now > new Date(coupon.ends_at).getTime()) {
+      return { success: false, message: "This coupon has expired" };
+    }
+
+    const subtotalPaise = toPaise(totalAmount);
+    if (coupon.min_order_amount && subtotalPaise < toPaise(coupon.min_order_amount)) {
+      return {
+        success: false,
+        message: `This coupon needs a minimum order of ₹${Number(coupon.min_order_amount)}`,
+      };
+    }
+
+    const restrictedTo = coupon.product_ids?.length ? coupon.product_ids.map(String) : null;
+    const eligiblePaise = items
+      .filter((it) => !restrictedTo || restrictedTo.includes(String(it.id)))
+      .reduce((sum, it) => sum + toPaise(it.line_total), 0);
+    if (!eligiblePaise) {
+      return { success: false, message: "This coupon does not apply to the items in your cart" };
+    }
+
+    if (coupon.max_redemptions && (await this.countRedemptions(coupon.id)) >= coupon.max_redemptions) {
+      return { success: false, message: "This coupon has been fully redeemed" };
+    }
+    // Previews may come before the buyer has typed an email; checkout always has one
+    if (
+      coupon.max_per_customer &&
+      customerEmail &&
+      (await this.countRedemptions(coupon.id, customerEmail)) >= coupon.max_per_customer
+    ) {
+      return { success: false, message: "You have already used this coupon" };
+    }
+
+    let discountPaise = coupon.type === "percentage"
+      ? Math.round((eligiblePaise * Number(coupon.value)) / 100)
+      : Math.min(toPaise(coupon.value), eligiblePaise);
+    discountPaise = Math.min(discountPaise, subtotalPaise - MIN_PAYABLE_PAISE);
+    if (discountPaise <= 0) {
+      return { success: false, message: "This coupon cannot be applied to this order" };
+    }
+
+    return {
+      success: true,
+      coupon,
+      discountAmount: toRupees(discountPaise),
+      totalAmount: toRupees(subtotalPaise - discountPaise),
+    };
+  }
+
+  /**
+   * Hold a redemption for a freshly created order. The limits `applyCoupon`
+   * checked are enforced again by the `coupon_redemptions_check_limits`
+   * trigger, which is what stops concurrent checkouts overselling a coupon.
+   * Returns `{ success: true }` or `{ success: false, message }`.
+   */
+  async reserve(coupon, order, discountAmount) {
+    const { error } = await this.supabase
+      .from("coupon_redemptions")
+      .insert([{
+        coupon_id: coupon.id,
+        order_id: order.id,
+        customer_email: order.customer_email,
+        discount_amount: discountAmount,
+        status: "reserved",
+        created_at: new Date(),
+        updated_at: new Date(),
+      }]);
+    if (error?.code === "23514") {
+      return {
+        success: false,
+        message: error.hint === "max_per_customer"
+          ? "You have already used this coupon"
+          : "This coupon has been fully redeemed",
+      };
+    }
+    if (error) throw error;
+    return { success: true };
+  }
+
+  /**
+   * Follow the order's state: a paid order redeems its coupon, a failed,
+   * expired or cancelled one gives it back.
+   */
+  async settle(orderId, orderState) {
+    const status = orderState === "paid"
+      ? "redeemed"
+      : ["failed", "expired", "cancelled"].includes(orderState) ? "released" : null;
+    if (!status) return;
+
+    const { error } = await this.supabase
+      .from("coupon_redemptions")
+      .update({ status, updated_at: new Date() })
+      .eq("order_id", orderId)
+      .neq("status", status);
+    if (error) throw error;
+  }
+
+  /**
+   * Check an admin create/update payload. For updates pass the `existing`
+   * coupon; missing fields are then left as they are, and the checks run
+   * against the coupon as it will be once updated.
+   * Returns `{ success: true, values }` or `{ success: false, message }`.
+   */
+  validateInput(body, existing = null) {
+    const values = {};
+    for (const field of COUPON_FIELDS) {
+      if (body[field] !== undefined) values[field] = body[field];
+    }
+    if (values.code !== undefined || !existing) values.code = this.normalizeCode(values.code);
+    if (values.value !== undefined) values.value = Number(values.value);
+    const coupon = { ...existing, ...values };
+
+    if (!/^[A-Z0-9_-]{3,32}$/.test(coupon.code)) {
+      return { success: false, message: "code must be 3-32 letters, digits, - or _" };
+    }
+    if (!COUPON_TYPES.includes(coupon.type)) {
+      return { success: false, message: `type must be one of ${COUPON_TYPES.join(", ")}` };
+    }
+    const value = Number(coupon.value);
+    if (!(value > 0) || (coupon.type === "percentage" && value > 100)) {
+      return { success: false, message: "value must be positive (and at most 100 for percentages)" };
+    }
+    for (const field of ["max_redemptions", "max_per_customer"]) {
+      if (coupon[field] != null && !(Number.isInteger(coupon[field]) && coupon[field] > 0)) {
+        return { success: false, message: `${field} must be a positive whole number` };
+      }
+    }
+    if (coupon.min_order_amount != null && !(Number(coupon.min_order_amount) >= 0)) {
+      return { success: false, message: "min_order_amount must not be negative" };
+    }
+    if (coupon.product_ids != null && !Array.isArray(coupon.product_ids)) {
+      return { success: false, message: "product_ids must be an array" };
+    }
+    if (
+      coupon.starts_at && coupon.ends_at &&
+      new Date(coupon.starts_at) >= new Date(coupon.ends_at)
+    ) {
+      return { success: false, message: "ends_at must be after starts_at" };
+    }
+
+    return { success: true, values };
+  }
+
+  async list() {
+    const { data, error } = await this.supabase
+      .from("coupons")
+      .select("*")
+      .order("created_at", { ascending: false });
+    if (error) throw error;
+    return data;
+  }
+
+  /** Returns `{ success: true, coupon }` or `{ success: false, status, message }` */
+  async create(values) {
+    const { data, error } = await this.supabase
+      .from("coupons")
+      .insert([{ active: true, ...values, created_at: new Date(), updated_at: new Date() }])
+      .select()
+      .single();
+    if (error?.code === "23505") {
+      return { success: false, status: 409, message: "Coupon code already exists" };
+    }
+    if (error) throw error;
+    return { success: true, coupon: data };
+  }
+
+  async findById(id) {
+    const { data, error } = await this.supabase
+      .from("coupons")
+      .select("*")
+      .eq("id", id)
+      .single();
+    if (error?.code === "PGRST116") return null;
+    if (error) throw error;
+    return data;
+  }
+
+  /** Returns `{ success: true, coupon }` or `{ success: false, status, message }` */
+  async update(id, values) {
+    const { data, error } = await this.supabase
+      .from("coupons")
+      .update({ ...values, updated_at: new Date() })
+      .eq("id", id)
+      .select()
+      .single();
+    if (error?.code === "PGRST116") {
+      return { success: false, status: 404, message: "Coupon not found" };
+    }
+    if (error?.code === "23505") {
+      return { success: false, status: 409, message: "Coupon code already exists" };
+    }
+    if (error) throw error;
+    return { success: true, coupon: data };
+  }
+}
+
+export default CouponService;
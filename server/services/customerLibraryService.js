@@ -0,0 +1,105 @@
+import crypto from "crypto";
+import { expandOrderItems } from "./bundleService.js";
+import { ENTITLED_PAYMENT_STATUSES } from "./downloadService.js";
+
+const MAGIC_LINK_TTL_MINUTES = 15;
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// ilike treats % and _ as wildcards; emails may legitimately contain `_`
+const escapeLike = (value) => value.replace(/[\\%_]/g, (c) => `\\${c}`);
+
+class CustomerLibraryService {
+  constructor(supabase, emailService, emailOutbox, { frontendUrl }) {
+    this.supabase = supabase;
+    this.emailService = emailService;
+    this.emailOutbox = emailOutbox;
+    this.frontendUrl = frontendUrl;
+  }
+
+  normalizeEmail(email) {
+    return String(email || "").trim().toLowerCase();
+  }
+
+  async findCompletedOrders(email) {
+    const { data, error } = await this.supabase
+      .from("orders")
+      .select("id, merchant_order_id, customer_name, customer_email, items, total_amount, payment, created_at")
+      .ilike("customer_email", escapeLike(email))
+      .in("payment->>status", ENTITLED_PAYMENT_STATUSES)
+      .order("created_at", { ascending: false });
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Email a one-time sign-in link to `email` if it has any paid orders.
+   * Callers should respond the same way, after the same delay, so neither
+   * the answer nor its timing shows who has bought from us. The token is
+   * kept out of the outbox, like it is kept out of `customer_magic_links`.
+   */
+  async requestMagicLink(rawEmail) {
+    const email = this.normalizeEmail(rawEmail);
+    const orders = await this.findCompletedOrders(email);
+    if (!orders.length) return { sent: false };
+
+    const token = crypto.randomBytes(32).toString("base64url");
+    const { error } = await this.supabase
+      .from("customer_magic_links")
+      .insert([{
+        email,
+        token_hash: hashToken(token),
+        expires_at: new Date(Date.now() + MAGIC_LINK_TTL_MINUTES * 60 * 1000),
+        created_at: new Date(),
+      }]);
+    if (error) throw error;
+
+    const link = `${this.frontendUrl}/library?token=${token}`;
+    const message = this.emailService.buildMagicLinkEmail(
+      email,
+      orders[0].customer_name,
+      link,
+      MAGIC_LINK_TTL_MINUTES
+    );
+    await this.emailOutbox.send({ kind: "magic_link", ...message }, { secrets: [token] });
+    return { sent: true };
+  }
+
+  /**
+   * Exchange a magic link token for the email it was issued to.
+   * Tokens work once and only until they expire.
+   */
+  async consumeMagicLink(token) {
+    if (!token) return null;
+
+    const { data, error } = await this.supabase
+      .from("customer_magic_links")
+      .update({ used_at: new Date() })
+      .eq("token_hash", hashToken(token))
+      .is("used_at", null)
+      .gt("expires_at", new Date().toISOString())
+      .select("email")
+      .maybeSingle();
+    if (error) throw error;
+    return data?.email || null;
+  }
+
+  /** Every paid order for `email`, with the products each one unlocks */
+  async getLibrary(email) {
+    const orders = await this.findCompletedOrders(this.normalizeEmail(email));
+    return orders.map((order) => ({
+      orderId: order.merchant_order_id,
+      purchasedAt: order.created_at,
+      totalAmount: Number(order.total_amount),
+      products: expandOrderItems(order.items),
+    }));
+  }
+
+  /** Whether `merchantOrderId` is a paid order belonging to `email` */
+  async ownsOrder(email, merchantOrderId) {
+    const orders = await this.findCompletedOrders(this.normalizeEmail(email));
+    return orders.some((order) => order.merchant_order_id === merchantOrderId);
+  }
+}
+
+export default CustomerLibraryService;
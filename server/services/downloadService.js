@@ -0,0 +1,237 @@
+import { expandOrderItems } from "./bundleService.js";
+import logger from "../lib/logger.js";
+
+const SIGNED_URL_TTL_SECONDS = 60;
+// A partial refund leaves the buyer's access alone
+const ENTITLED_PAYMENT_STATUSES = ["completed", "partially_refunded"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class DownloadService {
+  constructor(supabase, storage = supabase.storage, watermarks = null, { backendUrl = "" } = {}) {
+    this.supabase = supabase;
+    this.storage = storage;
+    this.watermarks = watermarks;
+    this.backendUrl = backendUrl;
+  }
+
+  /**
+   * Check that `merchantOrderId` is a paid order containing `productId`,
+   * that the product's download limit and access window still allow it,
+   * and hand back a short-lived signed storage URL for the file.
+   * `context` (`{ ip, userAgent, source }`) goes into the download log.
+   *
+   * Returns `{ success: true, signedUrl, expiresIn, remainingDownloads, accessExpiresAt }`
+   * or `{ success: false, status, message }`.
+   */
+  async createSignedDownload(merchantOrderId, productId, context = {}) {
+    // 1️⃣ Fetch order by merchant order id
+    const { data: order, error: orderErr } = await this.supabase
+      .from("orders")
+      .select("id, merchant_order_id, customer_name, customer_email, payment, items, created_at")
+      .eq("merchant_order_id", merchantOrderId)
+      .single();
+    if (orderErr || !order) {
+      return { success: false, status: 404, message: "Order not found" };
+    }
+
+    // 2️⃣ Ensure payment completed (fully refunded orders lose access here)
+    if (
+      !order.payment ||
+      !ENTITLED_PAYMENT_STATUSES.includes(String(order.payment.status).toLowerCase())
+    ) {
+      return { success: false, status: 403, message: "Payment not completed" };
+    }
+
+    // 3️⃣ Verify product belongs to this order (directly or through a bundle)
+    const included = expandOrderItems(order.items).some(
+      (it) => String(it.id) === String(productId)
+    );
+    if (!included) {
+      return { success: false, status: 403, message: "Product not part of this order" };
+    }
+
+    // 4️⃣ Fetch product storage info
+    const { data: product, error: prodErr } = await this.supabase
+      .from("products")
+      .select("id, storage_path, file_name, file_content_type, watermark, max_downloads, access_days")
+      .eq("id", productId)
+      .single();
+    if (prodErr || !product) {
+      return { success: false, status: 404, message: "Product not found" };
+    }
+    if (!product.file_name) {
+      return { success: false, status: 400, message: "file_name missing" };
+    }
+
+    // 5️⃣ Enforce the product's entitlement rules for this order
+    const entitlement = await this.checkEntitlement(order, product);
+    if (!entitlement.allowed) {
+      return { success: false, status: 403, message: entitlement.message };
+    }
+
+    const file = await this.resolveFile(order, product);
+    if (!file) {
+      return {
+        success: false,
+        status: 503,
+        message: "Your copy is still being prepared, please try again in a minute",
+      };
+    }
+    const { bucket, path } = file;
+    const expiresIn = SIGNED_URL_TTL_SECONDS;
+
+    // 6️⃣ Log the download first: the `download_logs_check_limit` trigger
+    // re-checks the limit under a lock, so concurrent requests can't overrun it
+    const logged = await this.logDownload(order, product, context);
+    if (!logged.success) {
+      return { success: false, status: 403, message: logged.message };
+    }
+
+    // 7️⃣ Create signed URL (IMPORTANT: filename only)
+    const { data: signedData, error: urlErr } = await this.storage
+      .from(bucket)
+      .createSignedUrl(path, expiresIn);
+    if (urlErr || !signedData?.signedUrl) {
+      logger.error("Signed URL creation failed", { productId: product.id, err: urlErr });
+      // Nothing was handed out, so the download shouldn't count
+      await this.uncountDownload(logged.id);
+      return { success: false, status: 500, message: "Could not create signed URL" };
+    }
+
+    return {
+      success: true,
+      signedUrl: signedData.signedUrl,
+      expiresIn,
+      remainingDownloads:
+        entitlement.remaining === null ? null : entitlement.remaining - 1,
+      accessExpiresAt: entitlement.accessExpiresAt,
+    };
+  }
+
+  /**
+   * The object to hand out: the buyer's watermarked copy for PDFs, the
+   * product file itself otherwise. Null if stamping fails: an unmarked copy
+   * could not be traced if it leaked, so the buyer retries instead.
+   */
+  async resolveFile(order, product) {
+    const original = { bucket: product.storage_path || "products", path: product.file_name };
+    if (!this.watermarks?.appliesTo(product)) return original;
+
+    try {
+      return await this.watermarks.getStampedCopy(order, product);
+    } catch (error) {
+      logger.error("Watermarking failed", { productId: product.id, orderId: order.id, err: error });
+      return null;
+    }
+  }
+
+  /**
+   * Apply `products.access_days` (counted from payment) and
+   * `products.max_downloads` (per order). Null means no limit. The count
+   * here is for the friendly message; `logDownload` is what enforces it.
+   */
+  async checkEntitlement(order, product) {
+    const paidAt = new Date(order.payment?.paidAt || order.created_at);
+    const accessExpiresAt = product.access_days
+      ? new Date(paidAt.getTime() + product.access_days * DAY_MS).toISOString()
+      : null;
+
+    if (accessExpiresAt && Date.now() > new Date(accessExpiresAt).getTime()) {
+      return { allowed: false, message: "Download access has expired" };
+    }
+
+    if (!product.max_downloads) {
+      return { allowed: true, remaining: null, accessExpiresAt };
+    }
+
+    const used = await this.countDownloads(order.id, product.id);
+    if (used >= product.max_downloads) {
+      return { allowed: false, message: "Download limit reached for this order" };
+    }
+    return { allowed: true, remaining: product.max_downloads - used, accessExpiresAt };
+  }
+
+  async countDownloads(orderId, productId) {
+    const { count, error } = await this.supabase
+      .from("download_logs")
+      .select("id", { count: "exact", head: true })
+      .eq("order_id", orderId)
+      .eq("product_id", productId)
+      .eq("counted", true);
+    if (error) throw error;
+    return count || 0;
+  }
+
+  /**
+   * Record a download against the order. Returns `{ success: true, id }`, or
+   * `{ success: false, message }` when the trigger finds the limit reached.
+   */
+  async logDownload(order, product, { ip, userAgent, source } = {}) {
+    const { data, error } = await this.supabase
+      .from("download_logs")
+      .insert([{
+        order_id: order.id,
+        product_id: product.id,
+        ip: ip || null,
+        user_agent: userAgent || null,
+        source: source || null,
+        counted: true,
+        created_at: new Date(),
+      }])
+      .select("id")
+      .single();
+    // Another download of this product from the same order took the last one
+    if (error?.code === "23514") {
+      return { success: false, message: "Download limit reached for this order" };
+    }
+    if (error) throw error;
+    return { success: true, id: data.id };
+  }
+
+  async uncountDownload(id) {
+    const { error } = await this.supabase
+      .from("download_logs")
+      .update({ counted: false })
+      .eq("id", id);
+    if (error) logger.error("Could not uncount download", { downloadLogId: id, err: error });
+  }
+
+  async listDownloads({ orderId, productId, limit = 100 } = {}) {
+    let query = this.supabase
+      .from("download_logs")
+      .select("*")
+      .order("created_at", { ascending: false })
+      .limit(limit);
+    if (orderId) query = query.eq("order_id", orderId);
+    if (productId) query = query.eq("product_id", productId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Give a buyer their downloads back. Log rows are kept, they just stop
+   * counting towards the limit.
+   */
+  async resetDownloads(orderId, productId) {
+    let query = this.supabase
+      .from("download_logs")
+      .update({ counted: false, reset_at: new Date() })
+      .eq("order_id", orderId)
+      .eq("counted", true);
+    if (productId) query = query.eq("product_id", productId);
+
+    const { data, error } = await query.select("id");
+    if (error) throw error;
+    return data.length;
+  }
+
+  /** Link for emails: opens the redirecting download route for one product */
+  buildDownloadLink(merchantOrderId, productId) {
+    return `${this.backendUrl}/api/download/${encodeURIComponent(productId)}?orderId=${encodeURIComponent(merchantOrderId)}`;
+  }
+}
+
+export { ENTITLED_PAYMENT_STATUSES };
+export default DownloadService;
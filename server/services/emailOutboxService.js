@@ -0,0 +1,219 @@
+import logger from "../lib/logger.js";
+
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+const REDACTED = "[redacted]";
+
+class EmailOutbox {
+  constructor(supabase, emailService, options = {}) {
+    this.supabase = supabase;
+    this.emailService = emailService;
+    this.maxAttempts = options.maxAttempts ?? 6;
+    // Retry after 1, 2, 4, 8... minutes, capped at 6 hours
+    this.baseDelayMs = options.baseDelayMs ?? 60 * 1000;
+    this.maxDelayMs = options.maxDelayMs ?? 6 * 60 * 60 * 1000;
+    this.batchSize = options.batchSize ?? 20;
+  }
+
+  retryDelay(attempts) {
+    return Math.min(this.baseDelayMs * 2 ** (attempts - 1), this.maxDelayMs);
+  }
+
+  /**
+   * Queue a rendered message (`{ to, subject, html, attachments }`).
+   * `kind` and `orderId` are only for lookups and the admin view. A
+   * `redacted` message had secrets masked out of its `html`, so the stored
+   * copy can never be sent: it gets a single attempt (see `send`).
+   */
+  async enqueue({ kind, orderId = null, to, subject, html, attachments = [], resendOf = null, redacted = false }) {
+    const { data, error } = await this.supabase
+      .from("email_outbox")
+      .insert([{
+        kind,
+        order_id: orderId,
+        to_email: to,
+        subject,
+        html,
+        attachments,
+        status: "queued",
+        attempts: 0,
+        max_attempts: redacted ? 1 : this.maxAttempts,
+        next_attempt_at: new Date(),
+        resend_of: resendOf,
+        redacted,
+        created_at: new Date(),
+        updated_at: new Date(),
+      }])
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  /** Take ownership of a row so two workers never send the same email */
+  async claim(email) {
+    const { data, error } = await this.supabase
+      .from("email_outbox")
+      .update({ status: "sending", locked_at: new Date(), updated_at: new Date() })
+      .eq("id", email.id)
+      .eq("status", email.status)
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  async update(id, fields) {
+    const { data, error } = await this.supabase
+      .from("email_outbox")
+      .update({ ...fields, updated_at: new Date() })
+      .eq("id", id)
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Try to send one outbox row. Failures are written back with the next
+   * retry time; after `max_attempts` the row is left as `failed`.
+   * `html` is the unredacted body of a redacted row, which only `send` has.
+   */
+  async deliver(email, html = null) {
+    const claimed = await this.claim(email);
+    if (!claimed) return email;
+
+    const attempts = claimed.attempts + 1;
+    if (claimed.redacted && !html) {
+      // Left in `sending` by a process that died; the real body went with it
+      return this.update(claimed.id, {
+        status: "failed",
+        attempts,
+        last_error: "Contains a one-time link that was not stored",
+        next_attempt_at: null,
+        locked_at: null,
+      });
+    }
+    try {
+      const result = await this.emailService.sendMail({
+        to: claimed.to_email,
+        subject: claimed.subject,
+        html: html ?? claimed.html,
+        attachments: claimed.attachments || [],
+      });
+      logger.info("Email sent", { emailId: claimed.id, kind: claimed.kind, messageId: result.messageId });
+
+      return this.update(claimed.id, {
+        status: "sent",
+        attempts,
+        provider_message_id: result.messageId,
+        last_error: null,
+        sent_at: new Date(),
+        locked_at: null,
+      });
+    } catch (error) {
+      const exhausted = attempts >= claimed.max_attempts;
+      logger.warn("Email delivery failed", { emailId: claimed.id, kind: claimed.kind, attempts, err: error });
+
+      return this.update(claimed.id, {
+        status: exhausted ? "failed" : "queued",
+        attempts,
+        last_error: error.message,
+        next_attempt_at: exhausted ? null : new Date(Date.now() + this.retryDelay(attempts)),
+        locked_at: null,
+      });
+    }
+  }
+
+  /**
+   * Queue a message and make a first delivery attempt straight away.
+   * `secrets` (one-time tokens in the message's links) are masked in the
+   * stored copy and only ever held in memory, so such a message gets this
+   * one attempt; the caller issues a new token if it fails.
+   */
+  async send(message, { secrets = [] } = {}) {
+    if (!secrets.length) {
+      return this.deliver(await this.enqueue(message));
+    }
+
+    const html = secrets.reduce((masked, secret) => masked.split(secret).join(REDACTED), message.html);
+    const email = await this.enqueue({ ...message, html, redacted: true });
+    return this.deliver(email, message.html);
+  }
+
+  /**
+   * Worker pass: send everything that is due, plus rows stuck in `sending`
+   * by a process that died mid-send.
+   */
+  async processDue() {
+    const now = new Date();
+    const staleLock = new Date(now.getTime() - LOCK_TIMEOUT_MS);
+    const { data, error } = await this.supabase
+      .from("email_outbox")
+      .select("*")
+      .or(
+        `and(status.eq.queued,next_attempt_at.lte.${now.toISOString()}),` +
+        `and(status.eq.sending,locked_at.lt.${staleLock.toISOString()})`
+      )
+      .order("next_attempt_at", { ascending: true })
+      .limit(this.batchSize);
+    if (error) throw error;
+
+    const results = [];
+    for (const email of data) {
+      results.push(await this.deliver(email));
+    }
+
+    const count = (status) => results.filter((r) => r.status === status).length;
+    return { processed: results.length, sent: count("sent"), retrying: count("queued"), failed: count("failed") };
+  }
+
+  /**
+   * Send a copy of an earlier email, whatever happened to the original.
+   * Returns `{ success: true, email }` or `{ success: false, status, message }`.
+   */
+  async resend(id) {
+    const { data: original, error } = await this.supabase
+      .from("email_outbox")
+      .select("*")
+      .eq("id", id)
+      .single();
+    if (error?.code === "PGRST116") {
+      return { success: false, status: 404, message: "Email not found" };
+    }
+    if (error) throw error;
+    if (original.redacted) {
+      return {
+        success: false,
+        status: 409,
+        message: "This email held a one-time link that was not stored; the customer needs a new one",
+      };
+    }
+
+    const email = await this.send({
+      kind: original.kind,
+      orderId: original.order_id,
+      to: original.to_email,
+      subject: original.subject,
+      html: original.html,
+      attachments: original.attachments,
+      resendOf: original.id,
+    });
+    return { success: true, email };
+  }
+
+  async list({ status, orderId, limit = 50 } = {}) {
+    let query = this.supabase
+      .from("email_outbox")
+      .select("id, kind, order_id, to_email, subject, status, attempts, max_attempts, next_attempt_at, last_error, provider_message_id, resend_of, redacted, created_at, sent_at")
+      .order("created_at", { ascending: false })
+      .limit(limit);
+    if (status) query = query.eq("status", status);
+    if (orderId) query = query.eq("order_id", orderId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+}
+
+export default EmailOutbox;
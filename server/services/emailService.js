@@ -1,35 +1,171 @@
 import nodemailer from 'nodemailer';
-import dotenv from 'dotenv';
+import logger from '../lib/logger.js';
 
-dotenv.config();
+const log = logger.child({ component: 'email' });
 
-class EmailService {
-  constructor() {
-    this.transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASS
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escape a value for HTML text or a quoted attribute. Names, product titles
+ * and links all come from order data a buyer controls, so every value goes
+ * into a template through this.
+ */
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (c) => HTML_ESCAPES[c]);
+
+/**
+ * Nodemailer transport for `config.mail`: SMTP when `mail.smtp` is set
+ * (a local stand-in like MailHog in development), otherwise Gmail.
+ */
+export function createMailTransport(mail) {
+  return nodemailer.createTransport(
+    mail.smtp
+      ? {
+        host: mail.smtp.host,
+        port: mail.smtp.port,
+        secure: mail.smtp.secure,
+        auth: mail.smtp.user
+          ? { user: mail.smtp.user, pass: mail.smtp.pass }
+          : undefined
+      }
+      : {
+        service: 'gmail',
+        auth: {
+          user: mail.gmail.user,
+          pass: mail.gmail.pass
+        }
       }
+  );
+}
+
+class EmailService {
+  /**
+   * @param {object} transporter  Nodemailer-compatible transport (`sendMail`)
+   * @param {object} mail         `config.mail` (sender address, logo)
+   */
+  constructor(transporter, mail) {
+    this.transporter = transporter;
+    this.from = mail.from;
+    this.logoUrl = mail.logoUrl;
+  }
+
+  /**
+   * Send a prepared message (`{ to, subject, html, attachments }`)
+   */
+  async sendMail(message) {
+    const result = await this.transporter.sendMail({
+      from: {
+        name: 'Bundle Buy Bliss',
+        address: this.from
+      },
+      ...message
     });
 
-    // Product download links mapping
-    this.productLinks = {
-      'COURSE001': 'https://drive.google.com/file/d/1ABC123_ReactCourse/view?usp=sharing',
-      'COURSE002': 'https://drive.google.com/file/d/1DEF456_NodeJSCourse/view?usp=sharing',
-      'BUNDLE001': 'https://drive.google.com/file/d/1GHI789_WebDevBundle/view?usp=sharing',
-      'TEMPLATE001': 'https://drive.google.com/file/d/1JKL012_ReactTemplates/view?usp=sharing',
-      'EBOOK001': 'https://drive.google.com/file/d/1MNO345_JSGuide/view?usp=sharing',
-      // Add more product links as needed
+    return {
+      success: true,
+      messageId: result.messageId
     };
+  }
 
-    // Product images mapping (you can host these on your server or use CDN)
-    this.productImages = {
-      'COURSE001': 'https://your-domain.com/images/react-course.jpg',
-      'COURSE002': 'https://your-domain.com/images/nodejs-course.jpg',
-      'BUNDLE001': 'https://your-domain.com/images/webdev-bundle.jpg',
-      'TEMPLATE001': 'https://your-domain.com/images/react-templates.jpg',
-      'EBOOK001': 'https://your-domain.com/images/js-guide.jpg',
+  /**
+   * Render the order confirmation email without sending it
+   */
+  buildOrderConfirmationEmail(customerEmail, customerName, orderId, totalAmount, orderItems) {
+    const subject = `🎉 Your Digital Products Are Ready! - Order #${orderId}`;
+
+    // Generate product list with images and download links
+    const productListHTML = this.generateProductListHTML(orderItems);
+
+    const emailHTML = this.generateEmailTemplate({
+      customerName,
+      orderId,
+      totalAmount,
+      productListHTML,
+      orderItems,
+      customerEmail
+    });
+
+    return {
+      to: customerEmail,
+      subject: subject,
+      html: emailHTML,
+      // Company logo is embedded only when one is configured
+      attachments: this.logoUrl
+        ? [{ filename: 'logo.png', path: this.logoUrl, cid: 'company-logo' }]
+        : []
+    };
+  }
+
+  /**
+   * Render the "sign in to My Library" magic link email
+   */
+  buildMagicLinkEmail(customerEmail, customerName, link, expiresInMinutes) {
+    return {
+      to: customerEmail,
+      subject: '🔑 Your Bundle Buy Bliss library link',
+      html: `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Your Library Link - Bundle Buy Bliss</title>
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
+      <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1); text-align: center;">
+        <h1 style="color: #007c07; margin: 0 0 15px 0; font-size: 24px;">Hi ${escapeHtml(customerName || 'there')} 👋</h1>
+        <p style="margin: 0 0 25px 0; color: #666;">Tap the button below to open your library and download everything you've bought.</p>
+        <a href="${escapeHtml(link)}"
+           style="display: inline-block; background: #007c07; color: white; padding: 12px 25px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+          📚 Open My Library
+        </a>
+        <p style="margin: 25px 0 0 0; color: #999; font-size: 13px;">This link works once and expires in ${escapeHtml(expiresInMinutes)} minutes. If you didn't ask for it, you can ignore this email.</p>
+      </div>
+    </body>
+    </html>
+    `
+    };
+  }
+
+  /**
+   * Render the abandoned checkout reminder. `incentive` is an optional
+   * `{ code, label }` coupon offer.
+   */
+  buildCheckoutRecoveryEmail(customerEmail, customerName, orderItems, totalAmount, payLink, unsubscribeLink, incentive = null) {
+    const itemsHTML = orderItems
+      .map(item => `<li style="margin: 0 0 6px 0;">${escapeHtml(item.name)}${item.quantity > 1 ? ` × ${escapeHtml(item.quantity)}` : ''}</li>`)
+      .join('');
+
+    return {
+      to: customerEmail,
+      subject: incentive
+        ? `🛒 Your cart is waiting, with ${incentive.label} off`
+        : '🛒 You left something in your cart',
+      html: `
+    <!DOCTYPE html>
+    <html lang="en">
+    <head>
+      <meta charset="UTF-8">
+      <meta name="viewport" content="width=device-width, initial-scale=1.0">
+      <title>Complete your order - Bundle Buy Bliss</title>
+    </head>
+    <body style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; line-height: 1.6; color: #333; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f4f4f4;">
+      <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+        <h1 style="color: #007c07; margin: 0 0 15px 0; font-size: 24px; text-align: center;">Hi ${escapeHtml(customerName || 'there')} 👋</h1>
+        <p style="margin: 0 0 15px 0; color: #666;">Your checkout didn't go through. Everything is still here for you:</p>
+        <ul style="margin: 0 0 15px 0; padding-left: 20px;">${itemsHTML}</ul>
+        <p style="margin: 0 0 20px 0; font-weight: bold;">Total: ₹${escapeHtml(totalAmount)}</p>
+        ${incentive ? `<p style="margin: 0 0 20px 0; padding: 12px; background: #e8f5e8; border-radius: 6px; color: #007c07;">🎁 Complete your order now and <strong>${escapeHtml(incentive.label)} off</strong> is applied automatically (code <strong>${escapeHtml(incentive.code)}</strong>).</p>` : ''}
+        <div style="text-align: center;">
+          <a href="${escapeHtml(payLink)}"
+             style="display: inline-block; background: #007c07; color: white; padding: 12px 25px; text-decoration: none; border-radius: 6px; font-weight: bold;">
+            💳 Complete My Order
+          </a>
+        </div>
+        <p style="margin: 25px 0 0 0; color: #999; font-size: 12px; text-align: center;">Don't want these reminders? <a href="${escapeHtml(unsubscribeLink)}" style="color: #999;">Unsubscribe</a></p>
+      </div>
+    </body>
+    </html>
+    `
     };
   }
 
@@ -38,75 +174,50 @@ class EmailService {
    */
   async sendOrderConfirmationEmail(customerEmail, customerName, orderId, totalAmount, orderItems) {
     try {
-      console.log('📧 Preparing order confirmation email...');
-      
-      const subject = `🎉 Your Digital Products Are Ready! - Order #${orderId}`;
-      
-      // Generate product list with images and download links
-      const productListHTML = this.generateProductListHTML(orderItems);
-      
-      const emailHTML = this.generateEmailTemplate({
-        customerName,
-        orderId,
-        totalAmount,
-        productListHTML,
-        orderItems
-      });
-
-      const mailOptions = {
-        from: {
-          name: 'Bundle Buy Bliss',
-          address: process.env.EMAIL_USER
-        },
-        to: customerEmail,
-        subject: subject,
-        html: emailHTML,
-        // Add company logo as attachment
-        attachments: [
-          {
-            filename: 'logo.png',
-            path: 'https://your-domain.com/images/logo.png', // Replace with your logo URL
-            cid: 'company-logo'
-          }
-        ]
-      };
-
-      const result = await this.transporter.sendMail(mailOptions);
-      console.log('✅ Order confirmation email sent successfully:', result.messageId);
-      
-      return {
-        success: true,
-        messageId: result.messageId
-      };
+      const message = this.buildOrderConfirmationEmail(
+        customerEmail, customerName, orderId, totalAmount, orderItems
+      );
+      const result = await this.sendMail(message);
+      log.info('Order confirmation email sent', { orderId, messageId: result.messageId });
 
+      return result;
     } catch (error) {
-      console.error('❌ Email sending failed:', error);
+      log.error('Order confirmation email failed', { orderId, err: error });
       throw new Error(`Failed to send confirmation email: ${error.message}`);
     }
   }
 
   /**
-   * Generate HTML for product list with images and download links
+   * Generate HTML for product list with images and download links.
+   * Each item carries its own `downloadUrl` and `imageUrl`.
    */
   generateProductListHTML(orderItems) {
     return orderItems.map(item => {
-      const downloadLink = this.productLinks[item.productId] || '#';
-      const productImage = this.productImages[item.productId] || 'https://via.placeholder.com/300x200?text=Product+Image';
+      const downloadLink = item.downloadUrl || '#';
+      const productImage = item.imageUrl || 'https://via.placeholder.com/300x200?text=Product+Image';
+      // Bundles list a download per product they contain
+      const downloads = item.components?.length
+        ? `<p style="margin: 0 0 8px 0; color: #666; font-size: 14px;">Includes:</p>
+              ${item.components.map(component => `
+              <p style="margin: 0 0 8px 0;">
+                <a href="${escapeHtml(component.downloadUrl)}" style="color: #007c07; font-weight: bold; font-size: 14px;">📥 ${escapeHtml(component.name)}</a>
+              </p>`).join('')}`
+        : `<a href="${escapeHtml(downloadLink)}" 
+                 style="display: inline-block; background: #007c07; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; font-weight: bold; font-size: 14px;">
+                📥 Download Now
+              </a>`;
       
       return `
         <div style="border: 1px solid #e0e0e0; border-radius: 8px; padding: 20px; margin: 15px 0; background: #f9f9f9;">
           <div style="display: flex; align-items: center; gap: 20px;">
             <div style="flex-shrink: 0;">
-              <img src="${productImage}" alt="${item.name}" style="width: 120px; height: 80px; object-fit: cover; border-radius: 6px; border: 1px solid #ddd;">
+              <img src="${escapeHtml(productImage)}" alt="${escapeHtml(item.name)}" style="width: 120px; height: 80px; object-fit: cover; border-radius: 6px; border: 1px solid #ddd;">
             </div>
             <div style="flex-grow: 1;">
-              <h3 style="margin: 0 0 8px 0; color: #333; font-size: 18px;">${item.name}</h3>
-              <p style="margin: 0 0 8px 0; color: #666; font-size: 14px;">Quantity: ${item.quantity}</p>
-              <p style="margin: 0 0 12px 0; color: #007c07; font-weight: bold; font-size: 16px;">₹${item.price}</p>
-              <a href="${downloadLink}" 
-                 style="display: inline-block; background: #007c07; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px; font-weight: bold; font-size: 14px;">
-                📥 Download Now
-              </a>
+              <h3 style="margin: 0 0 8px 0; color: #333; font-size: 18px;">${escapeHtml(item.name)}</h3>
+              <p style="margin: 0 0 8px 0; color: #666; font-size: 14px;">Quantity: ${escapeHtml(item.quantity)}</p>
+              <p style="margin: 0 0 12px 0; color: #007c07; font-weight: bold; font-size: 16px;">₹${escapeHtml(item.price)}</p>
+              ${downloads}
             </div>
           </div>
         </div>
@@ -117,7 +228,7 @@ class EmailService {
   /**
    * Generate complete email template
    */
-  generateEmailTemplate({ customerName, orderId, totalAmount, productListHTML, orderItems }) {
+  generateEmailTemplate({ customerName, orderId, totalAmount, productListHTML, orderItems, customerEmail }) {
     return `
     <!DOCTYPE html>
     <html lang="en">
@@ -130,8 +241,8 @@ class EmailService {
       
       <!-- Header -->
       <div style="background: linear-gradient(135deg, #007c07, #17a2b8); padding: 30px; text-align: center; border-radius: 10px 10px 0 0;">
-        <img src="cid:company-logo" alt="Bundle Buy Bliss" style="max-width: 150px; margin-bottom: 15px;">
-        <h1 style="color: white; margin: 0; font-size: 28px;">🎉 Thank You, ${customerName}!</h1>
+        ${this.logoUrl ? '<img src="cid:company-logo" alt="Bundle Buy Bliss" style="max-width: 150px; margin-bottom: 15px;">' : ''}
+        <h1 style="color: white; margin: 0; font-size: 28px;">🎉 Thank You, ${escapeHtml(customerName)}!</h1>
         <p style="color: #e8f5e8; margin: 10px 0 0 0; font-size: 16px;">Your digital products are ready for download</p>
       </div>
 
@@ -141,8 +252,8 @@ class EmailService {
         <!-- Order Summary -->
         <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin-bottom: 25px; border-left: 4px solid #007c07;">
           <h2 style="margin: 0 0 15px 0; color: #007c07; font-size: 20px;">📋 Order Summary</h2>
-          <p style="margin: 5px 0; font-size: 16px;"><strong>Order ID:</strong> #${orderId}</p>
-          <p style="margin: 5px 0; font-size: 16px;"><strong>Total Amount:</strong> <span style="color: #007c07; font-weight: bold;">₹${totalAmount}</span></p>
+          <p style="margin: 5px 0; font-size: 16px;"><strong>Order ID:</strong> #${escapeHtml(orderId)}</p>
+          <p style="margin: 5px 0; font-size: 16px;"><strong>Total Amount:</strong> <span style="color: #007c07; font-weight: bold;">₹${escapeHtml(totalAmount)}</span></p>
           <p style="margin: 5px 0; font-size: 16px;"><strong>Items:</strong> ${orderItems.length} product(s)</p>
           <p style="margin: 5px 0; font-size: 16px;"><strong>Payment Status:</strong> <span style="color: #28a745; font-weight: bold;">✅ Completed</span></p>
         </div>
@@ -170,7 +281,7 @@ class EmailService {
         <div style="text-align: center; padding: 20px; background: #f8f9fa; border-radius: 8px;">
           <h3 style="margin: 0 0 15px 0; color: #333;">Need Help? 🤝</h3>
           <p style="margin: 0 0 15px 0; color: #666;">Our support team is here to help you!</p>
-          <a href="mailto:${process.env.EMAIL_USER}" 
+          <a href="mailto:${escapeHtml(this.from)}" 
              style="display: inline-block; background: #007c07; color: white; padding: 12px 25px; text-decoration: none; border-radius: 6px; font-weight: bold; margin: 5px;">
             📧 Contact Support
           </a>
@@ -188,7 +299,7 @@ class EmailService {
         <p style="margin: 0 0 10px 0;">Follow us on social media for updates and new products</p>
         <p style="margin: 0; font-size: 12px; color: #999;">
           © 2025 Bundle Buy Bliss. All rights reserved.<br>
-          This email was sent to ${customerName} (${orderItems[0]?.customerEmail || 'customer'})
+          This email was sent to ${escapeHtml(customerName)} (${escapeHtml(customerEmail || 'customer')})
         </p>
       </div>
 
@@ -203,13 +314,14 @@ class EmailService {
   async testEmailConfig() {
     try {
       await this.transporter.verify();
-      console.log('✅ Email configuration is valid');
+      log.info('Email configuration is valid');
       return true;
     } catch (error) {
-      console.error('❌ Email configuration error:', error);
+      log.error('Email configuration error', { err: error });
       return false;
     }
   }
 }
 
+export { escapeHtml };
 export default EmailService;
@@ -0,0 +1,272 @@
+import { PDFDocument, StandardFonts, rgb } from "pdf-lib";
+import { allocatePaise, toPaise, toRupees } from "./pricingService.js";
+
+// Orders that were paid at some point; refunds don't cancel the original invoice
+const INVOICEABLE_STATES = ["paid", "refunded"];
+
+/** Indian financial year (April to March) of a date, e.g. "2026-27" */
+function financialYear(date) {
+  const ist = new Date(date.getTime() + 330 * 60 * 1000);
+  const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, "0")}`;
+}
+
+const A4 = [595.28, 841.89];
+const TOP_Y = 800;
+// Leaves room for the footer
+const BOTTOM_Y = 90;
+
+// The standard PDF fonts only cover WinAnsi, which has no ₹ sign and
+// rejects anything outside Latin-1 (emoji in product names, Devanagari)
+const formatAmount = (rupees) => `Rs. ${Number(rupees).toFixed(2)}`;
+const pdfSafe = (value) => String(value ?? "").replace(/[^\x20-\x7E\xA0-\xFF]/g, "?");
+
+class InvoiceService {
+  /**
+   * @param {object} options  `config.invoice` (seller details, GST rate, SAC code, number prefix)
+   */
+  constructor(supabase, { seller, gstRate, sacCode, prefix }) {
+    this.supabase = supabase;
+    this.seller = seller;
+    this.gstRate = gstRate;
+    this.sacCode = sacCode;
+    this.prefix = prefix;
+  }
+
+  async findByOrderId(orderId) {
+    const { data, error } = await this.supabase
+      .from("invoices")
+      .select("*")
+      .eq("order_id", orderId)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Work out the invoice lines for an order. Prices are GST-inclusive, so
+   * each line's taxable value is backed out of what the buyer paid for it,
+   * after its share of any coupon discount.
+   */
+  computeInvoice(order, { gstRate = this.gstRate } = {}) {
+    const items = Array.isArray(order.items) ? order.items : [];
+    const seller = this.seller;
+    const placeOfSupply = order.customer_state || seller.stateCode;
+    const interState = Boolean(seller.stateCode && placeOfSupply && placeOfSupply !== seller.stateCode);
+
+    const grossPaise = items.map((item) =>
+      toPaise(item.line_total ?? Number(item.price) * Number(item.quantity))
+    );
+    const paidPaise = allocatePaise(toPaise(order.total_amount), grossPaise);
+
+    const lines = items.map((item, i) => {
+      const taxablePaise = Math.round((paidPaise[i] * 100) / (100 + gstRate));
+      const taxPaise = paidPaise[i] - taxablePaise;
+      const cgstPaise = interState ? 0 : Math.floor(taxPaise / 2);
+      return {
+        productId: item.id || item.productId || item.product_id,
+        description: item.name,
+        sacCode: this.sacCode,
+        quantity: Number(item.quantity),
+        unitPrice: Number(item.price),
+        grossAmount: toRupees(grossPaise[i]),
+        discount: toRupees(grossPaise[i] - paidPaise[i]),
+        taxableValue: toRupees(taxablePaise),
+        cgst: toRupees(cgstPaise),
+        sgst: toRupees(interState ? 0 : taxPaise - cgstPaise),
+        igst: toRupees(interState ? taxPaise : 0),
+        total: toRupees(paidPaise[i]),
+      };
+    });
+
+    const sum = (key) => toRupees(lines.reduce((acc, line) => acc + toPaise(line[key]), 0));
+    return {
+      gstRate,
+      placeOfSupply,
+      interState,
+      lines,
+      taxableValue: sum("taxableValue"),
+      discount: sum("discount"),
+      cgst: sum("cgst"),
+      sgst: sum("sgst"),
+      igst: sum("igst"),
+      total: sum("total"),
+    };
+  }
+
+  /**
+   * The order's invoice, issuing it with the next invoice number on first
+   * request. Returns `{ success, invoice }` or `{ success: false, status, message }`.
+   */
+  async getOrCreateForOrder(order) {
+    const existing = await this.findByOrderId(order.id);
+    if (existing) return { success: true, invoice: existing };
+
+    if (!INVOICEABLE_STATES.includes(order.status)) {
+      return { success: false, status: 409, message: "Invoices are issued once an order is paid" };
+    }
+
+    const issuedAt = new Date(order.payment?.paidAt || Date.now());
+    const computed = this.computeInvoice(order);
+
+    // Numbered inside the database so a failed insert never leaves a gap
+    const { data, error } = await this.supabase
+      .rpc("issue_invoice", {
+        number_prefix: `${this.prefix}/${financialYear(issuedAt)}/`,
+        invoice: {
+          order_id: order.id,
+          merchant_order_id: order.merchant_order_id,
+          issued_at: issuedAt,
+          seller: this.seller,
+          buyer: {
+            name: order.customer_name,
+            email: order.customer_email,
+            phone: order.customer_phone,
+            stateCode: order.customer_state || null,
+          },
+          place_of_supply: computed.placeOfSupply || null,
+          inter_state: computed.interState,
+          gst_rate: computed.gstRate,
+          lines: computed.lines,
+          taxable_value: computed.taxableValue,
+          cgst: computed.cgst,
+          sgst: computed.sgst,
+          igst: computed.igst,
+          total_amount: computed.total,
+        },
+      })
+      .single();
+
+    // Issued concurrently by another request; theirs wins
+    if (error?.code === "23505") {
+      return { success: true, invoice: await this.findByOrderId(order.id) };
+    }
+    if (error) throw error;
+    return { success: true, invoice: data };
+  }
+
+  /** Render a stored invoice as a PDF (Buffer) */
+  async renderPdf(invoice) {
+    const pdf = await PDFDocument.create();
+    pdf.setTitle(`Tax Invoice ${invoice.invoice_number}`);
+    let page = pdf.addPage(A4);
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+    const grey = rgb(0.4, 0.4, 0.4);
+
+    let y = TOP_Y;
+    const text = (value, x, { size = 10, f = font, color = rgb(0, 0, 0), right = false } = {}) => {
+      const str = pdfSafe(value);
+      const width = right ? f.widthOfTextAtSize(str, size) : 0;
+      page.drawText(str, { x: x - width, y, size, font: f, color });
+    };
+    const line = () => {
+      page.drawLine({ start: { x: 40, y: y + 12 }, end: { x: 555, y: y + 12 }, thickness: 0.5, color: grey });
+    };
+
+    const { seller, buyer } = invoice;
+    text("TAX INVOICE", 40, { size: 18, f: bold });
+    text(invoice.invoice_number, 555, { size: 11, f: bold, right: true });
+    y -= 16;
+    text(`Date: ${new Date(invoice.issued_at).toLocaleDateString("en-IN", { timeZone: "Asia/Kolkata" })}`, 555, { right: true });
+    text(`Order: ${invoice.merchant_order_id}`, 40, { color: grey });
+
+    y -= 34;
+    text("Sold by", 40, { f: bold });
+    text("Billed to", 320, { f: bold });
+    const sellerLines = [seller.name, seller.address, seller.gstin && `GSTIN: ${seller.gstin}`].filter(Boolean);
+    const buyerLines = [buyer.name, buyer.email, buyer.phone].filter(Boolean);
+    for (let i = 0; i < Math.max(sellerLines.length, buyerLines.length); i++) {
+      y -= 14;
+      if (sellerLines[i]) text(sellerLines[i], 40);
+      if (buyerLines[i]) text(buyerLines[i], 320);
+    }
+    y -= 14;
+    if (invoice.place_of_supply) text(`Place of supply: ${invoice.place_of_supply}`, 320, { color: grey });
+
+    const taxColumns = invoice.inter_state
+      ? [["IGST", "igst"]]
+      : [["CGST", "cgst"], ["SGST", "sgst"]];
+    const columns = [
+      ["Item", 40],
+      ["SAC", 250],
+      ["Qty", 300],
+      ["Taxable", 370],
+      ...taxColumns.map(([label], i) => [label, 430 + i * 60]),
+      ["Total", 555],
+    ];
+
+    const tableHeader = () => {
+      columns.forEach(([label, x], i) => text(label, x, { f: bold, right: i >= 2 }));
+      y -= 6;
+      line();
+    };
+    // Long orders continue on a new page, under the column headings again
+    const ensureRoom = (height) => {
+      if (y - height >= BOTTOM_Y) return;
+      page = pdf.addPage(A4);
+      y = TOP_Y;
+      text(`${invoice.invoice_number} (continued)`, 40, { color: grey });
+      y -= 30;
+      tableHeader();
+    };
+
+    y -= 36;
+    tableHeader();
+
+    for (const item of invoice.lines) {
+      ensureRoom(16);
+      y -= 16;
+      text(String(item.description).slice(0, 36), 40);
+      text(item.sacCode, 250);
+      text(item.quantity, 300, { right: true });
+      text(Number(item.taxableValue).toFixed(2), 370, { right: true });
+      taxColumns.forEach(([, key], i) => text(Number(item[key]).toFixed(2), 430 + i * 60, { right: true }));
+      text(Number(item.total).toFixed(2), 555, { right: true });
+    }
+
+    const rate = Number(invoice.gst_rate);
+    const totals = [
+      ["Taxable value", invoice.taxable_value],
+      ...(invoice.inter_state
+        ? [[`IGST @ ${rate}%`, invoice.igst]]
+        : [[`CGST @ ${rate / 2}%`, invoice.cgst], [`SGST @ ${rate / 2}%`, invoice.sgst]]),
+    ];
+    ensureRoom(10 + totals.length * 16 + 20);
+    y -= 10;
+    line();
+    for (const [label, amount] of totals) {
+      y -= 16;
+      text(label, 430, { right: true });
+      text(formatAmount(amount), 555, { right: true });
+    }
+    y -= 20;
+    text("Total", 430, { f: bold, right: true });
+    text(formatAmount(invoice.total_amount), 555, { f: bold, right: true });
+
+    const pages = pdf.getPages();
+    pages.forEach((footerPage, i) => {
+      page = footerPage;
+      y = 60;
+      text("Prices are inclusive of GST. This is a computer generated invoice and needs no signature.", 40, { size: 8, color: grey });
+      if (pages.length > 1) text(`Page ${i + 1} of ${pages.length}`, 555, { size: 8, color: grey, right: true });
+    });
+
+    return Buffer.from(await pdf.save());
+  }
+
+  /** Issue (if needed) and render the invoice for an order */
+  async getPdfForOrder(order) {
+    const result = await this.getOrCreateForOrder(order);
+    if (!result.success) return result;
+
+    return {
+      success: true,
+      invoice: result.invoice,
+      filename: `Invoice-${result.invoice.invoice_number.replace(/\//g, "-")}.pdf`,
+      pdf: await this.renderPdf(result.invoice),
+    };
+  }
+}
+
+export default InvoiceService;
@@ -0,0 +1,80 @@
+import logger from "../lib/logger.js";
+
+class OrderNotificationService {
+  constructor(supabase, emailService, downloadService, emailOutbox, invoiceService) {
+    this.supabase = supabase;
+    this.emailService = emailService;
+    this.downloadService = downloadService;
+    this.emailOutbox = emailOutbox;
+    this.invoiceService = invoiceService;
+  }
+
+  /**
+   * Build the email line items for an order: names and prices from the
+   * order snapshot, images from the `products` table and download buttons
+   * pointing at our own signed-download route. Bundles get one button per
+   * component instead.
+   */
+  async buildEmailItems(order) {
+    const items = Array.isArray(order.items) ? order.items : [];
+    const ids = items.map((it) => it.id || it.productId || it.product_id);
+    const link = (productId) => this.downloadService.buildDownloadLink(order.merchant_order_id, productId);
+
+    const { data: products, error } = await this.supabase
+      .from("products")
+      .select("*")
+      .in("id", ids);
+    if (error) throw error;
+
+    const byId = new Map(products.map((p) => [String(p.id), p]));
+    return items.map((item, i) => {
+      const productId = ids[i];
+      const product = byId.get(String(productId)) || {};
+      return {
+        productId,
+        name: item.name || product.name,
+        quantity: item.quantity,
+        price: item.price,
+        imageUrl: product.image_url || product.image || null,
+        downloadUrl: item.components ? null : link(productId),
+        components: item.components?.map((c) => ({ name: c.name, downloadUrl: link(c.id) })),
+      };
+    });
+  }
+
+  /** The tax invoice as an email attachment, or null if it can't be produced */
+  async buildInvoiceAttachment(order) {
+    try {
+      const result = await this.invoiceService.getPdfForOrder(order);
+      if (!result.success) return null;
+      return {
+        filename: result.filename,
+        content: result.pdf.toString("base64"),
+        encoding: "base64",
+        contentType: "application/pdf",
+      };
+    } catch (error) {
+      // The buyer still needs their download links; the invoice stays available on request
+      logger.error("Invoice generation failed", { orderId: order.id, err: error });
+      return null;
+    }
+  }
+
+  /** Queue the confirmation in the outbox and try to send it right away */
+  async sendConfirmation(order) {
+    const items = await this.buildEmailItems(order);
+    const message = this.emailService.buildOrderConfirmationEmail(
+      order.customer_email,
+      order.customer_name,
+      order.merchant_order_id,
+      order.total_amount,
+      items
+    );
+    const invoice = await this.buildInvoiceAttachment(order);
+    if (invoice) message.attachments = [...(message.attachments || []), invoice];
+
+    return this.emailOutbox.send({ kind: "order_confirmation", orderId: order.id, ...message });
+  }
+}
+
+export default OrderNotificationService;
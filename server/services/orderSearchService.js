@@ -0,0 +1,165 @@
+import { ORDER_TRANSITIONS, PAYMENT_TRANSITIONS } from "./orderService.js";
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// ilike treats % and _ as wildcards; PostgREST's or() syntax reserves , ( and )
+const escapeSearch = (value) =>
+  value.replace(/[,()]/g, " ").replace(/[\\%_]/g, (c) => `\\${c}`);
+
+const encodeCursor = (order) =>
+  Buffer.from(JSON.stringify([order.created_at, order.id])).toString("base64url");
+
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (Number.isNaN(Date.parse(createdAt)) || !Number.isInteger(id)) return null;
+    return { createdAt, id };
+  } catch {
+    return null;
+  }
+}
+
+const CSV_COLUMNS = [
+  ["merchant_order_id", (o) => o.merchant_order_id],
+  ["created_at", (o) => o.created_at],
+  ["status", (o) => o.status],
+  ["payment_status", (o) => o.payment?.status],
+  ["gateway", (o) => o.payment?.gateway],
+  ["gateway_transaction_id", (o) => o.payment?.gatewayTransactionId],
+  ["paid_at", (o) => o.payment?.paidAt],
+  ["customer_name", (o) => o.customer_name],
+  ["customer_email", (o) => o.customer_email],
+  ["customer_phone", (o) => o.customer_phone],
+  ["items", (o) => (Array.isArray(o.items) ? o.items : []).map((it) => `${it.name} x${it.quantity}`).join("; ")],
+  ["subtotal_amount", (o) => o.subtotal_amount],
+  ["discount_amount", (o) => o.discount_amount],
+  ["coupon_code", (o) => o.coupon_code],
+  ["affiliate_code", (o) => o.affiliate_code],
+  ["total_amount", (o) => o.total_amount],
+];
+
+/** Quote a CSV field, defusing values a spreadsheet would run as a formula */
+function csvField(value) {
+  let str = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+class OrderSearchService {
+  constructor(supabase) {
+    this.supabase = supabase;
+  }
+
+  /**
+   * Turn admin query string parameters into list filters.
+   * Returns `{ success: true, filters }` or `{ success: false, message }`.
+   */
+  parseFilters(query) {
+    const filters = {};
+    const list = (value) => String(value).split(",").map((v) => v.trim()).filter(Boolean);
+
+    if (query.status) {
+      filters.status = list(query.status);
+      const unknown = filters.status.find((s) => !ORDER_TRANSITIONS[s]);
+      if (unknown) return { success: false, message: `Unknown status: ${unknown}` };
+    }
+    if (query.paymentStatus) {
+      filters.paymentStatus = list(query.paymentStatus);
+      const unknown = filters.paymentStatus.find((s) => !PAYMENT_TRANSITIONS[s]);
+      if (unknown) return { success: false, message: `Unknown paymentStatus: ${unknown}` };
+    }
+    for (const key of ["from", "to"]) {
+      if (query[key] === undefined) continue;
+      if (Number.isNaN(Date.parse(query[key]))) {
+        return { success: false, message: `${key} must be a date` };
+      }
+      filters[key] = new Date(query[key]).toISOString();
+    }
+    for (const key of ["minAmount", "maxAmount"]) {
+      if (query[key] === undefined) continue;
+      if (!(Number(query[key]) >= 0)) {
+        return { success: false, message: `${key} must be a non-negative number` };
+      }
+      filters[key] = Number(query[key]);
+    }
+    if (query.productId !== undefined) {
+      if (!/^\d+$/.test(String(query.productId))) {
+        return { success: false, message: "productId must be a product id" };
+      }
+      filters.productId = Number(query.productId);
+    }
+    if (query.q) filters.q = String(query.q).trim().slice(0, 100);
+
+    return { success: true, filters };
+  }
+
+  buildQuery(filters) {
+    let query = this.supabase.from("orders").select("*");
+
+    if (filters.status) query = query.in("status", filters.status);
+    if (filters.paymentStatus) query = query.in("payment->>status", filters.paymentStatus);
+    if (filters.from) query = query.gte("created_at", filters.from);
+    if (filters.to) query = query.lte("created_at", filters.to);
+    if (filters.minAmount !== undefined) query = query.gte("total_amount", filters.minAmount);
+    if (filters.maxAmount !== undefined) query = query.lte("total_amount", filters.maxAmount);
+    if (filters.productId !== undefined) query = query.contains("product_id", [filters.productId]);
+    if (filters.q) {
+      const term = `%${escapeSearch(filters.q)}%`;
+      query = query.or(
+        `customer_email.ilike.${term},customer_phone.ilike.${term},merchant_order_id.ilike.${term}`
+      );
+    }
+
+    return query
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: false });
+  }
+
+  /**
+   * One page of orders, newest first. Pass the previous page's
+   * `nextCursor` as `cursor` to continue; it is null on the last page.
+   */
+  async list(filters, { cursor, limit = DEFAULT_PAGE_SIZE } = {}) {
+    const pageSize = Math.min(Math.max(Number(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    let query = this.buildQuery(filters);
+
+    if (cursor) {
+      const after = decodeCursor(cursor);
+      if (!after) return { success: false, message: "Invalid cursor" };
+      query = query.or(
+        `created_at.lt."${after.createdAt}",and(created_at.eq."${after.createdAt}",id.lt.${after.id})`
+      );
+    }
+
+    const { data, error } = await query.limit(pageSize + 1);
+    if (error) throw error;
+
+    const orders = data.slice(0, pageSize);
+    return {
+      success: true,
+      orders,
+      nextCursor: data.length > pageSize ? encodeCursor(orders[orders.length - 1]) : null,
+    };
+  }
+
+  /** Every matching order, fetched in batches */
+  async *iterate(filters) {
+    let cursor = null;
+    do {
+      const page = await this.list(filters, { cursor, limit: MAX_PAGE_SIZE });
+      yield* page.orders;
+      cursor = page.nextCursor;
+    } while (cursor);
+  }
+
+  csvHeader() {
+    return `${CSV_COLUMNS.map(([name]) => name).join(",")}\r\n`;
+  }
+
+  csvRow(order) {
+    return `${CSV_COLUMNS.map(([, get]) => csvField(get(order))).join(",")}\r\n`;
+  }
+}
+
+export default OrderSearchService;
@@ -0,0 +1,240 @@
+import logger from "../lib/logger.js";
+
+/**
+ * Order lifecycle. An order is `created` when it is written, `pending` once
+ * the buyer has been sent to the payment provider, and ends up paid, failed,
+ * expired, refunded or cancelled. A failed or expired order can still be paid
+ * if the provider later reports the money as captured; a paid one can only
+ * be refunded, and only a refund that fails at the provider undoes that.
+ */
+const ORDER_TRANSITIONS = {
+  created: ["pending", "paid", "failed", "expired", "cancelled"],
+  pending: ["paid", "failed", "expired", "cancelled"],
+  failed: ["paid"],
+  expired: ["paid"],
+  paid: ["refunded"],
+  refunded: [],
+  cancelled: [],
+};
+
+/**
+ * Payment statuses kept in `orders.payment.status`. They follow the order
+ * state but also track partial refunds, which leave an order `paid`.
+ */
+const PAYMENT_TRANSITIONS = {
+  pending: ["completed", "failed", "expired", "cancelled"],
+  failed: ["completed"],
+  expired: ["completed"],
+  completed: ["partially_refunded", "refunded"],
+  partially_refunded: ["refunded"],
+  refunded: [],
+  cancelled: [],
+};
+
+/**
+ * The only way back: a refund the provider later reports as failed hands
+ * the money, and so the refunded status, back to the order.
+ */
+const REFUND_REVERSALS = {
+  partially_refunded: ["completed"],
+  refunded: ["completed", "partially_refunded"],
+};
+
+const PAYMENT_STATUS_TO_STATE = {
+  pending: "pending",
+  completed: "paid",
+  failed: "failed",
+  expired: "expired",
+  partially_refunded: "paid",
+  refunded: "refunded",
+  cancelled: "cancelled",
+};
+
+const paymentStatus = (order) => String(order.payment?.status || "pending").toLowerCase();
+
+class OrderService {
+  constructor(supabase) {
+    this.supabase = supabase;
+    this.listeners = [];
+  }
+
+  /**
+   * Register `fn({ order, from, to, paymentStatus, actor })`, awaited after
+   * every change of order state. A failing listener is logged and never
+   * undoes the change.
+   */
+  onStatusChange(fn) {
+    this.listeners.push(fn);
+  }
+
+  async notifyStatusChange(change) {
+    for (const listener of this.listeners) {
+      try {
+        await listener(change);
+      } catch (error) {
+        logger.error("Order status listener failed", { orderId: change.order.id, to: change.to, err: error });
+      }
+    }
+  }
+
+  async findByMerchantOrderId(merchantOrderId) {
+    const { data, error } = await this.supabase
+      .from("orders")
+      .select("*")
+      .eq("merchant_order_id", merchantOrderId)
+      .single();
+    if (error?.code === "PGRST116") return null;
+    if (error) throw error;
+    return data;
+  }
+
+  async updatePayment(orderId, payment) {
+    const { error } = await this.supabase
+      .from("orders")
+      .update({ payment, updated_at: new Date() })
+      .eq("id", orderId);
+    if (error) throw error;
+  }
+
+  /**
+   * Move an order's payment to `status` (and the order to the matching
+   * state), merging `details` into the payment JSON. `actor` names who or
+   * what caused it, e.g. "webhook:phonepe" or "admin:3".
+   *
+   * Returns `{ changed, order }`, see `transition`.
+   */
+  async applyPaymentStatus(order, status, details = {}, { actor = "system", reason = null } = {}) {
+    return this.transition(order, PAYMENT_STATUS_TO_STATE[status], {
+      paymentStatus: status,
+      details,
+      actor,
+      reason,
+    });
+  }
+
+  /**
+   * Undo (part of) a refund that failed at the provider, moving the payment
+   * back to `status` (`completed` or `partially_refunded`). Status listeners
+   * are not told: the order was paid all along, and a second confirmation
+   * email or commission accrual would be wrong.
+   */
+  async reverseRefund(order, status, details = {}, { actor = "system", reason = null } = {}) {
+    return this.transition(order, PAYMENT_STATUS_TO_STATE[status], {
+      paymentStatus: status,
+      details,
+      actor,
+      reason,
+      reversal: true,
+    });
+  }
+
+  /** The buyer has been handed to the payment provider */
+  async markPending(order, details = {}, { actor = "system", reason = null } = {}) {
+    return this.transition(order, "pending", { details, actor, reason });
+  }
+
+  /** Cancel an order that has not been paid */
+  async cancel(order, { actor = "system", reason = null } = {}) {
+    return this.applyPaymentStatus(order, "cancelled", { cancelledAt: new Date().toISOString() }, { actor, reason });
+  }
+
+  /**
+   * Move an order to state `to`, optionally changing its payment status
+   * too. Safe to call repeatedly with the same outcome: repeats and illegal
+   * transitions are no-ops, and the update only applies if nobody else
+   * changed the order in between. Every applied change is appended to
+   * `order_events`. `reversal` allows only the moves in `REFUND_REVERSALS`.
+   *
+   * Returns `{ changed, order }` with the order as it is after the call.
+   */
+  async transition(order, to, {
+    paymentStatus: nextPayment,
+    details = {},
+    actor = "system",
+    reason = null,
+    reversal = false,
+  } = {}) {
+    const from = order.status || "created";
+    const currentPayment = paymentStatus(order);
+    nextPayment = nextPayment || currentPayment;
+
+    const stateChanges = from !== to;
+    const paymentChanges = currentPayment !== nextPayment;
+    const allowed = reversal
+      ? Boolean(REFUND_REVERSALS[currentPayment]?.includes(nextPayment))
+      : (!stateChanges || Boolean(ORDER_TRANSITIONS[from]?.includes(to))) &&
+        (!paymentChanges || Boolean(PAYMENT_TRANSITIONS[currentPayment]?.includes(nextPayment)));
+    if (!ORDER_TRANSITIONS[to] || (!stateChanges && !paymentChanges) || !allowed) {
+      return { changed: false, order };
+    }
+
+    const payment = {
+      ...order.payment,
+      ...details,
+      status: nextPayment,
+      statusUpdatedAt: new Date().toISOString(),
+    };
+
+    const { data, error } = await this.supabase
+      .from("orders")
+      .update({ status: to, payment, updated_at: new Date() })
+      .eq("id", order.id)
+      .eq("status", from)
+      .eq("payment->>status", order.payment?.status ?? "pending")
+      .select()
+      .maybeSingle();
+    if (error) throw error;
+
+    // Another writer got there first; report the row as it stands now
+    if (!data) {
+      const latest = await this.findByMerchantOrderId(order.merchant_order_id);
+      return { changed: false, order: latest || order };
+    }
+
+    await this.recordEvent({
+      orderId: order.id,
+      from,
+      to,
+      paymentStatus: nextPayment,
+      actor,
+      reason,
+      details,
+    });
+
+    if (stateChanges && !reversal) {
+      await this.notifyStatusChange({ order: data, from, to, paymentStatus: nextPayment, actor });
+    }
+    return { changed: true, order: data };
+  }
+
+  async recordEvent({ orderId, from, to, paymentStatus, actor, reason, details }) {
+    const { error } = await this.supabase
+      .from("order_events")
+      .insert([{
+        order_id: orderId,
+        from_state: from,
+        to_state: to,
+        payment_status: paymentStatus,
+        actor,
+        reason,
+        details,
+        created_at: new Date(),
+      }]);
+    if (error) throw error;
+  }
+
+  /** Every recorded transition of an order, oldest first */
+  async listEvents(orderId) {
+    const { data, error } = await this.supabase
+      .from("order_events")
+      .select("*")
+      .eq("order_id", orderId)
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true });
+    if (error) throw error;
+    return data;
+  }
+}
+
+export { ORDER_TRANSITIONS, PAYMENT_TRANSITIONS, REFUND_REVERSALS };
+export default OrderService;
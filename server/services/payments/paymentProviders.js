@@ -0,0 +1,73 @@
+import logger from "../../lib/logger.js";
+
+/**
+ * Registry of payment provider adapters.
+ *
+ * Every adapter has a `name` (stored as `orders.payment.gateway`) and:
+ * - `initiatePayment({ amount, customerName, customerEmail, customerPhone, merchantOrderId })`
+ *   → `{ success, paymentUrl, providerOrderId, error }`
+ * - `checkPaymentStatus(order)` → `{ status, gatewayState, providerOrderId, transactionId, amount, raw }`
+ *   where `status` is one of our payment statuses or null; throws on API errors
+ * - `verifyWebhook(req)` → boolean
+ * - `parseWebhook(body)` → `{ eventType, merchantOrderId, status, gatewayState, providerOrderId,
+ *   transactionId, amount, merchantRefundId, refundStatus }` (amounts in paise)
+ * - `initiateRefund({ merchantRefundId, order, amount })` → `{ success, refundId, status, gatewayState, error }`
+ * - `checkRefundStatus(refund)` → `{ status, gatewayState }`
+ */
+class PaymentProviderRegistry {
+  constructor(providers, { defaultProvider, fallbackProvider, enabled } = {}) {
+    this.providers = new Map(providers.map((p) => [p.name, p]));
+    this.defaultProvider = defaultProvider || providers[0].name;
+    this.fallbackProvider = fallbackProvider || null;
+    // Providers customers may pick at checkout
+    this.enabled = enabled?.length ? enabled : [this.defaultProvider];
+
+    for (const name of [this.defaultProvider, this.fallbackProvider, ...this.enabled]) {
+      if (name && !this.providers.has(name)) {
+        throw new Error(`Unknown payment provider: ${name}`);
+      }
+    }
+  }
+
+  /** Adapter for an existing order; orders from before this field default to PhonePe */
+  get(name) {
+    const provider = this.providers.get(name || "phonepe");
+    if (!provider) throw new Error(`Unknown payment provider: ${name}`);
+    return provider;
+  }
+
+  forOrder(order) {
+    return this.get(order.payment?.gateway);
+  }
+
+  /**
+   * Pick the provider for a new order: the customer's choice if it is
+   * enabled, otherwise the configured default.
+   */
+  select(requested) {
+    return requested && this.enabled.includes(requested)
+      ? this.get(requested)
+      : this.get(this.defaultProvider);
+  }
+
+  /**
+   * Start a payment with `provider`, falling back to the configured
+   * fallback provider if it fails. Returns the result and the provider
+   * that produced it.
+   */
+  async initiatePayment(provider, paymentData) {
+    const result = await provider.initiatePayment(paymentData);
+    if (result.success || !this.fallbackProvider || this.fallbackProvider === provider.name) {
+      return { provider, result };
+    }
+
+    logger.warn("Payment initiation failed, using fallback provider", {
+      provider: provider.name,
+      fallback: this.fallbackProvider,
+    });
+    const fallback = this.get(this.fallbackProvider);
+    return { provider: fallback, result: await fallback.initiatePayment(paymentData) };
+  }
+}
+
+export default PaymentProviderRegistry;
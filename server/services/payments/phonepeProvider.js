@@ -0,0 +1,108 @@
+import { verifyWebhookSignature } from "../../middleware/security.js";
+
+/** PhonePe order states mapped onto our payment statuses */
+const ORDER_STATE_TO_STATUS = {
+  COMPLETED: "completed",
+  FAILED: "failed",
+  PENDING: "pending",
+};
+
+/** PhonePe refund states mapped onto our refund statuses */
+const REFUND_STATE_TO_STATUS = {
+  PENDING: "pending",
+  CONFIRMED: "pending",
+  COMPLETED: "completed",
+  FAILED: "failed",
+};
+
+/**
+ * PhonePe PG Checkout v2, adapted to the payment provider interface
+ * described in `paymentProviders.js`.
+ */
+class PhonePeProvider {
+  /**
+   * @param {object} webhookCredentials  `config.phonepe.webhook`
+   */
+  constructor(phonePeService, webhookCredentials) {
+    this.name = "phonepe";
+    this.service = phonePeService;
+    this.webhookCredentials = webhookCredentials;
+  }
+
+  async initiatePayment(paymentData) {
+    const result = await this.service.initiatePayment(paymentData);
+    return {
+      success: Boolean(result?.success),
+      paymentUrl: result?.paymentUrl,
+      providerOrderId: null,
+      error: result?.error,
+    };
+  }
+
+  async checkPaymentStatus(order) {
+    const data = await this.service.checkPaymentStatus(order.merchant_order_id);
+    return {
+      status: ORDER_STATE_TO_STATUS[data?.state] || null,
+      gatewayState: data?.state || null,
+      providerOrderId: data?.orderId || null,
+      transactionId: data?.paymentDetails?.[0]?.transactionId || null,
+      amount: data?.amount ?? null,
+      raw: data,
+    };
+  }
+
+  verifyWebhook(req) {
+    return verifyWebhookSignature(req, this.webhookCredentials);
+  }
+
+  /**
+   * PhonePe v2 webhook body:
+   * `{ event, payload: { merchantOrderId, orderId, state, amount, paymentDetails } }`
+   * Refund events carry `merchantRefundId` and `originalMerchantOrderId` instead.
+   */
+  parseWebhook(body) {
+    const payload = body?.payload || {};
+    const merchantRefundId = payload.merchantRefundId || null;
+    return {
+      eventType: body?.event || body?.type || null,
+      merchantOrderId: payload.merchantOrderId || payload.originalMerchantOrderId || null,
+      gatewayState: payload.state || null,
+      status: merchantRefundId ? null : ORDER_STATE_TO_STATUS[payload.state] || null,
+      providerOrderId: payload.orderId || null,
+      transactionId: payload.paymentDetails?.[0]?.transactionId || null,
+      amount: payload.amount ?? null,
+      merchantRefundId,
+      refundStatus: merchantRefundId ? REFUND_STATE_TO_STATUS[payload.state] || null : null,
+    };
+  }
+
+  async initiateRefund({ merchantRefundId, order, amount }) {
+    const result = await this.service.initiateRefund({
+      merchantRefundId,
+      merchantOrderId: order.merchant_order_id,
+      amount,
+    });
+    return {
+      success: result.success,
+      refundId: result.refundId,
+      gatewayState: result.state,
+      status: REFUND_STATE_TO_STATUS[result.state] || "pending",
+      error: result.error,
+    };
+  }
+
+  /** Legacy v1 base64 callback (`response` + `X-VERIFY` checksum) */
+  verifyCallback({ response, checksum }) {
+    return this.service.verifyCallback({ response, checksum });
+  }
+
+  async checkRefundStatus(refund) {
+    const data = await this.service.checkRefundStatus(refund.merchant_refund_id);
+    return {
+      gatewayState: data?.state || null,
+      status: REFUND_STATE_TO_STATUS[data?.state] || null,
+    };
+  }
+}
+
+export default PhonePeProvider;
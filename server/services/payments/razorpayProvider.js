@@ -0,0 +1,171 @@
+import crypto from "crypto";
+import axios from "axios";
+import logger, { currentRequestId } from "../../lib/logger.js";
+
+const log = logger.child({ component: "razorpay" });
+
+const API_BASE_URL = "https://api.razorpay.com/v1";
+
+/** Payment link statuses mapped onto our payment statuses */
+const LINK_STATUS_TO_STATUS = {
+  paid: "completed",
+  expired: "expired",
+  cancelled: "failed",
+  created: "pending",
+  partially_paid: "pending",
+};
+
+/** Razorpay refund statuses mapped onto our refund statuses */
+const REFUND_STATUS_TO_STATUS = {
+  pending: "pending",
+  processed: "completed",
+  failed: "failed",
+};
+
+/**
+ * Razorpay Payment Links (hosted checkout), adapted to the payment provider
+ * interface described in `paymentProviders.js`. Test mode is selected by
+ * using `rzp_test_` keys.
+ */
+class RazorpayProvider {
+  /**
+   * @param {object} config  `config.razorpay`
+   * @param {object} urls    `config.urls`; buyers come back to `urls.backend`
+   */
+  constructor(config, urls) {
+    this.name = "razorpay";
+    this.keyId = config.keyId;
+    this.keySecret = config.keySecret;
+    this.webhookSecret = config.webhookSecret;
+    this.backendUrl = urls.backend;
+  }
+
+  isConfigured() {
+    return Boolean(this.keyId && this.keySecret);
+  }
+
+  request(method, path, data) {
+    return axios.request({
+      method,
+      url: `${API_BASE_URL}${path}`,
+      data,
+      auth: { username: this.keyId, password: this.keySecret },
+      headers: { "Content-Type": "application/json", "X-Request-Id": currentRequestId() || undefined },
+      timeout: 30000,
+    });
+  }
+
+  async initiatePayment({ amount, customerName, customerEmail, customerPhone, merchantOrderId }) {
+    try {
+      if (!this.isConfigured()) throw new Error("Razorpay keys are not configured");
+
+      const response = await this.request("post", "/payment_links", {
+        amount: Math.round(amount * 100), // paisa
+        currency: "INR",
+        reference_id: merchantOrderId,
+        description: `Order ${merchantOrderId}`,
+        customer: { name: customerName, email: customerEmail, contact: customerPhone },
+        expire_by: Math.floor(Date.now() / 1000) + 20 * 60, // 20 mins, like PhonePe
+        callback_url: `${this.backendUrl}/api/payments/razorpay/callback/${merchantOrderId}`,
+        callback_method: "get",
+      });
+
+      return {
+        success: true,
+        paymentUrl: response.data.short_url,
+        providerOrderId: response.data.id,
+      };
+    } catch (error) {
+      log.error("Payment link creation failed", { merchantOrderId, err: error });
+      return {
+        success: false,
+        error: error.response?.data?.error?.description || error.message,
+      };
+    }
+  }
+
+  async checkPaymentStatus(order) {
+    const linkId = order.payment?.providerOrderId;
+    if (!linkId) throw new Error("Order has no Razorpay payment link");
+
+    const { data } = await this.request("get", `/payment_links/${linkId}`);
+    const captured = (data.payments || []).find((p) => p.status === "captured");
+    return {
+      status: LINK_STATUS_TO_STATUS[data.status] || null,
+      gatewayState: data.status,
+      providerOrderId: data.id,
+      transactionId: captured?.payment_id || null,
+      amount: data.amount_paid ?? null,
+      raw: data,
+    };
+  }
+
+  /** `X-Razorpay-Signature` is an HMAC-SHA256 of the raw body */
+  verifyWebhook(req) {
+    const received = req.get("X-Razorpay-Signature");
+    if (!this.webhookSecret || !received || !req.rawBody) return false;
+
+    const expected = crypto
+      .createHmac("sha256", this.webhookSecret)
+      .update(req.rawBody)
+      .digest("hex");
+    const a = Buffer.from(received);
+    const b = Buffer.from(expected);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  parseWebhook(body) {
+    const link = body?.payload?.payment_link?.entity;
+    const payment = body?.payload?.payment?.entity;
+    const refund = body?.payload?.refund?.entity;
+
+    return {
+      eventType: body?.event || null,
+      merchantOrderId: link?.reference_id || payment?.notes?.merchantOrderId || null,
+      gatewayState: refund?.status || link?.status || payment?.status || null,
+      status: refund ? null : LINK_STATUS_TO_STATUS[link?.status] || null,
+      providerOrderId: link?.id || null,
+      transactionId: payment?.id || refund?.payment_id || null,
+      amount: link?.amount_paid ?? payment?.amount ?? null,
+      merchantRefundId: refund?.receipt || null,
+      refundStatus: refund ? REFUND_STATUS_TO_STATUS[refund.status] || null : null,
+    };
+  }
+
+  async initiateRefund({ merchantRefundId, order, amount }) {
+    try {
+      const paymentId = order.payment?.gatewayTransactionId;
+      if (!paymentId) throw new Error("Order has no captured Razorpay payment");
+
+      const { data } = await this.request("post", `/payments/${paymentId}/refund`, {
+        amount: Math.round(amount * 100), // paisa
+        receipt: merchantRefundId,
+        notes: { merchantOrderId: order.merchant_order_id },
+      });
+      return {
+        success: true,
+        refundId: data.id,
+        gatewayState: data.status,
+        status: REFUND_STATUS_TO_STATUS[data.status] || "pending",
+      };
+    } catch (error) {
+      log.error("Refund failed", { merchantOrderId: order.merchant_order_id, err: error });
+      return {
+        success: false,
+        error: error.response?.data?.error?.description || error.message,
+      };
+    }
+  }
+
+  async checkRefundStatus(refund) {
+    if (!refund.gateway_refund_id) throw new Error("Refund has no Razorpay refund id");
+
+    const { data } = await this.request("get", `/refunds/${refund.gateway_refund_id}`);
+    return {
+      gatewayState: data.status,
+      status: REFUND_STATUS_TO_STATUS[data.status] || null,
+    };
+  }
+}
+
+export default RazorpayProvider;
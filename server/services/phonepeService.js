@@ -1,49 +1,37 @@
 import crypto from "crypto";
 import axios from "axios";
+import logger, { currentRequestId } from "../lib/logger.js";
+
+const log = logger.child({ component: "phonepe" });
 
 class PhonePeAPIService {
-  constructor() {
-    this.validateConfig();
-
-    this.merchantId = process.env.PHONEPE_MERCHANT_ID || "PGTESTPAYUAT86";
-    this.saltKey =
-      process.env.PHONEPE_SALT_KEY || "96434309-7796-489d-8924-ab56988a6076";
-    this.saltIndex = process.env.PHONEPE_SALT_INDEX || "1";
-    this.clientId = process.env.PHONEPE_CLIENT_ID || "test-client-id";
-    this.clientSecret =
-      process.env.PHONEPE_CLIENT_SECRET || "test-client-secret";
-    this.clientVersion =
-      process.env.PHONEPE_CLIENT_VERSION || "test-client-version";
-    this.appBaseUrl = process.env.APP_BASE_URL;
-    const isProd = process.env.NODE_ENV === "production";
-    console.log(isProd)
-    this.baseUrls = {
-      auth: isProd
-        ? "https://api.phonepe.com/apis/identity-manager"
-        : "https://api-preprod.phonepe.com/apis/pg-sandbox",
-      payment: isProd
-        ? "https://api.phonepe.com/apis/pg"
-        : "https://api-preprod.phonepe.com/apis/pg-sandbox",
-    };
+  /**
+   * @param {object} config  `config.phonepe` (credentials, base URLs, sandbox flag)
+   * @param {object} urls    `config.urls`; PhonePe redirects buyers back to `urls.backend`
+   */
+  constructor(config, urls) {
+    this.merchantId = config.merchantId;
+    this.saltKey = config.saltKey;
+    this.saltIndex = config.saltIndex;
+    this.clientId = config.clientId;
+    this.clientSecret = config.clientSecret;
+    this.clientVersion = config.clientVersion;
+    this.sandbox = config.sandbox;
+    this.backendUrl = urls.backend;
+    this.baseUrls = config.baseUrls;
 
     this.accessToken = null;
     this.tokenExpiry = null;
 
-    console.log(
-      `📡 PhonePe Service initialized in ${
-        isProd ? "Production" : "Sandbox"
-      } mode`
-    );
-  }
+    // Every outbound call carries the ID of the request that caused it
+    this.http = axios.create();
+    this.http.interceptors.request.use((request) => {
+      const requestId = currentRequestId();
+      if (requestId) request.headers["X-Request-Id"] = requestId;
+      return request;
+    });
 
-  validateConfig() {
-    const required = ["APP_BASE_URL"];
-    const missing = required.filter((key) => !process.env[key]);
-    if (missing.length) {
-      throw new Error(
-        `Missing required environment variables: ${missing.join(", ")}`
-      );
-    }
+    log.info("PhonePe service initialized", { mode: this.sandbox ? "sandbox" : "production" });
   }
 
   /** 🔑 Get OAuth token (cached) */
@@ -53,7 +41,7 @@ class PhonePeAPIService {
     }
 
     try {
-      const res = await axios.post(
+      const res = await this.http.post(
         `${this.baseUrls.auth}/v1/oauth/token`,
         new URLSearchParams({
           grant_type: "client_credentials",
@@ -66,6 +54,7 @@ class PhonePeAPIService {
             "Content-Type": "application/x-www-form-urlencoded",
             accept: "application/json",
           },
+          timeout: 20000,
         }
       );
 
@@ -75,12 +64,12 @@ class PhonePeAPIService {
       this.accessToken = res.data.access_token;
       this.tokenExpiry = Date.now() + (res.data.expires_in - 300) * 1000; // refresh 5 mins early
 
-      console.log("🔑 OAuth token refreshed");
+      log.debug("OAuth token refreshed");
       return this.accessToken;
     } catch (err) {
-      console.error("OAuth error:", err.response?.data || err.message);
-      if (process.env.NODE_ENV !== "production") {
-        console.log("⚠️ Sandbox mode: continuing without token");
+      log.error("OAuth token request failed", { err });
+      if (this.sandbox) {
+        log.warn("Sandbox mode: continuing without token");
         return null;
       }
       throw err;
@@ -155,7 +144,7 @@ class PhonePeAPIService {
 //     };
 
 //     // 📡 5. Call PhonePe API
-//     const apiResponse = await axios.post(
+//     const apiResponse = await this.http.post(
 //       `${this.baseUrls.payment}/checkout/v2/pay`,
 //       paymentPayload,
 //       { headers, timeout: 30000 }
@@ -203,13 +192,9 @@ async initiatePayment(paymentData) {
       throw new Error("amount and merchantOrderId are mandatory");
     }
 
-    const BACKEND_URL =
-      process.env.BACKEND_URL || "https://api.thefloo.in";
+    const BACKEND_URL = this.backendUrl;
 
-    console.log("🚀 Initiating PhonePe PG Checkout v2", {
-      merchantOrderId,
-      amount,
-    });
+    log.info("Initiating checkout", { merchantOrderId, amount });
 
     // 💰 2. Construct payload as per PhonePe v2 spec
     const paymentPayload = {
@@ -243,7 +228,7 @@ async initiatePayment(paymentData) {
     };
 
     // 📡 4. Call PhonePe API
-    const response = await axios.post(
+    const response = await this.http.post(
       `${this.baseUrls.payment}/checkout/v2/pay`,
       paymentPayload,
       {
@@ -252,7 +237,7 @@ async initiatePayment(paymentData) {
       }
     );
 
-    console.log("📨 PhonePe Response:", response.data);
+    log.info("Checkout created", { merchantOrderId, state: response.data?.state, status: response.status });
 
     /**
      * PhonePe v2 response structure typically contains:
@@ -272,7 +257,7 @@ async initiatePayment(paymentData) {
       response.data?.message || "Invalid PhonePe response"
     );
   } catch (error) {
-    console.error("💥 PhonePe Payment Init Failed:", error.message);
+    log.error("Checkout initiation failed", { merchantOrderId: paymentData?.merchantOrderId, err: error });
 
     return {
       success: false,
@@ -298,13 +283,13 @@ async  verifyPayment(merchantOrderId) {
     }
 
     // 2️⃣ Call PhonePe Status API
-    const response = await axios.get(
+    const response = await this.http.get(
       `${this.baseUrls.payment}/checkout/v2/order/${merchantOrderId}/status`,
       {
         headers: {
           Authorization: `O-Bearer ${accessToken}`,
           'Content-Type': 'application/json',
-          "X-MERCHANT-ID": process.env.PHONEPE_MERCHANT_ID, 
+          "X-MERCHANT-ID": this.merchantId, 
         },
         timeout: 20000,
       }
@@ -336,7 +321,7 @@ async  verifyPayment(merchantOrderId) {
       raw: data,
     };
   } catch (error) {
-    console.error('❌ PhonePe verifyPayment error:', error.response?.data || error.message);
+    log.error("Payment verification failed", { merchantOrderId, err: error });
 
     return {
       success: false,
@@ -352,31 +337,103 @@ async  verifyPayment(merchantOrderId) {
 
       const token = await this.getAccessToken();
       if (!token) throw new Error("Missing PhonePe OAuth token");
-console.log(token)
       const options = {
         method: "GET",
         url: `${this.baseUrls.payment}/checkout/v2/order/${merchantOrderId}/status`,
         headers: {
           "Content-Type": "application/json",
           "Authorization": `O-Bearer ${token}`, // 👈 v2 OAuth token
-          "X-MERCHANT-ID": process.env.PHONEPE_MERCHANT_ID, // 👈 v2 OAuth token
+          "X-MERCHANT-ID": this.merchantId, // 👈 v2 OAuth token
         },
+        timeout: 20000,
       };
 
-      const response = await axios.request(options);
-      console.log("📨 Status Response:", response.data);
+      const response = await this.http.request(options);
+      log.info("Order status fetched", { merchantOrderId, state: response.data?.state });
 
       return response.data; // Return the full response object
     } catch (error) {
-      console.error("❌ Error fetching status:", error.response?.data || error.message);
+      log.error("Order status check failed", { merchantOrderId, err: error });
       // Re-throw or return a structured error
       throw new Error(error.response?.data?.message || 'Status check failed');
     }
   }
+  /** 💸 Refund all or part of a completed order (amount in rupees) */
+  async initiateRefund({ merchantRefundId, merchantOrderId, amount }) {
+    try {
+      if (!merchantRefundId || !merchantOrderId || !amount) {
+        throw new Error("merchantRefundId, merchantOrderId and amount are mandatory");
+      }
+
+      const token = await this.getAccessToken();
+      if (!token) throw new Error("Missing PhonePe OAuth token");
+
+      const response = await this.http.post(
+        `${this.baseUrls.payment}/payments/v2/refund`,
+        {
+          merchantRefundId,
+          originalMerchantOrderId: merchantOrderId,
+          amount: Math.round(amount * 100), // paisa
+        },
+        {
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `O-Bearer ${token}`,
+          },
+          timeout: 30000,
+        }
+      );
+
+      log.info("Refund initiated", { merchantRefundId, merchantOrderId, state: response.data?.state });
+
+      return {
+        success: true,
+        merchantRefundId,
+        refundId: response.data?.refundId || null,
+        state: response.data?.state || "PENDING",
+        raw: response.data,
+      };
+    } catch (error) {
+      log.error("Refund failed", { merchantRefundId, merchantOrderId, err: error });
+      return {
+        success: false,
+        error: this.getErrorMessage(error),
+      };
+    }
+  }
+
+  /** 🧾 Check refund status */
+  async checkRefundStatus(merchantRefundId) {
+    try {
+      if (!merchantRefundId) throw new Error("merchantRefundId required");
+
+      const token = await this.getAccessToken();
+      if (!token) throw new Error("Missing PhonePe OAuth token");
+
+      const response = await this.http.get(
+        `${this.baseUrls.payment}/payments/v2/refund/${merchantRefundId}/status`,
+        {
+          headers: {
+            "Content-Type": "application/json",
+            Authorization: `O-Bearer ${token}`,
+          },
+          timeout: 20000,
+        }
+      );
+
+      return response.data; // { merchantRefundId, refundId, state, amount, ... }
+    } catch (error) {
+      log.error("Refund status check failed", { merchantRefundId, err: error });
+      throw new Error(this.getErrorMessage(error));
+    }
+  }
+
   /** 📞 Verify callback from PhonePe */
   async verifyCallback({ response, checksum }) {
     if (!response || !checksum)
       return { isValid: false, error: "Missing response or checksum" };
+    if (!this.saltKey)
+      return { isValid: false, error: "PHONEPE_SALT_KEY is not configured" };
 
     const expected =
       crypto
@@ -0,0 +1,127 @@
+import BundleService from "./bundleService.js";
+
+const MAX_QUANTITY = 10;
+
+const toPaise = (amount) => Math.round(Number(amount) * 100);
+const toRupees = (paise) => paise / 100;
+
+/**
+ * Split `totalPaise` across `weights` in proportion, handing rounding
+ * leftovers to the last entry so the parts always add up.
+ */
+function allocatePaise(totalPaise, weights) {
+  const sum = weights.reduce((a, b) => a + b, 0);
+  let allocated = 0;
+  return weights.map((w, i) => {
+    if (i === weights.length - 1) return totalPaise - allocated;
+    const part = sum ? Math.round((totalPaise * w) / sum) : 0;
+    allocated += part;
+    return part;
+  });
+}
+
+class PricingService {
+  constructor(supabase, bundleService = new BundleService(supabase)) {
+    this.supabase = supabase;
+    this.bundleService = bundleService;
+  }
+
+  /**
+   * Normalise the client cart into `{ productId, quantity }` pairs,
+   * merging duplicate lines. Client-sent prices are ignored.
+   */
+  normalizeItems(orderItems) {
+    const quantities = new Map();
+
+    for (const item of orderItems) {
+      const productId = String(item?.id ?? item?.productId ?? item?.product_id ?? "");
+      const quantity = item?.quantity === undefined ? 1 : Number(item.quantity);
+
+      if (!productId) {
+        return { success: false, message: "Every item needs a product id" };
+      }
+      // Anything else would reach Postgres as a bigint and fail there
+      if (!/^\d+$/.test(productId)) {
+        return { success: false, message: `Invalid product id: ${productId.slice(0, 40)}` };
+      }
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+        return {
+          success: false,
+          message: `Quantity must be a whole number between 1 and ${MAX_QUANTITY}`,
+        };
+      }
+
+      quantities.set(productId, (quantities.get(productId) || 0) + quantity);
+    }
+
+    return {
+      success: true,
+      items: [...quantities].map(([productId, quantity]) => ({ productId, quantity })),
+    };
+  }
+
+  /**
+   * Price a cart from the `products` table. A bundle costs its own price
+   * when one is set, otherwise the sum of its components' prices; its
+   * components are snapshotted on the line item.
+   * Returns the line items to snapshot on the order and the total in rupees.
+   */
+  async priceOrder(orderItems) {
+    const normalized = this.normalizeItems(orderItems);
+    if (!normalized.success) return normalized;
+
+    const ids = normalized.items.map((it) => it.productId);
+    const { data: products, error } = await this.supabase
+      .from("products")
+      .select("id, name, price, status, type")
+      .in("id", ids);
+    if (error) throw error;
+
+    const byId = new Map(products.map((p) => [String(p.id), p]));
+    const bundles = await this.bundleService.getComponents(
+      products.filter((p) => p.type === "bundle").map((p) => p.id)
+    );
+    const pricedAt = new Date().toISOString();
+    const items = [];
+    let totalPaise = 0;
+
+    for (const { productId, quantity } of normalized.items) {
+      const product = byId.get(productId);
+      if (!product || product.status !== "published") {
+        return { success: false, message: `Product ${productId} is not available` };
+      }
+
+      const components = product.type === "bundle" ? bundles.get(String(product.id)) : null;
+      if (components && !components.length) {
+        return { success: false, message: `Product ${productId} is not available` };
+      }
+
+      const unitPaise = components && product.price == null
+        ? components.reduce((sum, c) => sum + toPaise(c.price), 0)
+        : toPaise(product.price);
+      if (!(unitPaise > 0)) {
+        return { success: false, message: `Product ${productId} has no valid price` };
+      }
+
+      const linePaise = unitPaise * quantity;
+      totalPaise += linePaise;
+      items.push({
+        id: product.id,
+        name: product.name,
+        price: toRupees(unitPaise),
+        quantity,
+        line_total: toRupees(linePaise),
+        priced_at: pricedAt,
+        ...(components && {
+          type: "bundle",
+          components: components.map((c) => ({ id: c.id, name: c.name })),
+        }),
+      });
+    }
+
+    return { success: true, items, totalAmount: toRupees(totalPaise) };
+  }
+}
+
+export { allocatePaise, toPaise, toRupees };
+export default PricingService;
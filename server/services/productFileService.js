@@ -0,0 +1,191 @@
+import crypto from "crypto";
+import path from "path";
+import { Transform } from "stream";
+import Busboy from "busboy";
+import logger from "../lib/logger.js";
+
+
+/**
+ * File types we sell, by extension: accepted MIME types and the leading
+ * bytes the file must start with (null skips the check).
+ */
+const ALLOWED_TYPES = {
+  ".pdf": { mimeTypes: ["application/pdf"], magic: Buffer.from("%PDF-") },
+  ".zip": {
+    mimeTypes: ["application/zip", "application/x-zip-compressed"],
+    magic: Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+  },
+  ".epub": { mimeTypes: ["application/epub+zip"], magic: Buffer.from([0x50, 0x4b, 0x03, 0x04]) },
+  ".xlsx": {
+    mimeTypes: ["application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"],
+    magic: Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+  },
+  ".csv": { mimeTypes: ["text/csv"], magic: null },
+  ".mp3": { mimeTypes: ["audio/mpeg"], magic: null },
+  ".mp4": { mimeTypes: ["video/mp4"], magic: null },
+};
+
+// Browsers and curl often fall back to this for anything unfamiliar
+const GENERIC_MIME = "application/octet-stream";
+
+const safeFileName = (name) =>
+  path.basename(name).replace(/[^a-zA-Z0-9._+-]+/g, "_").slice(-120);
+
+class ProductFileService {
+  /**
+   * @param {object} options  `config.storage`
+   */
+  constructor(supabase, storage, { productBucket, productFileMaxMb }) {
+    this.supabase = supabase;
+    this.storage = storage;
+    this.bucket = productBucket;
+    this.maxBytes = productFileMaxMb * 1024 * 1024;
+  }
+
+  checkType(filename, mimeType) {
+    const type = ALLOWED_TYPES[path.extname(filename || "").toLowerCase()];
+    if (!type) {
+      return { allowed: false, message: `Allowed file types: ${Object.keys(ALLOWED_TYPES).join(", ")}` };
+    }
+    if (mimeType !== GENERIC_MIME && !type.mimeTypes.includes(mimeType)) {
+      return { allowed: false, message: `${mimeType} does not match the file extension` };
+    }
+    return { allowed: true, contentType: type.mimeTypes[0], magic: type.magic };
+  }
+
+  /**
+   * Read the `file` field of a multipart request and stream it into
+   * storage for `product` (see `store`). Other fields and extra files are
+   * ignored.
+   */
+  uploadFromRequest(product, req) {
+    return new Promise((resolve, reject) => {
+      let busboy;
+      try {
+        busboy = Busboy({ headers: req.headers, limits: { files: 1, fileSize: this.maxBytes } });
+      } catch {
+        resolve({ success: false, status: 400, message: "Expected a multipart/form-data upload" });
+        return;
+      }
+
+      let handled = false;
+      busboy.on("file", (field, stream, info) => {
+        if (handled || field !== "file") {
+          stream.resume();
+          return;
+        }
+        handled = true;
+        this.store(product, stream, info).then(resolve, reject);
+      });
+      busboy.on("error", (err) => {
+        if (!handled) reject(err);
+      });
+      busboy.on("close", () => {
+        if (!handled) resolve({ success: false, status: 400, message: "A file field named \"file\" is required" });
+      });
+      // A client that disconnects never ends the body; fail the file stream busboy is feeding
+      req.on("close", () => {
+        if (!req.complete) busboy.destroy(new Error("Upload aborted by client"));
+      });
+      req.pipe(busboy);
+    });
+  }
+
+  /**
+   * Stream `stream` into the product's bucket under a fresh object name,
+   * checking type and size on the way and hashing it as it passes. Once
+   * stored, the product row points at the new object and the file it
+   * replaced is deleted.
+   *
+   * Returns `{ success: true, product }` or `{ success: false, status, message }`.
+   */
+  async store(product, stream, { filename, mimeType }) {
+    const type = this.checkType(filename, mimeType);
+    if (!type.allowed) {
+      stream.resume();
+      return { success: false, status: 415, message: type.message };
+    }
+
+    const bucket = product.storage_path || this.bucket;
+    const objectName = `${product.id}/${Date.now()}-${safeFileName(filename)}`;
+    const hash = crypto.createHash("sha256");
+    let size = 0;
+    let rejection = null;
+
+    const fail = (status, message) => {
+      rejection = { success: false, status, message };
+      body.destroy(new Error(message));
+      // Let busboy finish reading the request
+      stream.unpipe(body);
+      stream.resume();
+    };
+
+    const body = new Transform({
+      transform(chunk, _enc, done) {
+        if (size === 0 && type.magic && !chunk.subarray(0, type.magic.length).equals(type.magic)) {
+          fail(415, "File contents do not match its type");
+          return;
+        }
+        size += chunk.length;
+        hash.update(chunk);
+        done(null, chunk);
+      },
+    });
+    stream.on("limit", () => fail(413, `File is larger than ${this.maxBytes / 1024 / 1024} MB`));
+    // pipe() doesn't pass errors on; without this an aborted upload leaves storage waiting forever
+    stream.on("error", (err) => {
+      rejection ??= { success: false, status: 400, message: "Upload was interrupted" };
+      body.destroy(err);
+    });
+    stream.pipe(body);
+
+    let uploadError = null;
+    try {
+      const { error } = await this.storage
+        .from(bucket)
+        .upload(objectName, body, { contentType: type.contentType, duplex: "half", upsert: false });
+      uploadError = error;
+    } catch (err) {
+      uploadError = err;
+    }
+
+    if (rejection || uploadError || size === 0) {
+      // Whatever made it into storage is incomplete
+      await this.storage.from(bucket).remove([objectName]).catch(() => {});
+      if (rejection) return rejection;
+      if (size === 0) return { success: false, status: 400, message: "File is empty" };
+      logger.error("Product upload failed", { productId: product.id, err: uploadError });
+      return { success: false, status: 502, message: "Could not store the file" };
+    }
+
+    const { data: updated, error } = await this.supabase
+      .from("products")
+      .update({
+        storage_path: bucket,
+        file_name: objectName,
+        file_size: size,
+        file_checksum: hash.digest("hex"),
+        file_content_type: type.contentType,
+        file_uploaded_at: new Date(),
+        updated_at: new Date(),
+      })
+      .eq("id", product.id)
+      .select()
+      .single();
+    if (error) {
+      await this.storage.from(bucket).remove([objectName]).catch(() => {});
+      throw error;
+    }
+
+    if (product.file_name && product.file_name !== objectName) {
+      const { error: removeError } = await this.storage
+        .from(product.storage_path || this.bucket)
+        .remove([product.file_name]);
+      if (removeError) logger.warn("Could not delete replaced file", { productId: product.id, file: product.file_name, err: removeError });
+    }
+
+    return { success: true, product: updated };
+  }
+}
+
+export default ProductFileService;
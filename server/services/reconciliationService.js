@@ -0,0 +1,144 @@
+class PaymentReconciler {
+  constructor(supabase, orderService, paymentProviders, options = {}) {
+    this.supabase = supabase;
+    this.orderService = orderService;
+    this.paymentProviders = paymentProviders;
+    // Leave fresh checkouts alone; the customer may still be paying
+    this.minAgeMinutes = options.minAgeMinutes ?? 15;
+    // Checkout links expire after 20 minutes; give providers ample slack
+    this.expireAfterMinutes = options.expireAfterMinutes ?? 24 * 60;
+    this.batchSize = options.batchSize ?? 50;
+    this.running = false;
+  }
+
+  async findPendingOrders() {
+    const cutoff = new Date(Date.now() - this.minAgeMinutes * 60 * 1000);
+    const { data, error } = await this.supabase
+      .from("orders")
+      .select("*")
+      .eq("payment->>status", "pending")
+      .lt("created_at", cutoff.toISOString())
+      .order("created_at", { ascending: true })
+      .limit(this.batchSize);
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Decide what a pending order should become, given the provider's view
+   * of it. Returns null to leave it pending.
+   */
+  resolveStatus(order, gatewayStatus) {
+    if (gatewayStatus && gatewayStatus !== "pending") return gatewayStatus;
+    return this.isExpired(order) ? "expired" : null;
+  }
+
+  isExpired(order) {
+    const ageMinutes = (Date.now() - new Date(order.created_at).getTime()) / 60000;
+    return ageMinutes > this.expireAfterMinutes;
+  }
+
+  async reconcileOrder(order) {
+    const merchantOrderId = order.merchant_order_id;
+    const entry = {
+      orderId: order.id,
+      merchantOrderId,
+      localStatus: order.payment?.status,
+    };
+
+    let gateway;
+    try {
+      gateway = await this.paymentProviders.forOrder(order).checkPaymentStatus(order);
+    } catch (error) {
+      // An order the provider never answers for (e.g. it was never created
+      // there) would otherwise sit at the head of the oldest-first batch forever
+      if (!this.isExpired(order)) return { ...entry, action: "error", error: error.message };
+
+      const { changed } = await this.orderService.applyPaymentStatus(order, "expired", {
+        reconciledAt: new Date().toISOString(),
+      }, { actor: "reconciler", reason: `Checkout expired; status check failed: ${error.message}` });
+      return { ...entry, action: changed ? "expired" : "skipped", error: error.message };
+    }
+
+    const { gatewayState } = gateway;
+    const next = this.resolveStatus(order, gateway.status);
+    if (!next) return { ...entry, gatewayState, action: "unchanged" };
+
+    const details = { reconciledAt: new Date().toISOString(), gatewayState };
+    if (next === "completed") {
+      details.paidAt = new Date().toISOString();
+      details.gatewayTransactionId = gateway.transactionId;
+    }
+
+    const { changed } = await this.orderService.applyPaymentStatus(order, next, details, {
+      actor: "reconciler",
+      reason: gatewayState ? `Gateway state ${gatewayState}` : "Checkout expired",
+    });
+    return { ...entry, gatewayState, gatewayStatus: gateway.status, action: changed ? next : "skipped" };
+  }
+
+  /**
+   * Check every stale pending order against its provider and store a summary
+   * of what was found. Overlapping runs in the same process are skipped.
+   */
+  async run(trigger = "manual") {
+    if (this.running) return { skipped: true, reason: "Reconciliation already running" };
+    this.running = true;
+
+    const startedAt = new Date();
+    try {
+      const orders = await this.findPendingOrders();
+      const results = [];
+      for (const order of orders) {
+        results.push(await this.reconcileOrder(order));
+      }
+
+      const count = (action) => results.filter((r) => r.action === action).length;
+      const summary = {
+        trigger,
+        checked: results.length,
+        completed: count("completed"),
+        failed: count("failed"),
+        expired: count("expired"),
+        unchanged: count("unchanged"),
+        errors: count("error"),
+        // Orders whose stored status disagreed with the provider
+        mismatches: results.filter((r) => r.gatewayStatus && r.gatewayStatus !== "pending"),
+        results,
+      };
+
+      const { data, error } = await this.supabase
+        .from("payment_reconciliation_runs")
+        .insert([{
+          trigger,
+          started_at: startedAt,
+          finished_at: new Date(),
+          checked: summary.checked,
+          mismatch_count: summary.mismatches.length,
+          summary,
+        }])
+        .select()
+        .single();
+      if (error) throw error;
+
+      return { skipped: false, runId: data.id, ...summary };
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async listRuns({ limit = 20, mismatchesOnly = false } = {}) {
+    let query = this.supabase
+      .from("payment_reconciliation_runs")
+      .select("*")
+      .order("started_at", { ascending: false })
+      .limit(limit);
+    if (mismatchesOnly) query = query.gt("mismatch_count", 0);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+}
+
+export default PaymentReconciler;
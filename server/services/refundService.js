@@ -0,0 +1,221 @@
+import { toPaise, toRupees } from "./pricingService.js";
+import logger from "../lib/logger.js";
+
+const REFUNDABLE_STATUSES = ["completed", "partially_refunded"];
+
+class RefundService {
+  constructor(supabase, orderService, paymentProviders) {
+    this.supabase = supabase;
+    this.orderService = orderService;
+    this.paymentProviders = paymentProviders;
+    this.listeners = [];
+    this.failureListeners = [];
+  }
+
+  /** Register `fn({ order, refund, fullyRefunded })`, called once a provider accepts a refund */
+  onRefund(fn) {
+    this.listeners.push(fn);
+  }
+
+  /**
+   * Register `fn({ order, refund })`, called when a refund the provider had
+   * accepted is later reported as failed, so whatever `onRefund` did can be undone
+   */
+  onRefundFailed(fn) {
+    this.failureListeners.push(fn);
+  }
+
+  async notifyRefund(change, listeners = this.listeners) {
+    for (const listener of listeners) {
+      try {
+        await listener(change);
+      } catch (error) {
+        logger.error("Refund listener failed", { refundId: change.refund.id, orderId: change.order.id, err: error });
+      }
+    }
+  }
+
+  async listForOrder(orderId) {
+    const { data, error } = await this.supabase
+      .from("refunds")
+      .select("*")
+      .eq("order_id", orderId)
+      .order("created_at", { ascending: true });
+    if (error) throw error;
+    return data;
+  }
+
+  async findByMerchantRefundId(merchantRefundId) {
+    const { data, error } = await this.supabase
+      .from("refunds")
+      .select("*")
+      .eq("merchant_refund_id", merchantRefundId)
+      .single();
+    if (error?.code === "PGRST116") return null;
+    if (error) throw error;
+    return data;
+  }
+
+  /** Amount (paise) already refunded or on its way back to the buyer */
+  async refundedPaise(orderId) {
+    const refunds = await this.listForOrder(orderId);
+    return refunds
+      .filter((r) => r.status !== "failed")
+      .reduce((sum, r) => sum + toPaise(r.amount), 0);
+  }
+
+  /**
+   * Refund `amount` rupees of an order, or whatever is left when omitted.
+   * Once the order's provider accepts the refund the payment becomes
+   * `partially_refunded` or, when nothing is left, `refunded`, which is
+   * when download access ends. The `refunds_check_total` trigger is what
+   * stops concurrent refunds adding up to more than was paid.
+   */
+  async createRefund(order, { amount, reason, requestedBy }) {
+    if (!REFUNDABLE_STATUSES.includes(order.payment?.status)) {
+      return { success: false, status: 409, message: "Only paid orders can be refunded" };
+    }
+
+    const totalPaise = toPaise(order.total_amount);
+    const remainingPaise = totalPaise - (await this.refundedPaise(order.id));
+    const refundPaise = amount === undefined ? remainingPaise : toPaise(amount);
+
+    if (!(refundPaise > 0) || refundPaise > remainingPaise) {
+      return {
+        success: false,
+        status: 400,
+        message: `Refund amount must be between ₹0.01 and ₹${toRupees(remainingPaise)}`,
+      };
+    }
+
+    const provider = this.paymentProviders.forOrder(order);
+    const merchantRefundId = `REFUND_${order.id}_${Date.now()}`;
+    const { data: refund, error } = await this.supabase
+      .from("refunds")
+      .insert([{
+        order_id: order.id,
+        merchant_order_id: order.merchant_order_id,
+        merchant_refund_id: merchantRefundId,
+        provider: provider.name,
+        amount: toRupees(refundPaise),
+        reason: reason || null,
+        status: "pending",
+        requested_by: requestedBy ?? null,
+        created_at: new Date(),
+        updated_at: new Date(),
+      }])
+      .select()
+      .single();
+    // Another refund of this order got in first and took the rest
+    if (error?.code === "23514") {
+      return { success: false, status: 409, message: "Refund would exceed the amount paid" };
+    }
+    if (error) throw error;
+
+    const result = await provider.initiateRefund({
+      merchantRefundId,
+      order,
+      amount: toRupees(refundPaise),
+    });
+
+    if (!result.success) {
+      const failed = await this.updateRefund(refund.id, {
+        status: "failed",
+        failure_reason: result.error,
+      });
+      return { success: false, status: 502, message: `${provider.name} refund failed`, refund: failed };
+    }
+
+    const updated = await this.updateRefund(refund.id, {
+      status: result.status,
+      gateway_refund_id: result.refundId,
+      gateway_state: result.gatewayState,
+    });
+
+    // Counted again, and applied to the order as it is now, in case another refund ran alongside
+    const refundedPaise = await this.refundedPaise(order.id);
+    const fullyRefunded = refundedPaise >= totalPaise;
+    const current = (await this.orderService.findByMerchantOrderId(order.merchant_order_id)) || order;
+    await this.markRefunded(current, fullyRefunded, toRupees(refundedPaise), {
+      actor: requestedBy ? `admin:${requestedBy}` : "system",
+      reason: reason || null,
+    });
+    await this.notifyRefund({ order: current, refund: updated, fullyRefunded });
+
+    return { success: true, refund: updated };
+  }
+
+  async updateRefund(refundId, fields) {
+    const { data, error } = await this.supabase
+      .from("refunds")
+      .update({ ...fields, updated_at: new Date() })
+      .eq("id", refundId)
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  /**
+   * Record the refunded amount on the payment. Only a full refund
+   * (`refunded`) stops signed downloads; a partial one keeps them working.
+   */
+  async markRefunded(order, fullyRefunded, refundedAmount, { actor, reason }) {
+    const status = fullyRefunded ? "refunded" : "partially_refunded";
+    const details = { refundedAmount, refundedAt: new Date().toISOString() };
+
+    if (order.payment?.status === status) {
+      await this.orderService.updatePayment(order.id, { ...order.payment, ...details });
+      return;
+    }
+    await this.orderService.applyPaymentStatus(order, status, details, { actor, reason });
+  }
+
+  /**
+   * Apply a refund status reported by the provider (status poll or webhook).
+   * A refund that fails after being accepted gives the order back what it took.
+   */
+  async applyGatewayStatus(refund, status, gatewayState, { actor = "system" } = {}) {
+    if (!status || status === refund.status || refund.status === "failed") return refund;
+
+    const updated = await this.updateRefund(refund.id, { status, gateway_state: gatewayState });
+    if (status === "failed") await this.restoreAfterFailure(updated, actor);
+    return updated;
+  }
+
+  /**
+   * Recompute the order's refunded status from the refunds still standing:
+   * back to `completed` (downloads work again) when none are left.
+   */
+  async restoreAfterFailure(refund, actor) {
+    const order = await this.orderService.findByMerchantOrderId(refund.merchant_order_id);
+    if (!order) return;
+
+    const totalPaise = toPaise(order.total_amount);
+    const refundedPaise = await this.refundedPaise(order.id);
+    const status = refundedPaise <= 0
+      ? "completed"
+      : refundedPaise >= totalPaise ? "refunded" : "partially_refunded";
+    const details = { refundedAmount: toRupees(refundedPaise) };
+
+    if (order.payment?.status === status) {
+      await this.orderService.updatePayment(order.id, { ...order.payment, ...details });
+    } else {
+      await this.orderService.reverseRefund(order, status, details, {
+        actor,
+        reason: `Refund ${refund.merchant_refund_id} failed`,
+      });
+    }
+    await this.notifyRefund({ order, refund }, this.failureListeners);
+  }
+
+  async refreshStatus(refund, { actor = "system" } = {}) {
+    if (refund.status !== "pending") return refund;
+
+    const provider = this.paymentProviders.get(refund.provider);
+    const { status, gatewayState } = await provider.checkRefundStatus(refund);
+    return this.applyGatewayStatus(refund, status, gatewayState, { actor });
+  }
+}
+
+export default RefundService;
@@ -0,0 +1,121 @@
+import { PDFDocument, StandardFonts, degrees, rgb } from "pdf-lib";
+
+// Standard PDF fonts are Latin-1 only
+const pdfSafe = (value) => String(value ?? "").replace(/[^\x20-\x7E\xA0-\xFF]/g, "?");
+
+/**
+ * Stamps PDF products with the buyer's details before download. Each
+ * order gets its own copy, kept in a separate bucket and reused until the
+ * product's file is replaced.
+ */
+class PdfWatermarkService {
+  /**
+   * @param {object} options  `config.storage`
+   */
+  constructor(supabase, storage, { watermarkBucket }) {
+    this.supabase = supabase;
+    this.storage = storage;
+    this.bucket = watermarkBucket;
+  }
+
+  appliesTo(product) {
+    if (product.watermark === false) return false;
+    return product.file_content_type === "application/pdf" ||
+      /\.pdf$/i.test(product.file_name || "");
+  }
+
+  async findCached(orderId, product) {
+    const { data, error } = await this.supabase
+      .from("download_watermarks")
+      .select("storage_bucket, storage_path")
+      .eq("order_id", orderId)
+      .eq("product_id", product.id)
+      .eq("source_file_name", product.file_name)
+      .maybeSingle();
+    if (error) throw error;
+    return data && { bucket: data.storage_bucket, path: data.storage_path };
+  }
+
+  /**
+   * Where the buyer's stamped copy of `product` lives, creating it on the
+   * first download for this order. Returns `{ bucket, path }`.
+   */
+  async getStampedCopy(order, product) {
+    const cached = await this.findCached(order.id, product);
+    if (cached) return cached;
+
+    const sourceBucket = product.storage_path || "products";
+    const { data: source, error: downloadError } = await this.storage
+      .from(sourceBucket)
+      .download(product.file_name);
+    if (downloadError) throw downloadError;
+
+    const stamped = await this.stamp(Buffer.from(await source.arrayBuffer()), [
+      `Licensed to ${order.customer_name} <${order.customer_email}>`,
+      `Order ${order.merchant_order_id}`,
+    ]);
+
+    const path = `${order.id}/${product.id}-${Date.now()}.pdf`;
+    const { error: uploadError } = await this.storage
+      .from(this.bucket)
+      .upload(path, stamped, { contentType: "application/pdf", upsert: true });
+    if (uploadError) throw uploadError;
+
+    const { error } = await this.supabase
+      .from("download_watermarks")
+      .insert([{
+        order_id: order.id,
+        product_id: product.id,
+        source_file_name: product.file_name,
+        storage_bucket: this.bucket,
+        storage_path: path,
+        created_at: new Date(),
+      }]);
+    // A concurrent download stamped it too; use whichever copy was recorded first
+    if (error?.code === "23505") {
+      await this.storage.from(this.bucket).remove([path]).catch(() => {});
+      return this.findCached(order.id, product);
+    }
+    if (error) throw error;
+
+    return { bucket: this.bucket, path };
+  }
+
+  /** Add `lines` as a footer and a faint diagonal stamp on every page */
+  async stamp(pdfBytes, lines) {
+    const pdf = await PDFDocument.load(pdfBytes, { ignoreEncryption: true });
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const footer = pdfSafe(lines.join("  |  "));
+    const diagonal = pdfSafe(lines[0]);
+
+    for (const page of pdf.getPages()) {
+      const { width, height } = page.getSize();
+
+      const footerSize = Math.min(8, (width - 40) / font.widthOfTextAtSize(footer, 1));
+      page.drawText(footer, {
+        x: 20,
+        y: 12,
+        size: footerSize,
+        font,
+        color: rgb(0.35, 0.35, 0.35),
+      });
+
+      const diagonalSize = Math.min(28, (Math.hypot(width, height) * 0.8) / font.widthOfTextAtSize(diagonal, 1));
+      const textWidth = font.widthOfTextAtSize(diagonal, diagonalSize);
+      const angle = Math.atan2(height, width);
+      page.drawText(diagonal, {
+        x: width / 2 - (textWidth / 2) * Math.cos(angle),
+        y: height / 2 - (textWidth / 2) * Math.sin(angle),
+        size: diagonalSize,
+        font,
+        rotate: degrees((angle * 180) / Math.PI),
+        color: rgb(0.5, 0.5, 0.5),
+        opacity: 0.18,
+      });
+    }
+
+    return Buffer.from(await pdf.save());
+  }
+}
+
+export default PdfWatermarkService;
@@ -0,0 +1,118 @@
+import crypto from "crypto";
+import { toPaise } from "./pricingService.js";
+
+class PaymentWebhookService {
+  constructor(supabase, orderService, refundService) {
+    this.supabase = supabase;
+    this.orderService = orderService;
+    this.refundService = refundService;
+  }
+
+  /** Store the raw delivery before anything else happens to it */
+  async record({ provider, rawBody, body, signatureValid, parsed }) {
+    const raw = rawBody ? rawBody.toString("utf8") : JSON.stringify(body);
+    const { data, error } = await this.supabase
+      .from("payment_webhook_events")
+      .insert([{
+        provider,
+        event_type: parsed.eventType,
+        merchant_order_id: parsed.merchantOrderId,
+        signature_valid: signatureValid,
+        payload: body,
+        raw_body: raw,
+        dedupe_key: crypto.createHash("sha256").update(raw).digest("hex"),
+        status: "received",
+        received_at: new Date(),
+      }])
+      .select()
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  async markEvent(eventId, status, errorMessage = null) {
+    const { error } = await this.supabase
+      .from("payment_webhook_events")
+      .update({ status, error: errorMessage, processed_at: new Date() })
+      .eq("id", eventId);
+    if (error) throw error;
+  }
+
+  async isDuplicate(event) {
+    const { data, error } = await this.supabase
+      .from("payment_webhook_events")
+      .select("id")
+      .eq("dedupe_key", event.dedupe_key)
+      .eq("status", "processed")
+      .neq("id", event.id)
+      .limit(1);
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  /**
+   * Apply a verified event (already normalised by the provider's
+   * `parseWebhook`) to its order. Redeliveries of an already processed
+   * event are recorded but change nothing.
+   */
+  async process(event, parsed) {
+    if (await this.isDuplicate(event)) {
+      await this.markEvent(event.id, "duplicate");
+      return { status: "duplicate" };
+    }
+
+    if (parsed.merchantRefundId) return this.processRefund(event, parsed);
+
+    const { status } = parsed;
+    if (!parsed.merchantOrderId || !status || status === "pending") {
+      await this.markEvent(event.id, "ignored", "Unsupported event");
+      return { status: "ignored" };
+    }
+
+    const order = await this.orderService.findByMerchantOrderId(parsed.merchantOrderId);
+    if (!order) {
+      await this.markEvent(event.id, "ignored", "Order not found");
+      return { status: "ignored" };
+    }
+
+    if (
+      status === "completed" &&
+      parsed.amount !== null &&
+      Number(parsed.amount) !== toPaise(order.total_amount)
+    ) {
+      await this.markEvent(event.id, "rejected", "Amount mismatch");
+      return { status: "rejected" };
+    }
+
+    const details = {
+      providerOrderId: parsed.providerOrderId || order.payment?.providerOrderId || null,
+      gatewayTransactionId: parsed.transactionId,
+      webhookEventId: event.id,
+    };
+    if (status === "completed") details.paidAt = new Date().toISOString();
+
+    const result = await this.orderService.applyPaymentStatus(order, status, details, {
+      actor: `webhook:${event.provider}`,
+      reason: parsed.eventType,
+    });
+    await this.markEvent(event.id, "processed");
+    return { status: "processed", changed: result.changed, order: result.order };
+  }
+
+  /** Refund events carry the refund we issued through RefundService */
+  async processRefund(event, parsed) {
+    const refund = await this.refundService.findByMerchantRefundId(parsed.merchantRefundId);
+    if (!refund) {
+      await this.markEvent(event.id, "ignored", "Refund not found");
+      return { status: "ignored" };
+    }
+
+    await this.refundService.applyGatewayStatus(refund, parsed.refundStatus, parsed.gatewayState, {
+      actor: `webhook:${event.provider}`,
+    });
+    await this.markEvent(event.id, "processed");
+    return { status: "processed" };
+  }
+}
+
+export default PaymentWebhookService;
@@ -0,0 +1,4 @@
+-- Only published products can be bought; prices are read server-side at checkout.
+alter table products
+  add column if not exists status text not null default 'published'
+  check (status in ('draft', 'published'));
@@ -0,0 +1,21 @@
+-- Raw log of every PhonePe webhook delivery, valid or not.
+create table if not exists payment_webhook_events (
+  id bigserial primary key,
+  provider text not null,
+  event_type text,
+  merchant_order_id text,
+  signature_valid boolean not null,
+  payload jsonb,
+  raw_body text not null,
+  dedupe_key text not null,
+  status text not null default 'received'
+    check (status in ('received', 'processed', 'duplicate', 'ignored', 'rejected')),
+  error text,
+  received_at timestamptz not null default now(),
+  processed_at timestamptz
+);
+
+create index if not exists payment_webhook_events_dedupe_key_idx
+  on payment_webhook_events (dedupe_key);
+create index if not exists payment_webhook_events_merchant_order_id_idx
+  on payment_webhook_events (merchant_order_id);
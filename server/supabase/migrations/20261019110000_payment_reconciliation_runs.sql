@@ -0,0 +1,13 @@
+-- One row per reconciler pass over pending PhonePe orders.
+create table if not exists payment_reconciliation_runs (
+  id bigserial primary key,
+  trigger text not null,
+  started_at timestamptz not null,
+  finished_at timestamptz,
+  checked integer not null default 0,
+  mismatch_count integer not null default 0,
+  summary jsonb not null default '{}'::jsonb
+);
+
+create index if not exists payment_reconciliation_runs_started_at_idx
+  on payment_reconciliation_runs (started_at desc);
@@ -0,0 +1,19 @@
+-- Refunds issued through PhonePe, full or partial.
+create table if not exists refunds (
+  id bigserial primary key,
+  order_id bigint not null references orders (id),
+  merchant_order_id text not null,
+  merchant_refund_id text not null unique,
+  phonepe_refund_id text,
+  amount numeric(10, 2) not null check (amount > 0),
+  reason text,
+  status text not null default 'pending'
+    check (status in ('pending', 'completed', 'failed')),
+  gateway_state text,
+  failure_reason text,
+  requested_by bigint,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists refunds_order_id_idx on refunds (order_id);
@@ -0,0 +1,26 @@
+-- Outgoing emails, sent by the outbox worker with exponential backoff.
+create table if not exists email_outbox (
+  id bigserial primary key,
+  kind text not null,
+  order_id bigint references orders (id),
+  to_email text not null,
+  subject text not null,
+  html text not null,
+  attachments jsonb not null default '[]'::jsonb,
+  status text not null default 'queued'
+    check (status in ('queued', 'sending', 'sent', 'failed')),
+  attempts integer not null default 0,
+  max_attempts integer not null default 6,
+  next_attempt_at timestamptz,
+  locked_at timestamptz,
+  last_error text,
+  provider_message_id text,
+  resend_of bigint references email_outbox (id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  sent_at timestamptz
+);
+
+create index if not exists email_outbox_due_idx
+  on email_outbox (status, next_attempt_at);
+create index if not exists email_outbox_order_id_idx on email_outbox (order_id);
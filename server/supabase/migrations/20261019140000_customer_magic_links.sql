@@ -0,0 +1,11 @@
+-- One-time sign-in links for the customer library. Only token hashes are stored.
+create table if not exists customer_magic_links (
+  id bigserial primary key,
+  email text not null,
+  token_hash text not null unique,
+  expires_at timestamptz not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists customer_magic_links_email_idx on customer_magic_links (email);
@@ -0,0 +1,20 @@
+-- Per-product download rules. Null means unlimited.
+alter table products
+  add column if not exists max_downloads integer default 5 check (max_downloads > 0),
+  add column if not exists access_days integer default 30 check (access_days > 0);
+
+-- Every signed URL handed out. Resetting a buyer's counter clears `counted`.
+create table if not exists download_logs (
+  id bigserial primary key,
+  order_id bigint not null references orders (id),
+  product_id bigint not null references products (id),
+  ip text,
+  user_agent text,
+  source text,
+  counted boolean not null default true,
+  reset_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists download_logs_order_product_idx
+  on download_logs (order_id, product_id);
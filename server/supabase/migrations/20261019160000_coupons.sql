@@ -0,0 +1,39 @@
+-- Discount codes and their redemptions.
+create table if not exists coupons (
+  id bigserial primary key,
+  code text not null unique,
+  type text not null check (type in ('percentage', 'fixed')),
+  value numeric(10, 2) not null check (value > 0),
+  max_redemptions integer check (max_redemptions > 0),
+  max_per_customer integer check (max_per_customer > 0),
+  starts_at timestamptz,
+  ends_at timestamptz,
+  min_order_amount numeric(10, 2),
+  product_ids bigint[],
+  active boolean not null default true,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- `reserved` while the order is pending, then `redeemed` or `released`.
+create table if not exists coupon_redemptions (
+  id bigserial primary key,
+  coupon_id bigint not null references coupons (id),
+  order_id bigint not null references orders (id),
+  customer_email text not null,
+  discount_amount numeric(10, 2) not null,
+  status text not null default 'reserved'
+    check (status in ('reserved', 'redeemed', 'released')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists coupon_redemptions_coupon_id_idx
+  on coupon_redemptions (coupon_id, status);
+create unique index if not exists coupon_redemptions_order_id_idx
+  on coupon_redemptions (order_id);
+
+alter table orders
+  add column if not exists subtotal_amount numeric(10, 2),
+  add column if not exists discount_amount numeric(10, 2) not null default 0,
+  add column if not exists coupon_code text;
@@ -0,0 +1,3 @@
+-- Refunds can now go through any payment provider, not just PhonePe.
+alter table refunds rename column phonepe_refund_id to gateway_refund_id;
+alter table refunds add column if not exists provider text not null default 'phonepe';
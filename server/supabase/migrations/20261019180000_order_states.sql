@@ -0,0 +1,41 @@
+-- Explicit order state, moved by OrderService.transition, and the history
+-- of every transition.
+alter table orders
+  add column if not exists status text;
+
+update orders
+set status = case lower(payment ->> 'status')
+  when 'completed' then 'paid'
+  when 'partially_refunded' then 'paid'
+  when 'refunded' then 'refunded'
+  when 'failed' then 'failed'
+  when 'expired' then 'expired'
+  when 'cancelled' then 'cancelled'
+  else 'pending'
+end
+where status is null;
+
+alter table orders
+  alter column status set default 'created',
+  alter column status set not null,
+  add constraint orders_status_check
+    check (status in ('created', 'pending', 'paid', 'failed', 'expired', 'refunded', 'cancelled'));
+
+create index if not exists orders_status_idx on orders (status);
+
+create table if not exists order_events (
+  id bigserial primary key,
+  order_id bigint not null references orders (id) on delete cascade,
+  -- Null for the event written when the order is created
+  from_state text,
+  to_state text not null,
+  payment_status text,
+  -- Who or what caused it: customer, webhook:<provider>, callback:<provider>,
+  -- reconciler, admin:<id>, system
+  actor text not null,
+  reason text,
+  details jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists order_events_order_id_idx on order_events (order_id, created_at);
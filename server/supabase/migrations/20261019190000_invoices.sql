@@ -0,0 +1,34 @@
+-- GST tax invoices, one per paid order. The row is a snapshot of what was
+-- invoiced; the PDF is rendered from it on demand.
+create sequence if not exists invoice_number_seq;
+
+create or replace function next_invoice_number()
+returns bigint
+language sql
+as $$
+  select nextval('invoice_number_seq');
+$$;
+
+-- Two-digit GST state code of the buyer, when collected at checkout
+alter table orders
+  add column if not exists customer_state text;
+
+create table if not exists invoices (
+  id bigserial primary key,
+  order_id bigint not null unique references orders (id),
+  merchant_order_id text not null,
+  invoice_number text not null unique,
+  issued_at timestamptz not null,
+  seller jsonb not null,
+  buyer jsonb not null,
+  place_of_supply text,
+  inter_state boolean not null default false,
+  gst_rate numeric(5, 2) not null,
+  lines jsonb not null,
+  taxable_value numeric(10, 2) not null,
+  cgst numeric(10, 2) not null default 0,
+  sgst numeric(10, 2) not null default 0,
+  igst numeric(10, 2) not null default 0,
+  total_amount numeric(10, 2) not null,
+  created_at timestamptz not null default now()
+);
@@ -0,0 +1,6 @@
+-- Details of the file uploaded for each product through the admin API.
+alter table products
+  add column if not exists file_size bigint,
+  add column if not exists file_checksum text,
+  add column if not exists file_content_type text,
+  add column if not exists file_uploaded_at timestamptz;
@@ -0,0 +1,15 @@
+-- Per-order watermarked copies of PDF products, reused until the product
+-- file is replaced.
+alter table products
+  add column if not exists watermark boolean not null default true;
+
+create table if not exists download_watermarks (
+  id bigserial primary key,
+  order_id bigint not null references orders (id) on delete cascade,
+  product_id bigint not null references products (id) on delete cascade,
+  source_file_name text not null,
+  storage_bucket text not null,
+  storage_path text not null,
+  created_at timestamptz not null default now(),
+  unique (order_id, product_id, source_file_name)
+);
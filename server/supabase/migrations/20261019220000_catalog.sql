@@ -0,0 +1,45 @@
+-- Catalog browsing: categories, tags, slugs, full-text search and an
+-- archived status for products that are no longer sold.
+alter table products
+  drop constraint if exists products_status_check;
+
+alter table products
+  add constraint products_status_check
+    check (status in ('draft', 'published', 'archived'));
+
+create table if not exists categories (
+  id bigserial primary key,
+  name text not null,
+  slug text not null unique,
+  description text,
+  position integer not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table products
+  add column if not exists description text,
+  add column if not exists slug text,
+  add column if not exists category_id bigint references categories (id) on delete set null,
+  add column if not exists tags text[] not null default '{}';
+
+-- Existing products get "<name>-<id>" so the backfill can't collide
+update products
+set slug = trim(both '-' from regexp_replace(lower(name), '[^a-z0-9]+', '-', 'g')) || '-' || id
+where slug is null;
+
+alter table products
+  alter column slug set not null;
+
+create unique index if not exists products_slug_key on products (slug);
+create index if not exists products_category_id_idx on products (category_id);
+create index if not exists products_tags_idx on products using gin (tags);
+
+alter table products
+  add column if not exists search tsvector
+    generated always as (
+      setweight(to_tsvector('simple', coalesce(name, '')), 'A') ||
+      setweight(to_tsvector('simple', coalesce(description, '')), 'B')
+    ) stored;
+
+create index if not exists products_search_idx on products using gin (search);
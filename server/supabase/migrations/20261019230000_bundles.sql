@@ -0,0 +1,19 @@
+-- Bundles: products made up of other products. A bundle with no price of
+-- its own costs the sum of its components.
+alter table products
+  add column if not exists type text not null default 'single'
+    check (type in ('single', 'bundle'));
+
+alter table products
+  alter column price drop not null;
+
+create table if not exists bundle_items (
+  bundle_id bigint not null references products (id) on delete cascade,
+  product_id bigint not null
+    constraint bundle_items_product_id_fkey references products (id) on delete restrict,
+  position integer not null default 0,
+  primary key (bundle_id, product_id),
+  check (bundle_id <> product_id)
+);
+
+create index if not exists bundle_items_product_id_idx on bundle_items (product_id);
@@ -0,0 +1,32 @@
+-- Abandoned checkout recovery emails. One row per emailed order, tracked
+-- from send through click to the paid order it led to.
+create table if not exists checkout_recoveries (
+  id bigserial primary key,
+  order_id bigint not null unique
+    constraint checkout_recoveries_order_id_fkey references orders (id) on delete cascade,
+  customer_email text not null,
+  token_hash text not null unique,
+  coupon_code text,
+  status text not null default 'sent'
+    check (status in ('sent', 'clicked', 'recovered', 'unsubscribed')),
+  sent_at timestamptz not null default now(),
+  clicked_at timestamptz,
+  recovered_order_id bigint references orders (id) on delete set null,
+  recovered_at timestamptz,
+  recovered_amount numeric(10, 2),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists checkout_recoveries_email_idx
+  on checkout_recoveries (customer_email, sent_at);
+create index if not exists checkout_recoveries_recovered_order_id_idx
+  on checkout_recoveries (recovered_order_id);
+create index if not exists checkout_recoveries_sent_at_idx on checkout_recoveries (sent_at);
+
+-- Addresses that asked not to get marketing-style emails. Order receipts
+-- still go out.
+create table if not exists email_unsubscribes (
+  email text primary key,
+  source text,
+  created_at timestamptz not null default now()
+);
@@ -0,0 +1,55 @@
+-- Affiliates (creators with referral codes), the orders they referred and
+-- the commission owed to them. The ledger is append-only: refunds add
+-- negative reversal entries and payouts mark the entries they settle.
+create table if not exists affiliates (
+  id bigserial primary key,
+  code text not null unique,
+  name text not null,
+  email text,
+  commission_rate numeric(5, 2) not null check (commission_rate between 0 and 100),
+  active boolean not null default true,
+  stats_token_hash text not null unique,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table orders
+  add column if not exists affiliate_id bigint references affiliates (id),
+  add column if not exists affiliate_code text;
+
+create index if not exists orders_affiliate_id_idx on orders (affiliate_id);
+
+create table if not exists affiliate_payouts (
+  id bigserial primary key,
+  affiliate_id bigint not null references affiliates (id),
+  amount numeric(10, 2) not null check (amount > 0),
+  entries integer not null,
+  reference text,
+  note text,
+  paid_by bigint,
+  paid_at timestamptz not null default now(),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists affiliate_payouts_affiliate_id_idx on affiliate_payouts (affiliate_id);
+
+create table if not exists affiliate_commissions (
+  id bigserial primary key,
+  affiliate_id bigint not null references affiliates (id),
+  order_id bigint not null references orders (id),
+  refund_id bigint unique references refunds (id),
+  kind text not null check (kind in ('accrual', 'reversal')),
+  order_amount numeric(10, 2) not null,
+  commission_rate numeric(5, 2) not null,
+  amount numeric(10, 2) not null,
+  payout_id bigint references affiliate_payouts (id),
+  created_at timestamptz not null default now(),
+  check ((kind = 'accrual') = (amount > 0))
+);
+
+-- One accrual per order, however often its paid transition is replayed
+create unique index if not exists affiliate_commissions_accrual_idx
+  on affiliate_commissions (order_id) where kind = 'accrual';
+create index if not exists affiliate_commissions_affiliate_id_idx
+  on affiliate_commissions (affiliate_id, created_at);
+create index if not exists affiliate_commissions_payout_id_idx on affiliate_commissions (payout_id);
@@ -0,0 +1,16 @@
+-- Commission reversed for a refund that later fails is booked back with a
+-- reinstatement entry (see AffiliateService.reinstate).
+alter table affiliate_commissions
+  drop constraint if exists affiliate_commissions_kind_check,
+  drop constraint if exists affiliate_commissions_check,
+  drop constraint if exists affiliate_commissions_refund_id_key;
+
+alter table affiliate_commissions
+  add constraint affiliate_commissions_kind_check
+    check (kind in ('accrual', 'reversal', 'reinstatement')),
+  add constraint affiliate_commissions_check
+    check ((kind = 'reversal') = (amount < 0));
+
+-- One reversal, and at most one reinstatement, per refund
+create unique index if not exists affiliate_commissions_refund_kind_idx
+  on affiliate_commissions (refund_id, kind) where refund_id is not null;
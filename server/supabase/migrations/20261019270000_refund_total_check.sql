@@ -0,0 +1,33 @@
+-- Refunds of an order can never add up to more than was paid, however many
+-- admins refund it at once. Locking the order row serialises concurrent
+-- inserts, so each one sees the refunds committed before it.
+create or replace function refunds_check_total()
+returns trigger
+language plpgsql
+as $$
+declare
+  order_total numeric(10, 2);
+  refunded numeric(10, 2);
+begin
+  if new.status = 'failed' then
+    return new;
+  end if;
+
+  select total_amount into order_total from orders where id = new.order_id for update;
+
+  select coalesce(sum(amount), 0) into refunded
+    from refunds
+    where order_id = new.order_id and status <> 'failed' and id <> new.id;
+
+  if refunded + new.amount > order_total then
+    raise exception 'Refunds of order % would exceed its total', new.order_id
+      using errcode = 'check_violation';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists refunds_check_total on refunds;
+create trigger refunds_check_total
+  before insert on refunds
+  for each row execute function refunds_check_total();
@@ -0,0 +1,7 @@
+-- Orders started from a recovery email link point back at it, so whichever
+-- of them gets paid is credited to the email, not just the latest click's.
+alter table orders
+  add column if not exists checkout_recovery_id bigint
+    references checkout_recoveries (id) on delete set null;
+
+create index if not exists orders_checkout_recovery_id_idx on orders (checkout_recovery_id);
@@ -0,0 +1,8 @@
+-- Abandoned orders the recovery worker decided never to email (the buyer
+-- unsubscribed, paid for another order, or got an email for a newer cart),
+-- so later runs don't keep fetching and re-checking them.
+create table if not exists checkout_recovery_skips (
+  order_id bigint primary key references orders (id) on delete cascade,
+  reason text not null,
+  created_at timestamptz not null default now()
+);
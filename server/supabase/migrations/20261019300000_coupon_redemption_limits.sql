@@ -0,0 +1,46 @@
+-- Coupon limits checked where the redemption is written, so concurrent
+-- checkouts can't oversell a coupon between the check and the reservation.
+-- Locking the coupon row serialises reservations of the same coupon.
+create or replace function coupon_redemptions_check_limits()
+returns trigger
+language plpgsql
+as $$
+declare
+  coupon coupons%rowtype;
+  used integer;
+begin
+  if new.status = 'released' then
+    return new;
+  end if;
+
+  select * into coupon from coupons where id = new.coupon_id for update;
+
+  if coupon.max_redemptions is not null then
+    select count(*) into used
+      from coupon_redemptions
+      where coupon_id = new.coupon_id and status <> 'released';
+    if used >= coupon.max_redemptions then
+      raise exception 'Coupon % is fully redeemed', coupon.code
+        using errcode = 'check_violation', hint = 'max_redemptions';
+    end if;
+  end if;
+
+  if coupon.max_per_customer is not null then
+    select count(*) into used
+      from coupon_redemptions
+      where coupon_id = new.coupon_id and status <> 'released'
+        and lower(customer_email) = lower(new.customer_email);
+    if used >= coupon.max_per_customer then
+      raise exception 'Coupon % already used by this customer', coupon.code
+        using errcode = 'check_violation', hint = 'max_per_customer';
+    end if;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists coupon_redemptions_check_limits on coupon_redemptions;
+create trigger coupon_redemptions_check_limits
+  before insert on coupon_redemptions
+  for each row execute function coupon_redemptions_check_limits();
@@ -0,0 +1,60 @@
+-- GST invoice numbers must run without gaps. `nextval` is never rolled
+-- back, so an insert that failed after taking a number left a hole. Numbers
+-- now come from a counter row updated in the same transaction as the insert:
+-- if issuing fails, the number is handed out again.
+create table if not exists invoice_counter (
+  id boolean primary key default true check (id),
+  last_number bigint not null
+);
+
+-- Carry on from the numbers the sequence already issued
+insert into invoice_counter (id, last_number)
+  select true, case when is_called then last_value else 0 end from invoice_number_seq
+  on conflict (id) do nothing;
+
+-- Issue the invoice for `invoice->>'order_id'`, raising unique_violation if
+-- the order already has one (callers then read that one instead).
+-- `number_prefix` is everything before the zero-padded number.
+create or replace function issue_invoice(invoice jsonb, number_prefix text)
+returns invoices
+language plpgsql
+as $$
+declare
+  issued invoices;
+  next_number bigint;
+begin
+  -- The counter's row lock also serialises concurrent issuing for one order
+  update invoice_counter set last_number = last_number + 1 returning last_number into next_number;
+
+  select * into issued from invoices where order_id = (invoice->>'order_id')::bigint;
+  if found then
+    raise exception 'Order % already has invoice %', issued.order_id, issued.invoice_number
+      using errcode = 'unique_violation';
+  end if;
+
+  insert into invoices (
+    order_id, merchant_order_id, invoice_number, issued_at, seller, buyer,
+    place_of_supply, inter_state, gst_rate, lines, taxable_value,
+    cgst, sgst, igst, total_amount
+  ) values (
+    (invoice->>'order_id')::bigint,
+    invoice->>'merchant_order_id',
+    number_prefix || lpad(next_number::text, 6, '0'),
+    (invoice->>'issued_at')::timestamptz,
+    invoice->'seller',
+    invoice->'buyer',
+    invoice->>'place_of_supply',
+    (invoice->>'inter_state')::boolean,
+    (invoice->>'gst_rate')::numeric,
+    invoice->'lines',
+    (invoice->>'taxable_value')::numeric,
+    (invoice->>'cgst')::numeric,
+    (invoice->>'sgst')::numeric,
+    (invoice->>'igst')::numeric,
+    (invoice->>'total_amount')::numeric
+  )
+  returning * into issued;
+
+  return issued;
+end;
+$$;
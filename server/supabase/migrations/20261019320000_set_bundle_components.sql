@@ -0,0 +1,15 @@
+-- Replace a bundle's contents in one transaction: a failed insert must not
+-- leave a published bundle with no components. `product_ids` are in
+-- display order.
+create or replace function set_bundle_components(bundle_id bigint, product_ids bigint[])
+returns void
+language plpgsql
+as $$
+begin
+  delete from bundle_items where bundle_items.bundle_id = set_bundle_components.bundle_id;
+
+  insert into bundle_items (bundle_id, product_id, position)
+    select set_bundle_components.bundle_id, ids.product_id, ids.position - 1
+    from unnest(product_ids) with ordinality as ids (product_id, position);
+end;
+$$;
@@ -0,0 +1,5 @@
+-- Emails carrying one-time links (magic links, checkout recovery) are stored
+-- with the token masked out. Such a row cannot be sent again from the
+-- outbox, so it gets one attempt and no resends.
+alter table email_outbox
+  add column if not exists redacted boolean not null default false;
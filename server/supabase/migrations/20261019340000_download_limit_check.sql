@@ -0,0 +1,38 @@
+-- `products.max_downloads` checked where the download is logged, so
+-- concurrent requests can't each pass the count and hand out one signed URL
+-- too many. Locking the order row serialises downloads from the same order.
+create or replace function download_logs_check_limit()
+returns trigger
+language plpgsql
+as $$
+declare
+  max_downloads integer;
+  used integer;
+begin
+  if not new.counted then
+    return new;
+  end if;
+
+  perform 1 from orders where id = new.order_id for update;
+
+  select p.max_downloads into max_downloads from products p where p.id = new.product_id;
+  if max_downloads is null then
+    return new;
+  end if;
+
+  select count(*) into used
+    from download_logs
+    where order_id = new.order_id and product_id = new.product_id and counted;
+  if used >= max_downloads then
+    raise exception 'Download limit reached for order % product %', new.order_id, new.product_id
+      using errcode = 'check_violation', hint = 'max_downloads';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists download_logs_check_limit on download_logs;
+create trigger download_logs_check_limit
+  before insert on download_logs
+  for each row execute function download_logs_check_limit();
@@ -0,0 +1,106 @@
+// ============================================================
+// Admin order search, cursor paging and CSV export (user-018)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, orderRow } from "./helpers/testApp.js";
+
+const planner = { id: 1, name: "Budget Planner", price: 199, quantity: 1 };
+const meals = { id: 2, name: "Meal Planner", price: 99, quantity: 2 };
+
+let t;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      orders: [
+        orderRow({ id: 1, created_at: "2026-10-01T10:00:00.000Z", status: "paid", payment: { status: "completed", gatewayTransactionId: "T-1" } }),
+        orderRow({ id: 2, created_at: "2026-10-02T10:00:00.000Z", items: [meals], customer_email: "ravi_k@example.com" }),
+        // Same timestamp as order 2, so paging has to break the tie on id
+        orderRow({ id: 3, created_at: "2026-10-02T10:00:00.000Z", status: "failed", payment: { status: "failed" } }),
+        orderRow({ id: 4, created_at: "2026-10-03T10:00:00.000Z", items: [planner, meals], status: "paid", payment: { status: "partially_refunded" } }),
+        orderRow({
+          id: 5,
+          created_at: "2026-10-04T10:00:00.000Z",
+          customer_name: "=HYPERLINK(\"http://evil.test\")",
+          customer_email: "raviXk@example.com",
+          items: [{ ...planner, name: "Planner, \"Deluxe\"" }],
+        }),
+      ],
+    },
+  });
+});
+
+after(() => t.close());
+
+const list = async (query = "") => {
+  const res = await t.request(`/api/admin/orders${query}`, { as: 3 });
+  return { status: res.status, body: await res.json() };
+};
+const ids = (orders) => orders.map((o) => o.merchant_order_id);
+
+test("orders are listed newest first", async () => {
+  const { status, body } = await list();
+  assert.equal(status, 200);
+  assert.deepEqual(ids(body.orders), ["ORDER_5", "ORDER_4", "ORDER_3", "ORDER_2", "ORDER_1"]);
+  assert.equal(body.nextCursor, null);
+});
+
+test("the cursor pages through orders that share a timestamp without skipping any", async () => {
+  const seen = [];
+  let cursor = "";
+  do {
+    const { body } = await list(`?limit=2${cursor && `&cursor=${cursor}`}`);
+    assert.ok(body.orders.length <= 2);
+    seen.push(...ids(body.orders));
+    cursor = body.nextCursor;
+  } while (cursor);
+  assert.deepEqual(seen, ["ORDER_5", "ORDER_4", "ORDER_3", "ORDER_2", "ORDER_1"]);
+});
+
+test("filters combine", async () => {
+  assert.deepEqual(ids((await list("?status=paid")).body.orders), ["ORDER_4", "ORDER_1"]);
+  assert.deepEqual(ids((await list("?paymentStatus=failed,partially_refunded")).body.orders), ["ORDER_4", "ORDER_3"]);
+  assert.deepEqual(ids((await list("?productId=2")).body.orders), ["ORDER_4", "ORDER_2"]);
+  assert.deepEqual(ids((await list("?minAmount=300&status=paid")).body.orders), ["ORDER_4"]);
+  assert.deepEqual(
+    ids((await list("?from=2026-10-02T00:00:00Z&to=2026-10-03T00:00:00Z")).body.orders),
+    ["ORDER_3", "ORDER_2"]
+  );
+});
+
+test("search matches email, phone and order id, with _ taken literally", async () => {
+  assert.deepEqual(ids((await list("?q=ravi_k")).body.orders), ["ORDER_2"]);
+  assert.deepEqual(ids((await list("?q=order_3")).body.orders), ["ORDER_3"]);
+  assert.equal((await list("?q=9876543210")).body.orders.length, 5);
+});
+
+test("bad filters and cursors are a 400", async () => {
+  assert.equal((await list("?status=shipped")).status, 400);
+  assert.equal((await list("?from=yesterday")).status, 400);
+  assert.equal((await list("?minAmount=-1")).status, 400);
+  assert.equal((await list("?productId=abc")).status, 400);
+  assert.deepEqual((await list("?cursor=garbage")).body, { success: false, message: "Invalid cursor" });
+});
+
+test("the CSV export has the same filters and defuses spreadsheet formulas", async () => {
+  const res = await t.request("/api/admin/orders/export.csv?q=ravi", { as: 3 });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "text/csv; charset=utf-8");
+  assert.match(res.headers.get("content-disposition"), /^attachment; filename="orders-\d{4}-\d{2}-\d{2}\.csv"$/);
+
+  const [header, ...rows] = (await res.text()).trimEnd().split("\r\n");
+  assert.ok(header.startsWith("merchant_order_id,created_at,status,payment_status,"));
+  assert.equal(rows.length, 2);
+  assert.ok(rows[0].startsWith("ORDER_5,"));
+  assert.ok(rows[0].includes(`"'=HYPERLINK(""http://evil.test"")"`));
+  assert.ok(rows[0].includes(`"Planner, ""Deluxe"" x1"`));
+  assert.ok(rows[1].startsWith("ORDER_2,"));
+  assert.ok(rows[1].includes(",Meal Planner x2,"));
+});
+
+test("orders need orders:read", async () => {
+  assert.equal((await t.request("/api/admin/orders", { as: 2 })).status, 200);
+  assert.equal((await t.request("/api/admin/orders/export.csv")).status, 401);
+  assert.equal((await t.request("/api/admin/orders/export.csv?status=nope", { as: 3 })).status, 400);
+});
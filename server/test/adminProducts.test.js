@@ -0,0 +1,98 @@
+// ============================================================
+// Admin login, roles and product management (user-001)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcrypt";
+import { startTestApp, ADMINS } from "./helpers/testApp.js";
+
+let t;
+
+before(async () => {
+  const passwordHash = await bcrypt.hash("correct horse", 4);
+  t = await startTestApp({
+    tables: {
+      admin: ADMINS.map((admin) => ({ ...admin, password_hash: passwordHash })),
+      products: [{ id: 1, name: "Budget Planner", slug: "budget-planner", price: 199, status: "published" }],
+    },
+    supabase: { unique: { products: [["slug"]] } },
+  });
+});
+
+after(() => t.close());
+
+test("POST /api/admin/login returns a token carrying the admin's role", async () => {
+  const res = await t.request("/api/admin/login", { json: { username: "editor", password: "correct horse" } });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.deepEqual(body.user, { id: 2, role: "editor" });
+
+  const me = await t.request("/api/admin/me", { headers: { Authorization: `Bearer ${body.token}` } });
+  assert.deepEqual((await me.json()).user, { id: 2, role: "editor" });
+});
+
+test("POST /api/admin/login rejects a wrong password and an unknown user alike", async () => {
+  const wrong = await t.request("/api/admin/login", { json: { username: "editor", password: "nope" } });
+  const unknown = await t.request("/api/admin/login", { json: { username: "ghost", password: "nope" } });
+  assert.equal(wrong.status, 401);
+  assert.equal(unknown.status, 401);
+  assert.deepEqual(await wrong.json(), await unknown.json());
+});
+
+test("product writes need a signed-in admin", async () => {
+  const res = await t.request("/api/products", { json: { name: "Anonymous", price: 10 } });
+  assert.equal(res.status, 401);
+});
+
+test("product writes need the products:write permission", async () => {
+  const res = await t.request("/api/products", { as: 3, json: { name: "From support", price: 10 } });
+  assert.equal(res.status, 403);
+});
+
+test("an editor can create, update and delete products", async () => {
+  const created = await t.request("/api/products", {
+    as: 2,
+    json: { name: "Wedding Checklist", price: 149, status: "draft" },
+  });
+  assert.equal(created.status, 201);
+  const product = await created.json();
+  assert.equal(product.slug, "wedding-checklist");
+
+  const updated = await t.request(`/api/products/${product.id}`, {
+    method: "PUT",
+    as: 2,
+    json: { price: 129, status: "published" },
+  });
+  assert.equal(updated.status, 200);
+  assert.equal((await updated.json()).price, 129);
+
+  const deleted = await t.request(`/api/products/${product.id}`, { method: "DELETE", as: 2 });
+  assert.equal(deleted.status, 200);
+  assert.equal(t.db.products.some((p) => p.id === product.id), false);
+});
+
+test("creating a product without a name or price is a 400", async () => {
+  const res = await t.request("/api/products", { as: 1, json: { name: "No price" } });
+  assert.equal(res.status, 400);
+});
+
+test("a clashing slug is a 409", async () => {
+  const res = await t.request("/api/products", { as: 1, json: { name: "Budget Planner", price: 99 } });
+  assert.equal(res.status, 409);
+});
+
+test("updating a missing product is a 404", async () => {
+  const res = await t.request("/api/products/999", { method: "PUT", as: 1, json: { price: 5 } });
+  assert.equal(res.status, 404);
+});
+
+test("a demoted admin loses permissions on their next request", async () => {
+  const editor = t.db.admin.find((a) => a.id === 2);
+  editor.role = "support";
+  try {
+    const res = await t.request("/api/admin/products", { as: 2 });
+    assert.equal(res.status, 403);
+  } finally {
+    editor.role = "editor";
+  }
+});
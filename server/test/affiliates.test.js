@@ -0,0 +1,217 @@
+// ============================================================
+// Affiliate referrals, commission ledger and payouts (user-023)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, orderRow, webhookAuthorization, settle } from "./helpers/testApp.js";
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+let t;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      products: [{ id: 1, name: "Budget Planner", price: 199, status: "published", type: "single", file_name: "planner.zip" }],
+      affiliates: [
+        { id: 1, code: "OLDCODE", name: "Retired", commission_rate: 10, active: false, created_at: daysAgo(90) },
+        { id: 2, code: "MEERA", name: "Meera", email: "meera@example.com", commission_rate: 15, active: true, created_at: daysAgo(60) },
+      ],
+      orders: [orderRow({ id: 1, status: "paid", affiliate_id: 2, payment: { status: "completed" } })],
+      // Old enough to be past the hold period
+      affiliate_commissions: [
+        { id: 1, affiliate_id: 2, order_id: 1, kind: "accrual", order_amount: 199, commission_rate: 15, amount: 29.85, created_at: daysAgo(30) },
+      ],
+    },
+  });
+});
+
+after(() => t.close());
+
+const createOrder = ({ email = "asha@example.com", cookie, query = "" } = {}) => t.request(`/api/phonepe/create-order${query}`, {
+  headers: cookie ? { Cookie: cookie } : {},
+  json: { customerName: "Asha", customerEmail: email, customerPhone: "9876543210", orderItems: [{ id: 1 }] },
+});
+const orderFor = async (res) => {
+  const { orderId } = await res.json();
+  return t.db.orders.find((o) => o.id === orderId);
+};
+const ledger = (orderId) => t.db.affiliate_commissions
+  .filter((e) => e.order_id === orderId)
+  .map((e) => [e.kind, e.amount]);
+
+let affiliate;
+let statsToken;
+
+test("owners add affiliates and see their stats token once", async () => {
+  const res = await t.request("/api/admin/affiliates", {
+    as: 1,
+    json: { code: " asha-reels ", name: "Asha Reels", email: "creator@example.com" },
+  });
+  assert.equal(res.status, 201);
+  ({ affiliate, statsToken } = await res.json());
+  assert.equal(affiliate.code, "ASHA-REELS");
+  assert.equal(affiliate.commission_rate, 10);
+  assert.equal(affiliate.active, true);
+  assert.ok(statsToken);
+
+  // Only the hash is kept, and it is never listed
+  const stored = t.db.affiliates.find((a) => a.id === affiliate.id);
+  assert.notEqual(stored.stats_token_hash, statsToken);
+  const { affiliates } = await (await t.request("/api/admin/affiliates", { as: 2 })).json();
+  assert.deepEqual(affiliates.map((a) => a.code), ["ASHA-REELS", "MEERA", "OLDCODE"]);
+  assert.ok(affiliates.every((a) => !("stats_token_hash" in a)));
+
+  const duplicate = await t.request("/api/admin/affiliates", { as: 1, json: { code: "asha-reels", name: "Copycat" } });
+  assert.equal(duplicate.status, 409);
+  assert.equal((await t.request("/api/admin/affiliates", { as: 1, json: { code: "x", name: "Short" } })).status, 400);
+  assert.equal((await t.request("/api/admin/affiliates", { as: 1, json: { code: "RATE", name: "Greedy", commission_rate: 150 } })).status, 400);
+  assert.equal((await t.request("/api/admin/affiliates", { as: 2, json: { code: "EDITOR", name: "Editor" } })).status, 403);
+});
+
+test("updates change only the fields sent", async () => {
+  const res = await t.request("/api/admin/affiliates/1", { method: "PUT", as: 1, json: { name: "Retired Creator" } });
+  assert.equal(res.status, 200);
+  const updated = (await res.json()).affiliate;
+  assert.equal(updated.name, "Retired Creator");
+  assert.equal(updated.code, "OLDCODE");
+  assert.equal(updated.active, false);
+
+  assert.equal((await t.request("/api/admin/affiliates/1", { method: "PUT", as: 1, json: { active: "yes" } })).status, 400);
+  assert.equal((await t.request("/api/admin/affiliates/1", { method: "PUT", as: 1, json: { code: "meera" } })).status, 409);
+  assert.equal((await t.request("/api/admin/affiliates/999", { method: "PUT", as: 1, json: { name: "Nobody" } })).status, 404);
+  assert.equal((await t.request("/api/admin/affiliates/abc", { method: "PUT", as: 1, json: { name: "Nobody" } })).status, 400);
+});
+
+test("the referral link remembers active codes and opens the store", async () => {
+  const res = await t.request("/api/ref/asha-reels");
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get("location"), "http://localhost:8080");
+  const cookie = res.headers.get("set-cookie");
+  assert.match(cookie, /^affiliate_ref=ASHA-REELS;/);
+  assert.match(cookie, /HttpOnly/);
+  assert.match(cookie, /SameSite=Lax/);
+
+  const inactive = await t.request("/api/ref/oldcode");
+  assert.equal(inactive.status, 302);
+  assert.equal(inactive.headers.get("set-cookie"), null);
+  assert.equal((await t.request("/api/ref/nobody")).headers.get("set-cookie"), null);
+});
+
+let referred;
+
+test("checkouts from a referred browser are attributed to the affiliate", async () => {
+  referred = await orderFor(await createOrder({ cookie: "affiliate_ref=ASHA-REELS" }));
+  assert.equal(referred.affiliate_id, affiliate.id);
+  assert.equal(referred.affiliate_code, "ASHA-REELS");
+
+  // Affiliates don't earn on their own purchases
+  const own = await orderFor(await createOrder({ email: "Creator@Example.com", cookie: "affiliate_ref=ASHA-REELS" }));
+  assert.equal(own.affiliate_id, null);
+
+  // ?ref= wins over the cookie, and inactive codes are ignored rather than failing the checkout
+  const res = await createOrder({ query: "?ref=oldcode", cookie: "affiliate_ref=ASHA-REELS" });
+  assert.equal(res.status, 200);
+  assert.equal((await orderFor(res)).affiliate_id, null);
+});
+
+const completeWebhook = (order) => t.request("/api/phonepe/webhook", {
+  method: "POST",
+  headers: { "Content-Type": "application/json", Authorization: webhookAuthorization() },
+  body: JSON.stringify({
+    event: "checkout.order.completed",
+    payload: { merchantOrderId: order.merchant_order_id, state: "COMPLETED", amount: 19900 },
+  }),
+});
+
+test("paying a referred order accrues its commission once", async () => {
+  await completeWebhook(referred);
+  await completeWebhook(referred);
+  await settle();
+  assert.deepEqual(ledger(referred.id), [["accrual", 19.9]]);
+});
+
+const refund = (json) => t.request(`/api/admin/orders/${referred.merchant_order_id}/refunds`, { as: 3, json });
+
+let partial;
+
+test("a partial refund reverses the same share of the commission", async () => {
+  const res = await refund({ amount: 50 });
+  assert.equal(res.status, 201);
+  partial = (await res.json()).refund;
+  assert.deepEqual(ledger(referred.id), [["accrual", 19.9], ["reversal", -5]]);
+});
+
+test("affiliates read their own totals with the stats token header", async () => {
+  const res = await t.request("/api/affiliates/stats", { headers: { "x-affiliate-token": statsToken } });
+  assert.equal(res.status, 200);
+  const { stats } = await res.json();
+  const { recent, ...totals } = stats;
+  assert.deepEqual(totals, {
+    code: "ASHA-REELS",
+    name: "Asha Reels",
+    commissionRate: 10,
+    holdDays: 7,
+    orders: 1,
+    sales: 149,
+    accrued: 19.9,
+    reversed: 5,
+    paidOut: 0,
+    payable: 0,
+    onHold: 14.9,
+  });
+  assert.deepEqual(recent.map((e) => [e.kind, e.commission]).sort(), [["accrual", 19.9], ["reversal", -5]]);
+  assert.ok(!JSON.stringify(stats).includes("asha@example.com"));
+
+  assert.equal((await t.request("/api/affiliates/stats", { headers: { "x-affiliate-token": "guess" } })).status, 401);
+  assert.equal((await t.request(`/api/affiliates/stats?token=${statsToken}`)).status, 401);
+});
+
+test("a refund that fails gives the commission back, and a full refund reverses the rest", async () => {
+  t.gateway.setRefund(partial.merchant_refund_id, "FAILED");
+  const refreshed = await t.request(`/api/admin/refunds/${partial.merchant_refund_id}/refresh`, { method: "POST", as: 3 });
+  assert.equal((await refreshed.json()).refund.status, "failed");
+  assert.deepEqual(ledger(referred.id), [["accrual", 19.9], ["reversal", -5], ["reinstatement", 5]]);
+
+  assert.equal((await refund({})).status, 201);
+  assert.deepEqual(ledger(referred.id), [["accrual", 19.9], ["reversal", -5], ["reinstatement", 5], ["reversal", -19.9]]);
+});
+
+test("the payout report lists what each affiliate can be paid", async () => {
+  const res = await t.request("/api/admin/affiliates/payouts/report", { as: 2 });
+  assert.equal(res.status, 200);
+  const report = (await res.json()).affiliates;
+  assert.deepEqual(report.map((a) => [a.code, a.payable, a.onHold]), [["MEERA", 29.85, 0], ["ASHA-REELS", 0, 0]]);
+
+  assert.equal((await t.request("/api/admin/affiliates/payouts/report?from=soon", { as: 2 })).status, 400);
+  assert.equal((await t.request("/api/admin/affiliates/payouts/report", { as: 3 })).status, 403);
+});
+
+test("recording a payout settles everything past the hold period", async () => {
+  const res = await t.request("/api/admin/affiliates/2/payouts", { as: 1, json: { reference: "UTR123" } });
+  assert.equal(res.status, 201);
+  const { payout } = await res.json();
+  assert.equal(payout.amount, 29.85);
+  assert.equal(payout.entries, 1);
+  assert.equal(payout.paid_by, 1);
+  assert.equal(t.db.affiliate_commissions.find((e) => e.id === 1).payout_id, payout.id);
+
+  const again = await t.request("/api/admin/affiliates/2/payouts", { as: 1, json: {} });
+  assert.equal(again.status, 409);
+  assert.equal((await again.json()).message, "Nothing is payable to this affiliate yet");
+  assert.equal((await t.request("/api/admin/affiliates/2/payouts", { as: 2, json: {} })).status, 403);
+  assert.equal((await t.request("/api/admin/affiliates/999/payouts", { as: 1, json: {} })).status, 404);
+});
+
+test("the ledger shows an affiliate's entries and payouts", async () => {
+  const res = await t.request("/api/admin/affiliates/2/ledger", { as: 2 });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.summary.paidOut, 29.85);
+  assert.equal(body.summary.payable, 0);
+  assert.equal(body.entries[0].order.merchant_order_id, "ORDER_1");
+  assert.deepEqual(body.payouts.map((p) => p.reference), ["UTR123"]);
+
+  assert.equal((await t.request("/api/admin/affiliates/999/ledger", { as: 2 })).status, 404);
+  assert.equal((await t.request("/api/admin/affiliates/abc/ledger", { as: 2 })).status, 400);
+});
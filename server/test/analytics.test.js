@@ -0,0 +1,115 @@
+// ============================================================
+// Sales analytics for the admin dashboard (user-019)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, orderRow } from "./helpers/testApp.js";
+
+const planner = { id: 1, name: "Budget Planner", price: 199, quantity: 1, line_total: 199 };
+const meals = { id: 2, name: "Meal Planner", price: 99, quantity: 2, line_total: 198 };
+
+const FROM = "2026-09-01T00:00:00.000Z";
+const TO = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+let t;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      orders: [
+        orderRow({ id: 1, status: "paid", payment: { status: "completed" } }),
+        // 20:00 UTC is already the next day in India
+        orderRow({
+          id: 2,
+          created_at: "2026-10-01T20:00:00.000Z",
+          items: [planner, meals],
+          subtotal_amount: 397,
+          discount_amount: 39.7,
+          total_amount: 357.3,
+          status: "paid",
+          payment: { status: "completed" },
+        }),
+        orderRow({ id: 3, created_at: "2026-10-08T10:00:00.000Z", status: "refunded", payment: { status: "refunded", refundedAmount: 199 } }),
+        orderRow({ id: 4, status: "failed", payment: { status: "failed" } }),
+        orderRow({ id: 5 }),
+        orderRow({ id: 6, status: "expired", payment: { status: "expired" } }),
+        orderRow({ id: 7, created_at: new Date().toISOString() }),
+        // Outside the range
+        orderRow({ id: 8, created_at: "2026-08-15T10:00:00.000Z", status: "paid", payment: { status: "completed" } }),
+      ],
+    },
+  });
+});
+
+after(() => t.close());
+
+const report = async (query) => {
+  const res = await t.request(`/api/admin/analytics?${new URLSearchParams(query)}`, { as: 1 });
+  return { status: res.status, body: await res.json() };
+};
+
+test("the summary counts revenue after discounts and refunds", async () => {
+  const { status, body } = await report({ from: FROM, to: TO });
+  assert.equal(status, 200);
+  assert.deepEqual(body.summary, {
+    orders: 7,
+    paidOrders: 3,
+    revenue: 755.3,
+    refunded: 199,
+    netRevenue: 556.3,
+    averageOrderValue: 251.77,
+  });
+});
+
+test("payment outcomes leave checkouts that are still open out of the rates", async () => {
+  const { body } = await report({ from: FROM, to: TO });
+  assert.deepEqual(body.payments, {
+    paid: 3,
+    failed: 1,
+    abandoned: 2,
+    inProgress: 1,
+    successRate: 0.5,
+    failureRate: 0.1667,
+    abandonmentRate: 0.3333,
+  });
+});
+
+test("sales are grouped by Indian calendar day, week or month", async () => {
+  const daily = (await report({ from: FROM, to: TO })).body.sales;
+  assert.deepEqual(daily, [
+    { period: "2026-10-01", orders: 1, revenue: 199 },
+    { period: "2026-10-02", orders: 1, revenue: 357.3 },
+    { period: "2026-10-08", orders: 1, revenue: 199 },
+  ]);
+
+  const weekly = (await report({ from: FROM, to: TO, granularity: "week" })).body.sales;
+  assert.deepEqual(weekly, [
+    { period: "2026-09-28", orders: 2, revenue: 556.3 },
+    { period: "2026-10-05", orders: 1, revenue: 199 },
+  ]);
+
+  const monthly = (await report({ from: FROM, to: TO, granularity: "month" })).body.sales;
+  assert.deepEqual(monthly, [{ period: "2026-10-01", orders: 3, revenue: 755.3 }]);
+});
+
+test("product revenue shares each order's discount across its lines", async () => {
+  const { body } = await report({ from: FROM, to: TO });
+  // Order 2's ₹357.30 splits 199:198 between its lines
+  assert.deepEqual(body.products, [
+    { productId: 1, name: "Budget Planner", units: 3, orders: 3, revenue: 577.1 },
+    { productId: 2, name: "Meal Planner", units: 2, orders: 1, revenue: 178.2 },
+  ]);
+});
+
+test("bad ranges are a 400", async () => {
+  assert.equal((await report({ from: "soon" })).status, 400);
+  assert.equal((await report({ from: TO, to: FROM })).status, 400);
+  assert.equal((await report({ from: "2024-01-01", to: "2026-01-01" })).status, 400);
+  assert.equal((await report({ granularity: "hour" })).status, 400);
+});
+
+test("analytics are for owners only", async () => {
+  assert.equal((await t.request("/api/admin/analytics", { as: 2 })).status, 403);
+  assert.equal((await t.request("/api/admin/analytics", { as: 3 })).status, 403);
+  assert.equal((await t.request("/api/admin/analytics", { as: 1 })).status, 200);
+});
@@ -0,0 +1,78 @@
+// ============================================================
+// createApp(deps) with every dependency stubbed: no Supabase,
+// payment gateway or SMTP server is needed to exercise the routes.
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { JWT_SECRET, startTestApp } from "./helpers/testApp.js";
+
+const products = [
+  { id: 1, name: "Budget Planner", price: 199, status: "published" },
+  { id: 2, name: "Draft Template", price: 99, status: "draft" },
+];
+
+let t;
+
+before(async () => {
+  t = await startTestApp({ tables: { products } });
+});
+
+after(() => t.close());
+
+test("GET /health reports the database as reachable", async () => {
+  const res = await t.request("/health");
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { status: "healthy" });
+});
+
+test("GET /api/admin/me takes the role from the admin table, not the token", async () => {
+  const token = jwt.sign({ id: 3, role: "owner" }, JWT_SECRET, { audience: "admin" });
+  const res = await t.request("/api/admin/me", { headers: { Authorization: `Bearer ${token}` } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { success: true, user: { id: 3, role: "support" } });
+});
+
+test("GET /api/admin/me rejects a token for a deleted admin", async () => {
+  const res = await t.request("/api/admin/me", { as: 99 });
+  assert.equal(res.status, 401);
+});
+
+test("GET /api/admin/me requires a token", async () => {
+  const res = await t.request("/api/admin/me");
+  assert.equal(res.status, 401);
+});
+
+test("GET /api/products lists published products as a bare array", async () => {
+  const res = await t.request("/api/products");
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.ok(Array.isArray(body));
+  assert.deepEqual(body.map((p) => p.id), [1]);
+});
+
+test("PUT /api/products/:id rejects a non-numeric id", async () => {
+  const res = await t.request("/api/products/abc", { method: "PUT", as: 1, json: {} });
+  assert.equal(res.status, 400);
+});
+
+test("requests from origins outside CORS_ALLOWED_ORIGINS are refused", async () => {
+  const allowed = await t.request("/api/products", { headers: { Origin: "http://localhost:8080" } });
+  assert.equal(allowed.headers.get("access-control-allow-origin"), "http://localhost:8080");
+
+  const blocked = await t.request("/api/products", { headers: { Origin: "https://evil.example" } });
+  assert.equal(blocked.status, 500);
+  assert.equal(blocked.headers.get("access-control-allow-origin"), null);
+});
+
+test("cron routes need the cron secret", async () => {
+  assert.equal((await t.request("/api/cron/reconcile-payments")).status, 401);
+  assert.equal((await t.request("/api/cron/reconcile-payments", { cron: true })).status, 200);
+});
+
+test("the app lists its periodic jobs for server.js", () => {
+  assert.deepEqual(
+    t.app.locals.backgroundJobs.map((job) => [job.name, job.everyMinutes]),
+    [["Reconciliation", 15], ["Email outbox", 1], ["Checkout recovery", 30]]
+  );
+});
@@ -0,0 +1,122 @@
+// ============================================================
+// Product bundles: contents, pricing and delivery (user-021)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, webhookAuthorization, settle } from "./helpers/testApp.js";
+
+const single = (id, name, price) => ({ id, name, slug: `p-${id}`, price, status: "published", type: "single", file_name: `${id}.zip` });
+
+let t;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      products: [
+        single(1, "Budget Planner", 199),
+        single(2, "Meal Planner", 99.5),
+        single(3, "<Tips & Tricks>", 49),
+        // Priced from its components
+        { id: 10, name: "Planner Pack", slug: "planner-pack", price: null, status: "published", type: "bundle" },
+        // Priced on its own
+        { id: 11, name: "Starter Kit", slug: "starter-kit", price: 199, status: "published", type: "bundle" },
+        { id: 12, name: "Empty Bundle", slug: "empty-bundle", price: 99, status: "published", type: "bundle" },
+      ],
+      bundle_items: [
+        { id: 1, bundle_id: 11, product_id: 1, position: 0 },
+        { id: 2, bundle_id: 11, product_id: 3, position: 1 },
+      ],
+    },
+  });
+});
+
+after(() => t.close());
+
+const setComponents = (bundleId, productIds, as = 2) =>
+  t.request(`/api/admin/products/${bundleId}/components`, { method: "PUT", as, json: { productIds } });
+
+const createOrder = (orderItems) => t.request("/api/phonepe/create-order", {
+  json: { customerName: "Asha", customerEmail: "asha@example.com", customerPhone: "9876543210", orderItems },
+});
+
+test("editors set a bundle's contents in display order", async () => {
+  const res = await setComponents(10, [2, "1", 2]);
+  assert.equal(res.status, 200);
+  const { components } = await res.json();
+  assert.deepEqual(components.map((c) => c.id), [2, 1]);
+  assert.deepEqual(
+    t.db.bundle_items.filter((b) => b.bundle_id === 10).map((b) => [b.product_id, b.position]),
+    [[2, 0], [1, 1]]
+  );
+});
+
+test("bundles can't contain themselves, other bundles or missing products", async () => {
+  assert.equal((await setComponents(10, [10])).status, 400);
+  assert.match((await (await setComponents(10, [1, 11])).json()).message, /itself a bundle/);
+  assert.match((await (await setComponents(10, [404])).json()).message, /Product 404 not found/);
+  assert.equal((await setComponents(10, [])).status, 400);
+  assert.equal((await setComponents(10, ["1; drop"])).status, 400);
+  assert.equal((await setComponents(1, [2])).status, 409);
+  assert.equal((await setComponents(404, [2])).status, 404);
+  assert.equal((await setComponents(10, [2], 3)).status, 403);
+  // A rejected change leaves the bundle as it was
+  assert.equal(t.db.bundle_items.filter((b) => b.bundle_id === 10).length, 2);
+});
+
+test("the product page lists what a bundle contains", async () => {
+  const body = await (await t.request("/api/products/starter-kit")).json();
+  assert.deepEqual(body.components, [
+    { id: 1, name: "Budget Planner", price: 199 },
+    { id: 3, name: "<Tips & Tricks>", price: 49 },
+  ]);
+});
+
+test("a bundle costs its own price, or the sum of its contents", async () => {
+  const res = await createOrder([{ id: 10 }, { id: 11, quantity: 2 }]);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.totalAmount, 298.5 + 398);
+
+  const [pack, kit] = t.db.orders.find((o) => o.id === body.orderId).items;
+  assert.equal(pack.price, 298.5);
+  assert.deepEqual(pack.components, [{ id: 2, name: "Meal Planner" }, { id: 1, name: "Budget Planner" }]);
+  assert.equal(kit.price, 199);
+  assert.equal(kit.type, "bundle");
+});
+
+test("a bundle with nothing in it can't be bought", async () => {
+  const res = await createOrder([{ id: 12 }]);
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).message, "Product 12 is not available");
+});
+
+test("buying a bundle delivers each product in it, with escaped names", async () => {
+  const { orderId } = await (await createOrder([{ id: 11 }])).json();
+  const order = t.db.orders.find((o) => o.id === orderId);
+  await t.request("/api/phonepe/webhook", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: webhookAuthorization() },
+    body: JSON.stringify({
+      event: "checkout.order.completed",
+      payload: { merchantOrderId: order.merchant_order_id, state: "COMPLETED", amount: 19900 },
+    }),
+  });
+  await settle();
+
+  const email = t.sent.at(-1);
+  assert.ok(email.html.includes("Includes:"));
+  assert.ok(email.html.includes(`/api/download/1?orderId=${order.merchant_order_id}`));
+  assert.ok(email.html.includes(`/api/download/3?orderId=${order.merchant_order_id}`));
+  assert.ok(email.html.includes("&lt;Tips &amp; Tricks&gt;"));
+  assert.ok(!email.html.includes("<Tips & Tricks>"));
+
+  // Components download through the bundle; products outside it don't
+  const component = await t.request(`/api/signed-download/3?orderId=${order.merchant_order_id}`);
+  assert.equal(component.status, 200);
+  const outside = await t.request(`/api/signed-download/2?orderId=${order.merchant_order_id}`);
+  assert.equal(outside.status, 403);
+
+  const { orders } = await (await t.request("/api/library", { customer: "asha@example.com" })).json();
+  const listed = orders.find((o) => o.orderId === order.merchant_order_id);
+  assert.deepEqual(listed.products.map((p) => [p.id, p.bundleId]), [[1, 11], [3, 11]]);
+});
@@ -0,0 +1,134 @@
+// ============================================================
+// Catalog browsing: slugs, search, filters, pages, categories (user-020)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp } from "./helpers/testApp.js";
+
+const product = (id, name, overrides = {}) => ({
+  id,
+  name,
+  slug: name.toLowerCase().replace(/ /g, "-"),
+  price: 100 * id,
+  status: "published",
+  type: "single",
+  category_id: null,
+  tags: [],
+  storage_path: "products",
+  file_name: `${id}.zip`,
+  created_at: `2026-10-0${id}T00:00:00.000Z`,
+  ...overrides,
+});
+
+let t;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      categories: [
+        { id: 1, name: "Planners", slug: "planners", position: 2 },
+        { id: 2, name: "Databases", slug: "databases", position: 1 },
+      ],
+      products: [
+        product(1, "Budget Planner", { category_id: 1, tags: ["finance", "pdf"], description: "Monthly money tracker" }),
+        product(2, "Meal Planner", { category_id: 1, tags: ["food"] }),
+        product(3, "Pan India Database", { category_id: 2, tags: ["finance"] }),
+        product(4, "Secret Draft", { status: "draft" }),
+        product(5, "Old Template", { status: "archived" }),
+      ],
+    },
+  });
+});
+
+after(() => t.close());
+
+const get = async (path) => {
+  const res = await t.request(path);
+  return { status: res.status, body: await res.json() };
+};
+const names = (products) => products.map((p) => p.name);
+
+test("the storefront list stays a bare array of published products", async () => {
+  const { body } = await get("/api/products");
+  assert.ok(Array.isArray(body));
+  assert.deepEqual(names(body), ["Pan India Database", "Meal Planner", "Budget Planner"]);
+  assert.ok(body.every((p) => !("file_name" in p) && !("storage_path" in p)));
+});
+
+test("asking for a page returns the paginated envelope", async () => {
+  const { body } = await get("/api/products?page=2&pageSize=2&sort=price_asc");
+  assert.deepEqual(names(body.products), ["Pan India Database"]);
+  assert.deepEqual(body.pagination, { page: 2, pageSize: 2, total: 3, totalPages: 2 });
+
+  const past = await get("/api/products?page=9&pageSize=2");
+  assert.equal(past.status, 200);
+  assert.deepEqual(past.body.products, []);
+});
+
+test("search, category and tag filters narrow the list", async () => {
+  assert.deepEqual(names((await get("/api/products?q=planner")).body), ["Meal Planner", "Budget Planner"]);
+  assert.deepEqual(names((await get("/api/products?q=money")).body), ["Budget Planner"]);
+  assert.deepEqual(names((await get("/api/products?category=planners&sort=name")).body), ["Budget Planner", "Meal Planner"]);
+  assert.deepEqual(names((await get("/api/products?category=2")).body), ["Pan India Database"]);
+  assert.deepEqual((await get("/api/products?category=nope")).body, []);
+  assert.deepEqual(names((await get("/api/products?tag=finance&tag=pdf")).body), ["Budget Planner"]);
+  // Customers can't ask for drafts
+  assert.deepEqual(names((await get("/api/products?q=secret&status=draft")).body), []);
+});
+
+test("bad paging and sort parameters are a 400", async () => {
+  assert.equal((await get("/api/products?sort=random")).status, 400);
+  assert.equal((await get("/api/products?page=0")).status, 400);
+  assert.equal((await get("/api/products?pageSize=101")).status, 400);
+});
+
+test("products are found by id or slug, but only once published", async () => {
+  assert.equal((await get("/api/products/pan-india-database")).body.id, 3);
+  assert.equal((await get("/api/products/3")).body.slug, "pan-india-database");
+  assert.equal((await get("/api/products/secret-draft")).status, 404);
+  assert.equal((await get("/api/products/4")).status, 404);
+});
+
+test("admins see every status and can filter by it", async () => {
+  const res = await t.request("/api/admin/products?status=draft", { as: 2 });
+  const body = await res.json();
+  assert.deepEqual(names(body.products), ["Secret Draft"]);
+  assert.equal(body.products[0].file_name, "4.zip");
+
+  const all = await (await t.request("/api/admin/products", { as: 2 })).json();
+  assert.equal(all.pagination.total, 5);
+  assert.equal((await t.request("/api/admin/products?status=deleted", { as: 2 })).status, 400);
+});
+
+test("new products get a slug from their name and normalised tags", async () => {
+  const res = await t.request("/api/products", {
+    as: 2,
+    json: { name: "Café Menu Pack 2026!", price: 149, tags: [" Food ", "food", "PDF"] },
+  });
+  assert.equal(res.status, 201);
+  const created = await res.json();
+  assert.equal(created.slug, "cafe-menu-pack-2026");
+  assert.deepEqual(created.tags, ["food", "pdf"]);
+
+  const bad = await t.request("/api/products", { as: 2, json: { name: "X", price: 1, status: "live" } });
+  assert.equal(bad.status, 400);
+});
+
+test("categories are listed in position order and managed by editors", async () => {
+  assert.deepEqual((await get("/api/categories")).body.categories.map((c) => c.slug), ["databases", "planners"]);
+
+  const created = await t.request("/api/admin/categories", { as: 2, json: { name: "Kids & Family", position: 3 } });
+  assert.equal(created.status, 201);
+  const { category } = await created.json();
+  assert.equal(category.slug, "kids-family");
+
+  const clash = await t.request(`/api/admin/categories/${category.id}`, { method: "PUT", as: 2, json: { slug: "planners" } });
+  assert.equal(clash.status, 409);
+  const badPosition = await t.request("/api/admin/categories", { as: 2, json: { name: "Misc", position: "top" } });
+  assert.equal(badPosition.status, 400);
+
+  assert.equal((await t.request(`/api/admin/categories/${category.id}`, { method: "DELETE", as: 2 })).status, 200);
+  assert.equal((await t.request(`/api/admin/categories/${category.id}`, { method: "DELETE", as: 2 })).status, 404);
+  assert.equal((await t.request("/api/admin/categories/abc", { method: "DELETE", as: 2 })).status, 400);
+  assert.equal((await t.request("/api/admin/categories", { as: 3, json: { name: "Nope" } })).status, 403);
+});
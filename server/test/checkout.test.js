@@ -0,0 +1,100 @@
+// ============================================================
+// Server-side pricing in POST /api/phonepe/create-order (user-002)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp } from "./helpers/testApp.js";
+
+let t;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      products: [
+        { id: 1, name: "Budget Planner", price: 199, status: "published", type: "single" },
+        { id: 2, name: "Meal Planner", price: 49.99, status: "published", type: "single" },
+        { id: 3, name: "Draft Template", price: 99, status: "draft", type: "single" },
+      ],
+    },
+  });
+});
+
+after(() => t.close());
+
+const customer = {
+  customerName: "Asha",
+  customerEmail: "asha@example.com",
+  customerPhone: "9876543210",
+};
+
+const createOrder = (body) => t.request("/api/phonepe/create-order", { json: { ...customer, ...body } });
+
+test("the total comes from the products table, not from the client", async () => {
+  const res = await createOrder({
+    orderItems: [{ id: 1, quantity: 2, price: 1 }, { id: 2, price: 0.01 }, { id: "1", quantity: 1 }],
+  });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.totalAmount, 646.99);
+  assert.match(body.paymentUrl, /^https:\/\/pay\.test\/checkout\//);
+
+  const order = t.db.orders.find((o) => o.id === body.orderId);
+  assert.equal(order.total_amount, 646.99);
+  assert.deepEqual(
+    order.items.map(({ id, price, quantity, line_total }) => ({ id, price, quantity, line_total })),
+    [
+      { id: 1, price: 199, quantity: 3, line_total: 597 },
+      { id: 2, price: 49.99, quantity: 1, line_total: 49.99 },
+    ]
+  );
+  assert.ok(order.items.every((item) => item.priced_at));
+  assert.equal(t.gateway.payments.at(-1).amount, 646.99);
+});
+
+test("a client total that no longer matches is a 409 with the current prices", async () => {
+  const res = await createOrder({ orderItems: [{ id: 1 }], totalAmount: 99 });
+  assert.equal(res.status, 409);
+  const body = await res.json();
+  assert.equal(body.totalAmount, 199);
+  assert.equal(body.items[0].price, 199);
+});
+
+test("unpublished and unknown products are rejected", async () => {
+  for (const id of [3, 404]) {
+    const res = await createOrder({ orderItems: [{ id }] });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).message, new RegExp(`Product ${id} is not available`));
+  }
+});
+
+test("non-numeric product ids are a 400, not a database error", async () => {
+  const res = await createOrder({ orderItems: [{ id: "1; drop table orders" }] });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).message, /Invalid product id/);
+});
+
+test("quantities must be whole numbers from 1 to 10", async () => {
+  for (const quantity of [0, 1.5, 11, "many"]) {
+    const res = await createOrder({ orderItems: [{ id: 1, quantity }] });
+    assert.equal(res.status, 400, `quantity ${quantity}`);
+  }
+});
+
+test("a numeric phone number is accepted and stored as a string", async () => {
+  const res = await createOrder({ orderItems: [{ id: 2 }], customerPhone: 9876543210 });
+  assert.equal(res.status, 200);
+  const { orderId } = await res.json();
+  assert.equal(t.db.orders.find((o) => o.id === orderId).customer_phone, "9876543210");
+});
+
+test("anything that is not a phone number is a 400", async () => {
+  for (const customerPhone of ["call me", { number: 1 }, "12345"]) {
+    const res = await createOrder({ orderItems: [{ id: 2 }], customerPhone });
+    assert.equal(res.status, 400);
+  }
+});
+
+test("missing customer details or an empty cart are a 400", async () => {
+  assert.equal((await createOrder({ orderItems: [] })).status, 400);
+  assert.equal((await createOrder({ orderItems: [{ id: 1 }], customerName: "" })).status, 400);
+});
@@ -0,0 +1,160 @@
+// ============================================================
+// Abandoned checkout recovery emails (user-022)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, orderRow, webhookAuthorization } from "./helpers/testApp.js";
+
+const hoursAgo = (hours) => new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+
+let t;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      products: [{ id: 1, name: "Budget Planner", price: 199, status: "published", type: "single", file_name: "planner.zip" }],
+      coupons: [{ id: 1, code: "COMEBACK", type: "percentage", value: 10, active: true }],
+      email_unsubscribes: [{ email: "mallory@example.com", source: "checkout_recovery" }],
+      orders: [
+        orderRow({ id: 1, created_at: hoursAgo(3) }),
+        // Asha's newer attempt is the one that gets emailed
+        orderRow({ id: 2, created_at: hoursAgo(2), status: "failed", payment: { status: "failed" } }),
+        // Ravi came back and paid without a reminder
+        orderRow({ id: 3, created_at: hoursAgo(2), customer_email: "ravi@example.com" }),
+        orderRow({ id: 4, created_at: hoursAgo(1), customer_email: "ravi@example.com", status: "paid", payment: { status: "completed" } }),
+        orderRow({ id: 5, created_at: hoursAgo(2), customer_email: "mallory@example.com" }),
+        // Too old, and too recent
+        orderRow({ id: 6, created_at: hoursAgo(100), customer_email: "old@example.com" }),
+        orderRow({ id: 7, created_at: hoursAgo(0.1), customer_email: "fresh@example.com" }),
+      ],
+    },
+    env: { RECOVERY_COUPON_CODE: "COMEBACK" },
+  });
+});
+
+after(() => t.close());
+
+const runRecovery = async () => (await t.request("/api/cron/checkout-recovery", { cron: true })).json();
+const tokenFrom = (html) => html.match(/\/api\/recovery\/([\w-]+)"/)[1];
+const recoveryFor = (orderId) => t.db.checkout_recoveries.find((r) => r.order_id === orderId);
+
+let token;
+
+test("the worker emails each customer once, about their latest unpaid cart", async () => {
+  assert.equal((await t.request("/api/cron/checkout-recovery")).status, 401);
+
+  assert.deepEqual(await runRecovery(), { success: true, checked: 4, sent: 1, skipped: 3, failed: 0 });
+  assert.deepEqual(t.db.checkout_recoveries.map((r) => [r.order_id, r.coupon_code]), [[2, "COMEBACK"]]);
+  assert.deepEqual(
+    t.db.checkout_recovery_skips.map((s) => [s.order_id, s.reason]).sort(),
+    [[1, "newer cart emailed"], [3, "paid"], [5, "unsubscribed"]]
+  );
+
+  const email = t.sent.at(-1);
+  assert.equal(email.to, "asha@example.com");
+  assert.ok(email.html.includes("COMEBACK"));
+  token = tokenFrom(email.html);
+
+  // The link works once, from the email; neither the outbox nor the table keeps it
+  const [stored] = t.db.email_outbox.filter((e) => e.kind === "checkout_recovery");
+  assert.equal(stored.redacted, true);
+  assert.ok(!stored.html.includes(token));
+  assert.ok(!JSON.stringify(t.db.checkout_recoveries).includes(token));
+});
+
+test("a second run has nothing new to send", async () => {
+  assert.deepEqual(await runRecovery(), { success: true, checked: 0, sent: 0, skipped: 0, failed: 0 });
+});
+
+let resumed;
+
+test("the link starts a fresh payment for the cart with the incentive applied", async () => {
+  const res = await t.request(`/api/recovery/${token}`);
+  assert.equal(res.status, 302);
+  assert.match(res.headers.get("location"), /^https:\/\/pay\.test\/checkout\//);
+
+  resumed = t.db.orders.find((o) => o.checkout_recovery_id === recoveryFor(2).id);
+  assert.equal(resumed.coupon_code, "COMEBACK");
+  assert.equal(resumed.total_amount, 179.1);
+  assert.equal(recoveryFor(2).status, "clicked");
+
+  // A second click (or a mail scanner) reuses that payment
+  const again = await t.request(`/api/recovery/${token}`);
+  assert.equal(again.headers.get("location"), res.headers.get("location"));
+  assert.equal(t.db.orders.filter((o) => o.checkout_recovery_id === recoveryFor(2).id).length, 1);
+});
+
+test("paying credits the recovery, and the link then points at the paid order", async () => {
+  await t.request("/api/phonepe/webhook", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: webhookAuthorization() },
+    body: JSON.stringify({
+      event: "checkout.order.completed",
+      payload: { merchantOrderId: resumed.merchant_order_id, state: "COMPLETED", amount: 17910 },
+    }),
+  });
+  const recovery = recoveryFor(2);
+  assert.equal(recovery.status, "recovered");
+  assert.equal(recovery.recovered_order_id, resumed.id);
+  assert.equal(recovery.recovered_amount, 179.1);
+
+  const res = await t.request(`/api/recovery/${token}`);
+  assert.equal(res.headers.get("location"), `http://localhost:8080/payment-success?orderId=${resumed.id}`);
+});
+
+test("an unknown link sends the buyer to the failure page", async () => {
+  const res = await t.request("/api/recovery/not-a-token");
+  assert.equal(res.headers.get("location"), "http://localhost:8080/payment-failed?reason=This%20link%20is%20no%20longer%20valid");
+});
+
+let priyaToken;
+
+test("a send that fails lets the next run try again with a new link", async () => {
+  t.db.orders.push(orderRow({ id: 8, created_at: hoursAgo(2), customer_email: "priya@example.com" }));
+  t.mailer.failNext = 1;
+  assert.deepEqual(await runRecovery(), { success: true, checked: 1, sent: 0, skipped: 0, failed: 1 });
+  assert.equal(recoveryFor(8), undefined);
+
+  assert.deepEqual(await runRecovery(), { success: true, checked: 1, sent: 1, skipped: 0, failed: 0 });
+  priyaToken = tokenFrom(t.sent.at(-1).html);
+});
+
+test("opening the unsubscribe link only shows a confirmation page", async () => {
+  const res = await t.request(`/api/recovery/${priyaToken}/unsubscribe`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /text\/html/);
+  assert.ok((await res.text()).includes(`action="/api/recovery/${priyaToken}/unsubscribe"`));
+  assert.ok(!t.db.email_unsubscribes.some((u) => u.email === "priya@example.com"));
+
+  assert.equal((await t.request("/api/recovery/not-a-token/unsubscribe")).status, 404);
+});
+
+test("confirming unsubscribes the address", async () => {
+  const res = await t.request(`/api/recovery/${priyaToken}/unsubscribe`, { method: "POST", headers: { Accept: "text/html" } });
+  assert.equal(res.status, 303);
+  assert.equal(res.headers.get("location"), "http://localhost:8080/unsubscribed");
+  assert.ok(t.db.email_unsubscribes.some((u) => u.email === "priya@example.com"));
+  assert.equal(recoveryFor(8).status, "unsubscribed");
+
+  // One-click unsubscribe from mail clients, repeated
+  const oneClick = await t.request(`/api/recovery/${priyaToken}/unsubscribe`, { method: "POST", headers: { Accept: "application/json" } });
+  assert.deepEqual(await oneClick.json(), { success: true });
+  assert.equal((await t.request("/api/recovery/not-a-token/unsubscribe", { method: "POST" })).status, 404);
+});
+
+test("admins see how recovery emails performed", async () => {
+  const res = await t.request(`/api/admin/recovery?from=${encodeURIComponent(hoursAgo(1))}`, { as: 3 });
+  assert.equal(res.status, 200);
+  const { range, ...stats } = await res.json();
+  assert.ok(range.from < range.to);
+  assert.deepEqual(stats, {
+    success: true,
+    sent: 2,
+    clicked: 1,
+    recovered: 1,
+    unsubscribed: 1,
+    recoveryRate: 0.5,
+    recoveredRevenue: 179.1,
+  });
+  assert.equal((await t.request("/api/admin/recovery?granularity=year", { as: 3 })).status, 400);
+});
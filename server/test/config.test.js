@@ -0,0 +1,173 @@
+// ============================================================
+// Startup configuration checks (user-024)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { loadConfig, ConfigError } from "../config/config.js";
+import { startTestApp, testConfig, TEST_ENV } from "./helpers/testApp.js";
+import PaymentProviderRegistry from "../services/payments/paymentProviders.js";
+import PhonePeProvider from "../services/payments/phonepeProvider.js";
+import PhonePeAPIService from "../services/phonepeService.js";
+
+const PRODUCTION_ENV = {
+  ...TEST_ENV,
+  APP_ENV: "production",
+  FRONTEND_URL: "https://shop.example",
+  BACKEND_URL: "https://api.shop.example",
+  JWT_SECRET: "a-production-secret-that-is-long-enough",
+  PHONEPE_MERCHANT_ID: "M22LIVEMERCHANT",
+  PHONEPE_SALT_KEY: "live-salt-key",
+  EMAIL_USER: "store@example.com",
+  EMAIL_PASS: "app-password",
+  SELLER_NAME: "Shop Pvt Ltd",
+  SELLER_ADDRESS: "Bengaluru",
+  SELLER_GSTIN: "29ABCDE1234F1Z5",
+  SELLER_STATE_CODE: "29",
+};
+
+/** The problems `loadConfig` reports for `env`, or [] when it loads */
+const problems = (env) => {
+  try {
+    loadConfig(env);
+    return [];
+  } catch (error) {
+    assert.ok(error instanceof ConfigError, error);
+    return error.problems;
+  }
+};
+
+test("development defaults to the sandbox and local origins", () => {
+  const config = testConfig();
+  assert.equal(config.appEnv, "development");
+  assert.equal(config.paymentMode, "sandbox");
+  assert.equal(config.phonepe.baseUrls.payment, "https://api-preprod.phonepe.com/apis/pg-sandbox");
+  assert.deepEqual(config.cors.allowedOrigins, ["http://localhost:8080", "http://localhost:3000"]);
+  assert.ok(Object.isFrozen(config.phonepe.baseUrls));
+  assert.throws(() => { config.auth.jwtSecret = "changed"; }, TypeError);
+});
+
+test("APP_ENV follows VERCEL_ENV, and only Vercel production is live", () => {
+  assert.equal(loadConfig({ ...PRODUCTION_ENV, APP_ENV: undefined, VERCEL_ENV: "production" }).paymentMode, "live");
+  assert.equal(testConfig({ VERCEL_ENV: "preview" }).appEnv, "staging");
+  assert.deepEqual(problems({ ...TEST_ENV, APP_ENV: "prod" }), ["APP_ENV must be one of production, staging, development"]);
+});
+
+test("every problem is reported in one go", () => {
+  const env = { ...TEST_ENV, FRONTEND_URL: "shop.example", JWT_SECRET: "", PORT: "80.5", LOG_LEVEL: "loud" };
+  assert.deepEqual(problems(env), [
+    "FRONTEND_URL must be a URL",
+    "JWT_SECRET is required",
+    "PORT must be a whole number between 1 and 65535",
+    "LOG_LEVEL must be one of debug, info, warn, error",
+  ]);
+  assert.throws(() => loadConfig(env), /^ConfigError: Invalid configuration:\n {2}- FRONTEND_URL must be a URL/);
+});
+
+test("a complete production configuration loads with live gateways", () => {
+  const config = loadConfig(PRODUCTION_ENV);
+  assert.equal(config.paymentMode, "live");
+  assert.equal(config.phonepe.baseUrls.payment, "https://api.phonepe.com/apis/pg");
+  assert.deepEqual(config.cors.allowedOrigins, ["https://shop.example"]);
+});
+
+test("production refuses sandbox credentials and weak settings", () => {
+  assert.deepEqual(problems({
+    ...PRODUCTION_ENV,
+    FRONTEND_URL: "http://shop.example",
+    JWT_SECRET: "short",
+    CRON_SECRET: "",
+    PHONEPE_MERCHANT_ID: "PGTESTPAYUAT86",
+    PHONEPE_SALT_KEY: "96434309-7796-489d-8924-ab56988a6076",
+    PHONEPE_CLIENT_ID: "TEST-client",
+    PHONEPE_BASE_URL: "http://127.0.0.1:4010",
+    PHONEPE_WEBHOOK_PASSWORD: "",
+  }), [
+    "FRONTEND_URL must use https in production",
+    "JWT_SECRET must be at least 32 characters in production",
+    "CRON_SECRET is required",
+    "PHONEPE_MERCHANT_ID is a sandbox merchant; production needs live credentials",
+    "PHONEPE_SALT_KEY is the public sandbox key; production needs live credentials",
+    "PHONEPE_CLIENT_ID/PHONEPE_CLIENT_SECRET are test credentials; production needs live ones",
+    "PHONEPE_BASE_URL overrides the live gateway; unset it in production",
+    "PHONEPE_WEBHOOK_USERNAME and PHONEPE_WEBHOOK_PASSWORD are required in production",
+  ]);
+  // Only merchant ids that start with a sandbox prefix are sandbox merchants
+  assert.deepEqual(problems({ ...PRODUCTION_ENV, PHONEPE_MERCHANT_ID: "M22UATLIVE" }), []);
+});
+
+test("Razorpay keys must match the environment", () => {
+  const razorpay = { PAYMENT_PROVIDERS: "phonepe,razorpay", RAZORPAY_KEY_SECRET: "secret" };
+  assert.deepEqual(
+    problems({ ...PRODUCTION_ENV, ...razorpay, RAZORPAY_KEY_ID: "rzp_test_abc" }),
+    ["RAZORPAY_KEY_ID is a test key; production needs a live key"]
+  );
+  assert.deepEqual(
+    problems({ ...TEST_ENV, ...razorpay, RAZORPAY_KEY_ID: "rzp_live_abc" }),
+    ["RAZORPAY_KEY_ID is a live key; development must use a test key"]
+  );
+  assert.deepEqual(problems({ ...TEST_ENV, PAYMENT_FALLBACK_PROVIDER: "paytm" }), ["Unknown payment provider: paytm"]);
+});
+
+test("invoices need a seller GSTIN that matches its state", () => {
+  assert.deepEqual(
+    problems({ ...PRODUCTION_ENV, SELLER_GSTIN: "", SELLER_STATE_CODE: "" }),
+    ["SELLER_GSTIN is required", "SELLER_STATE_CODE is required"]
+  );
+  assert.deepEqual(
+    problems({ ...TEST_ENV, SELLER_GSTIN: "KAABCDE1234F1Z", SELLER_STATE_CODE: "KA" }),
+    ["SELLER_GSTIN must be a 15-character GSTIN", "SELLER_STATE_CODE must be a two-digit GST state code"]
+  );
+  assert.deepEqual(
+    problems({ ...TEST_ENV, SELLER_GSTIN: "29ABCDE1234F1Z5", SELLER_STATE_CODE: "27" }),
+    ["SELLER_GSTIN does not belong to SELLER_STATE_CODE (a GSTIN starts with its state code)"]
+  );
+});
+
+// ------------------------------------------------------------
+// The app takes its settings from the config it is given
+// ------------------------------------------------------------
+let t;
+
+before(async () => {
+  const env = { CORS_ALLOWED_ORIGINS: "https://shop.example", JWT_SECRET: "a-different-secret" };
+  const config = testConfig(env);
+  t = await startTestApp({
+    env,
+    deps: {
+      // No PHONEPE_SALT_KEY in the test environment
+      paymentProviders: new PaymentProviderRegistry([
+        new PhonePeProvider(new PhonePeAPIService(config.phonepe, config.urls), config.phonepe.webhook),
+      ]),
+    },
+  });
+});
+
+after(() => t.close());
+
+test("CORS allows only the configured origins", async () => {
+  const allowed = await t.request("/api/products", { headers: { Origin: "https://shop.example" } });
+  assert.equal(allowed.headers.get("access-control-allow-origin"), "https://shop.example");
+
+  const local = await t.request("/api/products", { headers: { Origin: "http://localhost:8080" } });
+  assert.equal(local.headers.get("access-control-allow-origin"), null);
+});
+
+test("admin tokens are checked against the configured JWT_SECRET", async () => {
+  // Signed with the helper's default secret, not this app's
+  assert.equal((await t.request("/api/admin/me", { as: 1 })).status, 401);
+});
+
+test("PhonePe callbacks are rejected when no salt key is configured", async () => {
+  const response = Buffer.from(JSON.stringify({
+    code: "PAYMENT_SUCCESS",
+    data: { merchantTransactionId: "TX_1", transactionId: "T-1" },
+  })).toString("base64");
+  // What an empty salt key would hash to
+  const checksum = `${crypto.createHash("sha256").update(response).digest("hex")}###1`;
+  const res = await t.request("/api/phonepe/callback", {
+    json: { response },
+    headers: { "X-VERIFY": checksum },
+  });
+  assert.equal(res.status, 401);
+});
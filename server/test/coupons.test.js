@@ -0,0 +1,192 @@
+// ============================================================
+// Coupons: validation, admin CRUD and redemption limits (user-010)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, webhookAuthorization } from "./helpers/testApp.js";
+import { TRIGGERS } from "./helpers/schema.js";
+
+const coupon = (id, code, overrides = {}) => ({
+  id,
+  code,
+  type: "percentage",
+  value: 10,
+  active: true,
+  max_redemptions: null,
+  max_per_customer: null,
+  product_ids: null,
+  created_at: `2026-10-0${id}T00:00:00.000Z`,
+  ...overrides,
+});
+
+let t;
+// A redemption another checkout commits between this one's checks and its insert
+let concurrentRedemption = null;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      products: [
+        { id: 1, name: "Budget Planner", price: 199, status: "published", type: "single" },
+        { id: 2, name: "Meal Planner", price: 99, status: "published", type: "single" },
+      ],
+      coupons: [
+        coupon(1, "SAVE10"),
+        coupon(2, "FLAT500", { type: "fixed", value: 500 }),
+        coupon(3, "MEALS50", { value: 50, product_ids: [2] }),
+        coupon(4, "ONCE", { max_per_customer: 1 }),
+        coupon(5, "LAST", { max_redemptions: 1 }),
+        coupon(6, "OLD", { ends_at: "2026-01-01T00:00:00.000Z" }),
+        coupon(7, "RETRY", { max_redemptions: 1 }),
+      ],
+    },
+    supabase: {
+      triggers: {
+        coupon_redemptions(row, db) {
+          if (concurrentRedemption) db.coupon_redemptions.push(concurrentRedemption);
+          concurrentRedemption = null;
+          return TRIGGERS.coupon_redemptions(row, db);
+        },
+      },
+    },
+  });
+});
+
+after(() => t.close());
+
+const customer = {
+  customerName: "Asha",
+  customerEmail: "asha@example.com",
+  customerPhone: "9876543210",
+};
+
+const validate = (couponCode, orderItems, customerEmail) =>
+  t.request("/api/coupons/validate", { json: { couponCode, orderItems, customerEmail } });
+const createOrder = (body) => t.request("/api/phonepe/create-order", { json: { ...customer, ...body } });
+const redemptionsOf = (couponId) => t.db.coupon_redemptions.filter((r) => r.coupon_id === couponId);
+
+const webhook = (orderId, state) => {
+  const order = t.db.orders.find((o) => o.id === orderId);
+  return t.request("/api/phonepe/webhook", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: webhookAuthorization() },
+    body: JSON.stringify({
+      event: `checkout.order.${state.toLowerCase()}`,
+      payload: { merchantOrderId: order.merchant_order_id, state, amount: Math.round(order.total_amount * 100) },
+    }),
+  });
+};
+
+test("validating a coupon prices the cart server-side", async () => {
+  const res = await validate(" save10 ", [{ id: 1, quantity: 2, price: 1 }]);
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), {
+    success: true,
+    code: "SAVE10",
+    subtotalAmount: 398,
+    discountAmount: 39.8,
+    totalAmount: 358.2,
+  });
+});
+
+test("a fixed discount never takes the total below ₹1", async () => {
+  const body = await (await validate("FLAT500", [{ id: 1 }])).json();
+  assert.equal(body.discountAmount, 198);
+  assert.equal(body.totalAmount, 1);
+});
+
+test("product-restricted coupons only discount their products", async () => {
+  const body = await (await validate("MEALS50", [{ id: 1 }, { id: 2 }])).json();
+  assert.equal(body.discountAmount, 49.5);
+
+  const res = await validate("MEALS50", [{ id: 1 }]);
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).message, /does not apply/);
+});
+
+test("unknown, expired and malformed requests are 400s", async () => {
+  assert.match((await (await validate("NOPE", [{ id: 1 }])).json()).message, /Invalid coupon code/);
+  assert.match((await (await validate("OLD", [{ id: 1 }])).json()).message, /expired/);
+  assert.equal((await validate("SAVE10", [])).status, 400);
+});
+
+test("checkout applies the coupon and reserves a redemption", async () => {
+  const res = await createOrder({ orderItems: [{ id: 1 }], couponCode: "SAVE10" });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.discountAmount, 19.9);
+  assert.equal(body.totalAmount, 179.1);
+  assert.equal(t.gateway.payments.at(-1).amount, 179.1);
+
+  const order = t.db.orders.find((o) => o.id === body.orderId);
+  assert.equal(order.coupon_code, "SAVE10");
+  assert.deepEqual(redemptionsOf(1).map((r) => [r.order_id, r.status]), [[order.id, "reserved"]]);
+});
+
+test("a paid order redeems its coupon and a failed one releases it", async () => {
+  const paid = await (await createOrder({ orderItems: [{ id: 1 }], couponCode: "ONCE" })).json();
+  await webhook(paid.orderId, "COMPLETED");
+  assert.equal(redemptionsOf(4)[0].status, "redeemed");
+
+  const again = await createOrder({ orderItems: [{ id: 1 }], couponCode: "ONCE" });
+  assert.equal(again.status, 400);
+  assert.equal((await again.json()).message, "You have already used this coupon");
+
+  const failed = await (await createOrder({ orderItems: [{ id: 1 }], couponCode: "RETRY" })).json();
+  await webhook(failed.orderId, "FAILED");
+  assert.equal(redemptionsOf(7)[0].status, "released");
+  assert.equal((await createOrder({ orderItems: [{ id: 1 }], couponCode: "RETRY" })).status, 200);
+});
+
+test("the database stops a concurrent checkout overselling a coupon", async () => {
+  concurrentRedemption = { id: 900, coupon_id: 5, order_id: 900, customer_email: "ravi@example.com", status: "reserved" };
+  const res = await createOrder({ orderItems: [{ id: 1 }], couponCode: "LAST" });
+  assert.equal(res.status, 400);
+  assert.equal((await res.json()).message, "This coupon has been fully redeemed");
+
+  const [order] = t.db.orders.filter((o) => o.coupon_code === "LAST");
+  assert.equal(order.status, "cancelled");
+  assert.equal(t.gateway.payments.some((p) => p.merchantOrderId === order.merchant_order_id), false);
+});
+
+test("admins create coupons with normalised codes and unique names", async () => {
+  const res = await t.request("/api/admin/coupons", { as: 2, json: { code: "diwali-20", type: "percentage", value: "20" } });
+  assert.equal(res.status, 201);
+  const { coupon: created } = await res.json();
+  assert.equal(created.code, "DIWALI-20");
+  assert.equal(created.value, 20);
+  assert.equal(created.active, true);
+
+  const duplicate = await t.request("/api/admin/coupons", { as: 2, json: { code: "DIWALI-20", type: "fixed", value: 5 } });
+  assert.equal(duplicate.status, 409);
+
+  const invalid = await t.request("/api/admin/coupons", { as: 2, json: { code: "X", type: "fixed", value: 5 } });
+  assert.equal(invalid.status, 400);
+});
+
+test("updates are validated against the coupon as it will be", async () => {
+  // SAVE10 is a percentage coupon, so 150 is out of range even though only value changes
+  const res = await t.request("/api/admin/coupons/1", { method: "PUT", as: 2, json: { value: 150 } });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).message, /at most 100/);
+
+  const ok = await t.request("/api/admin/coupons/1", { method: "PUT", as: 2, json: { value: 15 } });
+  assert.equal(ok.status, 200);
+  assert.equal((await ok.json()).coupon.type, "percentage");
+
+  assert.equal((await t.request("/api/admin/coupons/999", { method: "PUT", as: 2, json: {} })).status, 404);
+  assert.equal((await t.request("/api/admin/coupons/abc", { method: "PUT", as: 2, json: {} })).status, 400);
+});
+
+test("deleting a coupon deactivates it", async () => {
+  const res = await t.request("/api/admin/coupons/6", { method: "DELETE", as: 2 });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).coupon.active, false);
+  assert.ok(t.db.coupons.some((c) => c.id === 6));
+  assert.equal((await t.request("/api/admin/coupons/abc", { method: "DELETE", as: 2 })).status, 400);
+});
+
+test("coupon admin needs the coupons:write permission", async () => {
+  assert.equal((await t.request("/api/admin/coupons", { as: 3 })).status, 403);
+  assert.equal((await t.request("/api/admin/coupons", { as: 2 })).status, 200);
+});
@@ -0,0 +1,106 @@
+// ============================================================
+// Download limits, access windows and the download log (user-009)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, orderRow } from "./helpers/testApp.js";
+import { createFakeStorage } from "./helpers/fakeSupabase.js";
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+const paid = (id, items, paidAt = daysAgo(1)) =>
+  orderRow({ id, items, status: "paid", payment: { status: "completed", paidAt } });
+const item = (id, name) => ({ id, name, price: 99, quantity: 1 });
+
+const storage = createFakeStorage();
+let failSignedUrls = false;
+
+let t;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      products: [
+        { id: 1, name: "Two Downloads", price: 99, status: "published", file_name: "two.zip", max_downloads: 2, access_days: 30 },
+        { id: 2, name: "One Download", price: 99, status: "published", file_name: "one.zip", max_downloads: 1, access_days: 30 },
+        { id: 3, name: "Short Access", price: 99, status: "published", file_name: "short.zip", max_downloads: null, access_days: 7 },
+      ],
+      orders: [
+        paid(1, [item(1, "Two Downloads")]),
+        paid(2, [item(2, "One Download")]),
+        paid(3, [item(3, "Short Access")], daysAgo(10)),
+        paid(4, [item(2, "One Download")]),
+      ],
+    },
+    deps: {
+      storage: {
+        from: (bucket) => ({
+          ...storage.from(bucket),
+          createSignedUrl: async (path, expiresIn) => (failSignedUrls
+            ? { data: null, error: { message: "Storage unavailable" } }
+            : storage.from(bucket).createSignedUrl(path, expiresIn)),
+        }),
+      },
+    },
+  });
+});
+
+after(() => t.close());
+
+const download = (orderId, productId) => t.request(`/api/signed-download/${productId}?orderId=ORDER_${orderId}`);
+
+test("each download counts against the product's limit", async () => {
+  const first = await (await download(1, 1)).json();
+  assert.equal(first.remainingDownloads, 1);
+  assert.ok(first.accessExpiresAt);
+  const second = await (await download(1, 1)).json();
+  assert.equal(second.remainingDownloads, 0);
+
+  const third = await download(1, 1);
+  assert.equal(third.status, 403);
+  assert.equal((await third.json()).message, "Download limit reached for this order");
+});
+
+test("concurrent downloads can't overrun the limit", async () => {
+  const results = await Promise.all([download(2, 2), download(2, 2), download(2, 2)]);
+  assert.deepEqual(results.map((r) => r.status).sort(), [200, 403, 403]);
+  assert.equal(t.db.download_logs.filter((d) => d.order_id === 2 && d.counted).length, 1);
+});
+
+test("a signed URL that can't be created doesn't use up a download", async () => {
+  failSignedUrls = true;
+  try {
+    assert.equal((await download(4, 2)).status, 500);
+  } finally {
+    failSignedUrls = false;
+  }
+  assert.equal((await download(4, 2)).status, 200);
+});
+
+test("downloads stop once the access window has passed", async () => {
+  const res = await download(3, 3);
+  assert.equal(res.status, 403);
+  assert.equal((await res.json()).message, "Download access has expired");
+});
+
+test("products outside the order can't be downloaded with it", async () => {
+  assert.equal((await download(1, 2)).status, 403);
+});
+
+test("admins can read the download log for an order", async () => {
+  const res = await t.request("/api/admin/downloads?orderId=ORDER_1", { as: 3 });
+  assert.equal(res.status, 200);
+  const { downloads } = await res.json();
+  assert.equal(downloads.length, 2);
+  assert.ok(downloads.every((d) => d.source === "api" && d.ip));
+});
+
+test("resetting an order's downloads gives the buyer their downloads back", async () => {
+  const denied = await t.request("/api/admin/orders/ORDER_1/downloads/reset", { as: 2, json: {} });
+  assert.equal(denied.status, 403);
+
+  const res = await t.request("/api/admin/orders/ORDER_1/downloads/reset", { as: 3, json: { productId: 1 } });
+  assert.deepEqual(await res.json(), { success: true, reset: 2 });
+  assert.equal((await (await download(1, 1)).json()).remainingDownloads, 1);
+  // The log keeps every download
+  assert.equal(t.db.download_logs.filter((d) => d.order_id === 1).length, 3);
+});
@@ -0,0 +1,100 @@
+// ============================================================
+// Persistent email outbox, retries and admin resend (user-007)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, orderRow, webhookAuthorization } from "./helpers/testApp.js";
+
+let t;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      products: [{ id: 1, name: "Budget Planner", price: 199, status: "published", file_name: "planner.zip" }],
+      orders: [orderRow({ id: 1 })],
+      email_outbox: [{
+        id: 50,
+        kind: "order_confirmation",
+        order_id: null,
+        to_email: "old@example.com",
+        subject: "Almost out of retries",
+        html: "<p>Hi</p>",
+        attachments: [],
+        status: "queued",
+        attempts: 5,
+        max_attempts: 6,
+        next_attempt_at: "2026-10-01T00:00:00.000Z",
+        redacted: false,
+        created_at: "2026-10-01T00:00:00.000Z",
+      }],
+    },
+  });
+});
+
+after(() => t.close());
+
+const outboxRow = (id) => t.db.email_outbox.find((e) => e.id === id);
+
+test("a send that fails stays queued with a retry time instead of being lost", async () => {
+  t.mailer.failNext = 1;
+  await t.request("/api/phonepe/webhook", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: webhookAuthorization() },
+    body: JSON.stringify({ event: "checkout.order.completed", payload: { merchantOrderId: "ORDER_1", state: "COMPLETED", amount: 19900 } }),
+  });
+
+  const [email] = t.db.email_outbox.filter((e) => e.order_id === 1);
+  assert.equal(email.status, "queued");
+  assert.equal(email.attempts, 1);
+  assert.equal(email.last_error, "SMTP unavailable");
+  assert.ok(new Date(email.next_attempt_at) > new Date());
+  assert.equal(t.sent.length, 0);
+});
+
+test("the outbox worker sends what is due and gives up after max_attempts", async () => {
+  t.mailer.failNext = 1;
+  const res = await t.request("/api/cron/email-outbox", { cron: true });
+  assert.equal(res.status, 200);
+  // The confirmation isn't due yet; the old row fails its last attempt
+  assert.deepEqual(await res.json(), { success: true, processed: 1, sent: 0, retrying: 0, failed: 1 });
+  assert.equal(outboxRow(50).status, "failed");
+  assert.equal(outboxRow(50).next_attempt_at, null);
+
+  const confirmation = t.db.email_outbox.find((e) => e.order_id === 1);
+  confirmation.next_attempt_at = new Date(Date.now() - 1000).toISOString();
+  const retry = await (await t.request("/api/cron/email-outbox", { cron: true })).json();
+  assert.equal(retry.sent, 1);
+  assert.equal(confirmation.status, "sent");
+  assert.equal(confirmation.attempts, 2);
+  assert.equal(t.sent.at(-1).to, "asha@example.com");
+});
+
+test("admins can list an order's emails by merchant order id", async () => {
+  const res = await t.request("/api/admin/emails?orderId=ORDER_1", { as: 3 });
+  assert.equal(res.status, 200);
+  const { emails } = await res.json();
+  assert.deepEqual(emails.map((e) => [e.kind, e.status, e.attempts]), [["order_confirmation", "sent", 2]]);
+  assert.equal("html" in emails[0], false);
+
+  const missing = await t.request("/api/admin/emails?orderId=ORDER_404", { as: 3 });
+  assert.equal(missing.status, 404);
+});
+
+test("resending sends a fresh copy linked to the original", async () => {
+  const res = await t.request("/api/admin/emails/50/resend", { method: "POST", as: 3 });
+  assert.equal(res.status, 200);
+  const { email } = await res.json();
+  assert.equal(email.resend_of, 50);
+  assert.equal(email.status, "sent");
+  assert.equal(t.sent.at(-1).to, "old@example.com");
+});
+
+test("resend answers 404 for unknown emails and 400 for non-numeric ids", async () => {
+  assert.equal((await t.request("/api/admin/emails/999/resend", { method: "POST", as: 3 })).status, 404);
+  assert.equal((await t.request("/api/admin/emails/abc/resend", { method: "POST", as: 3 })).status, 400);
+});
+
+test("resending needs the emails:send permission", async () => {
+  const res = await t.request("/api/admin/emails/50/resend", { method: "POST", as: 2 });
+  assert.equal(res.status, 403);
+});
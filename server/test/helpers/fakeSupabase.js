@@ -0,0 +1,419 @@
+// ============================================================
+// In-memory stand-in for the Supabase client
+// ------------------------------------------------------------
+// Covers the parts of the PostgREST query builder the services use, so
+// routes can be exercised end to end without a database. Constraints the
+// real schema enforces (unique keys, the limit triggers) and the RPCs are
+// supplied per test.
+// ============================================================
+
+/**
+ * Rows are stored as JSON, like Postgres hands them back: dates become ISO
+ * strings and objects are copied, so callers can't mutate the "database".
+ */
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+/** `payment->>status` and friends */
+function columnValue(row, column) {
+  const [head, ...path] = column.split(/->>?/);
+  return path.reduce((value, key) => value?.[key], row[head]);
+}
+
+function compare(a, b) {
+  if (a === null || a === undefined || b === null || b === undefined) return NaN;
+  const na = Number(a);
+  const nb = Number(b);
+  if (typeof a !== "boolean" && a !== "" && b !== "" && !Number.isNaN(na) && !Number.isNaN(nb)) {
+    return na - nb;
+  }
+  const sa = a instanceof Date ? a.toISOString() : String(a);
+  const sb = b instanceof Date ? b.toISOString() : String(b);
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+}
+
+/** SQL `ilike`: % and _ are wildcards, a backslash escapes them */
+function ilike(value, pattern) {
+  if (value === null || value === undefined) return false;
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === "\\" && i + 1 < pattern.length) source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    else if (c === "%") source += ".*";
+    else if (c === "_") source += ".";
+    else source += c.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`^${source}$`, "is").test(String(value));
+}
+
+function containsValue(actual, expected) {
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual) && expected.every((e) => actual.some((a) => String(a) === String(e)));
+  }
+  if (expected && typeof expected === "object") {
+    return !!actual && Object.entries(expected).every(([k, v]) => containsValue(actual[k], v));
+  }
+  return String(actual) === String(expected);
+}
+
+const OPERATORS = {
+  eq: (a, b) => a !== null && a !== undefined && compare(a, b) === 0,
+  neq: (a, b) => a !== null && a !== undefined && compare(a, b) !== 0,
+  gt: (a, b) => compare(a, b) > 0,
+  gte: (a, b) => compare(a, b) >= 0,
+  lt: (a, b) => compare(a, b) < 0,
+  lte: (a, b) => compare(a, b) <= 0,
+  in: (a, list) => list.some((b) => compare(a, b) === 0),
+  is: (a, b) => (b === null ? a === null || a === undefined : a === b),
+  ilike: (a, pattern) => ilike(a, pattern),
+  contains: (a, b) => containsValue(a, b),
+};
+
+/** Split on commas that are not inside parentheses or double quotes */
+function splitTopLevel(text) {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = "";
+  for (const c of text) {
+    if (c === '"') quoted = !quoted;
+    if (!quoted && c === "(") depth++;
+    if (!quoted && c === ")") depth--;
+    if (!quoted && depth === 0 && c === ",") {
+      parts.push(current);
+      current = "";
+    } else {
+      current += c;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+/** A PostgREST `or()` / `and()` filter string as a row predicate */
+function parseLogic(text, mode = "or") {
+  const predicates = splitTopLevel(text).map((part) => {
+    const nested = part.match(/^(and|or)\((.*)\)$/s);
+    if (nested) return parseLogic(nested[2], nested[1]);
+
+    const [, column, op, raw] = part.match(/^([^.]+)\.(\w+)\.(.*)$/s);
+    let value = raw.replace(/^"(.*)"$/s, "$1");
+    if (op === "is") value = value === "null" ? null : value === "true";
+    return (row) => OPERATORS[op](columnValue(row, column), value);
+  });
+  return mode === "and"
+    ? (row) => predicates.every((p) => p(row))
+    : (row) => predicates.some((p) => p(row));
+}
+
+/** `*, order:orders!fk (*)` → embeds to resolve through `<alias>_id` */
+function parseEmbeds(columns) {
+  const embeds = [];
+  const pattern = /(\w+):(\w+)(?:!\w+)?\s*\(([^)]*)\)/g;
+  for (const [, alias, table, fields] of columns.matchAll(pattern)) {
+    embeds.push({ alias, table, fields: fields.split(",").map((f) => f.trim()).filter(Boolean) });
+  }
+  return embeds;
+}
+
+const pick = (row, fields) =>
+  fields.includes("*") ? row : Object.fromEntries(fields.map((f) => [f, row[f] ?? null]));
+
+/** The plain columns of a select list, embeds left out */
+const selectedColumns = (columns) =>
+  splitTopLevel(columns.replace(/\s+/g, " "))
+    .map((c) => c.trim())
+    .filter((c) => c && !c.includes("("));
+
+/**
+ * @param {object} tables        `{ table: rows[] }`; missing tables start empty
+ * @param {object} [options]
+ * @param {object} [options.unique]   `{ table: [["col"], ["a", "b"]] }` unique keys (23505);
+ *                                    `{ columns, where(row) }` for a partial index
+ * @param {object} [options.triggers] `{ table: (row, db) => error | null }` run before each insert
+ * @param {object} [options.rpc]      `{ name: (args, db) => ({ data, error }) }`
+ * @param {object} [options.storage]  Storage API, defaults to an in-memory one
+ */
+export function createFakeSupabase(tables = {}, options = {}) {
+  const db = {};
+  const nextId = {};
+  const table = (name) => {
+    db[name] ||= [];
+    nextId[name] ||= 1;
+    return db[name];
+  };
+
+  const insertRow = (name, input) => {
+    const rows = table(name);
+    const row = clone(input);
+    if (row.id === undefined) row.id = nextId[name]++;
+    else nextId[name] = Math.max(nextId[name], Number(row.id) + 1 || 0);
+    rows.push(row);
+    return row;
+  };
+
+  for (const [name, rows] of Object.entries(tables)) {
+    table(name);
+    rows.forEach((row) => insertRow(name, row));
+  }
+
+  const uniqueViolation = (name, row, ignore) => {
+    for (const key of options.unique?.[name] || []) {
+      // `["a", "b"]`, or `{ columns, where }` for a partial unique index
+      const { columns, where = () => true } = Array.isArray(key) ? { columns: key } : key;
+      if (!where(row)) continue;
+      const clash = table(name).find((other) =>
+        other !== ignore && where(other) &&
+        columns.every((col) => row[col] != null && String(other[col]) === String(row[col]))
+      );
+      if (clash) return { clash, key };
+    }
+    return null;
+  };
+
+  const project = (row, columns, embeds) => {
+    const out = { ...pick(row, selectedColumns(columns)) };
+    for (const { alias, table: target, fields } of embeds) {
+      const related = table(target).find((r) => String(r.id) === String(row[`${alias}_id`]));
+      out[alias] = related ? pick(related, fields) : null;
+    }
+    return out;
+  };
+
+  function query(name) {
+    const state = {
+      action: "select",
+      filters: [],
+      orders: [],
+      returning: false,
+      columns: "*",
+      countOption: null,
+      head: false,
+      limit: null,
+      range: null,
+      payload: null,
+      upsertOptions: {},
+      single: null,
+    };
+
+    const matches = (row) => state.filters.every((predicate) => predicate(row));
+
+    const run = () => {
+      const rows = table(name);
+      let result;
+      let error = null;
+
+      if (state.action === "insert" || state.action === "upsert") {
+        result = [];
+        for (const input of [].concat(state.payload)) {
+          const candidate = clone(input);
+          const conflictKey = state.upsertOptions.onConflict?.split(",").map((c) => c.trim());
+          if (conflictKey) {
+            const existing = rows.find((r) => conflictKey.every((c) => String(r[c]) === String(candidate[c])));
+            if (existing) {
+              if (!state.upsertOptions.ignoreDuplicates) {
+                Object.assign(existing, candidate);
+                result.push(existing);
+              }
+              continue;
+            }
+          }
+          if (uniqueViolation(name, candidate)) {
+            error = { code: "23505", message: `duplicate key value violates unique constraint on ${name}` };
+            break;
+          }
+          const triggerError = options.triggers?.[name]?.(candidate, db);
+          if (triggerError) {
+            error = triggerError;
+            break;
+          }
+          result.push(insertRow(name, candidate));
+        }
+      } else if (state.action === "update") {
+        const changes = clone(state.payload);
+        result = [];
+        for (const row of rows.filter(matches)) {
+          const updated = { ...row, ...changes };
+          if (uniqueViolation(name, updated, row)) {
+            error = { code: "23505", message: `duplicate key value violates unique constraint on ${name}` };
+            break;
+          }
+          Object.assign(row, changes);
+          result.push(row);
+        }
+      } else if (state.action === "delete") {
+        result = rows.filter(matches);
+        db[name] = rows.filter((row) => !matches(row));
+      } else {
+        result = rows.filter(matches);
+      }
+
+      if (error) return { data: null, error, count: null };
+
+      for (const { column, ascending } of [...state.orders].reverse()) {
+        result = [...result].sort((a, b) => {
+          const order = compare(columnValue(a, column), columnValue(b, column));
+          return Number.isNaN(order) ? 0 : ascending ? order : -order;
+        });
+      }
+      const count = result.length;
+      if (state.range) result = result.slice(state.range[0], state.range[1] + 1);
+      if (state.limit !== null) result = result.slice(0, state.limit);
+
+      const embeds = parseEmbeds(state.columns);
+      let data = state.action === "select" || state.returning
+        ? clone(result.map((row) => project(row, state.columns, embeds)))
+        : null;
+      if (state.head) data = null;
+
+      if (state.single) {
+        if (data?.length === 1) return { data: data[0], error: null };
+        if (state.single === "maybe" && !data?.length) return { data: null, error: null };
+        return {
+          data: null,
+          error: { code: "PGRST116", message: `JSON object requested, ${data?.length ?? 0} rows returned` },
+        };
+      }
+      return { data, error: null, count: state.countOption ? count : null };
+    };
+
+    const filter = (predicate) => {
+      state.filters.push(predicate);
+      return builder;
+    };
+    const op = (name) => (column, value) =>
+      filter((row) => OPERATORS[name](columnValue(row, column), value));
+
+    const builder = {
+      select(columns = "*", { count, head } = {}) {
+        if (state.action !== "select") state.returning = true;
+        state.columns = columns;
+        state.countOption = count || null;
+        state.head = !!head;
+        return builder;
+      },
+      insert(rows) {
+        state.action = "insert";
+        state.payload = rows;
+        return builder;
+      },
+      upsert(rows, upsertOptions = {}) {
+        state.action = "upsert";
+        state.payload = rows;
+        state.upsertOptions = upsertOptions;
+        return builder;
+      },
+      update(changes) {
+        state.action = "update";
+        state.payload = changes;
+        return builder;
+      },
+      delete() {
+        state.action = "delete";
+        return builder;
+      },
+      eq: op("eq"),
+      neq: op("neq"),
+      gt: op("gt"),
+      gte: op("gte"),
+      lt: op("lt"),
+      lte: op("lte"),
+      is: op("is"),
+      ilike: op("ilike"),
+      contains: op("contains"),
+      in: op("in"),
+      match: (values) => filter((row) => Object.entries(values).every(([k, v]) => OPERATORS.eq(row[k], v))),
+      or: (text) => filter(parseLogic(text)),
+      // Good enough for tests: every search word appears in the row's text
+      textSearch: (column, text) => filter((row) => {
+        const haystack = [row[column], row.name, row.description].filter(Boolean).join(" ").toLowerCase();
+        return String(text).toLowerCase().split(/\s+/).every((word) => haystack.includes(word));
+      }),
+      order(column, { ascending = true } = {}) {
+        state.orders.push({ column, ascending });
+        return builder;
+      },
+      limit(n) {
+        state.limit = n;
+        return builder;
+      },
+      range(from, to) {
+        state.range = [from, to];
+        return builder;
+      },
+      single() {
+        state.single = "one";
+        return Promise.resolve(run());
+      },
+      maybeSingle() {
+        state.single = "maybe";
+        return Promise.resolve(run());
+      },
+      then(resolve, reject) {
+        return Promise.resolve().then(run).then(resolve, reject);
+      },
+    };
+    return builder;
+  }
+
+  const rpcResult = (name, args) => {
+    const handler = options.rpc?.[name];
+    if (!handler) return { data: null, error: { code: "PGRST202", message: `Unknown function ${name}` } };
+    const { data = null, error = null } = handler(args, db, { insert: insertRow }) || {};
+    return { data: clone(data), error };
+  };
+
+  return {
+    db,
+    insert: insertRow,
+    from: (name) => query(name),
+    rpc: (name, args) => {
+      const result = { single: () => Promise.resolve(rpcResult(name, args)) };
+      result.then = (resolve, reject) => Promise.resolve().then(() => rpcResult(name, args)).then(resolve, reject);
+      return result;
+    },
+    storage: options.storage || createFakeStorage(),
+  };
+}
+
+/**
+ * Supabase Storage with buckets held in memory. Signed URLs point at a
+ * made-up host and carry the object path, so tests can assert on them.
+ */
+export function createFakeStorage(objects = {}) {
+  const files = new Map(Object.entries(objects));
+  return {
+    files,
+    from: (bucket) => ({
+      async upload(path, body, { upsert = false } = {}) {
+        const key = `${bucket}/${path}`;
+        if (files.has(key) && !upsert) {
+          return { data: null, error: { statusCode: "409", message: "The resource already exists" } };
+        }
+        let data = body;
+        if (body && typeof body[Symbol.asyncIterator] === "function" && !Buffer.isBuffer(body)) {
+          const chunks = [];
+          for await (const chunk of body) chunks.push(Buffer.from(chunk));
+          data = Buffer.concat(chunks);
+        }
+        files.set(key, Buffer.from(data));
+        return { data: { path }, error: null };
+      },
+      async download(path) {
+        const key = `${bucket}/${path}`;
+        if (!files.has(key)) return { data: null, error: { statusCode: "404", message: "Object not found" } };
+        const buffer = files.get(key);
+        return { data: new Blob([buffer]), error: null };
+      },
+      async remove(paths) {
+        for (const path of paths) files.delete(`${bucket}/${path}`);
+        return { data: paths.map((name) => ({ name })), error: null };
+      },
+      async createSignedUrl(path, expiresIn) {
+        return {
+          data: { signedUrl: `https://storage.test/${bucket}/${path}?expires=${expiresIn}` },
+          error: null,
+        };
+      },
+    }),
+  };
+}
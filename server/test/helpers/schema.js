@@ -0,0 +1,103 @@
+// ============================================================
+// What supabase/migrations enforce, for the in-memory database:
+// unique keys, the limit triggers and the RPCs the services call.
+// Keep in step with the SQL.
+// ============================================================
+
+const checkViolation = (message, hint = null) => ({ code: "23514", message, hint });
+
+const sum = (rows, column) => rows.reduce((total, row) => total + Number(row[column]), 0);
+
+export const UNIQUE = {
+  products: [["slug"]],
+  categories: [["slug"]],
+  coupons: [["code"]],
+  coupon_redemptions: [["order_id"]],
+  refunds: [["merchant_refund_id"]],
+  invoices: [["order_id"], ["invoice_number"]],
+  customer_magic_links: [["token_hash"]],
+  checkout_recoveries: [["order_id"], ["token_hash"]],
+  email_unsubscribes: [["email"]],
+  affiliates: [["code"], ["stats_token_hash"]],
+  affiliate_commissions: [
+    { columns: ["order_id"], where: (row) => row.kind === "accrual" },
+    { columns: ["refund_id", "kind"], where: (row) => row.refund_id != null },
+  ],
+  bundle_items: [["bundle_id", "product_id"]],
+  download_watermarks: [["order_id", "product_id", "source_file_name"]],
+};
+
+export const TRIGGERS = {
+  // 20261019270000_refund_total_check.sql
+  refunds(row, db) {
+    if (row.status === "failed") return null;
+    const order = (db.orders || []).find((o) => String(o.id) === String(row.order_id));
+    const refunded = sum(
+      (db.refunds || []).filter((r) => String(r.order_id) === String(row.order_id) && r.status !== "failed"),
+      "amount"
+    );
+    return refunded + Number(row.amount) > Number(order?.total_amount)
+      ? checkViolation(`Refunds of order ${row.order_id} would exceed its total`)
+      : null;
+  },
+
+  // 20261019300000_coupon_redemption_limits.sql
+  coupon_redemptions(row, db) {
+    if (row.status === "released") return null;
+    const coupon = (db.coupons || []).find((c) => String(c.id) === String(row.coupon_id));
+    const held = (db.coupon_redemptions || [])
+      .filter((r) => String(r.coupon_id) === String(row.coupon_id) && r.status !== "released");
+
+    if (coupon.max_redemptions != null && held.length >= coupon.max_redemptions) {
+      return checkViolation(`Coupon ${coupon.code} is fully redeemed`, "max_redemptions");
+    }
+    const byCustomer = held.filter(
+      (r) => String(r.customer_email).toLowerCase() === String(row.customer_email).toLowerCase()
+    );
+    if (coupon.max_per_customer != null && byCustomer.length >= coupon.max_per_customer) {
+      return checkViolation(`Coupon ${coupon.code} already used by this customer`, "max_per_customer");
+    }
+    return null;
+  },
+
+  // 20261019340000_download_limit_check.sql
+  download_logs(row, db) {
+    if (!row.counted) return null;
+    const product = (db.products || []).find((p) => String(p.id) === String(row.product_id));
+    if (product?.max_downloads == null) return null;
+    const used = (db.download_logs || []).filter((d) =>
+      String(d.order_id) === String(row.order_id) && String(d.product_id) === String(row.product_id) && d.counted
+    ).length;
+    return used >= product.max_downloads
+      ? checkViolation(`Download limit reached for order ${row.order_id} product ${row.product_id}`, "max_downloads")
+      : null;
+  },
+};
+
+export const RPC = {
+  // 20261019310000_gapless_invoice_numbers.sql
+  issue_invoice({ invoice, number_prefix: prefix }, db, { insert }) {
+    const existing = (db.invoices || []).find((i) => String(i.order_id) === String(invoice.order_id));
+    if (existing) {
+      return {
+        error: {
+          code: "23505",
+          message: `Order ${existing.order_id} already has invoice ${existing.invoice_number}`,
+        },
+      };
+    }
+    const counter = (db.invoice_counter ||= [{ id: true, last_number: 0 }])[0];
+    counter.last_number += 1;
+    const number = `${prefix}${String(counter.last_number).padStart(6, "0")}`;
+    return { data: insert("invoices", { ...invoice, invoice_number: number }) };
+  },
+
+  // 20261019320000_set_bundle_components.sql
+  set_bundle_components({ bundle_id: bundleId, product_ids: productIds }, db, { insert }) {
+    db.bundle_items = (db.bundle_items || []).filter((row) => String(row.bundle_id) !== String(bundleId));
+    productIds.forEach((productId, position) => {
+      insert("bundle_items", { bundle_id: Number(bundleId), product_id: Number(productId), position });
+    });
+    return { data: null };
+  },
+};
@@ -0,0 +1,216 @@
+// ============================================================
+// createApp(deps) on a random port, wired to in-memory fakes
+// ============================================================
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { createApp } from "../../app.js";
+import { loadConfig } from "../../config/config.js";
+import PhonePeProvider from "../../services/payments/phonepeProvider.js";
+import { createFakeSupabase } from "./fakeSupabase.js";
+import { RPC, TRIGGERS, UNIQUE } from "./schema.js";
+
+export const JWT_SECRET = "test-secret";
+export const CRON_SECRET = "cron-secret";
+export const WEBHOOK_CREDENTIALS = { username: "webhook-user", password: "webhook-pass" };
+
+export const TEST_ENV = {
+  FRONTEND_URL: "http://localhost:8080",
+  BACKEND_URL: "http://localhost:3000",
+  JWT_SECRET,
+  CRON_SECRET,
+  SUPABASE_URL: "http://localhost:54321",
+  SUPABASE_SERVICE_ROLE_KEY: "service-role-key",
+  PHONEPE_MERCHANT_ID: "TESTMERCHANT",
+  PHONEPE_CLIENT_ID: "client",
+  PHONEPE_CLIENT_SECRET: "secret",
+  PHONEPE_CLIENT_VERSION: "1",
+  PHONEPE_WEBHOOK_USERNAME: WEBHOOK_CREDENTIALS.username,
+  PHONEPE_WEBHOOK_PASSWORD: WEBHOOK_CREDENTIALS.password,
+  EMAIL_FROM: "store@example.com",
+  LOG_LEVEL: "error",
+};
+
+export const testConfig = (env = {}) => loadConfig({ ...TEST_ENV, ...env });
+
+/** The admins every test database starts with, one per role */
+export const ADMINS = [
+  { id: 1, username: "owner", role: "owner" },
+  { id: 2, username: "editor", role: "editor" },
+  { id: 3, username: "support", role: "support" },
+];
+
+/**
+ * The real PhonePe adapter over a scripted gateway. Set an order's state
+ * with `gateway.setOrder(merchantOrderId, "COMPLETED")`; unknown orders are
+ * PENDING. `gateway.payments` and `gateway.refundRequests` record the calls.
+ */
+export function createFakePhonePe() {
+  const orders = new Map();
+  const refunds = new Map();
+  const gateway = {
+    payments: [],
+    refundRequests: [],
+    paymentResult: null,
+    refundResult: null,
+    statusError: null,
+    setOrder(merchantOrderId, state, extra = {}) {
+      orders.set(merchantOrderId, { state, ...extra });
+    },
+    setRefund(merchantRefundId, state) {
+      refunds.set(merchantRefundId, state);
+    },
+    async initiatePayment(data) {
+      gateway.payments.push(data);
+      return gateway.paymentResult || {
+        success: true,
+        paymentUrl: `https://pay.test/checkout/${data.merchantOrderId}`,
+      };
+    },
+    async checkPaymentStatus(merchantOrderId) {
+      if (gateway.statusError) throw gateway.statusError;
+      const order = orders.get(merchantOrderId) || { state: "PENDING" };
+      return {
+        orderId: `OMO${merchantOrderId}`,
+        state: order.state,
+        amount: order.amount ?? null,
+        paymentDetails: order.state === "COMPLETED" ? [{ transactionId: `T-${merchantOrderId}` }] : [],
+      };
+    },
+    async initiateRefund(data) {
+      gateway.refundRequests.push(data);
+      return gateway.refundResult || { success: true, refundId: `R-${data.merchantRefundId}`, state: "PENDING" };
+    },
+    async checkRefundStatus(merchantRefundId) {
+      return { state: refunds.get(merchantRefundId) || "PENDING" };
+    },
+    async verifyCallback() {
+      return { isValid: false, error: "Not supported in tests" };
+    },
+  };
+  return { provider: new PhonePeProvider(gateway, WEBHOOK_CREDENTIALS), gateway };
+}
+
+/** `Authorization` header PhonePe sends with webhooks */
+export const webhookAuthorization = ({ username, password } = WEBHOOK_CREDENTIALS) =>
+  `SHA256 ${crypto.createHash("sha256").update(`${username}:${password}`).digest("hex")}`;
+
+/**
+ * Start an app on 127.0.0.1 with a fake database seeded from `tables`
+ * (plus `ADMINS`) that enforces the schema in `schema.js`, the fake PhonePe
+ * gateway and a mailer that records what it sends. Call `close()` when done.
+ *
+ * @param {object} [options]
+ * @param {object} [options.tables]       Seed rows per table
+ * @param {object} [options.supabase]     Extra `createFakeSupabase` options (unique keys, triggers, rpc)
+ * @param {object} [options.env]          Overrides for `TEST_ENV`
+ * @param {object} [options.deps]         Extra `createApp` deps (e.g. `paymentProviders`)
+ */
+export async function startTestApp({ tables = {}, supabase: supabaseOptions, env, deps = {} } = {}) {
+  const config = testConfig(env);
+  const supabase = createFakeSupabase({ admin: ADMINS, ...tables }, {
+    ...supabaseOptions,
+    unique: { ...UNIQUE, ...supabaseOptions?.unique },
+    triggers: { ...TRIGGERS, ...supabaseOptions?.triggers },
+    rpc: { ...RPC, ...supabaseOptions?.rpc },
+  });
+  const { provider, gateway } = createFakePhonePe();
+  const sent = [];
+  const mailer = {
+    failNext: 0,
+    async sendMail(message) {
+      if (mailer.failNext > 0) {
+        mailer.failNext--;
+        throw new Error("SMTP unavailable");
+      }
+      sent.push(message);
+      return { messageId: `<${sent.length}@test>` };
+    },
+  };
+
+  const app = createApp({ config, supabase, paymentProvider: provider, mailer, ...deps });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const adminToken = (id) => {
+    const admin = ADMINS.find((a) => a.id === id);
+    return jwt.sign({ id, role: admin?.role }, JWT_SECRET, { audience: "admin" });
+  };
+  const customerToken = (email) => jwt.sign({ email }, JWT_SECRET, { audience: "customer" });
+
+  /**
+   * `fetch` against the app. `as` signs the request as an admin (by id),
+   * `customer` as a library session, `cron` with the cron secret; a `json`
+   * body is serialised for you.
+   */
+  const request = (path, { as, customer, cron, json, headers = {}, ...init } = {}) => {
+    const auth = as !== undefined ? `Bearer ${adminToken(as)}`
+      : customer ? `Bearer ${customerToken(customer)}`
+        : cron ? `Bearer ${CRON_SECRET}`
+          : undefined;
+    return fetch(`${baseUrl}${path}`, {
+      redirect: "manual",
+      ...init,
+      method: init.method || (json !== undefined ? "POST" : "GET"),
+      headers: {
+        ...(auth && { Authorization: auth }),
+        ...(json !== undefined && { "Content-Type": "application/json" }),
+        ...headers,
+      },
+      body: json !== undefined ? JSON.stringify(json) : init.body,
+    });
+  };
+
+  return {
+    app,
+    baseUrl,
+    config,
+    supabase,
+    db: supabase.db,
+    gateway,
+    provider,
+    mailer,
+    sent,
+    request,
+    adminToken,
+    customerToken,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+}
+
+/** Let listeners that run after the response (emails, ledgers) settle */
+export const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+/**
+ * An `orders` row as checkout writes it, `pending` at the gateway unless
+ * `status`/`payment` say otherwise. `merchant_order_id` is `ORDER_<id>`.
+ */
+export function orderRow({ id, payment = {}, ...overrides }) {
+  const items = overrides.items || [{ id: 1, name: "Budget Planner", price: 199, quantity: 1, line_total: 199 }];
+  const total = overrides.total_amount ?? items.reduce((sum, item) => sum + item.price * item.quantity, 0);
+  return {
+    id,
+    merchant_order_id: `ORDER_${id}`,
+    customer_name: "Asha",
+    customer_email: "asha@example.com",
+    customer_phone: "9876543210",
+    items,
+    product_id: items.map((item) => item.id),
+    subtotal_amount: total,
+    discount_amount: 0,
+    total_amount: total,
+    status: "pending",
+    created_at: "2026-10-01T10:00:00.000Z",
+    updated_at: "2026-10-01T10:00:00.000Z",
+    ...overrides,
+    payment: {
+      gateway: "phonepe",
+      merchantOrderId: `ORDER_${id}`,
+      transactionId: `TX_${id}`,
+      status: "pending",
+      amount: total,
+      ...payment,
+    },
+  };
+}
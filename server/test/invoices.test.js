@@ -0,0 +1,90 @@
+// ============================================================
+// GST invoices: numbering and PDF downloads (user-015)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, orderRow } from "./helpers/testApp.js";
+
+const paid = (id, overrides = {}) =>
+  orderRow({ id, status: "paid", payment: { status: "completed", paidAt: "2026-10-01T10:05:00.000Z" }, ...overrides });
+
+let t;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      orders: [
+        paid(1, { customer_state: "29" }),
+        paid(2, { customer_state: "27" }),
+        orderRow({ id: 3 }),
+        paid(4),
+        paid(5, { customer_email: "ravi@example.com" }),
+      ],
+    },
+    env: {
+      SELLER_NAME: "Floo Studio",
+      SELLER_ADDRESS: "Bengaluru",
+      SELLER_GSTIN: "29ABCDE1234F1Z5",
+      SELLER_STATE_CODE: "29",
+    },
+  });
+});
+
+after(() => t.close());
+
+const adminInvoice = (orderId) => t.request(`/api/admin/orders/${orderId}/invoice`, { as: 3 });
+const invoiceOf = (orderId) => t.db.invoices.find((i) => i.order_id === orderId);
+
+test("the first download issues the invoice as a PDF", async () => {
+  const res = await adminInvoice("ORDER_1");
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "application/pdf");
+  assert.equal(res.headers.get("content-disposition"), 'attachment; filename="Invoice-INV-2026-27-000001.pdf"');
+  const pdf = Buffer.from(await res.arrayBuffer());
+  assert.equal(pdf.subarray(0, 5).toString(), "%PDF-");
+
+  const invoice = invoiceOf(1);
+  assert.equal(invoice.invoice_number, "INV/2026-27/000001");
+  assert.equal(invoice.inter_state, false);
+  assert.deepEqual([invoice.taxable_value, invoice.cgst, invoice.sgst, invoice.igst], [168.64, 15.18, 15.18, 0]);
+});
+
+test("buyers in another state are charged IGST", async () => {
+  await adminInvoice("ORDER_2");
+  const invoice = invoiceOf(2);
+  assert.equal(invoice.invoice_number, "INV/2026-27/000002");
+  assert.equal(invoice.inter_state, true);
+  assert.deepEqual([invoice.cgst, invoice.sgst, invoice.igst], [0, 0, 30.36]);
+});
+
+test("an order keeps its invoice number however often it is downloaded", async () => {
+  const [a, b] = await Promise.all([adminInvoice("ORDER_4"), adminInvoice("ORDER_4")]);
+  assert.equal(a.headers.get("content-disposition"), b.headers.get("content-disposition"));
+  assert.equal((await adminInvoice("ORDER_1")).headers.get("content-disposition"),
+    'attachment; filename="Invoice-INV-2026-27-000001.pdf"');
+
+  assert.equal(t.db.invoices.filter((i) => i.order_id === 4).length, 1);
+  assert.deepEqual(t.db.invoices.map((i) => i.invoice_number).sort(), [
+    "INV/2026-27/000001",
+    "INV/2026-27/000002",
+    "INV/2026-27/000003",
+  ]);
+});
+
+test("unpaid orders have no invoice yet", async () => {
+  const res = await adminInvoice("ORDER_3");
+  assert.equal(res.status, 409);
+  assert.equal((await res.json()).message, "Invoices are issued once an order is paid");
+  assert.equal(invoiceOf(3), undefined);
+  assert.equal((await adminInvoice("ORDER_404")).status, 404);
+});
+
+test("buyers download invoices for their own orders from the library", async () => {
+  const own = await t.request("/api/library/orders/ORDER_5/invoice", { customer: "ravi@example.com" });
+  assert.equal(own.status, 200);
+  assert.equal(own.headers.get("content-type"), "application/pdf");
+
+  const other = await t.request("/api/library/orders/ORDER_1/invoice", { customer: "ravi@example.com" });
+  assert.equal(other.status, 404);
+  assert.equal((await t.request("/api/library/orders/ORDER_5/invoice")).status, 401);
+});
@@ -0,0 +1,114 @@
+// ============================================================
+// My Library and passwordless magic links (user-008)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, orderRow } from "./helpers/testApp.js";
+
+const paid = (id, overrides = {}) => orderRow({ id, status: "paid", payment: { status: "completed" }, ...overrides });
+
+let t;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      products: [
+        { id: 1, name: "Budget Planner", price: 199, status: "published", file_name: "planner.zip" },
+        { id: 2, name: "Meal Planner", price: 99, status: "published", file_name: "meals.zip" },
+      ],
+      orders: [
+        paid(1),
+        // Not paid, so not in the library
+        orderRow({ id: 2, items: [{ id: 2, name: "Meal Planner", price: 99, quantity: 1 }] }),
+        paid(3, { customer_email: "ravi@example.com", customer_name: "<b>Ravi</b>" }),
+      ],
+    },
+  });
+});
+
+after(() => t.close());
+
+const requestLink = async (email) => {
+  const started = Date.now();
+  const res = await t.request("/api/library/magic-link", { json: { email } });
+  return { res, body: await res.json(), elapsed: Date.now() - started };
+};
+
+const tokenFrom = (html) => html.match(/library\?token=([\w-]+)/)[1];
+
+let token;
+
+test("a buyer gets a one-time link; the stored copy of the email does not", async () => {
+  const { res, body, elapsed } = await requestLink("  ASHA@Example.com ");
+  assert.equal(res.status, 200);
+  assert.ok(elapsed >= 1900, `answered after ${elapsed}ms`);
+  assert.match(body.message, /If that email has purchases/);
+
+  const email = t.sent.at(-1);
+  assert.equal(email.to, "asha@example.com");
+  token = tokenFrom(email.html);
+
+  const [stored] = t.db.email_outbox.filter((e) => e.kind === "magic_link");
+  assert.equal(stored.redacted, true);
+  assert.equal(stored.status, "sent");
+  assert.ok(!stored.html.includes(token));
+  assert.ok(stored.html.includes("[redacted]"));
+  assert.ok(!t.db.customer_magic_links.some((link) => JSON.stringify(link).includes(token)));
+});
+
+test("an email with no purchases gets the same answer after the same wait", async () => {
+  const sentBefore = t.sent.length;
+  const { res, body, elapsed } = await requestLink("nobody@example.com");
+  assert.equal(res.status, 200);
+  assert.ok(elapsed >= 1900, `answered after ${elapsed}ms`);
+  assert.match(body.message, /If that email has purchases/);
+  assert.equal(t.sent.length, sentBefore);
+});
+
+test("the magic link email escapes the buyer's name", async () => {
+  await requestLink("ravi@example.com");
+  const email = t.sent.at(-1);
+  assert.ok(email.html.includes("&lt;b&gt;Ravi&lt;/b&gt;"));
+});
+
+test("an invalid email address is a 400", async () => {
+  const res = await t.request("/api/library/magic-link", { json: { email: "not-an-email" } });
+  assert.equal(res.status, 400);
+});
+
+test("the link's token buys a library session exactly once", async () => {
+  const res = await t.request("/api/library/session", { json: { token } });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.email, "asha@example.com");
+  assert.ok(body.token);
+
+  const again = await t.request("/api/library/session", { json: { token } });
+  assert.equal(again.status, 401);
+});
+
+test("the library lists only paid orders", async () => {
+  const res = await t.request("/api/library", { customer: "asha@example.com" });
+  assert.equal(res.status, 200);
+  const { orders } = await res.json();
+  assert.deepEqual(orders.map((o) => o.orderId), ["ORDER_1"]);
+  assert.deepEqual(orders[0].products.map((p) => p.id), [1]);
+});
+
+test("library downloads are limited to the customer's own orders", async () => {
+  const own = await t.request("/api/library/download/ORDER_1/1", { customer: "asha@example.com" });
+  assert.equal(own.status, 200);
+  assert.match((await own.json()).signedUrl, /planner\.zip/);
+
+  const someoneElses = await t.request("/api/library/download/ORDER_3/1", { customer: "asha@example.com" });
+  assert.equal(someoneElses.status, 404);
+
+  const anonymous = await t.request("/api/library/download/ORDER_1/1");
+  assert.equal(anonymous.status, 401);
+});
+
+test("a magic link email can't be resent from the outbox", async () => {
+  const [stored] = t.db.email_outbox.filter((e) => e.kind === "magic_link");
+  const res = await t.request(`/api/admin/emails/${stored.id}/resend`, { method: "POST", as: 3 });
+  assert.equal(res.status, 409);
+});
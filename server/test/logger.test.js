@@ -0,0 +1,163 @@
+// ============================================================
+// Structured logs: request IDs and redaction (user-025)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import http from "http";
+import { createPhonePeEmulator } from "../dev/phonepeEmulator.js";
+import { redact } from "../lib/logger.js";
+import { startTestApp, testConfig, settle } from "./helpers/testApp.js";
+import PaymentProviderRegistry from "../services/payments/paymentProviders.js";
+import PhonePeProvider from "../services/payments/phonepeProvider.js";
+import PhonePeAPIService from "../services/phonepeService.js";
+
+test("secrets are dropped and customer details masked", () => {
+  assert.deepEqual(redact({
+    clientSecret: "s3cret",
+    authorization: "O-Bearer abc",
+    saltKey: "key",
+    "x-verify": "abc###1",
+    password_hash: "hash",
+    saltIndex: "1",
+    tokenExpiresAt: 1700000000,
+    customerEmail: "asha@example.com",
+    customerPhone: "9876543210",
+    customer_name: "Asha",
+    name: "Budget Planner",
+    note: "call +91 9876543210 or mail ravi@example.com",
+    header: "Bearer abc.def",
+    raw: "eyJhbGciOiJIUzI1NiJ9.eyJpZCI6MX0.c2ln",
+  }), {
+    clientSecret: "[REDACTED]",
+    authorization: "[REDACTED]",
+    saltKey: "[REDACTED]",
+    "x-verify": "[REDACTED]",
+    password_hash: "[REDACTED]",
+    saltIndex: "1",
+    tokenExpiresAt: 1700000000,
+    customerEmail: "a***@example.com",
+    customerPhone: "******3210",
+    customer_name: "[REDACTED]",
+    name: "Budget Planner",
+    note: "call ******3210 or mail r***@example.com",
+    header: "Bearer [REDACTED]",
+    raw: "[REDACTED]",
+  });
+});
+
+test("errors keep the gateway's reply, redacted too", () => {
+  const error = Object.assign(new Error("Request failed"), {
+    code: "ERR_BAD_RESPONSE",
+    response: { status: 401, data: { message: "bad token", access_token: "abc" } },
+  });
+  const { stack, ...logged } = redact(error);
+  assert.ok(stack.startsWith("Error: Request failed"));
+  assert.deepEqual(logged, {
+    type: "Error",
+    message: "Request failed",
+    code: "ERR_BAD_RESPONSE",
+    status: 401,
+    response: { message: "bad token", access_token: "[REDACTED]" },
+  });
+});
+
+// ------------------------------------------------------------
+// Through the app, against the emulator so outbound calls are real
+// ------------------------------------------------------------
+let gateway;
+// X-Request-Id of each call the gateway received, by path
+const gatewayRequestIds = [];
+let t;
+
+before(async () => {
+  const emulator = createPhonePeEmulator();
+  gateway = await new Promise((resolve) => {
+    const server = http.createServer((req, res) => {
+      gatewayRequestIds.push([req.url, req.headers["x-request-id"]]);
+      emulator(req, res);
+    });
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+
+  const env = { PHONEPE_BASE_URL: `http://127.0.0.1:${gateway.address().port}`, LOG_LEVEL: "debug" };
+  const config = testConfig(env);
+  t = await startTestApp({
+    tables: {
+      products: [{ id: 1, name: "Budget Planner", price: 199, status: "published", type: "single", file_name: "planner.zip" }],
+    },
+    env,
+    deps: {
+      paymentProviders: new PaymentProviderRegistry([
+        new PhonePeProvider(new PhonePeAPIService(config.phonepe, config.urls), config.phonepe.webhook),
+      ]),
+    },
+  });
+});
+
+after(async () => {
+  await t.close();
+  await new Promise((resolve) => gateway.close(resolve));
+});
+
+/** Run `fn`, returning its result and every log entry written meanwhile */
+async function captureLogs(fn) {
+  const entries = [];
+  const original = { log: console.log, error: console.error };
+  console.log = console.error = (line) => entries.push(JSON.parse(line));
+  try {
+    const result = await fn();
+    await settle();
+    return { result, entries };
+  } finally {
+    Object.assign(console, original);
+  }
+}
+
+test("each request gets an ID that is returned and logged", async () => {
+  const { result: res, entries } = await captureLogs(() => t.request("/api/products?q=asha@example.com"));
+  const requestId = res.headers.get("x-request-id");
+  assert.match(requestId, /^[0-9a-f-]{36}$/);
+
+  const [summary] = entries.filter((e) => e.msg === "request completed");
+  assert.equal(summary.requestId, requestId);
+  assert.equal(summary.level, "info");
+  // Only the path: query strings can carry emails and tokens
+  assert.equal(summary.path, "/api/products");
+  assert.ok(!JSON.stringify(entries).includes("asha@example.com"));
+});
+
+test("a sane X-Request-Id from upstream is kept, anything else replaced", async () => {
+  const kept = await t.request("/health", { headers: { "X-Request-Id": "edge-1234abcd" } });
+  assert.equal(kept.headers.get("x-request-id"), "edge-1234abcd");
+
+  const replaced = await t.request("/health", { headers: { "X-Request-Id": "<script>" } });
+  assert.match(replaced.headers.get("x-request-id"), /^[0-9a-f-]{36}$/);
+});
+
+test("checkout logs follow the request to PhonePe without customer details", async () => {
+  const { result: res, entries } = await captureLogs(() => t.request("/api/phonepe/create-order", {
+    headers: { "X-Request-Id": "checkout-req-0001" },
+    json: {
+      customerName: "Asha Verma",
+      customerEmail: "asha@example.com",
+      customerPhone: "9876543210",
+      orderItems: [{ id: 1 }],
+    },
+  }));
+  assert.equal(res.status, 200);
+
+  const messages = entries.map((e) => e.msg);
+  assert.ok(messages.includes("Order creation requested"));
+  assert.ok(messages.includes("Checkout created"));
+  assert.ok(entries.every((e) => e.requestId === "checkout-req-0001"));
+  const logged = JSON.stringify(entries);
+  for (const detail of ["Asha Verma", "asha@example.com", "9876543210"]) {
+    assert.ok(!logged.includes(detail), detail);
+  }
+
+  // The OAuth token and pay calls carry the ID too
+  assert.deepEqual(
+    gatewayRequestIds.map(([path, requestId]) => [path.split("?")[0], requestId]),
+    [["/v1/oauth/token", "checkout-req-0001"], ["/checkout/v2/pay", "checkout-req-0001"]]
+  );
+});
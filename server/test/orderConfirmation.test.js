@@ -0,0 +1,74 @@
+// ============================================================
+// Order confirmation email on payment completion (user-006)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, orderRow, webhookAuthorization } from "./helpers/testApp.js";
+
+let t;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      products: [
+        { id: 1, name: "Budget Planner", price: 199, status: "published", file_name: "planner.zip", image_url: "https://cdn.test/planner.png" },
+      ],
+      orders: [
+        orderRow({ id: 1 }),
+        orderRow({ id: 2, customer_name: "<img src=x onerror=alert(1)>", customer_email: "mallory@example.com" }),
+        orderRow({ id: 3, customer_email: "failed@example.com" }),
+      ],
+    },
+  });
+});
+
+after(() => t.close());
+
+const webhook = (merchantOrderId, state, amount = 19900) =>
+  t.request("/api/phonepe/webhook", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: webhookAuthorization() },
+    body: JSON.stringify({ event: `checkout.order.${state.toLowerCase()}`, payload: { merchantOrderId, state, amount } }),
+  });
+
+const mailTo = (address) => t.sent.filter((m) => m.to === address);
+
+test("a completed payment emails the buyer their download links and invoice", async () => {
+  await webhook("ORDER_1", "COMPLETED");
+
+  const [email] = mailTo("asha@example.com");
+  assert.ok(email, "confirmation email sent");
+  assert.match(email.subject, /Order #ORDER_1/);
+  assert.ok(email.html.includes("http://localhost:3000/api/download/1?orderId=ORDER_1"));
+  assert.ok(email.html.includes("https://cdn.test/planner.png"));
+  assert.deepEqual(email.attachments.map((a) => a.contentType), ["application/pdf"]);
+
+  const outbox = t.db.email_outbox.filter((e) => e.order_id === 1);
+  assert.deepEqual(outbox.map((e) => [e.kind, e.status]), [["order_confirmation", "sent"]]);
+});
+
+test("the download link in the email redirects to the file", async () => {
+  const res = await t.request("/api/download/1?orderId=ORDER_1");
+  assert.equal(res.status, 302);
+  assert.match(res.headers.get("location"), /^https:\/\/storage\.test\/products\/planner\.zip/);
+});
+
+test("the email goes out once however often the payment is reported", async () => {
+  t.gateway.setOrder("ORDER_1", "COMPLETED");
+  await t.request("/api/phonepe/callback/ORDER_1");
+  await webhook("ORDER_1", "COMPLETED", 19900);
+  assert.equal(mailTo("asha@example.com").length, 1);
+});
+
+test("buyer-supplied values are HTML-escaped in the email", async () => {
+  await webhook("ORDER_2", "COMPLETED");
+  const [email] = mailTo("mallory@example.com");
+  assert.ok(!email.html.includes("<img src=x"));
+  assert.ok(email.html.includes("&lt;img src=x onerror=alert(1)&gt;"));
+});
+
+test("a failed payment sends nothing", async () => {
+  await webhook("ORDER_3", "FAILED");
+  assert.equal(t.db.orders.find((o) => o.id === 3).status, "failed");
+  assert.equal(mailTo("failed@example.com").length, 0);
+});
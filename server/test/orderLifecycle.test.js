@@ -0,0 +1,103 @@
+// ============================================================
+// Order state machine, timeline and admin cancel (user-014)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, orderRow, webhookAuthorization } from "./helpers/testApp.js";
+
+let t;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      products: [{ id: 1, name: "Budget Planner", price: 199, status: "published", type: "single", file_name: "planner.zip" }],
+      orders: [
+        orderRow({ id: 1, status: "failed", payment: { status: "failed" } }),
+        orderRow({ id: 2 }),
+      ],
+    },
+  });
+});
+
+after(() => t.close());
+
+const order = (id) => t.db.orders.find((o) => o.id === id);
+const timeline = async (merchantOrderId, as = 3) =>
+  (await t.request(`/api/admin/orders/${merchantOrderId}/events`, { as })).json();
+
+const webhook = (merchantOrderId, state) =>
+  t.request("/api/phonepe/webhook", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: webhookAuthorization() },
+    body: JSON.stringify({ event: `checkout.order.${state.toLowerCase()}`, payload: { merchantOrderId, state, amount: 19900 } }),
+  });
+
+let placed;
+
+test("checkout records the order being created and handed to the gateway", async () => {
+  const res = await t.request("/api/phonepe/create-order", {
+    json: { customerName: "Asha", customerEmail: "asha@example.com", customerPhone: "9876543210", orderItems: [{ id: 1 }] },
+  });
+  placed = order((await res.json()).orderId);
+  assert.equal(placed.status, "pending");
+
+  const body = await timeline(placed.merchant_order_id);
+  assert.equal(body.status, "pending");
+  assert.equal(body.paymentStatus, "pending");
+  assert.deepEqual(
+    body.events.map((e) => [e.from_state, e.to_state, e.actor]),
+    [[null, "created", "customer"], ["created", "pending", "customer"]]
+  );
+});
+
+test("a paid order ignores a late failure report", async () => {
+  await webhook(placed.merchant_order_id, "COMPLETED");
+  assert.equal(placed.status, "paid");
+
+  const res = await webhook(placed.merchant_order_id, "FAILED");
+  assert.equal(res.status, 200);
+  assert.equal(placed.status, "paid");
+  assert.equal(placed.payment.status, "completed");
+
+  const { events } = await timeline(placed.merchant_order_id);
+  assert.deepEqual(events.map((e) => e.to_state), ["created", "pending", "paid"]);
+  assert.equal(events.at(-1).actor, "webhook:phonepe");
+});
+
+test("a failed order can still be paid when the money turns up", async () => {
+  await webhook("ORDER_1", "COMPLETED");
+  assert.equal(order(1).status, "paid");
+  const { events } = await timeline("ORDER_1");
+  assert.deepEqual(events.map((e) => [e.from_state, e.to_state]), [["failed", "paid"]]);
+});
+
+test("admins can cancel an unpaid order", async () => {
+  const res = await t.request("/api/admin/orders/ORDER_2/cancel", { as: 3, json: { reason: "Duplicate order" } });
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { success: true, status: "cancelled" });
+  assert.equal(order(2).payment.status, "cancelled");
+
+  const [event] = (await timeline("ORDER_2")).events;
+  assert.equal(event.actor, "admin:3");
+  assert.equal(event.reason, "Duplicate order");
+});
+
+test("paid and cancelled orders can't be cancelled", async () => {
+  const paid = await t.request(`/api/admin/orders/${placed.merchant_order_id}/cancel`, { as: 3, json: {} });
+  assert.equal(paid.status, 409);
+  assert.equal((await paid.json()).message, "A paid order cannot be cancelled");
+
+  const again = await t.request("/api/admin/orders/ORDER_2/cancel", { as: 3, json: {} });
+  assert.equal(again.status, 409);
+
+  // A cancelled order stays cancelled whatever the gateway says later
+  await webhook("ORDER_2", "COMPLETED");
+  assert.equal(order(2).status, "cancelled");
+});
+
+test("cancel and the timeline check the order and the admin's permission", async () => {
+  assert.equal((await t.request("/api/admin/orders/ORDER_404/cancel", { as: 3, json: {} })).status, 404);
+  assert.equal((await t.request("/api/admin/orders/ORDER_404/events", { as: 3 })).status, 404);
+  assert.equal((await t.request("/api/admin/orders/ORDER_1/cancel", { as: 2, json: {} })).status, 403);
+  assert.equal((await t.request("/api/admin/orders/ORDER_1/events")).status, 401);
+});
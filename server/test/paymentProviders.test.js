@@ -0,0 +1,148 @@
+// ============================================================
+// Payment provider registry, fallback and per-provider routes (user-011)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { startTestApp, createFakePhonePe, orderRow } from "./helpers/testApp.js";
+import PaymentProviderRegistry from "../services/payments/paymentProviders.js";
+import RazorpayProvider from "../services/payments/razorpayProvider.js";
+
+const RAZORPAY_WEBHOOK_SECRET = "rzp-webhook-secret";
+
+/** The real Razorpay adapter with its HTTP calls answered from `links` */
+function createFakeRazorpay() {
+  const provider = new RazorpayProvider(
+    { keyId: "rzp_test_key", keySecret: "rzp-secret", webhookSecret: RAZORPAY_WEBHOOK_SECRET },
+    { backend: "http://localhost:3000" }
+  );
+  const links = new Map();
+  provider.request = async (method, path, data) => {
+    if (method === "post" && path === "/payment_links") {
+      const link = { id: `plink_${data.reference_id}`, short_url: `https://rzp.test/${data.reference_id}`, status: "created", ...data };
+      links.set(link.id, link);
+      return { data: link };
+    }
+    const link = links.get(path.replace("/payment_links/", ""));
+    if (!link) throw new Error(`Unexpected Razorpay call: ${method} ${path}`);
+    return { data: link };
+  };
+  return { provider, links };
+}
+
+const phonepe = createFakePhonePe();
+const razorpay = createFakeRazorpay();
+
+let t;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      products: [{ id: 1, name: "Budget Planner", price: 199, status: "published", type: "single", file_name: "planner.zip" }],
+      orders: [
+        orderRow({ id: 1, payment: { gateway: "razorpay", providerOrderId: "plink_ORDER_1" } }),
+        orderRow({ id: 2, payment: { gateway: "razorpay", providerOrderId: "plink_ORDER_2" } }),
+        orderRow({ id: 3 }),
+      ],
+    },
+    deps: {
+      paymentProviders: new PaymentProviderRegistry([phonepe.provider, razorpay.provider], {
+        defaultProvider: "phonepe",
+        fallbackProvider: "razorpay",
+        enabled: ["phonepe", "razorpay"],
+      }),
+    },
+  });
+  razorpay.links.set("plink_ORDER_1", { id: "plink_ORDER_1", status: "paid", amount_paid: 19900, payments: [{ payment_id: "pay_1", status: "captured" }] });
+});
+
+after(() => t.close());
+
+const customer = {
+  customerName: "Asha",
+  customerEmail: "asha@example.com",
+  customerPhone: "9876543210",
+};
+
+const createOrder = (body) => t.request("/api/phonepe/create-order", { json: { ...customer, orderItems: [{ id: 1 }], ...body } });
+const order = (id) => t.db.orders.find((o) => o.id === id);
+
+const signedRazorpayWebhook = (payload) => {
+  const body = JSON.stringify(payload);
+  const signature = crypto.createHmac("sha256", RAZORPAY_WEBHOOK_SECRET).update(body).digest("hex");
+  return t.request("/api/payments/razorpay/webhook", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Razorpay-Signature": signature },
+    body,
+  });
+};
+
+test("buyers can pick any enabled provider at checkout", async () => {
+  const res = await createOrder({ paymentProvider: "razorpay" });
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.equal(body.paymentProvider, "razorpay");
+  assert.match(body.paymentUrl, /^https:\/\/rzp\.test\//);
+
+  const placed = order(body.orderId);
+  assert.equal(placed.payment.gateway, "razorpay");
+  assert.equal(placed.payment.providerOrderId, `plink_${placed.merchant_order_id}`);
+  assert.equal(razorpay.links.get(placed.payment.providerOrderId).amount, 19900);
+});
+
+test("an unknown provider choice falls back to the default", async () => {
+  const body = await (await createOrder({ paymentProvider: "bitcoin" })).json();
+  assert.equal(body.paymentProvider, "phonepe");
+  assert.match(body.paymentUrl, /^https:\/\/pay\.test\//);
+});
+
+test("a provider that can't start the payment hands over to the fallback", async () => {
+  phonepe.gateway.paymentResult = { success: false, error: "Gateway down" };
+  try {
+    const body = await (await createOrder()).json();
+    assert.equal(body.paymentProvider, "razorpay");
+    assert.equal(order(body.orderId).payment.gateway, "razorpay");
+  } finally {
+    phonepe.gateway.paymentResult = null;
+  }
+});
+
+test("the redirect back checks the order's own provider", async () => {
+  const res = await t.request("/api/payments/razorpay/callback/ORDER_1");
+  assert.equal(res.status, 302);
+  assert.equal(res.headers.get("location"), "http://localhost:8080/payment-success?orderId=ORDER_1");
+  assert.equal(order(1).status, "paid");
+  assert.equal(order(1).payment.gatewayTransactionId, "pay_1");
+});
+
+test("redirects for pending and unknown orders", async () => {
+  const pending = await t.request("/api/payments/phonepe/callback/ORDER_3");
+  assert.equal(pending.headers.get("location"), "http://localhost:8080/payment-pending?orderId=ORDER_3");
+
+  const unknown = await t.request("/api/payments/razorpay/callback/ORDER_404");
+  assert.equal(unknown.headers.get("location"), "http://localhost:8080/payment-failed?orderId=ORDER_404");
+});
+
+test("webhooks are verified and parsed by the provider in the path", async () => {
+  const res = await signedRazorpayWebhook({
+    event: "payment_link.paid",
+    payload: {
+      payment_link: { entity: { id: "plink_ORDER_2", reference_id: "ORDER_2", status: "paid", amount_paid: 19900 } },
+      payment: { entity: { id: "pay_2", amount: 19900, status: "captured" } },
+    },
+  });
+  assert.deepEqual(await res.json(), { success: true, status: "processed" });
+  assert.equal(order(2).status, "paid");
+
+  const forged = await t.request("/api/payments/razorpay/webhook", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "X-Razorpay-Signature": "0".repeat(64) },
+    body: JSON.stringify({ event: "payment_link.paid", payload: {} }),
+  });
+  assert.equal(forged.status, 401);
+});
+
+test("webhooks for unknown providers are a 404", async () => {
+  const res = await t.request("/api/payments/stripe/webhook", { json: {} });
+  assert.equal(res.status, 404);
+});
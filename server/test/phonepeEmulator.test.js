@@ -0,0 +1,140 @@
+// ============================================================
+// Checkout against the local PhonePe emulator (user-012)
+// ------------------------------------------------------------
+// The real PhonePeAPIService talks HTTP to dev/phonepeEmulator.js, so these
+// cover the OAuth, pay, status and webhook wiring the fake gateway skips.
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { createPhonePeEmulator } from "../dev/phonepeEmulator.js";
+import { startTestApp, testConfig, WEBHOOK_CREDENTIALS } from "./helpers/testApp.js";
+import PaymentProviderRegistry from "../services/payments/paymentProviders.js";
+import PhonePeProvider from "../services/payments/phonepeProvider.js";
+import PhonePeAPIService from "../services/phonepeService.js";
+
+let emulator;
+let emulatorUrl;
+let t;
+
+before(async () => {
+  emulator = await new Promise((resolve) => {
+    const listening = createPhonePeEmulator().listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  emulatorUrl = `http://127.0.0.1:${emulator.address().port}`;
+
+  const env = { PHONEPE_BASE_URL: emulatorUrl };
+  const config = testConfig(env);
+  t = await startTestApp({
+    tables: {
+      products: [{ id: 1, name: "Budget Planner", price: 199, status: "published", type: "single", file_name: "planner.zip" }],
+    },
+    env,
+    deps: {
+      paymentProviders: new PaymentProviderRegistry([
+        new PhonePeProvider(new PhonePeAPIService(config.phonepe, config.urls), config.phonepe.webhook),
+      ]),
+    },
+  });
+
+  await configureEmulator({
+    webhookUrl: `${t.baseUrl}/api/phonepe/webhook`,
+    webhookUsername: WEBHOOK_CREDENTIALS.username,
+    webhookPassword: WEBHOOK_CREDENTIALS.password,
+  });
+});
+
+after(async () => {
+  await t.close();
+  await new Promise((resolve) => emulator.close(resolve));
+});
+
+async function configureEmulator(settings) {
+  const res = await fetch(`${emulatorUrl}/__emulator/config`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(settings),
+  });
+  assert.equal(res.status, 200);
+}
+
+/**
+ * Place an order, visit the emulator's checkout page with `outcome` and
+ * follow its redirect back to the app. Returns the order row and where the
+ * app sent the buyer.
+ */
+async function checkout(outcome) {
+  await configureEmulator({ outcome });
+  const placed = await t.request("/api/phonepe/create-order", {
+    json: {
+      customerName: "Asha",
+      customerEmail: "asha@example.com",
+      customerPhone: "9876543210",
+      orderItems: [{ id: 1 }],
+    },
+  });
+  assert.equal(placed.status, 200);
+  const { orderId, paymentUrl } = await placed.json();
+  const order = t.db.orders.find((o) => o.id === orderId);
+  assert.equal(paymentUrl, `${emulatorUrl}/checkout/${order.merchant_order_id}`);
+
+  const page = await fetch(paymentUrl, { redirect: "manual" });
+  assert.equal(page.status, 302);
+  const redirectUrl = new URL(page.headers.get("location"));
+  assert.equal(redirectUrl.origin, "http://localhost:3000");
+  assert.equal(redirectUrl.pathname, `/api/phonepe/callback/${order.merchant_order_id}`);
+
+  const back = await t.request(redirectUrl.pathname);
+  assert.equal(back.status, 302);
+  return { order, location: back.headers.get("location") };
+}
+
+const webhooksFor = (merchantOrderId) =>
+  t.db.payment_webhook_events.filter((e) => e.merchant_order_id === merchantOrderId);
+
+test("a completed payment is confirmed by the signed webhook and the redirect", async () => {
+  const { order, location } = await checkout("completed");
+  assert.equal(location, `http://localhost:8080/payment-success?orderId=${order.merchant_order_id}`);
+  assert.equal(order.status, "paid");
+  assert.equal(order.payment.status, "completed");
+  assert.match(order.payment.gatewayTransactionId, /^TXN/);
+  assert.match(order.payment.providerOrderId, /^OMO/);
+
+  const [event] = webhooksFor(order.merchant_order_id);
+  assert.equal(event.event_type, "checkout.order.completed");
+  assert.equal(event.signature_valid, true);
+  assert.equal(event.status, "processed");
+  assert.equal(event.payload.payload.amount, 19900);
+});
+
+test("a failed payment fails the order and sends the buyer to the failure page", async () => {
+  const { order, location } = await checkout("failed");
+  assert.equal(location, `http://localhost:8080/payment-failed?orderId=${order.merchant_order_id}`);
+  assert.equal(order.status, "failed");
+  assert.equal(order.payment.status, "failed");
+
+  const [event] = webhooksFor(order.merchant_order_id);
+  assert.equal(event.event_type, "checkout.order.failed");
+  assert.equal(event.signature_valid, true);
+});
+
+test("a payment still pending leaves the order pending and sends no webhook", async () => {
+  const { order, location } = await checkout("pending");
+  assert.equal(location, `http://localhost:8080/payment-pending?orderId=${order.merchant_order_id}`);
+  assert.equal(order.status, "pending");
+  assert.equal(order.payment.status, "pending");
+  assert.deepEqual(webhooksFor(order.merchant_order_id), []);
+});
+
+test("webhooks signed with the wrong credentials are recorded and rejected", async () => {
+  await configureEmulator({ webhookPassword: "wrong-password" });
+  try {
+    const { order } = await checkout("completed");
+    const [event] = webhooksFor(order.merchant_order_id);
+    assert.equal(event.signature_valid, false);
+    assert.equal(event.status, "rejected");
+    // The redirect still confirms the payment with the status API
+    assert.equal(order.status, "paid");
+  } finally {
+    await configureEmulator({ webhookPassword: WEBHOOK_CREDENTIALS.password });
+  }
+});
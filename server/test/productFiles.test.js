@@ -0,0 +1,103 @@
+// ============================================================
+// Product file uploads to storage (user-016)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "crypto";
+import { startTestApp } from "./helpers/testApp.js";
+import { createFakeStorage } from "./helpers/fakeSupabase.js";
+
+const ZIP = Buffer.concat([Buffer.from([0x50, 0x4b, 0x03, 0x04]), Buffer.from("planner pages")]);
+
+const storage = createFakeStorage({ "products/legacy.zip": Buffer.from("old file") });
+
+let t;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      products: [
+        { id: 1, name: "Budget Planner", price: 199, status: "published", storage_path: "products", file_name: "legacy.zip" },
+        { id: 2, name: "Meal Planner", price: 99, status: "draft" },
+      ],
+    },
+    env: { PRODUCT_FILE_MAX_MB: "1" },
+    deps: { storage },
+  });
+});
+
+after(() => t.close());
+
+const product = (id) => t.db.products.find((p) => p.id === id);
+
+const upload = (productId, contents, filename, type = "application/octet-stream", as = 2) => {
+  const form = new FormData();
+  form.append("title", "ignored");
+  form.append("file", new Blob([contents], { type }), filename);
+  return t.request(`/api/admin/products/${productId}/file`, { method: "POST", as, body: form });
+};
+
+test("an upload is stored, checksummed and linked to the product", async () => {
+  const res = await upload(1, ZIP, "My Planner (v2).zip", "application/zip");
+  assert.equal(res.status, 200);
+  const { product: updated } = await res.json();
+
+  assert.match(updated.file_name, /^1\/\d+-My_Planner_v2_.zip$/);
+  assert.equal(updated.file_size, ZIP.length);
+  assert.equal(updated.file_checksum, crypto.createHash("sha256").update(ZIP).digest("hex"));
+  assert.equal(updated.file_content_type, "application/zip");
+  assert.deepEqual(storage.files.get(`products/${updated.file_name}`), ZIP);
+});
+
+test("the file it replaces is deleted from storage", async () => {
+  assert.equal(storage.files.has("products/legacy.zip"), false);
+
+  const previous = product(1).file_name;
+  const res = await upload(1, ZIP, "planner.zip");
+  assert.equal(res.status, 200);
+  assert.equal(storage.files.has(`products/${previous}`), false);
+  assert.ok(storage.files.has(`products/${product(1).file_name}`));
+});
+
+test("files whose type or contents aren't allowed are a 415 and leave nothing behind", async () => {
+  const stored = [...storage.files.keys()];
+
+  const spoofed = await upload(2, Buffer.from("MZ not a zip"), "planner.zip");
+  assert.equal(spoofed.status, 415);
+  assert.equal((await spoofed.json()).message, "File contents do not match its type");
+
+  const exe = await upload(2, Buffer.from("MZ"), "setup.exe");
+  assert.equal(exe.status, 415);
+
+  const mismatched = await upload(2, Buffer.from("%PDF-1.7"), "guide.pdf", "image/png");
+  assert.equal(mismatched.status, 415);
+
+  assert.deepEqual([...storage.files.keys()], stored);
+  assert.equal(product(2).file_name, undefined);
+});
+
+test("files over the size limit are a 413", async () => {
+  const big = Buffer.concat([ZIP, Buffer.alloc(1024 * 1024)]);
+  const res = await upload(2, big, "huge.zip");
+  assert.equal(res.status, 413);
+  assert.equal((await res.json()).message, "File is larger than 1 MB");
+  assert.equal(product(2).file_name, undefined);
+});
+
+test("a request without a file is a 400", async () => {
+  const form = new FormData();
+  form.append("title", "no file");
+  const empty = await t.request("/api/admin/products/2/file", { method: "POST", as: 2, body: form });
+  assert.equal(empty.status, 400);
+
+  const json = await t.request("/api/admin/products/2/file", { as: 2, json: { file: "x" } });
+  assert.equal(json.status, 400);
+  assert.equal((await json.json()).message, "Expected a multipart/form-data upload");
+
+  assert.equal((await upload(2, Buffer.alloc(0), "empty.zip")).status, 400);
+});
+
+test("uploads need products:write and an existing product", async () => {
+  assert.equal((await upload(1, ZIP, "planner.zip", "application/zip", 3)).status, 403);
+  assert.equal((await upload(404, ZIP, "planner.zip")).status, 404);
+});
@@ -0,0 +1,83 @@
+// ============================================================
+// Background reconciliation of pending orders (user-004)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, orderRow } from "./helpers/testApp.js";
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+
+let t;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      products: [{ id: 1, name: "Budget Planner", price: 199, status: "published" }],
+      orders: [
+        orderRow({ id: 1, created_at: minutesAgo(60) }),
+        orderRow({ id: 2, created_at: minutesAgo(50) }),
+        orderRow({ id: 3, created_at: minutesAgo(40) }),
+        orderRow({ id: 4, created_at: minutesAgo(3 * 24 * 60) }),
+        // Too fresh: the buyer may still be on the payment page
+        orderRow({ id: 5, created_at: minutesAgo(2) }),
+        orderRow({ id: 6, status: "paid", created_at: minutesAgo(90), payment: { status: "completed" } }),
+      ],
+    },
+  });
+  t.gateway.setOrder("ORDER_1", "COMPLETED");
+  t.gateway.setOrder("ORDER_2", "FAILED");
+  t.gateway.setOrder("ORDER_5", "COMPLETED");
+});
+
+after(() => t.close());
+
+const order = (id) => t.db.orders.find((o) => o.id === id);
+
+test("the cron run settles stale pending orders from the gateway's answer", async () => {
+  const res = await t.request("/api/cron/reconcile-payments", { cron: true });
+  assert.equal(res.status, 200);
+  const summary = await res.json();
+
+  assert.equal(summary.checked, 4);
+  assert.deepEqual(
+    [summary.completed, summary.failed, summary.expired, summary.unchanged, summary.errors],
+    [1, 1, 1, 1, 0]
+  );
+  assert.deepEqual(summary.mismatches.map((m) => m.merchantOrderId).sort(), ["ORDER_1", "ORDER_2"]);
+
+  assert.equal(order(1).status, "paid");
+  assert.equal(order(1).payment.gatewayTransactionId, "T-ORDER_1");
+  assert.equal(order(2).status, "failed");
+  assert.equal(order(3).status, "pending");
+  assert.equal(order(4).status, "expired");
+  assert.equal(order(5).status, "pending");
+  assert.equal(t.db.order_events.filter((e) => e.actor === "reconciler").length, 3);
+});
+
+test("runs and their mismatches are listed for admins", async () => {
+  const res = await t.request("/api/admin/reconciliation?mismatches=true", { as: 3 });
+  assert.equal(res.status, 200);
+  const { runs } = await res.json();
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].trigger, "cron");
+  assert.equal(runs[0].mismatches.length, 2);
+});
+
+test("a gateway error leaves a young order pending and is reported", async () => {
+  t.gateway.statusError = new Error("gateway timeout");
+  try {
+    const res = await t.request("/api/admin/reconciliation/run", { method: "POST", as: 3 });
+    assert.equal(res.status, 200);
+    const summary = await res.json();
+    assert.equal(summary.trigger, "manual");
+    assert.equal(summary.errors, 1);
+    assert.equal(order(3).status, "pending");
+  } finally {
+    t.gateway.statusError = null;
+  }
+});
+
+test("running reconciliation by hand needs payments:reconcile", async () => {
+  const res = await t.request("/api/admin/reconciliation/run", { method: "POST", as: 2 });
+  assert.equal(res.status, 403);
+});
@@ -0,0 +1,151 @@
+// ============================================================
+// Admin refunds and their gateway status (user-005)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, orderRow, webhookAuthorization } from "./helpers/testApp.js";
+import { TRIGGERS } from "./helpers/schema.js";
+
+const paid = (id, overrides = {}) =>
+  orderRow({ id, status: "paid", payment: { status: "completed", paidAt: "2026-10-01T10:05:00.000Z" }, ...overrides });
+
+let t;
+// A refund another admin commits between this one's checks and its insert
+let concurrentRefund = null;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      products: [{ id: 1, name: "Budget Planner", price: 199, status: "published", file_name: "planner.zip" }],
+      orders: [paid(1), paid(2), orderRow({ id: 3 }), paid(4), paid(5)],
+    },
+    supabase: {
+      triggers: {
+        refunds(row, db) {
+          if (concurrentRefund) db.refunds.push(concurrentRefund);
+          concurrentRefund = null;
+          return TRIGGERS.refunds(row, db);
+        },
+      },
+    },
+  });
+});
+
+after(() => t.close());
+
+const order = (id) => t.db.orders.find((o) => o.id === id);
+const refund = (orderId, json = {}) => t.request(`/api/admin/orders/ORDER_${orderId}/refunds`, { as: 3, json });
+
+test("a partial refund is sent to the gateway and keeps downloads working", async () => {
+  const res = await refund(1, { amount: 50, reason: "Wrong size" });
+  assert.equal(res.status, 201);
+  const body = await res.json();
+  assert.equal(body.refund.amount, 50);
+  assert.equal(body.refund.status, "pending");
+  assert.equal(body.refund.requested_by, 3);
+
+  assert.deepEqual(t.gateway.refundRequests.at(-1), {
+    merchantRefundId: body.refund.merchant_refund_id,
+    merchantOrderId: "ORDER_1",
+    amount: 50,
+  });
+  assert.equal(order(1).status, "paid");
+  assert.equal(order(1).payment.status, "partially_refunded");
+  assert.equal(order(1).payment.refundedAmount, 50);
+
+  const download = await t.request("/api/signed-download/1?orderId=ORDER_1");
+  assert.equal(download.status, 200);
+});
+
+test("refunds can't add up to more than was paid", async () => {
+  const res = await refund(1, { amount: 150 });
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).message, /between ₹0.01 and ₹149/);
+});
+
+test("refunding without an amount refunds the rest and ends access", async () => {
+  const res = await refund(1);
+  assert.equal(res.status, 201);
+  assert.equal((await res.json()).refund.amount, 149);
+  assert.equal(order(1).status, "refunded");
+  assert.equal(order(1).payment.status, "refunded");
+
+  const download = await t.request("/api/signed-download/1?orderId=ORDER_1");
+  assert.equal(download.status, 403);
+
+  const listed = await t.request("/api/admin/orders/ORDER_1/refunds", { as: 3 });
+  const body = await listed.json();
+  assert.equal(body.status, "refunded");
+  assert.deepEqual(body.refunds.map((r) => r.amount), [50, 149]);
+});
+
+test("unpaid orders can't be refunded", async () => {
+  const res = await refund(3, { amount: 10 });
+  assert.equal(res.status, 409);
+});
+
+test("a negative or non-numeric amount is a 400", async () => {
+  assert.equal((await refund(2, { amount: -5 })).status, 400);
+  assert.equal((await refund(2, { amount: "lots" })).status, 400);
+});
+
+test("a refund the gateway rejects is stored as failed and leaves the order paid", async () => {
+  t.gateway.refundResult = { success: false, error: "Insufficient balance" };
+  try {
+    const res = await refund(2, { amount: 20 });
+    assert.equal(res.status, 502);
+    const body = await res.json();
+    assert.equal(body.refund.status, "failed");
+    assert.equal(body.refund.failure_reason, "Insufficient balance");
+    assert.equal(order(2).payment.status, "completed");
+  } finally {
+    t.gateway.refundResult = null;
+  }
+});
+
+test("refreshing a refund the gateway later failed restores the payment", async () => {
+  const created = await (await refund(4, { amount: 199 })).json();
+  assert.equal(order(4).status, "refunded");
+
+  t.gateway.setRefund(created.refund.merchant_refund_id, "FAILED");
+  const res = await t.request(`/api/admin/refunds/${created.refund.merchant_refund_id}/refresh`, {
+    method: "POST",
+    as: 3,
+  });
+  assert.equal(res.status, 200);
+  assert.equal((await res.json()).refund.status, "failed");
+  assert.equal(order(4).status, "paid");
+  assert.equal(order(4).payment.status, "completed");
+});
+
+test("a refund webhook settles the refund", async () => {
+  const created = await (await refund(5, { amount: 30 })).json();
+  const res = await t.request("/api/phonepe/webhook", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", Authorization: webhookAuthorization() },
+    body: JSON.stringify({
+      event: "pg.refund.completed",
+      payload: {
+        merchantRefundId: created.refund.merchant_refund_id,
+        originalMerchantOrderId: "ORDER_5",
+        state: "COMPLETED",
+        amount: 3000,
+      },
+    }),
+  });
+  assert.deepEqual(await res.json(), { success: true, status: "processed" });
+  assert.equal(t.db.refunds.find((r) => r.id === created.refund.id).status, "completed");
+});
+
+test("refunds need the orders:refund permission", async () => {
+  const res = await t.request("/api/admin/orders/ORDER_2/refunds", { as: 2, json: { amount: 1 } });
+  assert.equal(res.status, 403);
+});
+
+test("a concurrent refund that takes the rest first makes this one a 409", async () => {
+  concurrentRefund = { id: 900, order_id: 2, merchant_order_id: "ORDER_2", amount: 190, status: "pending" };
+  const res = await refund(2, { amount: 100 });
+  assert.equal(res.status, 409);
+  assert.equal((await res.json()).message, "Refund would exceed the amount paid");
+  assert.equal(t.gateway.refundRequests.some((r) => r.merchantOrderId === "ORDER_2" && r.amount === 100), false);
+});
@@ -0,0 +1,116 @@
+// ============================================================
+// Per-buyer PDF watermarking on download (user-017)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { PDFArray, PDFDocument, decodePDFRawStream } from "pdf-lib";
+import { startTestApp, orderRow } from "./helpers/testApp.js";
+import { createFakeStorage } from "./helpers/fakeSupabase.js";
+
+const paid = (id, items, overrides = {}) =>
+  orderRow({ id, items, status: "paid", payment: { status: "completed" }, ...overrides });
+const item = (id, name) => ({ id, name, price: 99, quantity: 1 });
+
+async function samplePdf(pages) {
+  const pdf = await PDFDocument.create();
+  for (let i = 0; i < pages; i++) pdf.addPage();
+  return Buffer.from(await pdf.save());
+}
+
+/** The text drawn on each page, decoded from the hex strings pdf-lib writes */
+async function pageTexts(bytes) {
+  const pdf = await PDFDocument.load(bytes);
+  return pdf.getPages().map((page) => {
+    const contents = page.node.Contents();
+    const streams = contents instanceof PDFArray
+      ? contents.asArray().map((ref) => pdf.context.lookup(ref))
+      : [contents];
+    const source = streams.map((s) => Buffer.from(decodePDFRawStream(s).decode()).toString("latin1")).join("\n");
+    return [...source.matchAll(/<([0-9A-F]+)> Tj/g)].map(([, hex]) => Buffer.from(hex, "hex").toString("latin1"));
+  });
+}
+
+let storage;
+let t;
+
+before(async () => {
+  storage = createFakeStorage({
+    "products/guide.pdf": await samplePdf(2),
+    "products/guide-v2.pdf": await samplePdf(1),
+    "products/open.pdf": await samplePdf(1),
+    "products/broken.pdf": Buffer.from("%PDF- truncated"),
+    "products/pack.zip": Buffer.from([0x50, 0x4b, 0x03, 0x04]),
+  });
+  t = await startTestApp({
+    tables: {
+      products: [
+        { id: 1, name: "Guide", price: 99, status: "published", storage_path: "products", file_name: "guide.pdf" },
+        { id: 2, name: "Open Guide", price: 99, status: "published", storage_path: "products", file_name: "open.pdf", watermark: false },
+        { id: 3, name: "Broken", price: 99, status: "published", storage_path: "products", file_name: "broken.pdf" },
+        { id: 4, name: "Pack", price: 99, status: "published", storage_path: "products", file_name: "pack.zip" },
+      ],
+      orders: [
+        paid(1, [item(1, "Guide"), item(2, "Open Guide"), item(3, "Broken"), item(4, "Pack")]),
+        paid(2, [item(1, "Guide")], { customer_name: "Ravi ✨", customer_email: "ravi@example.com" }),
+      ],
+    },
+    deps: { storage },
+  });
+});
+
+after(() => t.close());
+
+const signedPath = async (orderId, productId) => {
+  const res = await t.request(`/api/signed-download/${productId}?orderId=ORDER_${orderId}`);
+  assert.equal(res.status, 200);
+  const { signedUrl } = await res.json();
+  return new URL(signedUrl).pathname.slice(1);
+};
+
+test("PDF downloads hand out the buyer's stamped copy", async () => {
+  const path = await signedPath(1, 1);
+  assert.match(path, /^watermarked\/1\/1-\d+\.pdf$/);
+
+  const texts = await pageTexts(storage.files.get(path));
+  assert.equal(texts.length, 2);
+  for (const page of texts) {
+    // Footer, then the diagonal stamp
+    assert.deepEqual(page, [
+      "Licensed to Asha <asha@example.com>  |  Order ORDER_1",
+      "Licensed to Asha <asha@example.com>",
+    ]);
+  }
+});
+
+test("each order gets its own copy, reused on later downloads", async () => {
+  const first = await signedPath(1, 1);
+  assert.equal(await signedPath(1, 1), first);
+  assert.equal(t.db.download_watermarks.filter((w) => w.order_id === 1).length, 1);
+
+  const other = await signedPath(2, 1);
+  assert.match(other, /^watermarked\/2\/1-\d+\.pdf$/);
+  // Characters the PDF fonts can't draw are replaced rather than failing the stamp
+  const [page] = await pageTexts(storage.files.get(other));
+  assert.ok(page.includes("Licensed to Ravi ? <ravi@example.com>"));
+});
+
+test("replacing the product file stamps a fresh copy", async () => {
+  const original = await signedPath(1, 1);
+  t.db.products.find((p) => p.id === 1).file_name = "guide-v2.pdf";
+
+  const restamped = await signedPath(1, 1);
+  assert.notEqual(restamped, original);
+  assert.equal((await pageTexts(storage.files.get(restamped))).length, 1);
+});
+
+test("non-PDFs and products with watermarking off are served as they are", async () => {
+  assert.equal(await signedPath(1, 2), "products/open.pdf");
+  assert.equal(await signedPath(1, 4), "products/pack.zip");
+});
+
+test("a PDF that can't be stamped is a 503 and doesn't use up a download", async () => {
+  const res = await t.request("/api/signed-download/3?orderId=ORDER_1");
+  assert.equal(res.status, 503);
+  assert.match((await res.json()).message, /still being prepared/);
+  assert.equal(t.db.download_logs.some((d) => d.product_id === 3), false);
+});
@@ -0,0 +1,112 @@
+// ============================================================
+// Signed PhonePe webhooks and idempotent order updates (user-003)
+// ============================================================
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { startTestApp, orderRow, webhookAuthorization } from "./helpers/testApp.js";
+
+let t;
+
+before(async () => {
+  t = await startTestApp({
+    tables: {
+      products: [{ id: 1, name: "Budget Planner", price: 199, status: "published" }],
+      orders: [orderRow({ id: 1 }), orderRow({ id: 2 }), orderRow({ id: 3 })],
+    },
+  });
+});
+
+after(() => t.close());
+
+const completedEvent = (merchantOrderId, amount) => ({
+  event: "checkout.order.completed",
+  payload: {
+    merchantOrderId,
+    orderId: `OMO${merchantOrderId}`,
+    state: "COMPLETED",
+    amount,
+    paymentDetails: [{ transactionId: `T-${merchantOrderId}` }],
+  },
+});
+
+const deliver = (body, { authorization = webhookAuthorization(), path = "/api/phonepe/webhook" } = {}) =>
+  t.request(path, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...(authorization && { Authorization: authorization }) },
+    body: typeof body === "string" ? body : JSON.stringify(body),
+  });
+
+const order = (id) => t.db.orders.find((o) => o.id === id);
+const eventsFor = (merchantOrderId) =>
+  t.db.payment_webhook_events.filter((e) => e.merchant_order_id === merchantOrderId);
+
+test("an unsigned delivery is stored as rejected and changes nothing", async () => {
+  const res = await deliver(completedEvent("ORDER_1", 19900), { authorization: null });
+  assert.equal(res.status, 401);
+  assert.equal(order(1).status, "pending");
+  assert.deepEqual(eventsFor("ORDER_1").map((e) => [e.status, e.signature_valid]), [["rejected", false]]);
+});
+
+test("a delivery signed with the wrong credentials is rejected", async () => {
+  const res = await deliver(completedEvent("ORDER_1", 19900), {
+    authorization: webhookAuthorization({ username: "webhook-user", password: "guess" }),
+  });
+  assert.equal(res.status, 401);
+  assert.equal(order(1).status, "pending");
+});
+
+test("a body that is not JSON is a 400", async () => {
+  const res = await deliver("{not json");
+  assert.equal(res.status, 400);
+  assert.equal(t.db.payment_webhook_events.at(-1).status, "rejected");
+});
+
+test("a signed completion marks the order paid and records the transition", async () => {
+  const res = await deliver(completedEvent("ORDER_1", 19900));
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { success: true, status: "processed" });
+
+  assert.equal(order(1).status, "paid");
+  assert.equal(order(1).payment.status, "completed");
+  assert.equal(order(1).payment.gatewayTransactionId, "T-ORDER_1");
+  const events = t.db.order_events.filter((e) => e.order_id === 1);
+  assert.deepEqual(events.map((e) => [e.from_state, e.to_state, e.actor]), [["pending", "paid", "webhook:phonepe"]]);
+});
+
+test("a redelivery of a processed event is acknowledged but applied once", async () => {
+  const res = await deliver(completedEvent("ORDER_1", 19900));
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { success: true, status: "duplicate" });
+  assert.equal(t.db.order_events.filter((e) => e.order_id === 1).length, 1);
+});
+
+test("a completion for the wrong amount is rejected", async () => {
+  const res = await deliver(completedEvent("ORDER_2", 100));
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), { success: true, status: "rejected" });
+  assert.equal(order(2).status, "pending");
+});
+
+test("a failure after the order was paid does not undo the payment", async () => {
+  await deliver(completedEvent("ORDER_3", 19900));
+  const res = await deliver({
+    event: "checkout.order.failed",
+    payload: { merchantOrderId: "ORDER_3", state: "FAILED" },
+  });
+  assert.equal(res.status, 200);
+  assert.equal(order(3).status, "paid");
+});
+
+test("events for unknown orders are acknowledged and ignored", async () => {
+  const res = await deliver(completedEvent("ORDER_404", 100));
+  assert.deepEqual(await res.json(), { success: true, status: "ignored" });
+});
+
+test("the provider-generic path serves the same handler; unknown providers are a 404", async () => {
+  const res = await deliver(completedEvent("ORDER_2", 19900), { path: "/api/payments/phonepe/webhook" });
+  assert.deepEqual(await res.json(), { success: true, status: "processed" });
+  assert.equal(order(2).status, "paid");
+
+  const unknown = await deliver(completedEvent("ORDER_2", 19900), { path: "/api/payments/paypal/webhook" });
+  assert.equal(unknown.status, 404);
+});